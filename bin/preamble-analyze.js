@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+import { readFile } from "node:fs/promises";
+import { realpathSync } from "node:fs";
+import { pathToFileURL } from "node:url";
+import { analyzeText } from "../src/analysis.js";
+import { DEFAULT_RULES, sanitizeRules } from "../src/rules.js";
+import { TEXT_LIBRARY, createText, formatForFile } from "../src/texts.js";
+import { buildResults, formatResultsJson, formatResultsCsv } from "../src/results.js";
+
+/**
+ * Command-line analyzer
+ * ------------------------------------------------------------
+ * Runs the analyzer's counting (../src/analysis.js) over files, standard input
+ * or library texts, without a browser:
+ *
+ *   preamble-analyze lesson1.txt lesson2.md
+ *   preamble-analyze --format csv --rules rules.json texts/*.txt > counts.csv
+ *   cat speech.txt | preamble-analyze --format json
+ *   preamble-analyze --summary --text preamble --text gettysburg
+ *
+ * The table and CSV list every word with the rules it matched, then the totals;
+ * JSON is the analyzer's own export format (one object per text, or an array for
+ * several). `--summary` prints the totals only, one row per text.
+ */
+
+export const USAGE = `Usage: preamble-analyze [options] [file ...]
+
+Counts the words of each text that match each rule, as the Preamble Analyzer does.
+Reads standard input when no file or library text is given, or for "-".
+
+Options:
+  -f, --format <table|json|csv>  Output format (default: table)
+  -r, --rules <file>             Rule list as JSON (default: the "t" / "e" rules)
+  -t, --text <id>                Analyze a library text; repeatable
+                                 (${TEXT_LIBRARY.map((text) => text.id).join(", ")})
+  -l, --language <tag>           Language of the input files (default: en)
+  -s, --summary                  Totals only, one row per text
+  -h, --help                     Show this help
+`;
+
+/** Output formats */
+const FORMATS = ["table", "json", "csv"];
+
+/** Mark for a matched rule in the table */
+const MATCH_MARK = "✓";
+
+/**
+ * Reads the command-line arguments.
+ *
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} `{ format, rulesFile, textIds, language, summary, help, files }`
+ * @throws {Error} On an unknown option or a missing or invalid value
+ */
+export function parseArgs(args) {
+  const options = { format: "table", rulesFile: null, textIds: [], language: "en", summary: false, help: false, files: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (i + 1 >= args.length) throw new Error(`${arg} needs a value.`);
+      return args[++i];
+    };
+
+    if (arg === "-f" || arg === "--format") {
+      options.format = value();
+      if (!FORMATS.includes(options.format)) throw new Error(`Unknown format "${options.format}"; use ${FORMATS.join(", ")}.`);
+    } else if (arg === "-r" || arg === "--rules") {
+      options.rulesFile = value();
+    } else if (arg === "-t" || arg === "--text") {
+      options.textIds.push(value());
+    } else if (arg === "-l" || arg === "--language") {
+      options.language = value();
+    } else if (arg === "-s" || arg === "--summary") {
+      options.summary = true;
+    } else if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (arg.startsWith("-") && arg !== "-") {
+      throw new Error(`Unknown option "${arg}".`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+  return options;
+}
+
+/**
+ * Reads a rule list from the contents of a rules file.
+ *
+ * @param {string} json - File contents: a JSON array of rules (see ../src/rules.js)
+ * @returns {Array<Object>} The rules
+ * @throws {Error} If the file is not JSON or a rule is malformed
+ */
+export function parseRules(json) {
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`The rules file is not valid JSON (${error.message}).`);
+  }
+  const rules = sanitizeRules(value);
+  if (!rules) throw new Error("The rules file must be a non-empty array of rules, each with a unique id, a label and a valid, non-duplicate condition (and a hex color, if it has one).");
+  return rules;
+}
+
+/**
+ * Analyzes one text to the end.
+ *
+ * @param {Object} text - A text object (see ../src/texts.js)
+ * @param {Array<Object>} rules - Counting rules
+ * @returns {Object} Results, as exported by the analyzer (see ../src/results.js)
+ */
+export function analyzeToResults(text, rules) {
+  const { tokens, wordMatches, counts } = analyzeText(text, { rules });
+  return buildResults({ title: text.title, tokens, wordMatches, rules, counts, activeIndex: tokens.length - 1 });
+}
+
+/**
+ * Utility: Lays out rows as aligned columns separated by two spaces.
+ *
+ * @param {Array<Array<string|number>>} rows - Table rows, header first
+ * @param {Array<boolean>} rightAligned - Per column, whether to align right (numbers)
+ * @returns {string} The table, one line per row
+ */
+function formatColumns(rows, rightAligned) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => String(row[column]).length)));
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) => (rightAligned[column] ? String(cell).padStart(widths[column]) : String(cell).padEnd(widths[column])))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+}
+
+/**
+ * Formats results as text tables: per text, every word with a mark under each
+ * rule it matched and a totals row; with `summary`, one row of totals per text.
+ *
+ * @param {Array<Object>} resultsList - Results of `analyzeToResults`
+ * @param {boolean} summary - Totals only
+ * @returns {string} The tables
+ */
+export function formatTable(resultsList, summary) {
+  if (summary) {
+    const rules = resultsList[0].rules;
+    const rows = [
+      ["Text", "Words", ...rules.map((rule) => rule.label)],
+      ...resultsList.map((results) => [results.title, results.totalWords, ...rules.map((rule) => results.totals[rule.id])]),
+    ];
+    return formatColumns(rows, [false, true, ...rules.map(() => true)]) + "\n";
+  }
+
+  return resultsList
+    .map((results) => {
+      const { rules, tokens, totals } = results;
+      const rows = [
+        ["#", "Word", ...rules.map((rule) => rule.label)],
+        ...tokens.map((token) => [token.index + 1, token.text, ...rules.map((rule) => (token.matchedRules.includes(rule.id) ? MATCH_MARK : ""))]),
+        ["", "Total", ...rules.map((rule) => totals[rule.id])],
+      ];
+      const heading = `${results.title} (${results.totalWords} ${results.totalWords === 1 ? "word" : "words"})`;
+      return `${heading}\n${formatColumns(rows, [true, false, ...rules.map(() => false)])}\n`;
+    })
+    .join("\n");
+}
+
+/**
+ * Formats results as JSON: the analyzer's export object for one text, an array
+ * for several; with `summary`, the titles, word counts and totals only.
+ *
+ * @param {Array<Object>} resultsList - Results of `analyzeToResults`
+ * @param {boolean} summary - Totals only
+ * @returns {string} JSON text
+ */
+export function formatJson(resultsList, summary) {
+  const items = summary ? resultsList.map(({ title, totalWords, totals }) => ({ title, totalWords, totals })) : resultsList;
+  return items.length === 1 && !summary ? formatResultsJson(items[0]) : JSON.stringify(items, null, 2) + "\n";
+}
+
+/**
+ * Formats results as CSV. One text uses the analyzer's export format; several
+ * share one header, with a leading "text" column saying which text a row is from.
+ * With `summary`, one row of totals per text.
+ *
+ * @param {Array<Object>} resultsList - Results of `analyzeToResults`
+ * @param {boolean} summary - Totals only
+ * @returns {string} CSV text (CRLF line endings)
+ */
+export function formatCsv(resultsList, summary) {
+  const field = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  if (summary) {
+    const rules = resultsList[0].rules;
+    const rows = [
+      ["text", "words", ...rules.map((rule) => rule.label)],
+      ...resultsList.map((results) => [results.title, results.totalWords, ...rules.map((rule) => results.totals[rule.id])]),
+    ];
+    return rows.map((row) => row.map(field).join(",")).join("\r\n") + "\r\n";
+  }
+  if (resultsList.length === 1) return formatResultsCsv(resultsList[0]);
+
+  const lines = resultsList.flatMap((results, i) => {
+    const [header, ...rows] = formatResultsCsv(results).trimEnd().split("\r\n");
+    const prefixed = rows.map((row) => `${field(results.title)},${row}`);
+    return i === 0 ? [`text,${header}`, ...prefixed] : prefixed;
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Runs the analyzer on the command line.
+ *
+ * @param {Array<string>} args - Arguments after the script name
+ * @param {Object} io
+ * @param {Function} io.readFile - Reads a file as UTF-8 text (async)
+ * @param {Function} io.readStdin - Reads standard input as text (async)
+ * @param {Function} io.write - Writes to standard output
+ * @param {Function} io.writeError - Writes to standard error
+ * @returns {Promise<number>} Exit code: 0 on success, 1 on an error
+ */
+export async function run(args, { readFile: read, readStdin, write, writeError }) {
+  try {
+    const options = parseArgs(args);
+    if (options.help) {
+      write(USAGE);
+      return 0;
+    }
+
+    const rules = options.rulesFile ? parseRules(await read(options.rulesFile)) : DEFAULT_RULES;
+
+    const texts = options.textIds.map((id) => {
+      const text = TEXT_LIBRARY.find((t) => t.id === id);
+      if (!text) throw new Error(`Unknown library text "${id}"; use one of ${TEXT_LIBRARY.map((t) => t.id).join(", ")}.`);
+      return text;
+    });
+    const files = options.files.length === 0 && texts.length === 0 ? ["-"] : options.files;
+    for (const name of files) {
+      const content = name === "-" ? await readStdin() : await read(name);
+      const title = name === "-" ? "stdin" : name;
+      texts.push(createText({ id: title, title, content, format: formatForFile(title), language: options.language }));
+    }
+
+    const resultsList = texts.map((text) => analyzeToResults(text, rules));
+    const formatters = { table: formatTable, json: formatJson, csv: formatCsv };
+    write(formatters[options.format](resultsList, options.summary));
+    return 0;
+  } catch (error) {
+    const message = error.code === "ENOENT" ? `Cannot read "${error.path}": no such file.` : error.message;
+    writeError(`preamble-analyze: ${message}\nRun "preamble-analyze --help" for usage.\n`);
+    return 1;
+  }
+}
+
+/**
+ * Utility: Reads all of standard input.
+ *
+ * @returns {Promise<string>} The input text
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// Run when executed directly (also through the npm `bin` link, hence realpath)
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  run(process.argv.slice(2), {
+    readFile: (name) => readFile(name, "utf8"),
+    readStdin,
+    write: (text) => process.stdout.write(text),
+    writeError: (text) => process.stderr.write(text),
+  }).then((code) => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,101 @@
+// @vitest-environment node
+import { describe, it, expect } from "vitest";
+import { run, parseArgs, parseRules } from "./preamble-analyze.js";
+
+/** Runs the CLI against in-memory files and collects its output */
+async function runCli(args, { files = {}, stdin = "" } = {}) {
+  let stdout = "";
+  let stderr = "";
+  const code = await run(args, {
+    readFile: async (name) => {
+      if (!(name in files)) throw Object.assign(new Error("missing"), { code: "ENOENT", path: name });
+      return files[name];
+    },
+    readStdin: async () => stdin,
+    write: (text) => (stdout += text),
+    writeError: (text) => (stderr += text),
+  });
+  return { code, stdout, stderr };
+}
+
+const RULES = JSON.stringify([{ id: "long", label: "Long words", color: "#9333ea", condition: { type: "length", min: 6 } }]);
+
+describe("preamble-analyze", () => {
+  it("reads options, files and stdin", () => {
+    expect(parseArgs(["-f", "csv", "--summary", "a.txt", "-", "-t", "gettysburg"])).toMatchObject({
+      format: "csv",
+      summary: true,
+      files: ["a.txt", "-"],
+      textIds: ["gettysburg"],
+    });
+    expect(() => parseArgs(["--format"])).toThrow("--format needs a value.");
+    expect(() => parseArgs(["--colour"])).toThrow('Unknown option "--colour".');
+  });
+
+  it("prints a table of per-word matches and totals from stdin", async () => {
+    const { code, stdout } = await runCli([], { stdin: "Take the time." });
+    expect(code).toBe(0);
+    expect(stdout.split("\n")).toEqual([
+      "stdin (3 words)",
+      '#  Word   Starts with "t"  Ends with "e"  Starts with "t" & ends with "e"',
+      "1  Take   ✓                ✓              ✓",
+      "2  the    ✓                ✓              ✓",
+      "3  time   ✓                ✓              ✓",
+      "   Total  3                3              3",
+      "",
+    ]);
+  });
+
+  it("applies a rules file and writes JSON", async () => {
+    const { code, stdout } = await runCli(["--rules", "rules.json", "--format", "json", "notes.md"], {
+      files: { "rules.json": RULES, "notes.md": "# Notes\n\nWe ordain *establish*" },
+    });
+    expect(code).toBe(0);
+    const results = JSON.parse(stdout);
+    expect(results.title).toBe("notes.md");
+    expect(results.totals).toEqual({ long: 2 });
+    expect(results.tokens.map((token) => token.matchedRules)).toEqual([[], [], ["long"], ["long"]]);
+  });
+
+  it("writes one CSV for several texts, with a text column", async () => {
+    const { stdout } = await runCli(["-f", "csv", "a.txt", "b.txt"], { files: { "a.txt": "the", "b.txt": "to, be" } });
+    expect(stdout.split("\r\n")).toEqual([
+      'text,index,word,normalized,paragraph,analyzed,"Starts with ""t""","Ends with ""e""","Starts with ""t"" & ends with ""e"""',
+      "a.txt,1,the,the,1,1,1,1,1",
+      "a.txt,,Total,,,1,1,1,1",
+      "b.txt,1,to,to,1,1,1,0,0",
+      "b.txt,2,be,be,1,1,0,1,0",
+      "b.txt,,Total,,,2,1,1,0",
+      "",
+    ]);
+  });
+
+  it("summarizes library texts", async () => {
+    const { stdout } = await runCli(["--summary", "-f", "json", "-t", "preamble", "-t", "gettysburg"]);
+    expect(JSON.parse(stdout)).toEqual([
+      { title: "Preamble to the Constitution", totalWords: 52, totals: { startsT: 10, endsE: 16, startsTEndsE: 6 } },
+      { title: "Gettysburg Address", totalWords: 271, totals: { startsT: 47, endsE: 65, startsTEndsE: 15 } },
+    ]);
+  });
+
+  it("reports bad input on stderr with a failing exit code", async () => {
+    expect(() => parseRules("[{}]")).toThrow("The rules file must be a non-empty array of rules");
+    expect(() => parseRules("nope")).toThrow("The rules file is not valid JSON");
+
+    const nullChild = await runCli(["--rules", "rules.json", "-t", "preamble"], {
+      files: { "rules.json": '[{"id":"a","label":"A","condition":{"type":"and","conditions":[null]}}]' },
+    });
+    expect(nullChild.code).toBe(1);
+    expect(nullChild.stderr).toContain("The rules file must be a non-empty array of rules");
+    expect(nullChild.stderr).not.toContain("Cannot read properties");
+
+    const missing = await runCli(["missing.txt"]);
+    expect(missing.code).toBe(1);
+    expect(missing.stderr).toContain('preamble-analyze: Cannot read "missing.txt": no such file.');
+
+    const unknown = await runCli(["--text", "magna-carta"]);
+    expect(unknown.code).toBe(1);
+    expect(unknown.stderr).toContain('Unknown library text "magna-carta"');
+    expect(unknown.stdout).toBe("");
+  });
+});
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+import http from "node:http";
+import { pathToFileURL } from "node:url";
+import { WebSocketServer } from "ws";
+import { createClassroomHub } from "./classroomHub.js";
+
+/**
+ * Classroom server
+ * ------------------------------------------------------------
+ * A small WebSocket server that lets students' analyzers follow the teacher's
+ * projector: `npm run classroom` (or `node server/classroom-server.js --port 8787`)
+ * on any machine the class can reach, with no outside services. Rooms live in
+ * memory (./classroomHub.js) and disappear when their last member leaves.
+ *
+ * Connections are pinged every 30 seconds; one that misses a ping is closed, so
+ * a laptop that dropped off the Wi-Fi leaves its room and the followers learn
+ * that the teacher is gone.
+ */
+
+/** Default port, also the client's default (see src/classroom.js) */
+export const DEFAULT_PORT = 8787;
+
+/** Time between heartbeat pings, in ms */
+const HEARTBEAT_INTERVAL = 30000;
+
+/** Largest accepted message (a long pasted text plus its rules fits easily) */
+const MAX_PAYLOAD = 1024 * 1024;
+
+/**
+ * Starts the server.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (0 for any free port)
+ * @param {string} [options.host] - Interface to listen on (default: all)
+ * @returns {Promise<{ port: number, hub: Object, close: Function }>} Resolves once listening
+ */
+export function startClassroomServer({ port = DEFAULT_PORT, host } = {}) {
+  const hub = createClassroomHub();
+
+  const server = http.createServer((request, response) => {
+    response.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+    response.end(`Preamble classroom server: ${hub.roomCount()} active room(s).\n`);
+  });
+
+  const sockets = new WebSocketServer({ server, maxPayload: MAX_PAYLOAD });
+  sockets.on("connection", (socket) => {
+    socket.isAlive = true;
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+    socket.on("message", (data) => hub.receive(socket, data.toString()));
+    socket.on("close", () => hub.leave(socket));
+    socket.on("error", (error) => console.error("Classroom connection error:", error));
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const socket of sockets.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  const close = () =>
+    new Promise((resolve) => {
+      clearInterval(heartbeat);
+      for (const socket of sockets.clients) socket.terminate();
+      sockets.close(() => server.close(() => resolve()));
+    });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => resolve({ port: server.address().port, hub, close }));
+  });
+}
+
+/**
+ * Utility: Reads the port from `--port <n>`, then the PORT environment variable.
+ *
+ * @param {Array<string>} args - Command-line arguments
+ * @param {Object} env - Environment variables
+ * @returns {number} The port
+ */
+export function readPort(args, env) {
+  const flag = args.indexOf("--port");
+  const value = flag >= 0 ? args[flag + 1] : env.PORT;
+  const port = Number(value);
+  return value !== undefined && Number.isInteger(port) && port >= 0 && port < 65536 ? port : DEFAULT_PORT;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startClassroomServer({ port: readPort(process.argv.slice(2), process.env) })
+    .then(({ port }) => {
+      console.log(`Classroom server listening on ws://localhost:${port}`);
+      console.log("Students join with the room code on the teacher's screen; stop with Ctrl+C.");
+    })
+    .catch((error) => {
+      console.error("Error starting the classroom server:", error);
+      process.exit(1);
+    });
+}
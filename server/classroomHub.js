@@ -0,0 +1,183 @@
+import { randomBytes } from "node:crypto";
+
+/**
+ * Classroom hub
+ * ------------------------------------------------------------
+ * The rooms of the classroom server (./classroom-server.js), without the
+ * sockets: one teacher and any number of followers per room. The teacher's
+ * analyzer sends what it shows, the hub forwards it to the room's followers and
+ * keeps the latest copy, so a follower who joins late starts from the current
+ * word instead of a blank page.
+ *
+ * Messages are JSON text (see src/classroom.js for the client side):
+ *   → { type: "join", room: "ABCD", role: "teacher" | "follower", secret? }
+ *   → { type: "state", state }                   teacher only; forwarded as is
+ *   ← { type: "joined", room, role, teacherConnected, secret? }
+ *   ← { type: "state", state }                   to followers
+ *   ← { type: "teacher", connected }             to followers, when the teacher comes or goes
+ *   ← { type: "followers", count }               to the teacher, when followers come or go
+ *   ← { type: "error", code, params? }           see ERROR_CODES
+ *
+ * A client is anything with a `send(text)` method. The first teacher of a room
+ * gets a secret in its "joined" message; later teacher joins must send it. A
+ * teacher who joins with the secret while the room already has one takes it
+ * over: the usual case is the same teacher reconnecting before the server
+ * noticed the old connection drop. The secret lasts as long as the room.
+ */
+
+/** Roles a client can join a room with */
+export const ROLES = ["teacher", "follower"];
+
+/**
+ * Codes of the "error" messages; the client translates them. `takenOver` and
+ * `wrongSecret` end a teacher's session: joining again would not help.
+ */
+export const ERROR_CODES = ["notJson", "notObject", "roomRequired", "unknownRole", "wrongSecret", "takenOver", "notTeacher", "unknownType"];
+
+/** Longest accepted room code */
+const MAX_ROOM_LENGTH = 32;
+
+/**
+ * Utility: Normalizes a room code: trimmed and upper-case, so "abcd " and
+ * "ABCD" are the same room. Returns null for an empty or oversized code.
+ *
+ * @param {*} room - Room code from a join message
+ * @returns {string|null} The normalized code
+ */
+export function normalizeRoom(room) {
+  if (typeof room !== "string") return null;
+  const code = room.trim().toUpperCase();
+  return code && code.length <= MAX_ROOM_LENGTH ? code : null;
+}
+
+/**
+ * Utility: A random teacher secret.
+ *
+ * @returns {string} 32 hex digits
+ */
+function createSecret() {
+  return randomBytes(16).toString("hex");
+}
+
+/**
+ * Creates an empty hub.
+ *
+ * @returns {{ receive: Function, leave: Function, roomInfo: Function, roomCount: Function }}
+ */
+export function createClassroomHub() {
+  const rooms = new Map(); // room code → { teacher, secret, followers: Set, state }
+  const memberships = new Map(); // client → { room, role }
+
+  const send = (client, message) => {
+    try {
+      client.send(JSON.stringify(message));
+    } catch (error) {
+      console.error("Error sending classroom message:", error);
+    }
+  };
+
+  const notifyTeacher = (room) => {
+    if (room.teacher) send(room.teacher, { type: "followers", count: room.followers.size });
+  };
+
+  const notifyFollowers = (room, message) => {
+    for (const follower of room.followers) send(follower, message);
+  };
+
+  const join = (client, { room: requestedRoom, role, secret }) => {
+    const code = normalizeRoom(requestedRoom);
+    if (!code) return send(client, { type: "error", code: "roomRequired" });
+    if (!ROLES.includes(role)) return send(client, { type: "error", code: "unknownRole" });
+    const existing = rooms.get(code);
+    if (role === "teacher" && existing && existing.secret && secret !== existing.secret) {
+      return send(client, { type: "error", code: "wrongSecret", params: { room: code } });
+    }
+
+    leave(client);
+    if (!rooms.has(code)) rooms.set(code, { teacher: null, secret: null, followers: new Set(), state: null });
+    const room = rooms.get(code);
+    memberships.set(client, { room: code, role });
+
+    if (role === "teacher") {
+      if (room.teacher) {
+        send(room.teacher, { type: "error", code: "takenOver", params: { room: code } });
+        memberships.delete(room.teacher);
+      }
+      room.teacher = client;
+      if (!room.secret) room.secret = createSecret();
+      send(client, { type: "joined", room: code, role, teacherConnected: true, secret: room.secret });
+      notifyTeacher(room);
+      notifyFollowers(room, { type: "teacher", connected: true });
+    } else {
+      room.followers.add(client);
+      send(client, { type: "joined", room: code, role, teacherConnected: Boolean(room.teacher) });
+      // Catch up: the room's latest state, if the teacher has sent one
+      if (room.state) send(client, { type: "state", state: room.state });
+      notifyTeacher(room);
+    }
+  };
+
+  /**
+   * Handles a message from a client.
+   *
+   * @param {Object} client - The sending client
+   * @param {string} text - The raw message
+   */
+  const receive = (client, text) => {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      return send(client, { type: "error", code: "notJson" });
+    }
+    if (!message || typeof message !== "object") return send(client, { type: "error", code: "notObject" });
+
+    if (message.type === "join") return join(client, message);
+
+    if (message.type === "state") {
+      const membership = memberships.get(client);
+      if (!membership || membership.role !== "teacher") {
+        return send(client, { type: "error", code: "notTeacher" });
+      }
+      const room = rooms.get(membership.room);
+      room.state = message.state;
+      notifyFollowers(room, { type: "state", state: message.state });
+      return;
+    }
+
+    send(client, { type: "error", code: "unknownType", params: { type: String(message.type) } });
+  };
+
+  /**
+   * Removes a client from its room (on disconnect). Empty rooms are forgotten.
+   *
+   * @param {Object} client - The departing client
+   */
+  const leave = (client) => {
+    const membership = memberships.get(client);
+    if (!membership) return;
+    memberships.delete(client);
+    const room = rooms.get(membership.room);
+
+    if (membership.role === "teacher" && room.teacher === client) {
+      room.teacher = null;
+      notifyFollowers(room, { type: "teacher", connected: false });
+    } else if (room.followers.delete(client)) {
+      notifyTeacher(room);
+    }
+    if (!room.teacher && room.followers.size === 0) rooms.delete(membership.room);
+  };
+
+  /**
+   * Describes a room, for logging and tests.
+   *
+   * @param {string} code - Room code
+   * @returns {{ teacher: boolean, followers: number, state: * }|null} Null if the room is empty
+   */
+  const roomInfo = (code) => {
+    const room = rooms.get(normalizeRoom(code));
+    return room ? { teacher: Boolean(room.teacher), followers: room.followers.size, state: room.state } : null;
+  };
+
+  return { receive, leave, roomInfo, roomCount: () => rooms.size };
+}
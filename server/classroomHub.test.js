@@ -0,0 +1,188 @@
+// @vitest-environment node
+import { describe, it, expect, afterEach } from "vitest";
+import WebSocket from "ws";
+import { createClassroomHub, normalizeRoom } from "./classroomHub.js";
+import { startClassroomServer, readPort, DEFAULT_PORT } from "./classroom-server.js";
+
+/** A client that keeps what the hub sends it */
+const fakeClient = () => {
+  const client = { received: [], send: (text) => client.received.push(JSON.parse(text)) };
+  return client;
+};
+
+const join = (hub, client, room, role, secret) => hub.receive(client, JSON.stringify({ type: "join", room, role, secret }));
+/** The secret the hub gave a teacher */
+const secretOf = (teacher) => teacher.received.find((message) => message.type === "joined").secret;
+const sendState = (hub, client, state) => hub.receive(client, JSON.stringify({ type: "state", state }));
+
+describe("classroom hub", () => {
+  it("normalizes room codes", () => {
+    expect(normalizeRoom(" abcd ")).toBe("ABCD");
+    expect(normalizeRoom("")).toBeNull();
+    expect(normalizeRoom(42)).toBeNull();
+  });
+
+  it("forwards the teacher's state to the room's followers only", () => {
+    const hub = createClassroomHub();
+    const [teacher, follower, elsewhere] = [fakeClient(), fakeClient(), fakeClient()];
+    join(hub, teacher, "ABCD", "teacher");
+    join(hub, follower, "abcd", "follower");
+    join(hub, elsewhere, "WXYZ", "follower");
+
+    sendState(hub, teacher, { index: 3 });
+    expect(follower.received).toEqual([
+      { type: "joined", room: "ABCD", role: "follower", teacherConnected: true },
+      { type: "state", state: { index: 3 } },
+    ]);
+    expect(elsewhere.received).toEqual([{ type: "joined", room: "WXYZ", role: "follower", teacherConnected: false }]);
+    expect(teacher.received).toEqual([
+      { type: "joined", room: "ABCD", role: "teacher", teacherConnected: true, secret: expect.stringMatching(/^[0-9a-f]{32}$/) },
+      { type: "followers", count: 0 },
+      { type: "followers", count: 1 },
+    ]);
+  });
+
+  it("catches late followers up with the latest state", () => {
+    const hub = createClassroomHub();
+    const teacher = fakeClient();
+    join(hub, teacher, "ABCD", "teacher");
+    sendState(hub, teacher, { index: 3 });
+    sendState(hub, teacher, { index: 4 });
+
+    const late = fakeClient();
+    join(hub, late, "ABCD", "follower");
+    expect(late.received).toEqual([
+      { type: "joined", room: "ABCD", role: "follower", teacherConnected: true },
+      { type: "state", state: { index: 4 } },
+    ]);
+  });
+
+  it("tells followers when the teacher leaves and keeps the room's state for a reconnect", () => {
+    const hub = createClassroomHub();
+    const [teacher, follower] = [fakeClient(), fakeClient()];
+    join(hub, teacher, "ABCD", "teacher");
+    join(hub, follower, "ABCD", "follower");
+    sendState(hub, teacher, { index: 9 });
+
+    hub.leave(teacher);
+    expect(follower.received[follower.received.length - 1]).toEqual({ type: "teacher", connected: false });
+    expect(hub.roomInfo("ABCD")).toEqual({ teacher: false, followers: 1, state: { index: 9 } });
+
+    join(hub, fakeClient(), "ABCD", "teacher", secretOf(teacher));
+    expect(follower.received[follower.received.length - 1]).toEqual({ type: "teacher", connected: true });
+
+    hub.leave(follower);
+    expect(hub.roomInfo("ABCD").followers).toBe(0);
+  });
+
+  it("lets the room's teacher take over with its secret and forgets empty rooms", () => {
+    const hub = createClassroomHub();
+    const [first, second] = [fakeClient(), fakeClient()];
+    join(hub, first, "ABCD", "teacher");
+    join(hub, second, "ABCD", "teacher", secretOf(first));
+    expect(first.received[first.received.length - 1]).toEqual({ type: "error", code: "takenOver", params: { room: "ABCD" } });
+    expect(secretOf(second)).toBe(secretOf(first));
+
+    sendState(hub, first, { index: 1 });
+    expect(first.received[first.received.length - 1]).toEqual({ type: "error", code: "notTeacher" });
+    expect(hub.roomInfo("ABCD").state).toBeNull();
+
+    hub.leave(first);
+    expect(hub.roomInfo("ABCD").teacher).toBe(true);
+    hub.leave(second);
+    expect(hub.roomInfo("ABCD")).toBeNull();
+    expect(hub.roomCount()).toBe(0);
+  });
+
+  it("keeps teachers without the secret out of a room", () => {
+    const hub = createClassroomHub();
+    const [teacher, intruder, follower] = [fakeClient(), fakeClient(), fakeClient()];
+    join(hub, teacher, "ABCD", "teacher");
+    join(hub, follower, "ABCD", "follower");
+    hub.leave(teacher);
+
+    join(hub, intruder, "ABCD", "teacher");
+    join(hub, intruder, "ABCD", "teacher", "guess");
+    expect(intruder.received).toEqual([
+      { type: "error", code: "wrongSecret", params: { room: "ABCD" } },
+      { type: "error", code: "wrongSecret", params: { room: "ABCD" } },
+    ]);
+    sendState(hub, intruder, { index: 1 });
+    expect(hub.roomInfo("ABCD")).toEqual({ teacher: false, followers: 1, state: null });
+
+    // A new room, once the old one is empty, gets a new secret
+    hub.leave(follower);
+    join(hub, intruder, "ABCD", "teacher");
+    expect(secretOf(intruder)).not.toBe(secretOf(teacher));
+  });
+
+  it("rejects malformed messages and followers' state", () => {
+    const hub = createClassroomHub();
+    const client = fakeClient();
+    hub.receive(client, "not json");
+    join(hub, client, "", "follower");
+    join(hub, client, "ABCD", "principal");
+    join(hub, client, "ABCD", "follower");
+    sendState(hub, client, { index: 1 });
+    hub.receive(client, JSON.stringify({ type: "shout" }));
+    expect(client.received.filter((message) => message.type === "error")).toEqual([
+      { type: "error", code: "notJson" },
+      { type: "error", code: "roomRequired" },
+      { type: "error", code: "unknownRole" },
+      { type: "error", code: "notTeacher" },
+      { type: "error", code: "unknownType", params: { type: "shout" } },
+    ]);
+  });
+});
+
+describe("classroom server", () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await server.close();
+    server = null;
+  });
+
+  /** Opens a connection and collects its messages */
+  const connect = (port) =>
+    new Promise((resolve, reject) => {
+      const socket = new WebSocket(`ws://127.0.0.1:${port}`);
+      socket.received = [];
+      socket.on("message", (data) => socket.received.push(JSON.parse(data.toString())));
+      socket.once("open", () => resolve(socket));
+      socket.once("error", reject);
+    });
+
+  /** Waits until a connection has received `count` messages */
+  const waitFor = (socket, count) =>
+    new Promise((resolve) => {
+      const check = () => (socket.received.length >= count ? resolve(socket.received) : setTimeout(check, 5));
+      check();
+    });
+
+  it("relays the teacher's state between real connections", async () => {
+    server = await startClassroomServer({ port: 0, host: "127.0.0.1" });
+    const teacher = await connect(server.port);
+    teacher.send(JSON.stringify({ type: "join", room: "ABCD", role: "teacher" }));
+    await waitFor(teacher, 2);
+    teacher.send(JSON.stringify({ type: "state", state: { index: 12 } }));
+
+    const follower = await connect(server.port);
+    follower.send(JSON.stringify({ type: "join", room: "ABCD", role: "follower" }));
+    expect(await waitFor(follower, 2)).toEqual([
+      { type: "joined", room: "ABCD", role: "follower", teacherConnected: true },
+      { type: "state", state: { index: 12 } },
+    ]);
+
+    teacher.close();
+    expect((await waitFor(follower, 3))[2]).toEqual({ type: "teacher", connected: false });
+    follower.close();
+  });
+
+  it("reads the port from the command line or the environment", () => {
+    expect(readPort(["--port", "9000"], {})).toBe(9000);
+    expect(readPort([], { PORT: "9100" })).toBe(9100);
+    expect(readPort(["--port", "nope"], {})).toBe(DEFAULT_PORT);
+    expect(readPort([], {})).toBe(DEFAULT_PORT);
+  });
+});
@@ -0,0 +1,100 @@
+import React, { useState } from "react";
+import { useI18n } from "./i18n";
+import { classroomLink, defaultServerUrl } from "./classroom";
+
+/**
+ * ClassroomPanel
+ * ------------------------------------------------------------
+ * Collapsible panel to start or follow a class (see ./useClassroom.js). The
+ * teacher sees the room code, the link for students and how many follow; a
+ * follower sees whether the teacher's screen is coming through.
+ */
+
+/**
+ * Classroom panel.
+ *
+ * @param {Object} classroom - Result of `useClassroom`
+ */
+export default function ClassroomPanel({ classroom }) {
+  const { t } = useI18n();
+  const { session, status, followers, teacherConnected, error } = classroom;
+  const [room, setRoom] = useState("");
+  const [server, setServer] = useState(() => defaultServerUrl());
+
+  const inputClass = "w-full rounded border border-slate-600 bg-slate-900 px-2 py-1 text-slate-100 focus:border-blue-500 focus:outline-none";
+  const buttonClass = "rounded-full border border-slate-600 px-4 py-1 font-semibold text-slate-100 hover:bg-slate-700 disabled:opacity-60 disabled:cursor-not-allowed cursor-pointer transition";
+
+  return (
+    <details className="mx-auto max-w-md text-left text-xs text-slate-300" open={Boolean(session)}>
+      <summary className="cursor-pointer text-center text-slate-400 hover:text-slate-200">{t("classroom.summary")}</summary>
+      <div className="mt-2 space-y-2 rounded-xl border border-white/10 bg-slate-900/60 p-3">
+        {!session && (
+          <>
+            <p className="text-slate-400">{t("classroom.hint")}</p>
+            <label className="block space-y-1">
+              <span>{t("classroom.room")}</span>
+              <input className={`${inputClass} uppercase`} value={room} maxLength={32} onChange={(e) => setRoom(e.target.value)} />
+            </label>
+            <label className="block space-y-1">
+              <span>{t("classroom.server")}</span>
+              <input className={inputClass} value={server} onChange={(e) => setServer(e.target.value)} />
+            </label>
+            <div className="flex flex-wrap justify-center gap-2">
+              <button type="button" className={buttonClass} disabled={!server.trim()} onClick={() => classroom.host(room, server.trim())}>
+                {t("classroom.host")}
+              </button>
+              <button type="button" className={buttonClass} disabled={!room.trim() || !server.trim()} onClick={() => classroom.follow(room, server.trim())}>
+                {t("classroom.follow")}
+              </button>
+            </div>
+          </>
+        )}
+
+        {session && session.role === "teacher" && (
+          <>
+            <p className="text-center text-2xl font-black tracking-widest text-slate-100">{t("classroom.teaching", { room: session.room })}</p>
+            <p role="status" className="text-center">
+              {t(`classroom.status.${status}`)} · {t("classroom.followers", { count: followers })}
+            </p>
+            <label className="block space-y-1">
+              <span>{t("classroom.studentLink")}</span>
+              <input
+                readOnly
+                className={inputClass}
+                value={classroomLink(window.location, session.room, session.server)}
+                onFocus={(e) => e.target.select()}
+              />
+            </label>
+          </>
+        )}
+
+        {session && session.role === "follower" && (
+          <>
+            <p className="text-center font-semibold text-slate-100">{t("classroom.following", { room: session.room })}</p>
+            <p role="status" className="text-center">
+              {status === "connected"
+                ? teacherConnected
+                  ? t("classroom.mirroring")
+                  : t("classroom.waiting")
+                : t(`classroom.status.${status}`)}
+            </p>
+          </>
+        )}
+
+        {error && (
+          <p role="alert" className="text-center text-red-400">
+            {t(`classroom.error.${error.code}`, error.params)}
+          </p>
+        )}
+
+        {session && (
+          <div className="flex justify-center">
+            <button type="button" className={buttonClass} onClick={classroom.leave}>
+              {session.role === "teacher" ? t("classroom.end") : t("classroom.leave")}
+            </button>
+          </div>
+        )}
+      </div>
+    </details>
+  );
+}
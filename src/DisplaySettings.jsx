@@ -0,0 +1,64 @@
+import React from "react";
+import { SHORTCUTS } from "./shortcuts";
+import { THEMES } from "./themes";
+import { useI18n } from "./i18n";
+
+/**
+ * DisplaySettings
+ * ------------------------------------------------------------
+ * Collapsible panel for display options: the color theme (see ./themes.js),
+ * match symbols (so rule matches don't depend on color), and the keyboard shortcuts.
+ * Highlight transitions follow the system's reduced-motion setting (see index.css).
+ */
+
+/**
+ * Display settings panel.
+ *
+ * @param {{ symbols: boolean }} options - The current display options
+ * @param {Function} onChange - Called with the complete new options object
+ * @param {string} themeId - The active theme
+ * @param {Function} onThemeChange - Called with the id of the chosen theme
+ */
+export default function DisplaySettings({ options, onChange, themeId, onThemeChange }) {
+  const { t } = useI18n();
+  const toggle = (key, label) => (
+    <label className="flex items-center justify-between gap-3">
+      <span>{label}</span>
+      <input type="checkbox" checked={options[key]} onChange={(e) => onChange({ ...options, [key]: e.target.checked })} />
+    </label>
+  );
+
+  return (
+    <details className="mx-auto max-w-md text-left text-xs text-slate-300">
+      <summary className="cursor-pointer text-center text-slate-400 hover:text-slate-200">{t("display.summary")}</summary>
+      <div className="mt-2 space-y-2 rounded-xl border border-white/10 bg-slate-900/60 p-3">
+        <label className="flex items-center justify-between gap-3">
+          <span>{t("display.theme")}</span>
+          <select
+            className="rounded-lg border border-slate-600 bg-slate-900 px-2 py-1 text-xs text-slate-100 focus:border-blue-500 focus:outline-none"
+            value={themeId}
+            onChange={(e) => onThemeChange(e.target.value)}
+          >
+            {THEMES.map((theme) => (
+              <option key={theme.id} value={theme.id}>
+                {t(`theme.${theme.id}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        {toggle("symbols", t("display.symbols"))}
+        <table className="w-full text-left">
+          <caption className="pb-1 text-left text-slate-400">{t("display.shortcuts")}</caption>
+          <tbody>
+            {SHORTCUTS.map((shortcut) => (
+              <tr key={shortcut.action}>
+                <td className="py-0.5 pr-3 font-mono whitespace-nowrap">{shortcut.label}</td>
+                <td className="py-0.5">{t(`shortcuts.${shortcut.action}`)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { compareRuns } from "./history";
+import { localizeRules } from "./rules";
+import { useI18n } from "./i18n";
+
+/**
+ * HistoryPanel
+ * ------------------------------------------------------------
+ * Lists completed runs saved in localStorage (see ./history.js).
+ * Each run can be re-opened or deleted, and any two can be compared.
+ */
+
+/**
+ * Run history panel.
+ *
+ * @param {Array<Object>} runs - Run records, newest first
+ * @param {Function} onReopen - Called with a run record to restore it
+ * @param {Function} onDelete - Called with a run id to delete it
+ */
+export default function HistoryPanel({ runs, onReopen, onDelete }) {
+  const { t, locale } = useI18n();
+  const [selectedIds, setSelectedIds] = useState([]); // Up to two runs picked for comparison
+
+  const buttonClass = "rounded-md border border-slate-600 px-2 py-0.5 text-[11px] hover:bg-slate-700 cursor-pointer";
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => {
+      if (prev.includes(id)) return prev.filter((other) => other !== id);
+      // Keep the most recent two picks
+      return [...prev, id].slice(-2);
+    });
+  };
+
+  const selected = selectedIds.map((id) => runs.find((run) => run.id === id)).filter(Boolean);
+  /** Utility: A run with its automatic rule labels in the interface language */
+  const localized = (run) => ({ ...run, rules: localizeRules(run.rules, t) });
+  const comparison = selected.length === 2 ? compareRuns(localized(selected[0]), localized(selected[1])) : null;
+
+  const savedAt = (run) => new Date(run.savedAt).toLocaleString(locale);
+  const describeRun = (run) => `${run.text.title} · ${savedAt(run)}`;
+
+  return (
+    <details className="rounded-2xl border border-white/10 bg-slate-900/60 p-4 text-sm text-slate-200" style={{ marginBottom: "2rem" }}>
+      <summary className="cursor-pointer font-semibold text-slate-200">{t("history.summary", { count: runs.length })}</summary>
+
+      {runs.length === 0 ? (
+        <p className="mt-3 text-xs text-slate-400">{t("history.empty")}</p>
+      ) : (
+        <>
+          <p className="mt-3 text-xs text-slate-400">{t("history.compareHint")}</p>
+          <ul className="mt-2 space-y-2">
+            {runs.map((run) => (
+              <li key={run.id} className="flex flex-wrap items-center gap-2 rounded-lg border border-white/10 px-3 py-2 text-xs">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(run.id)}
+                  onChange={() => toggleSelected(run.id)}
+                  aria-label={t("history.compare", { run: describeRun(run) })}
+                />
+                <span className="flex-1">
+                  <span className="font-semibold text-slate-100">{run.text.title}</span>{" "}
+                  <span className="text-slate-400">
+                    {savedAt(run)} · {run.mode === "song" ? t("history.mode.song") : t("history.mode.animation")}
+                  </span>
+                  <span className="block text-slate-300">
+                    {localizeRules(run.rules, t).map((rule) => `${rule.label}: ${run.counts[rule.id] ?? 0}`).join(" · ")}
+                    {run.quizScore != null && ` · ${t("history.quiz", { score: run.quizScore })}`}
+                  </span>
+                </span>
+                <button type="button" className={buttonClass} onClick={() => onReopen(run)} aria-label={t("history.reopenRun", { run: describeRun(run) })}>
+                  {t("history.reopen")}
+                </button>
+                <button type="button" className={buttonClass} onClick={() => onDelete(run.id)} aria-label={t("history.deleteRun", { run: describeRun(run) })}>
+                  {t("history.delete")}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {comparison && (
+            <table className="mt-3 w-full text-left text-xs" aria-label={t("history.comparison")}>
+              <thead className="text-slate-400">
+                <tr>
+                  <th className="py-0.5 font-normal">{t("history.column.rule")}</th>
+                  <th className="py-0.5 font-normal">{describeRun(selected[0])}</th>
+                  <th className="py-0.5 font-normal">{describeRun(selected[1])}</th>
+                  <th className="py-0.5 font-normal">{t("history.column.difference")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.map((row) => (
+                  <tr key={row.label}>
+                    <td className="py-0.5">{row.label}</td>
+                    <td className="py-0.5">{row.a ?? "—"}</td>
+                    <td className="py-0.5">{row.b ?? "—"}</td>
+                    <td className="py-0.5">{row.a != null && row.b != null ? (row.b - row.a > 0 ? `+${row.b - row.a}` : row.b - row.a) : "—"}</td>
+                  </tr>
+                ))}
+                {selected.some((run) => run.quizScore != null) && (
+                  <tr>
+                    <td className="py-0.5">{t("history.quizScore")}</td>
+                    <td className="py-0.5">{selected[0].quizScore != null ? t("history.percent", { score: selected[0].quizScore }) : "—"}</td>
+                    <td className="py-0.5">{selected[1].quizScore != null ? t("history.percent", { score: selected[1].quizScore }) : "—"}</td>
+                    <td className="py-0.5" />
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,73 @@
+import React from "react";
+import { useI18n } from "./i18n";
+
+/**
+ * MyCode
+ * ------------------------------------------------------------
+ * Screenshots of the original code that solved the coding task, shown under
+ * the analyzer on the app page (the embeddable widget leaves it out).
+ */
+export default function MyCode() {
+  const { t } = useI18n();
+
+  return (
+    <div style={{
+      width: '100%',
+      maxWidth: '48rem',
+      marginTop: '2rem',
+      padding: '1.5rem',
+      borderRadius: '1.5rem',
+      background: 'var(--pa-surface-to)',
+      border: '1px solid rgba(255, 255, 255, 0.1)',
+      boxShadow: '0 20px 40px rgba(0,0,0,0.3)'
+    }}>
+      <div style={{
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: '0.75rem'
+      }}>
+        <div style={{
+          textAlign: 'center',
+          marginBottom: '0.25rem'
+        }}>
+          <h2 style={{
+            fontSize: '1.25rem',
+            fontWeight: 'bold',
+            color: 'var(--pa-title)',
+            marginBottom: '0.25rem'
+          }}>
+            {t("code.title")}
+          </h2>
+          <p style={{
+            fontSize: '0.75rem',
+            color: 'var(--pa-muted)',
+            padding: '0 1rem'
+          }}>
+            {t("code.description")}
+          </p>
+        </div>
+        <img
+          src="/code1.png"
+          alt="Code 1"
+          style={{
+            maxWidth: '100%',
+            width: '100%',
+            height: 'auto',
+            borderRadius: '0.5rem'
+          }}
+        />
+        <img
+          src="/code2.png"
+          alt="Code 2"
+          style={{
+            maxWidth: '100%',
+            width: '100%',
+            height: 'auto',
+            borderRadius: '0.5rem'
+          }}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,296 @@
+import React, { useState } from "react";
+import { useI18n } from "./i18n";
+import { createCloze, answerBlank, finishPractice, placeWord, typeWord, scorePractice } from "./practice";
+
+/**
+ * PracticePanel
+ * ------------------------------------------------------------
+ * The memorization games of ./practice.js: buttons to start one, then the
+ * game itself and its score. The words being practiced are masked in the text
+ * panel by the parent (see `isHidden`), so the text can't be read off it.
+ */
+
+/** Cloze choices: one word in N */
+const CLOZE_INTERVALS = [2, 3, 5, 10];
+
+/**
+ * Utility: Formats a duration as m:ss.
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} The formatted duration
+ */
+function formatDuration(seconds) {
+  const whole = Math.round(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Practice panel.
+ *
+ * @param {Object|null} practice - The practice, or null when none is running
+ * @param {Array<Object>} tokens - Word tokens of the text
+ * @param {Array<Array<Object>>} paragraphs - Tokens grouped by paragraph
+ * @param {Array<Object>} rules - The active rule list
+ * @param {Array<Array<string>>} wordMatches - Matching rule ids for each word
+ * @param {number} activeIndex - Highlighted word index (sing-along)
+ * @param {Object} options - Tokenizer options and `locale`, for comparing typed words
+ * @param {boolean} canStart - Whether a practice may be started (no run in progress)
+ * @param {Function} onStart - Called with a kind from PRACTICE_KINDS to start a practice
+ * @param {Function} onChange - Called with the updated practice
+ * @param {Function} onClose - Leaves the practice
+ */
+export default function PracticePanel({ practice, tokens, paragraphs, rules, wordMatches, activeIndex, options, canStart, onStart, onChange, onClose }) {
+  const { t } = useI18n();
+  const buttonClass =
+    "rounded-full border border-slate-600 px-4 py-1 text-xs font-semibold text-slate-100 hover:bg-slate-700 disabled:opacity-60 disabled:cursor-not-allowed cursor-pointer transition";
+
+  if (!practice) {
+    return (
+      <div className="flex flex-wrap justify-center gap-2">
+        <button type="button" className={buttonClass} onClick={() => onStart("cloze")} disabled={!canStart}>
+          {t("practice.startCloze")}
+        </button>
+        <button type="button" className={buttonClass} onClick={() => onStart("scramble")} disabled={!canStart}>
+          {t("practice.startScramble")}
+        </button>
+        <button type="button" className={buttonClass} onClick={() => onStart("singAlong")} disabled={!canStart}>
+          {t("practice.startSingAlong")}
+        </button>
+      </div>
+    );
+  }
+
+  const finished = practice.finishedAt != null;
+  const result = scorePractice(practice, tokens, options);
+
+  return (
+    <section aria-label={t("practice.label")} className="space-y-3 rounded-2xl border border-sky-400/40 bg-slate-900/60 p-4 text-sm text-slate-200">
+      <div className="flex items-center justify-between gap-3">
+        <h2 className="font-semibold text-sky-300">
+          {t(`practice.title.${practice.kind}`)}
+          {finished && ` · ${t("practice.results")}`}
+        </h2>
+        <button type="button" className={buttonClass} onClick={onClose}>
+          {t("practice.leave")}
+        </button>
+      </div>
+
+      {practice.kind === "cloze" && (
+        <ClozeGame practice={practice} tokens={tokens} paragraphs={paragraphs} rules={rules} wordMatches={wordMatches} result={result} onChange={onChange} />
+      )}
+      {practice.kind === "scramble" && <ScrambleGame practice={practice} tokens={tokens} onChange={onChange} />}
+      {practice.kind === "singAlong" && (
+        <SingAlongGame practice={practice} tokens={tokens} activeIndex={activeIndex} options={options} result={result} onChange={onChange} />
+      )}
+
+      {finished && (
+        <div className="space-y-1 text-base font-bold text-slate-50" aria-live="polite">
+          {practice.kind === "scramble" ? (
+            <p>{t("practice.score.picks", { correct: result.correct, mistakes: result.mistakes, accuracy: result.accuracy })}</p>
+          ) : (
+            <p>{t("practice.score.accuracy", { correct: result.correct, total: result.total, accuracy: result.accuracy })}</p>
+          )}
+          {practice.kind === "singAlong" ? (
+            <p>
+              {t("practice.score.onTime", {
+                onTime: result.onTime,
+                correct: result.correct,
+                rate: result.onTimeRate,
+                lead: result.averageLead.toFixed(1),
+              })}
+            </p>
+          ) : (
+            <p>
+              {t(practice.kind === "cloze" ? "practice.score.timeCloze" : "practice.score.timeScramble", {
+                time: formatDuration(result.seconds),
+                perItem: result.secondsPerItem.toFixed(1),
+              })}
+            </p>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+// ------------------------------------------------------------
+// Cloze
+// ------------------------------------------------------------
+/**
+ * The text with its blanks as inputs; checked all at once.
+ */
+function ClozeGame({ practice, tokens, paragraphs, rules, wordMatches, result, onChange }) {
+  const { t } = useI18n();
+  const finished = practice.finishedAt != null;
+  const selectionValue = practice.selection.ruleId != null ? `rule:${practice.selection.ruleId}` : `every:${practice.selection.every}`;
+
+  const handleSelectionChange = (value) => {
+    const [type, key] = value.split(":");
+    const selection = type === "rule" ? { ruleId: key } : { every: Number(key) };
+    onChange(createCloze(tokens, wordMatches, selection, Date.now()));
+  };
+
+  const markColors = { correct: "var(--pa-mark-correct)", wrong: "var(--pa-mark-wrong)" };
+
+  return (
+    <>
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <label className="flex items-center gap-2">
+          <span>{t("practice.cloze.blank")}</span>
+          <select
+            className="rounded-lg border border-slate-600 bg-slate-900 px-2 py-1 text-slate-100"
+            value={selectionValue}
+            disabled={finished}
+            onChange={(e) => handleSelectionChange(e.target.value)}
+          >
+            {CLOZE_INTERVALS.map((n) => (
+              <option key={n} value={`every:${n}`}>
+                {t("practice.cloze.every", { n })}
+              </option>
+            ))}
+            {rules.map((rule) => (
+              <option key={rule.id} value={`rule:${rule.id}`}>
+                {t("practice.cloze.rule", { rule: rule.label })}
+              </option>
+            ))}
+          </select>
+        </label>
+        <span className="text-slate-400">{t("practice.cloze.hint")}</span>
+      </div>
+
+      <div className="space-y-2 rounded-xl bg-slate-950/60 p-3 leading-9">
+        {paragraphs.map((paragraphTokens, p) => (
+          <p key={p}>
+            {paragraphTokens.map((token) => {
+              const blank = practice.blanks.indexOf(token.index);
+              if (blank < 0) return <React.Fragment key={token.index}>{token.leading + token.text + token.trailing + (token.spaceAfter ? " " : "")}</React.Fragment>;
+              const mark = finished ? result.marks[token.index] : null;
+              return (
+                <span key={token.index}>
+                  {token.leading}
+                  <input
+                    aria-label={t("practice.cloze.blankLabel", { n: blank + 1, total: practice.blanks.length })}
+                    className="rounded border bg-slate-900 px-1 text-slate-100 focus:border-sky-400 focus:outline-none"
+                    style={{ width: `${token.text.length + 2}ch`, borderColor: mark ? markColors[mark] : "var(--pa-blank-border)" }}
+                    value={practice.answers[token.index] || ""}
+                    readOnly={finished}
+                    autoComplete="off"
+                    spellCheck={false}
+                    onChange={(e) => onChange(answerBlank(practice, token.index, e.target.value))}
+                  />
+                  {mark === "wrong" && <span className="text-xs text-orange-300"> ({t("practice.cloze.correction", { word: token.text })})</span>}
+                  {token.trailing}
+                  {token.spaceAfter ? " " : ""}
+                </span>
+              );
+            })}
+          </p>
+        ))}
+      </div>
+
+      {!finished && (
+        <button
+          type="button"
+          className="rounded-full bg-sky-600 px-4 py-1 text-xs font-semibold text-white hover:bg-sky-500 cursor-pointer transition"
+          onClick={() => onChange(finishPractice(practice, Date.now()))}
+        >
+          {t("practice.cloze.check")}
+        </button>
+      )}
+    </>
+  );
+}
+
+// ------------------------------------------------------------
+// Scramble
+// ------------------------------------------------------------
+/**
+ * One phrase at a time: the words placed so far, and the shuffled rest as buttons.
+ */
+function ScrambleGame({ practice, tokens, onChange }) {
+  const { t } = useI18n();
+  if (practice.finishedAt != null) return null;
+
+  return (
+    <>
+      <p className="text-xs text-slate-400">
+        {t("practice.scramble.phrase", { n: practice.phrase + 1, total: practice.phrases.length })} · {t("practice.scramble.hint")}
+      </p>
+      <p className="min-h-9 rounded-xl bg-slate-950/60 px-3 py-2 text-base" aria-live="polite">
+        {practice.placed.map((index) => tokens[index].text).join(" ")}
+      </p>
+      <div className="flex flex-wrap gap-2">
+        {practice.pool.map((index) => (
+          <button
+            key={index}
+            type="button"
+            className="rounded-lg border border-slate-600 bg-slate-800 px-3 py-1 text-sm text-slate-100 hover:bg-slate-700 cursor-pointer transition"
+            onClick={() => onChange(placeWord(practice, tokens, index, Date.now()))}
+          >
+            {tokens[index].text}
+          </button>
+        ))}
+      </div>
+      {practice.lastMistake != null && (
+        <p role="status" className="text-xs text-orange-300">
+          {t("practice.scramble.mistake", { word: tokens[practice.lastMistake].text })}
+        </p>
+      )}
+    </>
+  );
+}
+
+// ------------------------------------------------------------
+// Sing-along
+// ------------------------------------------------------------
+/**
+ * A single input: every word typed (ended by a space or Enter) is checked
+ * against the next word of the text and timed against the highlight.
+ */
+function SingAlongGame({ practice, tokens, activeIndex, options, result, onChange }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState("");
+  if (practice.finishedAt != null) return null;
+
+  const submit = (words) => {
+    let next = practice;
+    for (const word of words) next = typeWord(next, tokens, word, activeIndex, options);
+    if (next !== practice) onChange(next);
+  };
+
+  // Complete words are submitted as soon as a space follows them (typed or pasted)
+  const handleChange = (value) => {
+    const parts = value.split(/\s+/);
+    const last = parts.pop();
+    submit(parts.filter(Boolean));
+    setDraft(last);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key !== "Enter") return;
+    event.preventDefault();
+    submit([draft]);
+    setDraft("");
+  };
+
+  const ahead = practice.entries.filter((entry) => entry.correct && entry.lead > 0).length;
+
+  return (
+    <>
+      <p className="text-xs text-slate-400">{t("practice.singAlong.hint")}</p>
+      <input
+        aria-label={t("practice.singAlong.input")}
+        className="w-full rounded-lg border border-slate-600 bg-slate-900 px-3 py-2 text-base text-slate-100 focus:border-sky-400 focus:outline-none"
+        value={draft}
+        autoComplete="off"
+        spellCheck={false}
+        autoFocus
+        onChange={(e) => handleChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+      />
+      <p className="text-xs text-slate-400">
+        {t("practice.singAlong.progress", { typed: practice.entries.length, total: tokens.length, correct: result.correct, ahead })}
+      </p>
+    </>
+  );
+}
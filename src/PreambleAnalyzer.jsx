@@ -1,713 +1,896 @@
 import React, { useState, useEffect, useMemo, useRef } from "react";
+import { DEFAULT_RULES, evaluateCondition, colorRule, localizeRules } from "./rules";
+import RuleBuilder from "./RuleBuilder";
+import TextPicker from "./TextPicker";
+import TokenizerSettings from "./TokenizerSettings";
+import DisplaySettings from "./DisplaySettings";
+import PresentationMode from "./PresentationMode";
+import { shortcutAction } from "./shortcuts";
+import { LANGUAGES, I18nContext, translate, detectLocale, saveLocale } from "./i18n";
+import { getTheme, detectTheme, saveTheme, applyTheme, themeRules } from "./themes";
+import { TEXT_LIBRARY } from "./texts";
+import TimingRecorder from "./TimingRecorder";
+import TransportControls from "./TransportControls";
+import WordStream from "./WordStream";
+import StatGrid from "./StatGrid";
+import MyCode from "./MyCode";
+import WordInspector from "./WordInspector";
+import StatsDashboard from "./StatsDashboard";
+import PrintReport from "./PrintReport";
+import QuizPanel, { QUIZ_MARK_STYLES } from "./QuizPanel";
+import { createQuiz, togglePick, scoreQuiz } from "./quiz";
+import PracticePanel from "./PracticePanel";
+import { createCloze, createScramble, createSingAlong, finishPractice, scorePractice, isHidden } from "./practice";
+import { encodeShareState, decodeShareState } from "./shareLink";
+import HistoryPanel from "./HistoryPanel";
+import { loadHistory, saveHistory, createRunRecord, storedText } from "./history";
+import { buildResults, formatResultsJson, formatResultsCsv } from "./results";
+import { downloadFile, fileStem } from "./download";
+import usePreambleAnalyzer from "./usePreambleAnalyzer";
+import ClassroomPanel from "./ClassroomPanel";
+import useClassroom from "./useClassroom";
+import { createSnapshot, readClassroomParams } from "./classroom";
+
+// The analysis utilities moved to the hook module; re-exported for existing imports
+export { clamp, computeCounts, progressToIndex, indexToTime } from "./usePreambleAnalyzer";
 
 /**
  * PreambleAnalyzer
  * ------------------------------------------------------------
  * What this component does:
- * 1) Displays the U.S. Constitution preamble word by word.
- * 2) Highlights the "active" word in yellow as time progresses.
- * 3) Counts how many words (by index):
+ * 1) Displays a text word by word: the U.S. Constitution preamble by default, another
+ *    founding document from the text library, or a pasted / uploaded text.
+ * 2) Highlights the "active" word as time progresses, in the colors of the chosen
+ *    theme (see `./themes.js`).
+ * 3) Counts how many words (by index) match each rule in the active rule list.
+ *    The default rules (see `./rules.js`) are:
  *   - Start with "t"
  *   - End with "e"
  *   - Start with "t" AND end with "e"
+ *    Rules can be added, edited, reordered and deleted at runtime in the rule builder panel.
  * 4) Supports two modes:
- *   - Animation mode: Loops through the words on a timer and increments the coordinating counter each time it finds a word that starts with "t" or ends with "e" or starts with "t" and ends with "e".
- *   - Song and sync mode: Syncs animation mode to a Schoolhouse Rock song on the Preamble.
+ *   - Animation mode: Steps through the words on a timer at an adjustable words-per-minute speed.
+ *   - Song and sync mode: Syncs animation mode to a Schoolhouse Rock song on the Preamble
+ *     (only available for texts the song covers), or to a local audio/video file chosen by
+ *     the user. Both sources sit behind the player adapter in `./media.js`. With a timing file (enhanced LRC or
+ *     WebVTT, see `./timing.js`) the sung word is looked up by timestamp; without one,
+ *     an eased curve between the section start and end estimates it.
+ * 
+ * Finished runs are saved on the device (see `./history.js`) and can be compared,
+ * re-opened or deleted in the history panel.
+ *
+ * The state can be shared as a link (text, rules, mode, speed and position; see
+ * `./shareLink.js`). Opening such a link restores it, paused at the linked word.
+ *
+ * In a classroom (see `./classroom.js`), the teacher's analyzer broadcasts its active
+ * word, mode and rules, and followers' analyzers mirror them; a follower's own
+ * transport is hidden until it leaves the room.
+ *
+ * In quiz mode, students predict the counters (typed counts and/or tapped words)
+ * before a run; the run then scores the predictions live (see `./quiz.js`).
+ *
+ * The practice modes (see `./practice.js`) help memorize the text: fill in the
+ * blanks, unscramble the phrases, or type along with the song from memory. The
+ * practiced words are masked in the text panel meanwhile.
+ *
+ * Every word can be clicked (or focused and activated with Enter) to open the word
+ * inspector, which explains which rules it matched and why.
+ *
+ * Words are tokens produced by `./tokenizer.js`: each keeps its original text, its
+ * normalized form (used by the rules), its offsets and the punctuation around it.
  * 
  * Key design choices:
- * - `useRef` is used for instant truth values 
- * - `useEffect` is used for side effects like setting up the YouTube player and syncing the animation to the song.
- * - `useState` is used for state management.
- * - `countedWordsRef` is used to avoid double-counting words.
- * - Computed indices are clamped to avoid out-of-range errors.
+ * - The analyzer itself (text, rules, media player, position, counters and both run
+ *   loops) lives in the headless `usePreambleAnalyzer` hook; this component lays it out
+ *   with presentational pieces (`WordStream`, `StatGrid`, `TransportControls`) and adds
+ *   the panels around it. The embeddable widget (`./PreambleWidget.jsx`) uses the same hook.
+ * - Counters are not state: they are a pure function of the text, the rules and the
+ *   active index, read from prefix sums computed once per text and rule set. Seeking,
+ *   replaying, switching modes and StrictMode double-invocation all give the same numbers.
 **/
 
-
-/** The Preamble to the Constitution as a string of words */
-const PREAMBLE =
-  'We the People of the United States, in Order to form a more perfect Union, establish Justice, insure domestic Tranquility, provide for the common defence, promote the general Welfare, and secure the Blessings of Liberty to ourselves and our Posterity, do ordain and establish this Constitution for the United States of America.';
-
 /**
- * YouTube video timing configuration.
- * Adjust these constants if video timing synchronization is off.
+ * Main PreambleAnalyzer component.
+ * Lays out the analyzer (see `usePreambleAnalyzer`) with the panels around it:
+ * text picker, rule builder, inspector, quiz, history, exports and media.
+ *
+ * @param {Array<Object>} [rules] - Initial counting rules; one StatCard and one highlight color per rule
  */
-const VIDEO_ID = "8_NzZvdsbWI";
-const START_OFFSET_SECONDS = 130.0; // Start time of the Preamble in the video (2:10 in seconds)
-const PREAMBLE_END_SECONDS = 170.0; // End time of the Preamble in the video (2:49 in seconds)
+export default function PreambleAnalyzer({ rules: initialRules = DEFAULT_RULES }) {
+  // Interface language (see ./i18n.js); texts carry their own language for counting
+  const [locale, setLocale] = useState(() => detectLocale());
+  const t = (key, params) => translate(locale, key, params);
+
+  /** Finished runs saved on this device, newest first */
+  const [history, setHistory] = useState(() => loadHistory());
+  /** State restored from a shared link, read once on mount; linked pasted texts are looked up in the history */
+  const [shared] = useState(() => {
+    const savedTexts = history.filter((run) => !run.text.library).map(storedText);
+    const state = decodeShareState(window.location.search, [...TEXT_LIBRARY, ...savedTexts]);
+    return {
+      ...state,
+      userText: savedTexts.find((saved) => saved.id === state.textId) || null,
+      classroom: readClassroomParams(window.location.search),
+    };
+  });
+  /** What could not be restored from the link, shown until dismissed */
+  const [linkWarnings, setLinkWarnings] = useState(shared.warnings);
+  /** Link to the current state, once the user asks for one */
+  const [shareUrl, setShareUrl] = useState(null);
+  const [shareCopied, setShareCopied] = useState(false);
+
+  /** Condition being drafted in the rule builder, previewed on the text */
+  const [previewCondition, setPreviewCondition] = useState(null);
+  /** Word opened in the inspector by click or keyboard, and the word under the mouse */
+  const [inspectedIndex, setInspectedIndex] = useState(null);
+  const [hoveredIndex, setHoveredIndex] = useState(null);
+  /** Quiz predictions, or null when quiz mode is off (see ./quiz.js) */
+  const [quiz, setQuiz] = useState(null);
+  /** Memorization game, or null when not practicing (see ./practice.js) */
+  const [practice, setPractice] = useState(null);
+
+  // Accessibility display options
+  const [displayOptions, setDisplayOptions] = useState({ symbols: true });
+  /** Color theme (see ./themes.js); remembered, high contrast when the system asks for more contrast */
+  const [themeId, setThemeId] = useState(() => detectTheme());
+  const [recorderOpen, setRecorderOpen] = useState(false); // Whether the tap-to-sync recorder is visible
+  const [presenting, setPresenting] = useState(false); // Whether the fullscreen presentation mode is open
+
+  /** Text, rules, media, position and counters (see ./usePreambleAnalyzer.js) */
+  const analyzer = usePreambleAnalyzer({
+    rules: shared.rules || initialRules,
+    textId: shared.textId,
+    userTexts: shared.userText ? [shared.userText] : [],
+    tokenizerOptions: shared.tokenizerOptions,
+    mode: shared.mode,
+    wordsPerMinute: shared.wordsPerMinute,
+    index: shared.index,
+    onRunStart: () => lockQuiz(),
+    onRunFinish: (run) => saveRun(run),
+  });
+  const { text, words, paragraphs, rules, wordMatches, counts, mediaSource, canSync, ready, timing, timingFile } = analyzer;
+  const { activeIndex, playing, finished, wordsPerMinute, tokenizerOptions } = analyzer;
+
+  /** Classroom room, joined on mount when the page link is an invitation */
+  const classroom = useClassroom({
+    invitation: shared.classroom,
+    onState: (snapshot) => {
+      // Word indices change with the text or its splitting
+      if (snapshot.text.id !== text.id || JSON.stringify(snapshot.tokenizerOptions) !== JSON.stringify(tokenizerOptions)) {
+        clearWordState();
+      }
+      analyzer.mirror(snapshot);
+    },
+  });
+  const following = Boolean(classroom.session) && classroom.session.role === "follower";
 
-/** Regular expression to remove punctuation from words */
-const PUNCTUATION_REGEX = /[.,]/g;
+  // A teacher sends what the projector shows whenever it changes
+  useEffect(() => {
+    if (!classroom.session || classroom.session.role !== "teacher") return;
+    classroom.broadcast(createSnapshot({ text, rules, tokenizerOptions, mode: analyzer.mode, index: activeIndex, playing }));
+  }, [classroom.session, text, rules, tokenizerOptions, analyzer.mode, activeIndex, playing]);
 
-/** Easing factor for smooth word highlighting transitions (exponential easing) */
-const EASING_FACTOR = 1.15; 
+  /**
+   * Locks the quiz predictions once a run starts, so they can be scored.
+   */
+  const lockQuiz = () => {
+    setQuiz((prev) => (prev && !prev.locked ? { ...prev, locked: true } : prev));
+  };
 
-/**
- * Utility: Clamps a number between min and max values.
- * 
- * @param {number} n - The number to clamp
- * @param {number} min - Minimum value
- * @param {number} max - Maximum value
- * @returns {number} The clamped value
- */
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
-}
+  /**
+   * Closes the inspector, any quiz and any practice; used whenever the words change.
+   */
+  const clearWordState = () => {
+    setInspectedIndex(null);
+    setQuiz(null);
+    setPractice(null);
+  };
 
-/**
- * Utility: Normalizes a word by removing punctuation and converting to lowercase.
- * 
- * @param {string} word - The word to normalize
- * @returns {string} The normalized word (lowercase, no punctuation)
- */
-function normalizeWord(word) {
-  return word.toLowerCase().replace(PUNCTUATION_REGEX, "");
-}
+  /**
+   * Loads another text: stops the current run and clears counts and highlighting.
+   */
+  const handleSelectText = (id) => {
+    analyzer.selectText(id);
+    clearWordState();
+  };
 
-/**
- * Utility: Computes word characteristics for counting purposes.
- * Determines if a word starts with "t", ends with "e", or both.
- * 
- * @param {string} word - The word to analyze (will be normalized internally)
- * @returns {Object} Object with startsT, endsE, and both boolean properties
- */
-function computeCounts(word) {
-  const cleanWord = normalizeWord(word);
-  const startsT = cleanWord.startsWith("t");
-  const endsE = cleanWord.endsWith("e");
-  const both = startsT && endsE;
-  return { startsT, endsE, both };
-}
+  /**
+   * Applies new tokenizer options. Word indices change, so the run starts over.
+   */
+  const handleTokenizerChange = (options) => {
+    analyzer.changeTokenizerOptions(options);
+    clearWordState();
+  };
 
-/** Main component */
-/**
- * Main PreambleAnalyzer component.
- * Manages word highlighting, counting, and video synchronization.
- */
-export default function PreambleAnalyzer() {
-  /** The Preamble as an array of words (memoized to avoid recalculation) */
-  const words = useMemo(() => PREAMBLE.split(" "), []);
-  // Refs for YouTube player management
-  const playerRef = useRef(null); // Stores the YouTube player instance
-  const containerRef = useRef(null); // Container element for the YouTube player
-
-  // Refs for animation state tracking (using refs for instant truth values)
-  /** Tracks which words have been counted to avoid double-counting */
-  const countedWordsRef = useRef(new Set());
-  /** Tracks the last word index that was processed */
-  const lastIndexRef = useRef(-1);
+  /**
+   * Adds a pasted or uploaded text to the session and loads it.
+   */
+  const handleAddText = (newText) => {
+    analyzer.addText(newText);
+    clearWordState();
+  };
 
-  // ------------------------------------------------------------
-  // React State Declarations
-  // ------------------------------------------------------------
-  // YouTube player state
-  const [ready, setReady] = useState(false); // Whether the YouTube player is ready
-  const [duration, setDuration] = useState(null); // Duration of the video in seconds
-
-  // Word highlighting and counting state
-  const [currentIndex, setCurrentIndex] = useState(-1); // Current active word index in video sync mode
-  const [startsWithTCount, setStartsWithTCount] = useState(0); // Count of words starting with "t"
-  const [endsWithECount, setEndsWithECount] = useState(0); // Count of words ending with "e"
-  const [doesBothCount, setDoesBothCount] = useState(0); // Count of words starting with "t" AND ending with "e"
-
-  // Animation control state
-  const [loopRunning, setLoopRunning] = useState(false); // Whether the video sync animation loop is running
-  const [isManualMode, setIsManualMode] = useState(false); // Whether manual animation mode is active
-  const [manualIndex, setManualIndex] = useState(-1); // Current active word index in manual mode 
-
-// ------------------------------------------------------------
-// YouTube Player Setup
-// ------------------------------------------------------------
   /**
-   * Sets up the YouTube iframe player when the component mounts.
-   * Handles both cases: when the API is already loaded and when it needs to load.
+   * Loads an LRC or WebVTT timing file for the current text.
    */
+  const handleTimingFileChange = (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = ""; // Allow re-loading the same file
+    if (file) analyzer.loadTimingFile(file);
+  };
+
+  /**
+   * Switches the song to a local audio or video file chosen by the user.
+   */
+  const handleMediaFileChange = (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = ""; // Allow re-selecting the same file
+    if (file) analyzer.selectMediaFile(file);
+  };
+
+  // Latest shortcut handlers, read by the keydown listener registered once below
+  const shortcutHandlersRef = useRef(null);
+  shortcutHandlersRef.current = {
+    togglePlay: () => (playing ? analyzer.pause() : analyzer.resume()),
+    stepBack: () => analyzer.step(-1),
+    stepForward: () => analyzer.step(1),
+    switchMode: analyzer.switchMode,
+    reset: analyzer.reset,
+  };
+
+  // Keyboard shortcuts (see ./shortcuts.js); off while the timing recorder uses the keyboard
+  // and while following a class
   useEffect(() => {
-    if (!containerRef.current) return;
-
-    /**
-     * Callback function for when the YouTube iframe API is ready.
-     * Creates the YouTube player instance and sets up event handlers.
-     */
-    function onYouTubeIframeAPIReady() {
-      try {
-        if (!window.YT || !window.YT.Player) {
-          console.error("YouTube API not available");
-          return;
-        }
-
-        // Create and store player instance
-        const player = new window.YT.Player(containerRef.current, {
-          videoId: VIDEO_ID,
-          events: {
-            /**
-             * Called when the player is ready to accept commands.
-             * Verifies required methods exist and initializes player state.
-             */
-            onReady: (event) => {
-              const readyPlayer = event.target;
-
-              // Verify required methods exist
-              if (
-                readyPlayer &&
-                typeof readyPlayer.seekTo === "function" &&
-                typeof readyPlayer.playVideo === "function" &&
-                typeof readyPlayer.getCurrentTime === "function"
-              ) {
-                playerRef.current = readyPlayer;
-                setReady(true);
-                setDuration(readyPlayer.getDuration());
-              } else {
-                console.error("YouTube player methods not available on ready");
-              }
-            },
-
-            /**
-             * Handles player state changes (playing, paused, ended, etc.).
-             */
-            onStateChange: (event) => {
-              // Stop if video ended
-              if (event.data === window.YT.PlayerState.ENDED) {
-                setLoopRunning(false);
-                setCurrentIndex(words.length - 1);
-                return;
-              }
-
-              // Stop loop if video is paused
-              if (event.data === window.YT.PlayerState.PAUSED) {
-                setLoopRunning(false);
-              }
-            },
-
-            /**
-             * Error handler for YouTube player errors.
-             */
-            onError: (event) => {
-              console.error("YouTube player error:", event.data);
-            },
-          },
-        });
-
-        // Store player instance (also stored in onReady, but keeping here for safety)
-        playerRef.current = player;
-      } catch (error) {
-        console.error("Error creating YouTube player:", error);
-      }
-    }
+    const handleKeyDown = (event) => {
+      const action = shortcutAction(event);
+      if (!action || shortcutHandlersRef.current.disabled) return;
+      event.preventDefault();
+      shortcutHandlersRef.current[action]();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+  shortcutHandlersRef.current.disabled = recorderOpen || following;
 
-    // If API is already loaded, create the player immediately.
-    // Otherwise, wait for the global callback.
-    if (window.YT && window.YT.Player) {
-      onYouTubeIframeAPIReady();
-    } else {
-      window.onYouTubeIframeAPIReady = onYouTubeIframeAPIReady;
-    }
-  }, []); // Empty deps: only run on mount
+  const theme = getTheme(themeId);
+  /** The rules as displayed: automatic labels in the interface language, colors their own or the theme palette's */
+  const themedRules = useMemo(() => themeRules(localizeRules(rules, t), theme), [rules, theme, locale]);
+
+  /**
+   * Switches the color theme and remembers it.
+   *
+   * @param {string} id - Theme id
+   */
+  const handleThemeChange = (id) => {
+    setThemeId(id);
+    saveTheme(id);
+  };
+
+  useEffect(() => {
+    applyTheme(theme);
+  }, [theme]);
+
+  /**
+   * Screen reader announcement for the active word: its position, and the new
+   * count of every rule it matches.
+   */
+  const announcement = (() => {
+    if (activeIndex < 0 || !words[activeIndex]) return "";
+    const matched = themedRules.filter((rule) => (wordMatches[activeIndex] || []).includes(rule.id));
+    const countsText = matched.map((rule) => `${rule.label}: ${counts[rule.id] || 0}`).join(", ");
+    const position = t("announce.word", { word: words[activeIndex].text, position: activeIndex + 1, total: words.length });
+    return countsText ? `${position} ${countsText}.` : position;
+  })();
+
+  /** Whether a word is masked by the practice, and so kept out of the inspector */
+  const hiddenByPractice = (index) => Boolean(practice) && isHidden(practice, index);
+
+  // The word shown in the inspector: the hovered one, else the one clicked last
+  const hoverOrInspected = hoveredIndex != null ? hoveredIndex : inspectedIndex;
+  const shownIndex = hoverOrInspected != null && !hiddenByPractice(hoverOrInspected) ? hoverOrInspected : null;
 
   // ------------------------------------------------------------
-  // Video Sync Loop
+  // Export Handlers
   // ------------------------------------------------------------
   /**
-   * Synchronizes word highlighting with the YouTube video playback.
-   * Uses requestAnimationFrame to smoothly update the active word index
-   * based on the current video playback time.
+   * Downloads the analysis (tokens, matched rules and totals) as JSON or CSV.
+   *
+   * @param {"json"|"csv"} format - File format
    */
-  useEffect(() => {
-    // Early return if conditions aren't met for video sync
-    if (!loopRunning || !playerRef.current || !duration || isManualMode || !ready) {
-      return;
+  const handleExportResults = (format) => {
+    const results = buildResults({ title: text.title, tokens: words, wordMatches, rules, counts, activeIndex });
+    const stem = `${fileStem(text.title)}-analysis`;
+    if (format === "json") downloadFile(`${stem}.json`, formatResultsJson(results), "application/json");
+    if (format === "csv") downloadFile(`${stem}.csv`, formatResultsCsv(results), "text/csv");
+  };
+
+  /**
+   * Builds a link to the current state and copies it to the clipboard.
+   * The link is also shown, for browsers that block clipboard access.
+   */
+  const handleShareLink = async () => {
+    const query = encodeShareState({
+      text,
+      isLibraryText: TEXT_LIBRARY.some((t) => t.id === text.id),
+      rules,
+      mode: analyzer.mode,
+      wordsPerMinute,
+      index: activeIndex,
+      tokenizerOptions,
+    });
+    const url = `${window.location.origin}${window.location.pathname}?${query}`;
+    setShareUrl(url);
+    setShareCopied(false);
+
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareCopied(true);
+    } catch (error) {
+      console.error("Error copying link:", error);
     }
+  };
 
-    let animationFrameId;
+  /**
+   * Opens the browser print dialog; the print stylesheet swaps the app for the report.
+   */
+  const handlePrintReport = () => {
+    window.print();
+  };
 
-    /**
-     * Animation frame callback that updates the active word index
-     * based on the current video playback time.
-     */
-    const update = () => {
-      if (!playerRef.current || typeof playerRef.current.getCurrentTime !== "function") { 
-        return;
-      }
+  /**
+   * A click on a word taps it while quiz predictions are open, and inspects it otherwise.
+   */
+  const handleWordClick = (index) => {
+    if (quiz && !quiz.locked) setQuiz(togglePick(quiz, index));
+    else if (!hiddenByPractice(index)) setInspectedIndex(index);
+  };
 
-      try {
-        const currentTime = playerRef.current.getCurrentTime();
-
-        // Wait until the preamble section starts
-        if (currentTime < START_OFFSET_SECONDS) {
-          animationFrameId = requestAnimationFrame(update);
-          return;
-        }
-
-        // Stop when the preamble ends
-        if (currentTime > PREAMBLE_END_SECONDS) {
-          setCurrentIndex(words.length - 1);
-          setLoopRunning(false);
-          // Pause the video when preamble completes
-          try {
-            if (playerRef.current && typeof playerRef.current.pauseVideo === "function") {
-              playerRef.current.pauseVideo();
-            }
-          } catch (error) {
-            console.error("Error pausing video at end:", error);
-          }
-          return;
-        }
-
-        // Calculate progress through the preamble (0.0 to 1.0)
-        const preambleDuration = PREAMBLE_END_SECONDS - START_OFFSET_SECONDS;
-        const effectiveTime = currentTime - START_OFFSET_SECONDS;
-        const progress = Math.min(effectiveTime / preambleDuration, 1.0);
-
-        // Apply easing for smoother visual transitions
-        const easedProgress = progress < 1 ? Math.pow(progress, EASING_FACTOR) : progress;
-
-        // Map eased progress to word index
-        const index = Math.floor(easedProgress * words.length);
-
-        // Advance index when it changes
-        if (index !== lastIndexRef.current && index >= 0 && index < words.length) {
-          const cleanWord = normalizeWord(words[index]);
-
-          lastIndexRef.current = index;
-          setCurrentIndex(index);
-
-          // Count each word once using a unique key (index + word)
-          const wordKey = `${index}-${cleanWord}`;
-          if (!countedWordsRef.current.has(wordKey)) {
-            countedWordsRef.current.add(wordKey);
-
-            // Update counters based on word characteristics
-            const counts = computeCounts(cleanWord);
-            if (counts.startsT) {
-              setStartsWithTCount((p) => p + 1);
-            }
-            if (counts.endsE) {
-              setEndsWithECount((p) => p + 1);
-            }
-            if (counts.both) {
-              setDoesBothCount((p) => p + 1);
-            }
-          }
-        }
-
-        animationFrameId = requestAnimationFrame(update);
-      } catch (error) {
-        console.error("Error in video sync loop:", error);
-        setLoopRunning(false);
-      }
-    };
+  // ------------------------------------------------------------
+  // Quiz
+  // ------------------------------------------------------------
+  /** Live score of the locked quiz over the words passed so far */
+  const quizResult = useMemo(
+    () => (quiz && quiz.locked ? scoreQuiz(quiz, themedRules, wordMatches, activeIndex) : null),
+    [quiz, themedRules, wordMatches, activeIndex]
+  );
 
-    // Start the animation loop
-    animationFrameId = requestAnimationFrame(update);
+  /**
+   * Marks words for the rule being drafted and the quiz: a dashed underline for
+   * preview matches, an outline for tapped words while predicting, and hits,
+   * misses and false positives once scored.
+   */
+  const decorateWord = (token) => {
+    const i = token.index;
 
-    // Cleanup: cancel animation frame on unmount or dependency change
-    return () => {
-      if (animationFrameId) {
-        cancelAnimationFrame(animationFrameId);
-      }
+    // Underline words the rule being drafted would match
+    let previewStyle = {};
+    if (previewCondition && evaluateCondition(previewCondition, token.normalized)) {
+      previewStyle = { textDecoration: 'underline dashed', textUnderlineOffset: '4px' };
+    }
+
+    let quizStyle = {};
+    const quizMark = quizResult ? quizResult.marks[i] : null;
+    if (quiz && !quiz.locked && (quiz.picks[quiz.pickRuleId] || []).includes(i)) {
+      const pickRule = themedRules.find((rule) => rule.id === quiz.pickRuleId);
+      quizStyle = { outline: `2px solid ${pickRule ? pickRule.color : 'var(--pa-selected)'}`, outlineOffset: '1px' };
+    } else if (quizMark) {
+      quizStyle = QUIZ_MARK_STYLES[quizMark];
+    }
+
+    // Practice: masked words, and typed or checked words marked right or wrong
+    const practiceMark = practiceResult && (practice.kind === "singAlong" || practice.finishedAt != null) ? practiceResult.marks[i] : null;
+    const practiceStyle = practiceMark ? QUIZ_MARK_STYLES[practiceMark === "correct" ? "hit" : "falsePositive"] : {};
+
+    return {
+      style: { ...previewStyle, ...quizStyle, ...practiceStyle },
+      title: quizMark ? t(`quiz.mark.${quizMark}`) : undefined,
+      masked: hiddenByPractice(i),
     };
-  }, [loopRunning, duration, isManualMode, ready, words.length]);
+  };
 
   // ------------------------------------------------------------
-  // Manual Mode Loop
+  // Practice
   // ------------------------------------------------------------
+  /** Options for comparing typed words with the text's words */
+  const practiceOptions = useMemo(() => ({ ...tokenizerOptions, locale: text.language }), [tokenizerOptions, text.language]);
+
+  /** Score of the practice so far (marks for the text panel; the panel shows the numbers) */
+  const practiceResult = practice && practice.kind !== "scramble" ? scorePractice(practice, words, practiceOptions) : null;
+
   /**
-   * Handles word-by-word animation when in manual mode (no video sync).
-   * Advances through words at a fixed interval and updates counters.
+   * Starts a practice; any run or quiz stops. The sing-along starts the song
+   * right away, or the animation when the text has no song.
    */
-  useEffect(() => {
-    // Don't run if manual mode is off or video loop is running
-    if (!isManualMode || loopRunning) return;
-
-    // Stop when we reach the last word
-    if (manualIndex >= words.length - 1) {
-      setIsManualMode(false);
-      return;
+  const handleStartPractice = (kind) => {
+    analyzer.reset();
+    setQuiz(null);
+    setInspectedIndex(null);
+    const now = Date.now();
+    if (kind === "cloze") setPractice(createCloze(words, wordMatches, { every: 5 }, now));
+    if (kind === "scramble") setPractice(createScramble(words, now));
+    if (kind === "singAlong") {
+      setPractice(createSingAlong(now));
+      if (canSync && ready) analyzer.startWithVideo();
+      else analyzer.startManual();
     }
+  };
 
-    // Advance to next word after a delay
-    const timer = setTimeout(() => {
-      setManualIndex((prev) => {
-        const nextIndex = prev + 1;
-
-        if (nextIndex < words.length) {
-          const cleanWord = normalizeWord(words[nextIndex]);
-
-          // Update counters based on word characteristics
-          const counts = computeCounts(cleanWord);
-          if (counts.startsT) {
-            setStartsWithTCount((p) => p + 1);
-          }
-          if (counts.endsE) {
-            setEndsWithECount((p) => p + 1);
-          }
-          if (counts.both) {
-            setDoesBothCount((p) => p + 1);
-          }
-        }
-
-        return nextIndex;
-      });
-    }, 400); // 400ms delay between words
-
-    // Cleanup: clear timeout on unmount or dependency change
-    return () => clearTimeout(timer);
-  }, [isManualMode, manualIndex, loopRunning, words.length]);
+  // The sing-along ends with the run
+  useEffect(() => {
+    if (finished && practice && practice.kind === "singAlong") setPractice((prev) => finishPractice(prev, Date.now()));
+  }, [finished]);
 
   // ------------------------------------------------------------
-  // Button Handlers
+  // Run History
   // ------------------------------------------------------------
   /**
-   * Resets all counters, indices, and refs to their initial state.
-   * Called when starting a new animation session.
+   * Saves a finished run to the history.
+   *
+   * @param {{ mode: string, counts: Object }} run - Reported by the analyzer hook
    */
-  const resetAll = () => {
-    // Reset counters
-    setStartsWithTCount(0);
-    setEndsWithECount(0);
-    setDoesBothCount(0);
-
-    // Reset indices
-    setCurrentIndex(-1);
-    setManualIndex(-1);
-
-    // Reset refs
-    countedWordsRef.current.clear();
-    lastIndexRef.current = -1;
+  const saveRun = ({ mode, counts: finalCounts }) => {
+    const record = createRunRecord({
+      mode,
+      text,
+      library: TEXT_LIBRARY.some((t) => t.id === text.id),
+      rules,
+      tokenizerOptions,
+      wordCount: words.length,
+      counts: finalCounts,
+      quiz: quiz && quiz.locked ? quiz : null,
+      quizScore: quizResult ? quizResult.score : null,
+    });
+    const next = [record, ...history];
+    setHistory(next);
+    saveHistory(next);
   };
 
   /**
-   * Starts the animation synchronized with the YouTube video.
-   * Seeks to the preamble start time and begins playback.
+   * Deletes a saved run.
    */
-  const handleStartWithVideo = () => {
-    if (!playerRef.current || !ready) return;
-    if (
-      typeof playerRef.current.seekTo !== "function" ||
-      typeof playerRef.current.playVideo !== "function"
-    ) {
-      console.warn("YouTube player methods not available");
-      return;
-    }
+  const handleDeleteRun = (id) => {
+    const next = history.filter((run) => run.id !== id);
+    setHistory(next);
+    saveHistory(next);
+  };
 
-    resetAll();
-    setIsManualMode(false);
+  /**
+   * Re-opens a saved run: its text, rules, tokenizer options and quiz answers,
+   * positioned on the last word with the final counts.
+   */
+  const handleReopenRun = (run) => {
+    analyzer.restore({
+      textId: run.text.id,
+      userText: run.text.library ? null : storedText(run),
+      rules: run.rules,
+      tokenizerOptions: run.tokenizerOptions,
+      index: run.wordCount - 1,
+    });
+    setQuiz(run.quiz);
+    setInspectedIndex(null);
+  };
 
-    try {
-      playerRef.current.seekTo(START_OFFSET_SECONDS, true);
-      playerRef.current.playVideo();
-      setLoopRunning(true);
-    } catch (error) {
-      console.error("Error controlling YouTube player:", error);
-    }
+  /**
+   * Starts a new quiz; any run stops and the text starts over.
+   */
+  const handleStartQuiz = () => {
+    analyzer.reset();
+    setPractice(null);
+    setQuiz(createQuiz(rules));
   };
 
   /**
-   * Starts the manual animation mode (no video sync).
-   * Pauses the video if it's playing and begins word-by-word animation.
+   * Applies a rule list from the rule builder.
+   * The counters follow automatically, since they are derived from the rules.
    */
-  const handleStartManual = () => {
-    resetAll();
-    setLoopRunning(false);
-    setIsManualMode(true);
-
-    // Pause video if playing
-    if (playerRef.current && typeof playerRef.current.pauseVideo === "function") {
-      try {
-        playerRef.current.pauseVideo();
-      } catch (error) {
-        console.error("Error pausing video:", error);
-      }
+  const handleRulesChange = (nextRules) => {
+    analyzer.setRules(nextRules);
+    // Keep the quiz's tap target pointing at a rule that still exists
+    if (quiz && !nextRules.some((rule) => rule.id === quiz.pickRuleId)) {
+      setQuiz({ ...quiz, pickRuleId: nextRules.length ? nextRules[0].id : null });
     }
   };
 
-  // Determine which index to use for highlighting based on current mode
-  const activeIndex = isManualMode ? manualIndex : currentIndex;
+  /**
+   * Switches the interface language and remembers the choice.
+   */
+  const handleLocaleChange = (nextLocale) => {
+    setLocale(nextLocale);
+    saveLocale(nextLocale);
+  };
+
+  // Keep the page language in step for screen readers and hyphenation
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
 
   return (
-    <div className="min-h-screen bg-[#111217] text-slate-100 flex flex-col items-center justify-center px-4 py-10">
-      <main className="w-full max-w-4xl rounded-3xl bg-gradient-to-b from-[#181921] to-[#101117] shadow-2xl border border-white/5 p-6 md:p-10 space-y-8">
-
-        {/* Title */}
-        <header className="text-center space-y-4">
-          <h1 className="text-3xl md:text-4xl font-extrabold tracking-wide mb-6" style={{ color: '#2563eb' }}>
-            Preamble Analyzer
-          </h1>
-
-          <div className="flex items-center justify-center gap-8">
-            {/* First icon-button pair */}
-            <div className="flex flex-col items-center gap-2">
-              <img
-                src="/abraham-lincoln.png"
-                alt="Lincoln"
-                className="h-16 w-16 md:h-20 md:w-20 object-contain drop-shadow-[0_8px_16px_rgba(0,0,0,0.6)]"
-              />
-              <button
-                onClick={handleStartWithVideo}
-                disabled={!ready || loopRunning}
-                className="rounded-full bg-blue-600 px-5 py-2 text-xs md:text-sm font-semibold shadow-lg shadow-blue-500/40 hover:bg-blue-500 disabled:opacity-60 disabled:cursor-not-allowed cursor-pointer transition"
-              >
-                {!ready ? "Loading YouTube Player..." : loopRunning ? "Playing…" : "Play Song & Sync"}
-              </button>
+    <I18nContext.Provider value={{ locale, t }}>
+      <div className="min-h-screen text-slate-100 flex flex-col items-center justify-center px-4 py-10 print:block print:min-h-0 print:bg-white print:p-0">
+        <main
+          className="print:hidden w-full max-w-4xl rounded-3xl shadow-2xl border border-white/5 p-6 md:p-10 space-y-8"
+          style={{ background: 'linear-gradient(to bottom, var(--pa-surface-from), var(--pa-surface-to))' }}
+        >
+
+          {/* Title */}
+          <header className="text-center space-y-4">
+            <h1 className="text-3xl md:text-4xl font-extrabold tracking-wide mb-6" style={{ color: 'var(--pa-title)' }}>
+              {t("app.title")}
+            </h1>
+
+            <div className="flex items-center justify-center gap-8">
+              {/* First icon-button pair */}
+              <div className="flex flex-col items-center gap-2">
+                <img
+                  src="/abraham-lincoln.png"
+                  alt="Lincoln"
+                  className="h-16 w-16 md:h-20 md:w-20 object-contain drop-shadow-[0_8px_16px_rgba(0,0,0,0.6)]"
+                />
+                <button
+                  onClick={analyzer.startWithVideo}
+                  disabled={!ready || analyzer.loopRunning || !canSync || following}
+                  className="rounded-full bg-blue-600 px-5 py-2 text-xs md:text-sm font-semibold text-white shadow-lg shadow-blue-500/40 hover:bg-blue-500 disabled:opacity-60 disabled:cursor-not-allowed cursor-pointer transition"
+                >
+                  {!canSync
+                    ? t("start.noSong")
+                    : !ready
+                      ? mediaSource.kind === "youtube" ? t("start.loadingYouTube") : t("start.loadingMedia")
+                      : analyzer.loopRunning
+                        ? t("start.playing")
+                        : t("start.playSong")}
+                </button>
+              </div>
+
+              {/* Second icon-button pair */}
+              <div className="flex flex-col items-center gap-2">
+                <img
+                  src="/capitol.png"
+                  alt="Capitol"
+                  className="h-16 w-16 md:h-20 md:w-20 object-contain drop-shadow-[0_8px_16px_rgba(0,0,0,0.6)]"
+                />
+                <button
+                  onClick={analyzer.startManual}
+                  disabled={analyzer.loopRunning || analyzer.isManualMode || following}
+                  className="rounded-full border border-slate-600 bg-slate-800 px-5 py-2 text-xs md:text-sm font-semibold hover:bg-slate-700 disabled:opacity-60 disabled:cursor-not-allowed cursor-pointer transition"
+                >
+                  {analyzer.isManualMode ? t("start.animating") : t("start.animationOnly")}
+                </button>
+              </div>
             </div>
 
-            {/* Second icon-button pair */}
-            <div className="flex flex-col items-center gap-2">
-              <img
-                src="/capitol.png"
-                alt="Capitol"
-                className="h-16 w-16 md:h-20 md:w-20 object-contain drop-shadow-[0_8px_16px_rgba(0,0,0,0.6)]"
-              />
-              <button
-                onClick={handleStartManual}
-                disabled={loopRunning || isManualMode}
-                className="rounded-full border border-slate-600 bg-slate-800 px-5 py-2 text-xs md:text-sm font-semibold hover:bg-slate-700 disabled:opacity-60 disabled:cursor-not-allowed cursor-pointer transition"
-              >
-                {isManualMode ? "Animating…" : "Run Animation Only"}
+            <TextPicker texts={analyzer.texts} selectedId={text.id} onSelect={handleSelectText} onAdd={handleAddText} />
+            <TokenizerSettings options={tokenizerOptions} onChange={handleTokenizerChange} />
+            <DisplaySettings options={displayOptions} onChange={setDisplayOptions} themeId={themeId} onThemeChange={handleThemeChange} />
+            <ClassroomPanel classroom={classroom} />
+            <select
+              aria-label={t("app.language")}
+              title={t("app.language")}
+              className="rounded-lg border border-slate-600 bg-slate-900 px-2 py-1 text-xs text-slate-100 focus:border-blue-500 focus:outline-none"
+              value={locale}
+              onChange={(e) => handleLocaleChange(e.target.value)}
+            >
+              {LANGUAGES.map(({ code, name }) => (
+                <option key={code} value={code}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </header>
+
+          <div aria-live="polite" aria-atomic="true" className="sr-only">
+            {announcement}
+          </div>
+
+          {linkWarnings.length > 0 && (
+            <div role="status" className="flex items-start justify-between gap-3 rounded-xl border border-yellow-400/40 bg-yellow-400/10 px-4 py-2 text-xs text-yellow-100">
+              <ul className="list-disc pl-4">
+                {linkWarnings.map((warning) => (
+                  <li key={warning.key}>{t(warning.key, warning.params)}</li>
+                ))}
+              </ul>
+              <button type="button" className="cursor-pointer font-semibold" onClick={() => setLinkWarnings([])} aria-label={t("links.dismissWarnings")}>
+                ×
               </button>
             </div>
-          </div>
-        </header>
-
-        {/* Preamble Text - Full Width */}
-        <div style={{ 
-          background: 'rgba(248, 250, 252, 0.95)', 
-          color: '#1e293b',
-          padding: '2rem 1.5rem',
-          minHeight: '250px',
-          borderRadius: '1.5rem',
-          boxShadow: '0 24px 60px rgba(0,0,0,0.5)',
-          marginBottom: '2rem',
-          display: 'flex',
-          alignItems: 'center',
-          justifyContent: 'center'
-        }}>
-          <p style={{ 
-            lineHeight: '1.8',
-            fontSize: '1.25rem',
-            textAlign: 'center',
-            width: '100%'
-          }}>
-            {words.map((word, i) => {
-              const hasBeenPassed = i < activeIndex;
-              const clean = normalizeWord(word);
-              const counts = computeCounts(clean);
-              const startsT = counts.startsT;
-              const endsE = counts.endsE;
-              const both = counts.both;
-
-              let colorStyle = {};
-              let bgStyle = {};
-              
-              if (i === activeIndex) {
-                bgStyle = { backgroundColor: '#fef08a', boxShadow: '0 0 0 1px rgba(0,0,0,0.15)' };
-              }
-              
-              if (hasBeenPassed) {
-                if (both) colorStyle = { color: '#2563eb', fontWeight: '600' };
-                else if (startsT) colorStyle = { color: '#16a34a', fontWeight: '600' };
-                else if (endsE) colorStyle = { color: '#dc2626', fontWeight: '600' };
-              }
-
-              return (
-                <span
-                  key={i}
-                  style={{
-                    padding: '0 2px',
-                    borderRadius: '4px',
-                    transition: 'all 0.15s',
-                    ...bgStyle,
-                    ...colorStyle
-                  }}
-                >
-                  {word + " "}
-                </span>
-              );
-            })}
-          </p>
-        </div>
-
-        {/* Stats Row */}
-        <div style={{
-          display: 'grid',
-          gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
-          gap: '1rem',
-          marginBottom: '2rem'
-        }}>
-          <StatCard label='Starts with "t"' value={startsWithTCount} accent="green" />
-          <StatCard label='Ends with "e"' value={endsWithECount} accent="red" />
-          <StatCard label='Starts with "t" & ends with "e"' value={doesBothCount} accent="blue" />
-        </div>
-
-        {/* Video - Below everything, requires scroll */}
-        <div style={{
-          display: 'flex',
-          justifyContent: 'center',
-          alignItems: 'center',
-          flexDirection: 'column',
-          gap: '0.75rem',
-          marginBottom: '2rem',
-          marginTop: '4rem'
-        }}>
-          <div style={{
-            width: '100%',
-            maxWidth: '600px',
-            height: '0',
-            paddingBottom: '56.25%',
-            position: 'relative',
-            borderRadius: '1.25rem',
-            overflow: 'hidden',
-            border: '3px solid #334155',
-            backgroundColor: '#000',
-            boxShadow: '0 20px 50px rgba(0,0,0,0.6)'
-          }}>
-            <div 
-              ref={containerRef} 
-              style={{ 
-                position: 'absolute',
-                top: '0',
-                left: '0',
-                width: '100%',
-                height: '100%'
-              }} 
+          )}
+
+          <QuizPanel
+            quiz={quiz}
+            rules={themedRules}
+            result={quizResult}
+            finished={finished}
+            canStart={!playing}
+            onStart={handleStartQuiz}
+            onChange={setQuiz}
+            onClose={() => setQuiz(null)}
+          />
+
+          <PracticePanel
+            practice={practice}
+            tokens={words}
+            paragraphs={paragraphs}
+            rules={rules}
+            wordMatches={wordMatches}
+            activeIndex={activeIndex}
+            options={practiceOptions}
+            canStart={!playing && !following}
+            onStart={handleStartPractice}
+            onChange={setPractice}
+            onClose={() => setPractice(null)}
+          />
+
+          {/* Preamble Text - Full Width */}
+          <WordStream
+            paragraphs={paragraphs}
+            rules={themedRules}
+            wordMatches={wordMatches}
+            activeIndex={activeIndex}
+            language={text.language}
+            highContrast={theme.contrast}
+            symbols={displayOptions.symbols}
+            selectedIndex={inspectedIndex}
+            decorate={decorateWord}
+            onWordClick={handleWordClick}
+            onWordHover={setHoveredIndex}
+          />
+
+          <WordInspector
+            tokens={words}
+            index={shownIndex}
+            rules={themedRules}
+            wordMatches={wordMatches}
+            colorRule={shownIndex != null && wordMatches[shownIndex] ? colorRule(themedRules, wordMatches[shownIndex]) : null}
+            time={analyzer.sungAt(shownIndex)}
+            timeEstimated={!timing}
+            onSelect={setInspectedIndex}
+            onClose={() => {
+              setInspectedIndex(null);
+              setHoveredIndex(null);
+            }}
+          />
+
+          {!following && (
+            <TransportControls
+              playing={playing}
+              index={activeIndex}
+              wordCount={words.length}
+              currentWord={activeIndex >= 0 ? words[activeIndex].text : null}
+              onPlay={analyzer.resume}
+              onPause={analyzer.pause}
+              onStep={analyzer.step}
+              onSeek={analyzer.seek}
+              wordsPerMinute={wordsPerMinute}
+              onWordsPerMinuteChange={analyzer.setWordsPerMinute}
+              showSpeed={analyzer.mode !== "song"}
+              onPresent={() => setPresenting(true)}
+            />
+          )}
+
+          {/* Stats Row + Rule Builder */}
+          <div className="grid gap-4 md:grid-cols-[1fr_320px] items-start" style={{ marginBottom: '2rem' }}>
+            <StatGrid rules={themedRules} counts={counts} symbols={displayOptions.symbols} />
+
+            <RuleBuilder
+              rules={rules}
+              theme={theme}
+              tokenizerOptions={tokenizerOptions}
+              language={text.language}
+              onChange={handleRulesChange}
+              onPreview={setPreviewCondition}
             />
           </div>
-          <p style={{
-            fontSize: '0.75rem',
-            textAlign: 'center',
-            color: '#94a3b8'
-          }}>
-            Video credit: Schoolhouse Rock / Disney Educational Productions. Embedded under YouTube&apos;s permitted embed usage.
-          </p>
-        </div>
-      </main>
-
-      {/* My Code Section - Separate Container */}
-      {/* This section has the original code to solve the coding task. */}
-      <div style={{
-        width: '100%',
-        maxWidth: '48rem',
-        marginTop: '2rem',
-        padding: '1.5rem',
-        borderRadius: '1.5rem',
-        background: 'rgba(24, 25, 33, 0.8)',
-        border: '1px solid rgba(255, 255, 255, 0.1)',
-        boxShadow: '0 20px 40px rgba(0,0,0,0.3)'
-      }}>
-        <div style={{
-          display: 'flex',
-          flexDirection: 'column',
-          alignItems: 'center',
-          gap: '0.75rem'
-        }}>
+
+          <StatsDashboard tokens={words} wordMatches={wordMatches} rules={themedRules} activeIndex={activeIndex} />
+
+          {/* Save the results of the run */}
+          <div className="flex flex-wrap items-center justify-center gap-3 text-xs" style={{ marginBottom: '2rem' }}>
+            <span className="text-slate-400">{t("save.label", { done: activeIndex + 1, total: words.length })}</span>
+            <button
+              type="button"
+              onClick={() => handleExportResults("json")}
+              className="rounded-full border border-slate-600 px-4 py-1 font-semibold text-slate-100 hover:bg-slate-700 cursor-pointer transition"
+            >
+              {t("save.json")}
+            </button>
+            <button
+              type="button"
+              onClick={() => handleExportResults("csv")}
+              className="rounded-full border border-slate-600 px-4 py-1 font-semibold text-slate-100 hover:bg-slate-700 cursor-pointer transition"
+            >
+              {t("save.csv")}
+            </button>
+            <button
+              type="button"
+              onClick={handlePrintReport}
+              className="rounded-full border border-slate-600 px-4 py-1 font-semibold text-slate-100 hover:bg-slate-700 cursor-pointer transition"
+            >
+              {t("save.print")}
+            </button>
+            <button
+              type="button"
+              onClick={handleShareLink}
+              className="rounded-full border border-slate-600 px-4 py-1 font-semibold text-slate-100 hover:bg-slate-700 cursor-pointer transition"
+            >
+              {t("save.share")}
+            </button>
+          </div>
+          {shareUrl && (
+            <div className="flex flex-wrap items-center justify-center gap-2 text-xs text-slate-400" style={{ marginTop: '-1.5rem', marginBottom: '2rem' }}>
+              <span aria-live="polite">{shareCopied ? t("save.linkCopied") : t("save.copyLink")}</span>
+              <input
+                readOnly
+                value={shareUrl}
+                onFocus={(e) => e.target.select()}
+                aria-label={t("save.shareLink")}
+                className="w-full max-w-md rounded border border-slate-600 bg-slate-900 px-2 py-0.5 text-slate-100"
+              />
+            </div>
+          )}
+
+          <HistoryPanel runs={history} onReopen={handleReopenRun} onDelete={handleDeleteRun} />
+
+          {/* Video - Below everything, requires scroll */}
           <div style={{
-            textAlign: 'center',
-            marginBottom: '0.25rem'
+            display: 'flex',
+            justifyContent: 'center',
+            alignItems: 'center',
+            flexDirection: 'column',
+            gap: '0.75rem',
+            marginBottom: '2rem',
+            marginTop: '4rem'
           }}>
-            <h2 style={{
-              fontSize: '1.25rem',
-              fontWeight: 'bold',
-              color: '#2563eb',
-              marginBottom: '0.25rem'
-            }}>
-              My Code
-            </h2>
-            <p style={{
-              fontSize: '0.75rem',
-              color: '#94a3b8',
-              padding: '0 1rem'
-            }}>
-              Below you will find the original code to solve the coding task.
-            </p>
+            {/* Media source: YouTube by default, or a local file when YouTube is blocked or offline */}
+            <div className="flex flex-wrap items-center justify-center gap-3 text-xs text-slate-400">
+              <span>
+                {mediaSource.kind === "youtube" ? t("media.youtube") : t("media.file", { name: mediaSource.name })}
+              </span>
+              <label className="rounded-full border border-slate-600 bg-slate-800 px-4 py-1 font-semibold text-slate-100 hover:bg-slate-700 cursor-pointer transition">
+                {t("media.useFile")}
+                <input type="file" accept="audio/*,video/*" className="sr-only" onChange={handleMediaFileChange} />
+              </label>
+              {mediaSource.kind === "file" && (
+                <button
+                  type="button"
+                  onClick={analyzer.selectYouTube}
+                  className="rounded-full border border-slate-600 px-4 py-1 font-semibold text-slate-100 hover:bg-slate-700 cursor-pointer transition"
+                >
+                  {t("media.useYouTube")}
+                </button>
+              )}
+            </div>
+
+            {mediaSource.kind === "file" && mediaSource.element === "audio" ? (
+              <audio
+                key={mediaSource.url}
+                ref={analyzer.mediaElementRef}
+                src={mediaSource.url}
+                controls
+                preload="metadata"
+                style={{ width: '100%', maxWidth: '600px' }}
+              />
+            ) : (
+              <div style={{
+                width: '100%',
+                maxWidth: '600px',
+                height: '0',
+                paddingBottom: '56.25%',
+                position: 'relative',
+                borderRadius: '1.25rem',
+                overflow: 'hidden',
+                border: '3px solid var(--pa-video-border)',
+                background: 'var(--pa-video-background)',
+                boxShadow: '0 20px 50px rgba(0,0,0,0.6)'
+              }}>
+                {mediaSource.kind === "youtube" ? (
+                  <div 
+                    ref={analyzer.containerRef} 
+                    style={{ 
+                      position: 'absolute',
+                      top: '0',
+                      left: '0',
+                      width: '100%',
+                      height: '100%'
+                    }} 
+                  />
+                ) : (
+                  <video
+                    key={mediaSource.url}
+                    ref={analyzer.mediaElementRef}
+                    src={mediaSource.url}
+                    controls
+                    preload="metadata"
+                    style={{ position: 'absolute', top: '0', left: '0', width: '100%', height: '100%' }}
+                  />
+                )}
+              </div>
+            )}
+            <div className="flex flex-wrap items-center justify-center gap-3 text-xs text-slate-400">
+              <span>
+                {timing
+                  ? t("media.timingFile", { name: timingFile.name, matched: timing.matched, total: words.length })
+                  : t("media.timingEstimated")}
+              </span>
+              <label className="rounded-full border border-slate-600 bg-slate-800 px-4 py-1 font-semibold text-slate-100 hover:bg-slate-700 cursor-pointer transition">
+                {t("media.loadTiming")}
+                <input type="file" accept=".lrc,.vtt,.json,text/vtt,application/json" className="sr-only" onChange={handleTimingFileChange} />
+              </label>
+              {timingFile && (
+                <button
+                  type="button"
+                  onClick={analyzer.clearTiming}
+                  className="rounded-full border border-slate-600 px-4 py-1 font-semibold text-slate-100 hover:bg-slate-700 cursor-pointer transition"
+                >
+                  {t("media.clearTiming")}
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => setRecorderOpen((open) => !open)}
+                disabled={!canSync}
+                className="rounded-full border border-slate-600 px-4 py-1 font-semibold text-slate-100 hover:bg-slate-700 disabled:opacity-60 disabled:cursor-not-allowed cursor-pointer transition"
+              >
+                {recorderOpen ? t("media.closeRecorder") : t("media.recordTiming")}
+              </button>
+            </div>
+            {recorderOpen && canSync && (
+              <TimingRecorder
+                key={`${analyzer.timingKey}-${JSON.stringify(tokenizerOptions)}`}
+                tokens={words}
+                playerRef={analyzer.playerRef}
+                ready={ready}
+                startTime={timing ? timing.start : analyzer.section.start}
+                timing={timing}
+                title={text.title}
+                onBeforeRecord={analyzer.stop}
+                onApply={(parsed) => analyzer.applyTiming(parsed, t("media.recordedTiming"))}
+              />
+            )}
+            {analyzer.timingError && (
+              <p role="alert" className="text-xs text-red-400">
+                {t(`media.timingError.${analyzer.timingError}`)}
+              </p>
+            )}
+            {mediaSource.kind === "youtube" && (
+              <p style={{
+                fontSize: '0.75rem',
+                textAlign: 'center',
+                color: 'var(--pa-muted)'
+              }}>
+                {t("media.credit")}
+              </p>
+            )}
           </div>
-          <img
-            src="/code1.png"
-            alt="Code 1"
-            style={{
-              maxWidth: '100%',
-              width: '100%',
-              height: 'auto',
-              borderRadius: '0.5rem'
-            }}
+        </main>
+
+        <PrintReport
+          title={text.title}
+          paragraphs={paragraphs}
+          rules={themedRules}
+          wordMatches={wordMatches}
+          counts={counts}
+          activeIndex={activeIndex}
+          wordCount={words.length}
+        />
+
+        {presenting && (
+          <PresentationMode
+            paragraphs={paragraphs}
+            wordMatches={wordMatches}
+            rules={themedRules}
+            counts={counts}
+            activeIndex={activeIndex}
+            wordDuration={analyzer.activeWordDuration}
+            playing={playing}
+            onPlay={analyzer.resume}
+            onPause={analyzer.pause}
+            onClose={() => setPresenting(false)}
           />
-          <img
-            src="/code2.png"
-            alt="Code 2"
-            style={{
-              maxWidth: '100%',
-              width: '100%',
-              height: 'auto',
-              borderRadius: '0.5rem'
-            }}
-          />
-        </div>
-      </div>
-    </div>
-  );
-}
+        )}
 
-// ------------------------------------------------------------
-// StatCard Component
-// ------------------------------------------------------------
-/**
- * Displays a statistic card with a label, value, and accent color.
- * 
- * @param {string} label - The label text to display
- * @param {number} value - The numeric value to display
- * @param {string} accent - Color accent: "green", "red", or "blue"
- */
-function StatCard({ label, value, accent }) {
-  const colorClasses = {
-    green: { from: "#16a34a", to: "#22c55e" },
-    red: { from: "#bf0a30", to: "#e63946" },
-    blue: { from: "#2563eb", to: "#3b82f6" },
-  };
-
-  const colors = colorClasses[accent] || colorClasses.green;
-
-  return (
-    <div
-      className="relative overflow-hidden rounded-2xl shadow-2xl"
-      style={{
-        background: `linear-gradient(135deg, ${colors.from} 0%, ${colors.to} 100%)`,
-        boxShadow: `0 20px 40px rgba(0,0,0,0.3), 0 0 30px ${colors.from}40`,
-      }}
-    >
-      <div className="px-4 py-3 relative z-10 w-full">
-        <p
-          className="text-[10px] md:text-xs font-bold uppercase tracking-wider text-white mb-1.5 opacity-95"
-          style={{ textShadow: "0 2px 4px rgba(0,0,0,0.3)" }}
-        >
-          {label}
-        </p>
-
-        <div className="flex items-baseline justify-between w-full">
-          <span
-            key={value}
-            className="text-2xl md:text-3xl font-black text-white leading-none"
-            style={{
-              textShadow: "0 4px 8px rgba(0,0,0,0.5), 0 0 20px rgba(255,255,255,0.25)",
-            }}
-          >
-            {value}
-          </span>
-
-          <span
-            className="text-[9px] md:text-[10px] text-white opacity-90 ml-2 font-bold uppercase tracking-wide"
-            style={{ textShadow: "0 1px 2px rgba(0,0,0,0.3)" }}
-          >
-            words
-          </span>
-        </div>
+        {/* My Code Section - Separate Container */}
+        {/* This section has the original code to solve the coding task. */}
+        <MyCode />
       </div>
-
-      <div
-        className="absolute top-0 right-0 w-32 h-32 rounded-full opacity-20 blur-2xl"
-        style={{ background: colors.to, transform: "translate(30%, -30%)" }}
-      />
-      <div
-        className="absolute bottom-0 left-0 w-24 h-24 rounded-full opacity-20 blur-xl"
-        style={{ background: colors.from, transform: "translate(-30%, 30%)" }}
-      />
-    </div>
+    </I18nContext.Provider>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,748 @@
+import React from "react";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { render, screen, within, fireEvent, act } from "@testing-library/react";
+import PreambleAnalyzer, { clamp, computeCounts, progressToIndex, indexToTime } from "./PreambleAnalyzer";
+import { DEFAULT_RULES } from "./rules";
+import { DEFAULT_TOKENIZER_OPTIONS, tokenizeText } from "./tokenizer";
+import { TEXT_LIBRARY, createText } from "./texts";
+import { saveHistory, createRunRecord } from "./history";
+import { encodeShareState } from "./shareLink";
+import { formatLrc } from "./timing";
+
+describe("clamp", () => {
+  it("keeps values inside the range", () => {
+    expect(clamp(5, 0, 10)).toBe(5);
+    expect(clamp(-3, 0, 10)).toBe(0);
+    expect(clamp(42, 0, 10)).toBe(10);
+  });
+});
+
+describe("computeCounts", () => {
+  const ids = (normalized) => computeCounts({ normalized }, DEFAULT_RULES);
+
+  it("returns the ids of every matching rule", () => {
+    expect(ids("the")).toEqual(["startsT", "endsE", "startsTEndsE"]);
+    expect(ids("to")).toEqual(["startsT"]);
+    expect(ids("people")).toEqual(["endsE"]);
+    expect(ids("of")).toEqual([]);
+  });
+
+  it("tests the normalized form of the token", () => {
+    expect(computeCounts({ text: "Tranquility,", normalized: "tranquility" }, DEFAULT_RULES)).toEqual(["startsT"]);
+  });
+});
+
+describe("progressToIndex", () => {
+  const section = { start: 130, end: 170 };
+
+  it("maps the section start to the first word and the end to the word count", () => {
+    expect(progressToIndex(130, 52, section)).toBe(0);
+    expect(progressToIndex(170, 52, section)).toBe(52);
+  });
+
+  it("clamps times outside the section", () => {
+    expect(progressToIndex(0, 52, section)).toBe(0);
+    expect(progressToIndex(500, 52, section)).toBe(52);
+  });
+
+  it("eases the progress, so the middle of the section is before the middle word", () => {
+    expect(progressToIndex(150, 52, section)).toBe(23);
+  });
+
+  it("is inverted by indexToTime", () => {
+    for (let i = 0; i < 52; i++) {
+      expect(progressToIndex(indexToTime(i, 52, section), 52, section)).toBe(i);
+    }
+  });
+});
+
+// ------------------------------------------------------------
+// Component tests with a fake YouTube player
+// ------------------------------------------------------------
+const PLAYER_STATE = { ENDED: 0, PLAYING: 1, PAUSED: 2 };
+
+/** Fake `YT.Player`: playback time is set by the test */
+class FakePlayer {
+  constructor(target, { events }) {
+    this.events = events;
+    this.time = 0;
+    this.seekTo = vi.fn((seconds) => {
+      this.time = seconds;
+    });
+    this.playVideo = vi.fn();
+    this.pauseVideo = vi.fn();
+    this.getCurrentTime = () => this.time;
+    this.getDuration = () => 300;
+    this.destroy = vi.fn();
+    FakePlayer.instances.push(this);
+  }
+
+  static get latest() {
+    return FakePlayer.instances[FakePlayer.instances.length - 1];
+  }
+}
+FakePlayer.instances = [];
+
+const BLUE = "#2563eb";
+const RED = "#dc2626";
+/** The highlight is the theme's (see ./themes.js) */
+const HIGHLIGHT = "var(--pa-highlight)";
+
+/** The word spans of the preamble, in reading order (the print report has its own copy) */
+const wordSpans = () => Array.from(within(screen.getByRole("main")).getByText("We").parentElement.children);
+
+/** The number shown on a stat card */
+const statValue = (label) => screen.getByText(label, { selector: "p" }).nextElementSibling.querySelector("span").textContent;
+
+const finalCounts = () => DEFAULT_RULES.map((rule) => statValue(rule.label));
+
+/** Index of the highlighted word, or -1 */
+const highlightedIndex = () =>
+  wordSpans().findIndex((span) => span.style.background === HIGHLIGHT);
+
+function renderAnalyzer() {
+  render(
+    <React.StrictMode>
+      <PreambleAnalyzer />
+    </React.StrictMode>
+  );
+  act(() => {
+    FakePlayer.latest.events.onReady({ target: FakePlayer.latest });
+  });
+  return FakePlayer.latest;
+}
+
+/** Sets the player clock and lets the sync loop run a frame */
+function playTo(player, seconds) {
+  player.time = seconds;
+  act(() => {
+    vi.advanceTimersByTime(20);
+  });
+}
+
+describe("PreambleAnalyzer", () => {
+  beforeEach(() => {
+    vi.useFakeTimers({
+      toFake: ["setTimeout", "clearTimeout", "setInterval", "clearInterval", "requestAnimationFrame", "cancelAnimationFrame"],
+    });
+    FakePlayer.instances = [];
+    window.YT = { Player: FakePlayer, PlayerState: PLAYER_STATE };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete window.YT;
+    window.history.replaceState(null, "", "/");
+    window.localStorage.clear();
+  });
+
+  it("renders every word of the preamble with zeroed counters", () => {
+    renderAnalyzer();
+    expect(wordSpans()).toHaveLength(52);
+    expect(highlightedIndex()).toBe(-1);
+    expect(finalCounts()).toEqual(["0", "0", "0"]);
+  });
+
+  it("opens the word inspector on click and explains the matched rules", () => {
+    renderAnalyzer();
+    fireEvent.click(wordSpans()[1]);
+
+    const inspector = screen.getByRole("region", { name: "Word inspector" });
+    expect(inspector).toHaveTextContent("Word 2 of 52");
+    expect(inspector).toHaveTextContent('Analyzed as "the"');
+    for (const rule of DEFAULT_RULES) expect(inspector).toHaveTextContent(rule.label);
+    expect(inspector).toHaveTextContent("Sounds: /ð ʌ/ · 1 syllable (English pronunciation dictionary)");
+    expect(inspector).toHaveTextContent("Appears 6 times:");
+    expect(inspector).toHaveTextContent("Sung at 2:11.83 (estimated");
+    expect(wordSpans()[1]).toHaveAttribute("aria-pressed", "true");
+
+    fireEvent.click(screen.getByRole("button", { name: "Close word inspector" }));
+    expect(screen.queryByRole("region", { name: "Word inspector" })).toBeNull();
+  });
+
+  it("adds a rule for a starting sound", () => {
+    renderAnalyzer();
+    fireEvent.change(screen.getByLabelText("Condition type"), { target: { value: "startSound" } });
+    fireEvent.change(screen.getByLabelText("Sound"), { target: { value: "T" } });
+    fireEvent.click(screen.getByRole("button", { name: "Add Rule" }));
+
+    // "the" starts with the letter t but the sound /ð/; "tranquility" starts with /t/
+    fireEvent.click(wordSpans()[1]);
+    expect(screen.getByRole("region", { name: "Word inspector" })).toHaveTextContent("Not matched: Starts with a /t/ sound");
+    const tranquility = wordSpans().findIndex((span) => span.textContent.startsWith("Tranquility"));
+    fireEvent.click(wordSpans()[tranquility]);
+    expect(screen.getByRole("region", { name: "Word inspector" })).not.toHaveTextContent("Not matched: Starts with a /t/ sound");
+  });
+
+  it("opens the word inspector from the keyboard", () => {
+    renderAnalyzer();
+    fireEvent.keyDown(wordSpans()[3], { key: "Enter" });
+    expect(screen.getByRole("region", { name: "Word inspector" })).toHaveTextContent("No rule matches this word.");
+  });
+
+  it("scores quiz predictions and tapped words after the animation", () => {
+    renderAnalyzer();
+    fireEvent.click(screen.getByRole("button", { name: "Start Quiz: Predict the Counts" }));
+    fireEvent.change(screen.getByLabelText('Predicted count: Starts with "t"'), { target: { value: "10" } });
+
+    // Tap "We" (a false positive) and "the" (a hit) for the first rule
+    fireEvent.click(wordSpans()[0]);
+    fireEvent.click(wordSpans()[1]);
+    expect(screen.getByRole("option", { name: 'Starts with "t" (2 tapped)' })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Run Animation Only" }));
+    for (let i = 0; i < 52; i++) {
+      act(() => {
+        vi.advanceTimersByTime(400);
+      });
+    }
+
+    const quiz = screen.getByRole("region", { name: "Quiz" });
+    expect(quiz).toHaveTextContent("Quiz Results");
+    expect(quiz).toHaveTextContent("✓ exact");
+    expect(quiz).toHaveTextContent("1 / 9 / 1");
+    // Exact count (100%) and 1 hit of 11 marked words (9%)
+    expect(quiz).toHaveTextContent("Final score: 55%");
+    expect(wordSpans()[0]).toHaveAttribute("title", "Tapped, but it doesn't count");
+    expect(wordSpans()[1]).toHaveAttribute("title", "Tapped and it counts");
+    expect(wordSpans()[4]).toHaveAttribute("title", "Missed: this word counts");
+  });
+
+  it("restores a shared link paused at the linked word", () => {
+    window.history.replaceState(null, "", "/?text=preamble&mode=manual&wpm=300&word=20");
+    renderAnalyzer();
+
+    expect(highlightedIndex()).toBe(19);
+    expect(finalCounts()).toEqual(["4", "7", "2"]);
+    expect(screen.getByText("300 wpm")).toBeInTheDocument();
+
+    // Resuming continues the animation at the linked speed (200ms per word)
+    fireEvent.click(screen.getByRole("button", { name: "Play" }));
+    act(() => {
+      vi.advanceTimersByTime(200);
+    });
+    expect(highlightedIndex()).toBe(20);
+  });
+
+  it("falls back gracefully on a malformed link", () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    window.history.replaceState(null, "", "/?text=missing&rules=%25%25&word=abc");
+    renderAnalyzer();
+
+    expect(wordSpans()).toHaveLength(52);
+    expect(highlightedIndex()).toBe(-1);
+    expect(finalCounts()).toEqual(["0", "0", "0"]);
+    expect(screen.getByRole("status")).toHaveTextContent('Unknown text "missing".');
+    console.error.mockRestore();
+  });
+
+  it("opens a link to a pasted text saved in the history", () => {
+    const pasted = createText({ id: "pasted-1", title: "Mine", content: "To be or not to be, that is the question" });
+    saveHistory([createRunRecord({ mode: "manual", text: pasted, library: false, rules: DEFAULT_RULES, tokenizerOptions: DEFAULT_TOKENIZER_OPTIONS, wordCount: 10, counts: {}, quiz: null, quizScore: null })]);
+    const query = encodeShareState({ text: pasted, isLibraryText: false, rules: DEFAULT_RULES, mode: "manual", wordsPerMinute: 150, index: 3 });
+    window.history.replaceState(null, "", `/?${query}`);
+    renderAnalyzer();
+
+    const spans = Array.from(within(screen.getByRole("main")).getByText("question").parentElement.children);
+    expect(spans).toHaveLength(10);
+    expect(spans.findIndex((span) => span.style.background === HIGHLIGHT)).toBe(3);
+    expect(screen.queryByRole("status")).not.toBeInTheDocument();
+  });
+
+  describe("Accessibility", () => {
+    it("drives the transport from the keyboard and announces the active word", () => {
+      renderAnalyzer();
+      const live = () => document.querySelector('[aria-live="polite"]');
+
+      fireEvent.keyDown(document.body, { key: "ArrowRight" });
+      fireEvent.keyDown(document.body, { key: "l" });
+      expect(highlightedIndex()).toBe(1);
+      expect(live()).toHaveTextContent('the, word 2 of 52. Starts with "t": 1, Ends with "e": 2, Starts with "t" & ends with "e": 1.');
+
+      // Space plays the animation, and again pauses it
+      fireEvent.keyDown(document.body, { key: " " });
+      act(() => {
+        vi.advanceTimersByTime(400);
+      });
+      expect(highlightedIndex()).toBe(2);
+      fireEvent.keyDown(document.body, { key: " " });
+      act(() => {
+        vi.advanceTimersByTime(2000);
+      });
+      expect(highlightedIndex()).toBe(2);
+
+      // Keys typed into a field are left alone
+      fireEvent.keyDown(screen.getByRole("slider", { name: "Word position" }), { key: "r" });
+      expect(highlightedIndex()).toBe(2);
+
+      fireEvent.keyDown(document.body, { key: "r" });
+      expect(highlightedIndex()).toBe(-1);
+      expect(live()).toBeEmptyDOMElement();
+    });
+
+    it("marks passed matches with rule symbols and offers a high-contrast theme", () => {
+      renderAnalyzer();
+      for (let i = 0; i < 3; i++) fireEvent.keyDown(document.body, { key: "ArrowRight" });
+
+      // "the" matches all three rules
+      expect(wordSpans()[1]).toHaveTextContent("the▲●■");
+      expect(wordSpans()[1]).toHaveAccessibleName('the (Starts with "t", Ends with "e", Starts with "t" & ends with "e")');
+
+      fireEvent.click(screen.getByLabelText("Mark matches with symbols (▲ ● ■…)"));
+      expect(wordSpans()[1]).toHaveTextContent(/^the$/);
+
+      fireEvent.change(screen.getByLabelText("Theme"), { target: { value: "highContrast" } });
+      expect(wordSpans()[1]).toHaveStyle({ textDecorationColor: BLUE, fontWeight: "700" });
+      expect(wordSpans()[1].style.color).toBe("");
+      expect(wordSpans()[2].style.background).toBe(HIGHLIGHT);
+      expect(document.documentElement.style.getPropertyValue("--pa-highlight")).toBe("#ffff00");
+    });
+  });
+
+  describe("Themes", () => {
+    it("colors rules from the theme palette unless they have their own color, and remembers the theme", () => {
+      renderAnalyzer();
+      // A fourth rule, for "we", with a color of its own
+      fireEvent.change(screen.getByLabelText("Condition type"), { target: { value: "regex" } });
+      fireEvent.change(screen.getByLabelText("Regular expression"), { target: { value: "^we$" } });
+      fireEvent.change(screen.getByLabelText("Color"), { target: { value: "#123456" } });
+      fireEvent.click(screen.getByRole("button", { name: "Add Rule" }));
+
+      fireEvent.change(screen.getByLabelText("Theme"), { target: { value: "parchment" } });
+      for (let i = 0; i < 3; i++) fireEvent.keyDown(document.body, { key: "ArrowRight" });
+
+      expect(wordSpans()[0]).toHaveStyle({ color: "#123456" });
+      // "the" takes the third palette slot, parchment's blue
+      expect(wordSpans()[1]).toHaveStyle({ color: "#1d4e89" });
+      expect(document.documentElement.dataset.theme).toBe("parchment");
+      expect(document.documentElement.style.getPropertyValue("--pa-panel")).toBe("#fbf5e6");
+      expect(window.localStorage.getItem("preamble-analyzer:theme")).toBe("parchment");
+    });
+  });
+
+  describe("Languages", () => {
+    it("switches the interface language and remembers it", () => {
+      renderAnalyzer();
+      fireEvent.change(screen.getByRole("combobox", { name: "Interface language" }), { target: { value: "es" } });
+
+      expect(screen.getByRole("button", { name: "Reproducir canción y sincronizar" })).toBeInTheDocument();
+      expect(screen.getByRole("button", { name: "Reproducir" })).toBeInTheDocument();
+      expect(document.documentElement.lang).toBe("es");
+      expect(window.localStorage.getItem("preamble-analyzer:locale")).toBe("es");
+    });
+
+    it("translates the rule builder, the word inspector and the quiz", () => {
+      renderAnalyzer();
+      fireEvent.change(screen.getByRole("combobox", { name: "Interface language" }), { target: { value: "es" } });
+
+      fireEvent.change(screen.getByLabelText("Tipo de condición"), { target: { value: "prefix" } });
+      fireEvent.change(screen.getByLabelText("Letras"), { target: { value: "t" } });
+      // The default rules' labels are described again in the interface language
+      expect(screen.getByText("Empieza por «t» y termina en «e»", { selector: "p" })).toBeInTheDocument();
+      expect(screen.getByRole("alert")).toHaveTextContent("«Empieza por «t»» ya usa esta condición.");
+      expect(screen.getByRole("button", { name: "Añadir regla" })).toBeDisabled();
+
+      fireEvent.click(wordSpans()[1]);
+      const inspector = screen.getByRole("region", { name: "Inspector de palabras" });
+      expect(inspector).toHaveTextContent("Palabra 2 de 52");
+      expect(inspector).toHaveTextContent("(Empieza por «t»)");
+      expect(screen.getByRole("button", { name: "Empezar el quiz: predice los conteos" })).toBeInTheDocument();
+    });
+
+    it("counts a French text, with accents folded on request", () => {
+      renderAnalyzer();
+      fireEvent.change(screen.getByRole("combobox", { name: "Text" }), { target: { value: "preamble-fr" } });
+
+      const spans = Array.from(within(screen.getByRole("main")).getByText("Nous,").parentElement.children);
+      expect(spans).toHaveLength(56);
+      expect(spans[0].closest("[lang]")).toHaveAttribute("lang", "fr");
+      fireEvent.change(screen.getByRole("slider", { name: "Word position" }), { target: { value: "55" } });
+      expect(finalCounts()).toEqual(["0", "20", "0"]);
+
+      // "liberté" and "postérité" end in "e" once accents are folded
+      fireEvent.click(screen.getByLabelText('Ignore accents ("é" counts as "e")'));
+      fireEvent.change(screen.getByRole("slider", { name: "Word position" }), { target: { value: "55" } });
+      expect(finalCounts()).toEqual(["0", "22", "0"]);
+
+      // Letters typed for a rule are normalized like the words: "TÉ" is "te" once accents are folded
+      fireEvent.change(screen.getByLabelText("Condition type"), { target: { value: "suffix" } });
+      fireEvent.change(screen.getByLabelText("Letters"), { target: { value: " TÉ " } });
+      fireEvent.click(screen.getByRole("button", { name: "Add Rule" }));
+      expect(statValue('Ends with "te"')).toBe("4");
+    });
+  });
+
+  describe("Presentation mode", () => {
+    it("shows the text fullscreen with a karaoke fill while the song keeps playing", () => {
+      const player = renderAnalyzer();
+      fireEvent.click(screen.getByRole("button", { name: "Play Song & Sync" }));
+      playTo(player, 130);
+      fireEvent.click(screen.getByRole("button", { name: "⛶ Present" }));
+
+      const presentation = screen.getByRole("dialog", { name: "Presentation mode" });
+      playTo(player, 150);
+      const active = presentation.querySelector('[aria-current="true"]');
+      expect(active).toHaveTextContent(wordSpans()[23].textContent.trim());
+      expect(active.querySelector("[aria-hidden]").style.animation).toMatch(/^karaoke-fill [\d.]+s linear forwards$/);
+      expect(within(presentation).getByText('Starts with "t"').parentElement).toHaveTextContent(`Starts with "t" ${statValue('Starts with "t"')}`);
+
+      fireEvent.click(within(presentation).getByRole("button", { name: "Counters" }));
+      expect(within(presentation).queryByText('Starts with "t"')).not.toBeInTheDocument();
+
+      fireEvent.keyDown(document.body, { key: "Escape" });
+      expect(screen.queryByRole("dialog", { name: "Presentation mode" })).not.toBeInTheDocument();
+      expect(player.pauseVideo).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Play Song & Sync", () => {
+    it("seeks to the preamble, follows the song and pauses when the preamble ends", () => {
+      const player = renderAnalyzer();
+      fireEvent.click(screen.getByRole("button", { name: "Play Song & Sync" }));
+
+      expect(player.seekTo).toHaveBeenCalledWith(130, true);
+      expect(player.playVideo).toHaveBeenCalled();
+
+      // Nothing is highlighted before the section starts
+      playTo(player, 129);
+      expect(highlightedIndex()).toBe(-1);
+
+      playTo(player, 130);
+      expect(highlightedIndex()).toBe(0);
+      expect(wordSpans()[0].style.background).toBe(HIGHLIGHT);
+      expect(document.documentElement.style.getPropertyValue("--pa-highlight")).toBe("#fef08a");
+
+      playTo(player, 150);
+      expect(highlightedIndex()).toBe(23);
+      // Passed words take the color of their last matching rule
+      expect(wordSpans()[0]).toHaveStyle({ color: RED });
+      expect(wordSpans()[1]).toHaveStyle({ color: BLUE });
+      // Words not reached yet stay uncolored
+      expect(wordSpans()[30].style.color).toBe("");
+
+      // Past the end of the preamble the song is paused on the last word
+      playTo(player, 171);
+      expect(player.pauseVideo).toHaveBeenCalled();
+      expect(highlightedIndex()).toBe(51);
+      expect(finalCounts()).toEqual(["10", "16", "6"]);
+      expect(screen.getByRole("button", { name: "Play Song & Sync" })).toBeEnabled();
+    });
+
+    it("finishes the count when the video ends", () => {
+      const player = renderAnalyzer();
+      fireEvent.click(screen.getByRole("button", { name: "Play Song & Sync" }));
+      playTo(player, 140);
+      expect(highlightedIndex()).toBeGreaterThan(0);
+
+      act(() => {
+        player.events.onStateChange({ data: PLAYER_STATE.ENDED });
+      });
+
+      expect(highlightedIndex()).toBe(51);
+      expect(finalCounts()).toEqual(["10", "16", "6"]);
+      expect(screen.getByRole("button", { name: "Play Song & Sync" })).toBeEnabled();
+    });
+
+    it("gives the same counts when the song is replayed", () => {
+      const player = renderAnalyzer();
+      for (let run = 0; run < 2; run++) {
+        fireEvent.click(screen.getByRole("button", { name: "Play Song & Sync" }));
+        playTo(player, 130);
+        playTo(player, 171);
+        expect(finalCounts()).toEqual(["10", "16", "6"]);
+      }
+    });
+
+    it("follows a loaded timing file instead of the estimate", async () => {
+      const player = renderAnalyzer();
+      const tokens = tokenizeText(TEXT_LIBRARY[0]);
+      const lrc = formatLrc(tokens, tokens.map((_, i) => 20 + i), 80);
+      // jsdom's File has no text(); the analyzer only reads the name and the text
+      const file = { name: "preamble.lrc", text: async () => lrc };
+      await act(async () => {
+        fireEvent.change(screen.getByLabelText("Load Timing File"), { target: { files: [file] } });
+      });
+      expect(screen.getByText("Timing: preamble.lrc (52/52 words matched)")).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole("button", { name: "Play Song & Sync" }));
+      expect(player.seekTo).toHaveBeenCalledWith(20, true);
+
+      playTo(player, 19.5);
+      expect(highlightedIndex()).toBe(-1);
+      playTo(player, 20);
+      expect(highlightedIndex()).toBe(0);
+      playTo(player, 25.5);
+      expect(highlightedIndex()).toBe(5);
+      playTo(player, 71);
+      expect(highlightedIndex()).toBe(51);
+
+      playTo(player, 81);
+      expect(player.pauseVideo).toHaveBeenCalled();
+      expect(finalCounts()).toEqual(["10", "16", "6"]);
+    });
+
+    it("explains in the interface language why a timing file cannot be used", async () => {
+      renderAnalyzer();
+      vi.spyOn(console, "error").mockImplementation(() => {});
+      fireEvent.change(screen.getByLabelText("Interface language"), { target: { value: "fr" } });
+      await act(async () => {
+        fireEvent.change(screen.getByLabelText("Charger un fichier de minutage"), { target: { files: [{ name: "notes.lrc", text: async () => "We the People" }] } });
+      });
+      expect(screen.getByRole("alert")).toHaveTextContent("Le fichier de minutage ne contient aucun mot minuté.");
+
+      await act(async () => {
+        fireEvent.change(screen.getByLabelText("Charger un fichier de minutage"), { target: { files: [{ name: "broken.json", text: async () => "{ words" }] } });
+      });
+      expect(screen.getByRole("alert")).toHaveTextContent("Le fichier de minutage est illisible.");
+      console.error.mockRestore();
+    });
+  });
+
+  describe("Run history", () => {
+    it("saves a finished run and re-opens it", () => {
+      renderAnalyzer();
+      fireEvent.click(screen.getByRole("button", { name: "Run Animation Only" }));
+      for (let i = 0; i < 52; i++) {
+        act(() => {
+          vi.advanceTimersByTime(400);
+        });
+      }
+
+      expect(screen.getByText("Run History (1)")).toBeInTheDocument();
+      const [saved] = JSON.parse(window.localStorage.getItem("preamble-analyzer:history")).runs;
+      expect(saved).toMatchObject({ mode: "manual", wordCount: 52, counts: { startsT: 10, endsE: 16, startsTEndsE: 6 } });
+
+      // Start over, then re-open the saved run
+      fireEvent.click(screen.getByRole("button", { name: "Start Quiz: Predict the Counts" }));
+      expect(finalCounts()).toEqual(["0", "0", "0"]);
+      fireEvent.click(screen.getByRole("button", { name: /^Re-open .+ · / }));
+      expect(highlightedIndex()).toBe(51);
+      expect(finalCounts()).toEqual(["10", "16", "6"]);
+
+      fireEvent.click(screen.getByRole("button", { name: /^Delete .+ · / }));
+      expect(screen.getByText("Run History (0)")).toBeInTheDocument();
+    });
+  });
+
+  describe("Classroom", () => {
+    /** Fake browser WebSocket: the test plays the classroom server */
+    class FakeSocket {
+      constructor(url) {
+        this.url = url;
+        this.sent = [];
+        FakeSocket.instances.push(this);
+      }
+
+      send(text) {
+        this.sent.push(JSON.parse(text));
+      }
+
+      close() {
+        this.onclose();
+      }
+
+      receive(message) {
+        this.onmessage({ data: JSON.stringify(message) });
+      }
+
+      static get latest() {
+        return FakeSocket.instances[FakeSocket.instances.length - 1];
+      }
+    }
+
+    beforeEach(() => {
+      FakeSocket.instances = [];
+      vi.stubGlobal("WebSocket", FakeSocket);
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it("follows the teacher's screen from an invitation link", () => {
+      window.history.replaceState(null, "", "/?classroom=abcd");
+      renderAnalyzer();
+      const socket = FakeSocket.latest;
+      act(() => socket.onopen());
+      expect(socket.sent).toEqual([{ type: "join", room: "ABCD", role: "follower" }]);
+
+      act(() => {
+        socket.receive({ type: "joined", room: "ABCD", role: "follower", teacherConnected: true });
+        socket.receive({
+          type: "state",
+          state: { text: { id: "preamble" }, rules: DEFAULT_RULES, tokenizerOptions: DEFAULT_TOKENIZER_OPTIONS, mode: "manual", index: 19, playing: true },
+        });
+      });
+      expect(highlightedIndex()).toBe(19);
+      expect(finalCounts()).toEqual(["4", "7", "2"]);
+      expect(screen.getByText("Showing the teacher's screen")).toBeInTheDocument();
+
+      // The follower's own transport is off while following
+      expect(screen.queryByRole("button", { name: "Play" })).toBeNull();
+      fireEvent.keyDown(document.body, { key: "ArrowRight" });
+      expect(highlightedIndex()).toBe(19);
+
+      act(() => socket.receive({ type: "teacher", connected: false }));
+      expect(screen.getByText("Waiting for the teacher…")).toBeInTheDocument();
+    });
+
+    it("ignores malformed snapshots and clamps the teacher's word to the text", () => {
+      window.history.replaceState(null, "", "/?classroom=abcd");
+      renderAnalyzer();
+      const socket = FakeSocket.latest;
+      const valid = { text: { id: "preamble" }, rules: DEFAULT_RULES, tokenizerOptions: DEFAULT_TOKENIZER_OPTIONS, mode: "manual", index: 3, playing: false };
+      vi.spyOn(console, "error").mockImplementation(() => {});
+      act(() => {
+        socket.onopen();
+        socket.receive({ type: "joined", room: "ABCD", role: "follower", teacherConnected: true });
+        socket.receive({ type: "state", state: valid });
+      });
+      expect(highlightedIndex()).toBe(3);
+
+      act(() => {
+        socket.receive({ type: "state", state: null });
+        socket.receive({ type: "state", state: { ...valid, text: null } });
+        socket.receive({ type: "state", state: { ...valid, rules: [{ id: "x", label: "X", condition: { type: "and", conditions: [null] } }] } });
+        socket.receive({ type: "state", state: { ...valid, rules: [{ id: "x", label: "X", condition: { type: "shout" } }] } });
+      });
+      expect(highlightedIndex()).toBe(3);
+      expect(console.error).toHaveBeenCalledTimes(4);
+
+      act(() => socket.receive({ type: "state", state: { ...valid, index: 500 } }));
+      expect(highlightedIndex()).toBe(51);
+      expect(finalCounts()).toEqual(["10", "16", "6"]);
+    });
+
+    it("broadcasts the active word when teaching", () => {
+      renderAnalyzer();
+      fireEvent.change(screen.getByLabelText("Room code"), { target: { value: "abcd" } });
+      fireEvent.click(screen.getByRole("button", { name: "Start a class" }));
+      expect(screen.getByText("Room ABCD")).toBeInTheDocument();
+
+      const socket = FakeSocket.latest;
+      act(() => {
+        socket.onopen();
+        socket.receive({ type: "joined", room: "ABCD", role: "teacher", teacherConnected: true });
+        socket.receive({ type: "followers", count: 3 });
+      });
+      expect(screen.getByText(/3 following/)).toBeInTheDocument();
+
+      fireEvent.keyDown(document.body, { key: "ArrowRight" });
+      const last = socket.sent[socket.sent.length - 1];
+      expect(last).toMatchObject({ type: "state", state: { text: { id: "preamble" }, index: 0, rules: DEFAULT_RULES } });
+    });
+
+    it("shows a refused teacher the server's error in their language and stays disconnected", () => {
+      renderAnalyzer();
+      fireEvent.change(screen.getByLabelText("Interface language"), { target: { value: "es" } });
+      fireEvent.change(screen.getByLabelText("Código de sala"), { target: { value: "abcd" } });
+      fireEvent.click(screen.getByRole("button", { name: "Iniciar una clase" }));
+
+      const socket = FakeSocket.latest;
+      act(() => {
+        socket.onopen();
+        socket.receive({ type: "error", code: "wrongSecret", params: { room: "ABCD" } });
+      });
+      expect(screen.getByRole("alert")).toHaveTextContent("La sala ABCD ya tiene docente.");
+      expect(screen.getByText("Desconectado", { exact: false })).toBeInTheDocument();
+      act(() => {
+        vi.advanceTimersByTime(60000);
+      });
+      expect(FakeSocket.instances).toHaveLength(1);
+    });
+  });
+
+  describe("Practice", () => {
+    it("blanks every fifth word and scores the typed answers", () => {
+      renderAnalyzer();
+      fireEvent.click(screen.getByRole("button", { name: "Practice: Fill in the Blanks" }));
+
+      // "the" (word 5) is masked in the text and can't be inspected
+      expect(wordSpans()[4]).toHaveTextContent("__");
+      fireEvent.click(wordSpans()[4]);
+      expect(screen.queryByRole("region", { name: "Word inspector" })).toBeNull();
+
+      const practice = screen.getByRole("region", { name: "Practice" });
+      fireEvent.change(within(practice).getByLabelText("Blank 1 of 10"), { target: { value: "The" } });
+      fireEvent.change(within(practice).getByLabelText("Blank 2 of 10"), { target: { value: "to" } });
+      fireEvent.change(within(practice).getByLabelText("Blank 3 of 10"), { target: { value: "onion" } });
+      fireEvent.click(within(practice).getByRole("button", { name: "Check Answers" }));
+
+      expect(practice).toHaveTextContent("Accuracy: 2 / 10 (20%)");
+      expect(practice).toHaveTextContent("s per blank");
+      expect(practice).toHaveTextContent("should be “Union”");
+      expect(wordSpans()[4]).toHaveTextContent("the");
+    });
+
+    it("rebuilds shuffled phrases word by word", () => {
+      renderAnalyzer();
+      fireEvent.click(screen.getByRole("button", { name: "Practice: Unscramble" }));
+      const practice = screen.getByRole("region", { name: "Practice" });
+      expect(practice).toHaveTextContent("Phrase 1 of");
+
+      fireEvent.click(within(practice).getByRole("button", { name: "People" }));
+      expect(within(practice).getByRole("status")).toHaveTextContent("“People” doesn't come next.");
+
+      for (const word of ["We", "the", "People", "of", "the", "United", "States"]) {
+        fireEvent.click(within(practice).getAllByRole("button", { name: word })[0]);
+      }
+      expect(practice).toHaveTextContent("Phrase 2 of");
+      expect(wordSpans()[6]).toHaveTextContent("States,");
+      expect(wordSpans()[7]).toHaveTextContent("__");
+    });
+
+    it("scores words typed ahead of the animation", () => {
+      window.history.replaceState(null, "", "/?text=gettysburg");
+      render(<PreambleAnalyzer />);
+      fireEvent.click(screen.getByRole("button", { name: "Practice: Sing Along from Memory" }));
+      const input = screen.getByLabelText("Type the next word");
+
+      fireEvent.change(input, { target: { value: "Four score " } });
+      // The highlight moves on to "seven" (word 4), so "and" comes in late
+      for (let i = 0; i < 4; i++) {
+        act(() => {
+          vi.advanceTimersByTime(400);
+        });
+      }
+      fireEvent.change(input, { target: { value: "and sven" } });
+      fireEvent.keyDown(input, { key: "Enter" });
+      expect(screen.getByRole("region", { name: "Practice" })).toHaveTextContent("4 of 271 typed · 3 right · 2 ahead of the highlight");
+
+      // Typed words come back into the text, marked; the rest stays hidden
+      const spans = within(screen.getByRole("main")).getByText("Four").parentElement.children;
+      expect(spans[1]).toHaveTextContent("score");
+      expect(spans[4]).toHaveAttribute("aria-label", "Hidden word");
+    });
+  });
+
+  describe("Run Animation Only", () => {
+    it("steps through the words on a timer and ends with the final counts", () => {
+      const player = renderAnalyzer();
+      fireEvent.click(screen.getByRole("button", { name: "Run Animation Only" }));
+      expect(player.pauseVideo).toHaveBeenCalled();
+      expect(screen.getByRole("button", { name: "Animating…" })).toBeDisabled();
+
+      act(() => {
+        vi.advanceTimersByTime(400);
+      });
+      expect(highlightedIndex()).toBe(0);
+      expect(finalCounts()).toEqual(["0", "1", "0"]);
+
+      act(() => {
+        vi.advanceTimersByTime(400);
+      });
+      expect(highlightedIndex()).toBe(1);
+      expect(wordSpans()[0]).toHaveStyle({ color: RED });
+
+      for (let i = 2; i < 52; i++) {
+        act(() => {
+          vi.advanceTimersByTime(400);
+        });
+      }
+
+      expect(highlightedIndex()).toBe(51);
+      expect(finalCounts()).toEqual(["10", "16", "6"]);
+      expect(screen.getByRole("button", { name: "Run Animation Only" })).toBeEnabled();
+    });
+  });
+});
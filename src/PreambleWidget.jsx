@@ -0,0 +1,114 @@
+import React, { useEffect, useMemo } from "react";
+import { DEFAULT_RULES, localizeRules } from "./rules";
+import { I18nContext, translate } from "./i18n";
+import { TEXT_LIBRARY } from "./texts";
+import { DEFAULT_THEME_ID, getTheme, themeVariables, themeRules } from "./themes";
+import { DEFAULT_TOKENIZER_OPTIONS } from "./tokenizer";
+import TransportControls from "./TransportControls";
+import WordStream from "./WordStream";
+import StatGrid from "./StatGrid";
+import usePreambleAnalyzer, { DEFAULT_WORDS_PER_MINUTE } from "./usePreambleAnalyzer";
+
+/**
+ * PreambleWidget
+ * ------------------------------------------------------------
+ * The compact analyzer for embedding in other pages: the word stream, the
+ * transport and the counters, in animation mode only (no song, panels or
+ * history). The <preamble-analyzer> element (./embed.jsx) renders it from its
+ * attributes; React pages can render it directly.
+ *
+ * The theme's custom properties are set on the widget's own root, so it looks
+ * the same on any page (see ./themes.js).
+ */
+
+/**
+ * Embeddable analyzer widget. Every prop is an initial value, read on mount.
+ *
+ * @param {string} [textId] - Library text to show (default: the Preamble)
+ * @param {Array<Object>} [rules] - Counting rules (default: the "t" / "e" rules)
+ * @param {Object} [tokenizerOptions] - How the text is split into words
+ * @param {number} [wordsPerMinute] - Animation speed
+ * @param {number} [index] - Word to start paused at
+ * @param {string} [locale] - Interface language (see ./i18n.js)
+ * @param {boolean} [symbols] - Mark matches with the rule symbols
+ * @param {string} [theme] - Color theme id (see ./themes.js)
+ * @param {boolean} [highContrast] - Use the high-contrast theme, whatever `theme` says
+ * @param {boolean} [controls] - Show the transport controls
+ * @param {boolean} [counters] - Show the counter cards
+ * @param {boolean} [autoplay] - Start the animation on mount
+ * @param {Array<{ key: string, params?: Object }>} [warnings] - Configuration problems to show above the text, as translation keys
+ */
+export default function PreambleWidget({
+  textId = TEXT_LIBRARY[0].id,
+  rules = DEFAULT_RULES,
+  tokenizerOptions = DEFAULT_TOKENIZER_OPTIONS,
+  wordsPerMinute = DEFAULT_WORDS_PER_MINUTE,
+  index = null,
+  locale = "en",
+  symbols = true,
+  theme: themeId = DEFAULT_THEME_ID,
+  highContrast = false,
+  controls = true,
+  counters = true,
+  autoplay = false,
+  warnings = [],
+}) {
+  const t = (key, params) => translate(locale, key, params);
+  const analyzer = usePreambleAnalyzer({ textId, rules, tokenizerOptions, wordsPerMinute, index, mode: "manual" });
+  const { words, activeIndex } = analyzer;
+  const theme = getTheme(highContrast ? "highContrast" : themeId);
+  const themedRules = useMemo(() => themeRules(localizeRules(analyzer.rules, t), theme), [analyzer.rules, theme, locale]);
+
+  useEffect(() => {
+    if (autoplay) analyzer.startManual();
+  }, []);
+
+  return (
+    <I18nContext.Provider value={{ locale, t }}>
+      <div
+        className="rounded-3xl p-4 text-slate-100 space-y-4"
+        style={{
+          ...themeVariables(theme),
+          background: "var(--pa-page)",
+          fontFamily: "'Poppins', -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif",
+        }}
+      >
+        {warnings.length > 0 && (
+          <ul role="status" className="list-disc rounded-xl border border-yellow-400/40 bg-yellow-400/10 px-4 py-2 pl-8 text-xs text-yellow-100">
+            {warnings.map((warning) => (
+              <li key={warning.key}>{t(warning.key, warning.params)}</li>
+            ))}
+          </ul>
+        )}
+
+        <WordStream
+          paragraphs={analyzer.paragraphs}
+          rules={themedRules}
+          wordMatches={analyzer.wordMatches}
+          activeIndex={activeIndex}
+          language={analyzer.text.language}
+          highContrast={theme.contrast}
+          symbols={symbols}
+        />
+
+        {controls && (
+          <TransportControls
+            playing={analyzer.playing}
+            index={activeIndex}
+            wordCount={words.length}
+            currentWord={activeIndex >= 0 ? words[activeIndex].text : null}
+            onPlay={analyzer.resume}
+            onPause={analyzer.pause}
+            onStep={analyzer.step}
+            onSeek={analyzer.seek}
+            wordsPerMinute={analyzer.wordsPerMinute}
+            onWordsPerMinuteChange={analyzer.setWordsPerMinute}
+            showSpeed
+          />
+        )}
+
+        {counters && <StatGrid rules={themedRules} counts={analyzer.counts} symbols={symbols} />}
+      </div>
+    </I18nContext.Provider>
+  );
+}
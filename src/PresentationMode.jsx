@@ -0,0 +1,155 @@
+import React, { useEffect, useRef, useState } from "react";
+import { colorRule } from "./rules";
+import { useI18n } from "./i18n";
+
+/**
+ * PresentationMode
+ * ------------------------------------------------------------
+ * Fullscreen karaoke view for classroom projection: only the text, in very
+ * large type, with the active word filling from left to right while it is
+ * sung and its line kept in view. Playback stays with the analyzer's player,
+ * so the song keeps playing underneath. Its colors are the theme's
+ * `--pa-stage*` properties (see ./themes.js).
+ */
+
+/**
+ * Presentation overlay.
+ *
+ * @param {Array<Array<Object>>} paragraphs - Tokens grouped by paragraph
+ * @param {Array<Array<string>>} wordMatches - Matched rule ids per token index
+ * @param {Array<Object>} rules - The active rule list
+ * @param {Object} counts - Counts up to the active word, by rule id
+ * @param {number} activeIndex - Active word index (-1 before the first word)
+ * @param {number} wordDuration - How long the active word lasts, in seconds (drives the fill)
+ * @param {boolean} playing - Whether a run is currently advancing
+ * @param {Function} onPlay - Starts or resumes the run
+ * @param {Function} onPause - Pauses the run
+ * @param {Function} onClose - Leaves presentation mode
+ */
+export default function PresentationMode({ paragraphs, wordMatches, rules, counts, activeIndex, wordDuration, playing, onPlay, onPause, onClose }) {
+  const { t } = useI18n();
+  const [showCounters, setShowCounters] = useState(true);
+  const overlayRef = useRef(null);
+  const activeWordRef = useRef(null);
+
+  // Go fullscreen on open; leaving fullscreen (e.g. with Esc) closes the presentation
+  useEffect(() => {
+    const overlay = overlayRef.current;
+    const handleFullscreenChange = () => {
+      if (!document.fullscreenElement) onClose();
+    };
+
+    if (typeof overlay.requestFullscreen === "function") {
+      overlay
+        .requestFullscreen()
+        .then(() => document.addEventListener("fullscreenchange", handleFullscreenChange))
+        .catch((error) => console.error("Error entering fullscreen:", error));
+    }
+
+    return () => {
+      document.removeEventListener("fullscreenchange", handleFullscreenChange);
+      if (document.fullscreenElement === overlay) {
+        document.exitFullscreen().catch((error) => console.error("Error leaving fullscreen:", error));
+      }
+    };
+  }, []);
+
+  // Esc also closes the overlay when the browser would not go fullscreen
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  // Keep the line being sung in the middle of the screen
+  useEffect(() => {
+    const word = activeWordRef.current;
+    if (word && typeof word.scrollIntoView === "function") {
+      word.scrollIntoView({ block: "center", behavior: "smooth" });
+    }
+  }, [activeIndex]);
+
+  const buttonClass = "rounded-full px-4 py-1 text-sm font-semibold hover:opacity-80 cursor-pointer";
+  const buttonStyle = { border: "1px solid var(--pa-stage-dim)", background: "var(--pa-stage-card)", color: "var(--pa-stage-text)" };
+
+  return (
+    <div
+      ref={overlayRef}
+      role="dialog"
+      aria-modal="true"
+      aria-label={t("presentation.label")}
+      className="fixed inset-0 z-50 overflow-y-auto print:hidden"
+      style={{ background: "var(--pa-stage)", color: "var(--pa-stage-text)" }}
+    >
+      <div className="sticky top-0 z-10 flex flex-wrap items-start justify-between gap-3 p-4">
+        {showCounters ? (
+          <div className="flex flex-wrap gap-3" aria-label={t("presentation.counters")}>
+            {rules.map((rule) => (
+              <div key={rule.id} className="rounded-xl px-4 py-2 text-lg font-bold" style={{ border: `2px solid ${rule.color}`, background: "var(--pa-stage-card)" }}>
+                <span className="opacity-80">{rule.label}</span> <span style={{ color: rule.color }}>{counts[rule.id] || 0}</span>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div />
+        )}
+        <div className="flex gap-2">
+          <button type="button" className={buttonClass} style={buttonStyle} onClick={playing ? onPause : onPlay}>
+            {playing ? `⏸ ${t("transport.pause")}` : `▶ ${t("transport.play")}`}
+          </button>
+          <button type="button" className={buttonClass} style={buttonStyle} onClick={() => setShowCounters((shown) => !shown)} aria-pressed={showCounters}>
+            {t("presentation.counters")}
+          </button>
+          <button type="button" className={buttonClass} style={buttonStyle} onClick={onClose}>
+            {t("presentation.exit")}
+          </button>
+        </div>
+      </div>
+
+      <div className="mx-auto max-w-6xl px-8 py-[40vh] font-bold" style={{ fontSize: "clamp(2.5rem, 6vw, 5rem)", lineHeight: 1.4 }}>
+        {paragraphs.map((paragraphWords, p) => (
+          <p key={p} className="mb-[0.6em]">
+            {paragraphWords.map((token) => {
+              const i = token.index;
+              const word = token.leading + token.text + token.trailing;
+              const matchedRule = i < activeIndex ? colorRule(rules, wordMatches[i]) : null;
+
+              if (i !== activeIndex) {
+                return (
+                  <span key={i} style={{ color: matchedRule ? matchedRule.color : i < activeIndex ? "var(--pa-stage-text)" : "var(--pa-stage-dim)" }}>
+                    {word}
+                    {token.spaceAfter ? " " : ""}
+                  </span>
+                );
+              }
+
+              // The active word: a filled copy grows across the dim one over the word's duration (shown whole when paused)
+              return (
+                <span key={i} ref={activeWordRef} aria-current="true">
+                  <span className="relative inline-block whitespace-nowrap">
+                    <span style={{ color: "var(--pa-stage-dim)" }}>{word}</span>
+                    <span
+                      key={`fill-${i}`}
+                      aria-hidden="true"
+                      className="absolute left-0 top-0 overflow-hidden whitespace-nowrap"
+                      style={
+                        playing
+                          ? { color: "var(--pa-stage-fill)", animation: `karaoke-fill ${Math.max(wordDuration, 0.05)}s linear forwards` }
+                          : { color: "var(--pa-stage-fill)", width: "100%" }
+                      }
+                    >
+                      {word}
+                    </span>
+                  </span>
+                  {token.spaceAfter ? " " : ""}
+                </span>
+              );
+            })}
+          </p>
+        ))}
+      </div>
+    </div>
+  );
+}
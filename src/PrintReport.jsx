@@ -0,0 +1,76 @@
+import React from "react";
+import { colorRule, describeCondition } from "./rules";
+import { useI18n } from "./i18n";
+
+/**
+ * PrintReport
+ * ------------------------------------------------------------
+ * Hand-out version of the analysis, only shown when the page is printed
+ * (or saved as PDF from the print dialog): the text with analyzed words
+ * colored by rule, a legend, and the counter totals.
+ */
+
+/**
+ * Printable report.
+ *
+ * @param {string} title - Title of the text
+ * @param {Array<Array<Object>>} paragraphs - Tokens grouped by paragraph
+ * @param {Array<Object>} rules - The active rule list
+ * @param {Array<Array<string>>} wordMatches - Matching rule ids for each token
+ * @param {Object} counts - Counter totals by rule id
+ * @param {number} activeIndex - Last analyzed word (-1 before the first word)
+ * @param {number} wordCount - Number of words in the text
+ */
+export default function PrintReport({ title, paragraphs, rules, wordMatches, counts, activeIndex, wordCount }) {
+  const { t, locale } = useI18n();
+  return (
+    <section className="hidden print:block text-black" aria-hidden="true">
+      <h1 className="text-2xl font-bold">{title}</h1>
+      <p className="mb-4 text-sm">
+        {t("report.analyzed", { done: activeIndex + 1, total: wordCount, date: new Date().toLocaleDateString(locale) })}
+      </p>
+
+      <div className="mb-6 space-y-3 text-lg leading-relaxed">
+        {paragraphs.map((paragraphWords, p) => (
+          <p key={p}>
+            {paragraphWords.map((token) => {
+              const rule = token.index <= activeIndex ? colorRule(rules, wordMatches[token.index]) : null;
+              const style = rule ? { color: rule.color, fontWeight: 700, textDecoration: "underline", textDecorationColor: rule.color } : {};
+              return (
+                <span key={token.index}>
+                  {token.leading}
+                  <span style={style}>{token.text}</span>
+                  {token.trailing + (token.spaceAfter ? " " : "")}
+                </span>
+              );
+            })}
+          </p>
+        ))}
+      </div>
+
+      <table className="w-full border-collapse text-left text-sm">
+        <thead>
+          <tr>
+            <th className="border border-black px-2 py-1">{t("report.color")}</th>
+            <th className="border border-black px-2 py-1">{t("report.rule")}</th>
+            <th className="border border-black px-2 py-1">{t("report.condition")}</th>
+            <th className="border border-black px-2 py-1">{t("report.words")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rules.map((rule) => (
+            <tr key={rule.id}>
+              <td className="border border-black px-2 py-1">
+                <span style={{ color: rule.color, fontWeight: 700 }}>■ {rule.color}</span>
+              </td>
+              <td className="border border-black px-2 py-1">{rule.label}</td>
+              <td className="border border-black px-2 py-1">{describeCondition(rule.condition, t)}</td>
+              <td className="border border-black px-2 py-1 font-bold">{counts[rule.id] || 0}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="mt-2 text-xs">{t("report.note")}</p>
+    </section>
+  );
+}
@@ -0,0 +1,154 @@
+import React from "react";
+import { useI18n } from "./i18n";
+
+/**
+ * QuizPanel
+ * ------------------------------------------------------------
+ * Prediction form and live scoreboard for the quiz mode (see ./quiz.js).
+ * Before the run: a count input per rule and a choice of which rule word taps
+ * apply to. During the run: predicted vs. actual counts so far. After the last
+ * word: the final score.
+ */
+
+/** How quiz marks are drawn on the word spans; shared with the text panel (tooltips: "quiz.mark.<mark>") */
+export const QUIZ_MARK_STYLES = {
+  hit: { boxShadow: "inset 0 -3px 0 var(--pa-mark-correct)" },
+  miss: { outline: "2px dashed var(--pa-mark-wrong)", outlineOffset: "1px" },
+  falsePositive: { textDecoration: "line-through", textDecorationColor: "var(--pa-mark-wrong)", textDecorationThickness: "2px" },
+};
+
+/**
+ * Quiz panel.
+ *
+ * @param {Object|null} quiz - The quiz, or null when quiz mode is off
+ * @param {Array<Object>} rules - The active rule list
+ * @param {Object|null} result - Result of `scoreQuiz` for the words passed so far
+ * @param {boolean} finished - Whether the run has reached the last word
+ * @param {boolean} canStart - Whether a quiz may be started (no run in progress)
+ * @param {Function} onStart - Starts a new quiz
+ * @param {Function} onChange - Called with the updated quiz
+ * @param {Function} onClose - Leaves quiz mode
+ */
+export default function QuizPanel({ quiz, rules, result, finished, canStart, onStart, onChange, onClose }) {
+  const { t } = useI18n();
+  const buttonClass =
+    "rounded-full border border-slate-600 px-4 py-1 text-xs font-semibold text-slate-100 hover:bg-slate-700 disabled:opacity-60 disabled:cursor-not-allowed cursor-pointer transition";
+
+  if (!quiz) {
+    return (
+      <div className="flex justify-center">
+        <button type="button" className={buttonClass} onClick={onStart} disabled={!canStart}>
+          {t("quiz.start")}
+        </button>
+      </div>
+    );
+  }
+
+  const setPrediction = (ruleId, value) => {
+    const predictions = { ...quiz.predictions };
+    if (value === "") delete predictions[ruleId];
+    else predictions[ruleId] = Math.max(0, Math.floor(Number(value)));
+    onChange({ ...quiz, predictions });
+  };
+
+  return (
+    <section aria-label={t("quiz.label")} className="space-y-3 rounded-2xl border border-yellow-400/40 bg-slate-900/60 p-4 text-sm text-slate-200">
+      <div className="flex items-center justify-between gap-3">
+        <h2 className="font-semibold text-yellow-300">
+          {quiz.locked ? (finished ? t("quiz.title.results") : t("quiz.title.live")) : t("quiz.title.predict")}
+        </h2>
+        <button type="button" className={buttonClass} onClick={onClose}>
+          {t("quiz.leave")}
+        </button>
+      </div>
+
+      {!quiz.locked && (
+        <>
+          <p className="text-xs text-slate-400">{t("quiz.hint")}</p>
+          <div className="grid gap-2 sm:grid-cols-2">
+            {rules.map((rule) => (
+              <label key={rule.id} className="flex items-center justify-between gap-2 text-xs">
+                <span className="flex items-center gap-2">
+                  <span aria-hidden="true" className="inline-block h-3 w-3 rounded-full" style={{ backgroundColor: rule.color }} />
+                  {rule.label}
+                </span>
+                <input
+                  type="number"
+                  min="0"
+                  className="w-20 rounded border border-slate-600 bg-slate-900 px-2 py-0.5 text-slate-100"
+                  value={quiz.predictions[rule.id] ?? ""}
+                  onChange={(e) => setPrediction(rule.id, e.target.value)}
+                  aria-label={t("quiz.predicted", { rule: rule.label })}
+                />
+              </label>
+            ))}
+          </div>
+          <label className="flex flex-wrap items-center gap-2 text-xs">
+            <span>{t("quiz.pickFor")}</span>
+            <select
+              className="rounded-lg border border-slate-600 bg-slate-900 px-2 py-1 text-slate-100"
+              value={quiz.pickRuleId ?? ""}
+              onChange={(e) => onChange({ ...quiz, pickRuleId: e.target.value })}
+            >
+              {rules.map((rule) => (
+                <option key={rule.id} value={rule.id}>
+                  {t("quiz.pickOption", { rule: rule.label, count: (quiz.picks[rule.id] || []).length })}
+                </option>
+              ))}
+            </select>
+          </label>
+        </>
+      )}
+
+      {quiz.locked && result && (
+        <>
+          <table className="w-full text-left text-xs">
+            <thead className="text-slate-400">
+              <tr>
+                <th className="py-0.5 font-normal">{t("quiz.column.rule")}</th>
+                <th className="py-0.5 font-normal">{t("quiz.column.predicted")}</th>
+                <th className="py-0.5 font-normal">{finished ? t("quiz.column.actual") : t("quiz.column.soFar")}</th>
+                <th className="py-0.5 font-normal">{t("quiz.column.taps")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.rules.map((rule) => (
+                <tr key={rule.id}>
+                  <td className="py-0.5" style={{ color: rule.color }}>
+                    {rule.label}
+                  </td>
+                  <td className="py-0.5">{rule.predicted ?? "—"}</td>
+                  <td className="py-0.5">
+                    {rule.actual}
+                    {finished && rule.difference != null && rule.difference !== 0 && (
+                      <span className="text-slate-400">
+                        {" "}
+                        ({rule.difference > 0 ? t("quiz.tooMany", { n: rule.difference }) : t("quiz.tooFew", { n: -rule.difference })})
+                      </span>
+                    )}
+                    {finished && rule.difference === 0 && <span className="text-green-400"> {t("quiz.exact")}</span>}
+                  </td>
+                  <td className="py-0.5">{rule.tapped ? `${rule.hits} / ${rule.misses} / ${rule.falsePositives}` : "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex flex-wrap gap-3 text-xs text-slate-400">
+            {Object.entries(QUIZ_MARK_STYLES).map(([mark, style]) => (
+              <span key={mark} style={style}>
+                {t(`quiz.mark.${mark}`)}
+              </span>
+            ))}
+          </div>
+
+          {finished && (
+            <p className="text-lg font-bold text-slate-50" aria-live="polite">
+              {result.score == null ? t("quiz.noPredictions") : t("quiz.score", { score: result.score })}
+            </p>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,484 @@
+import React, { useState, useEffect } from "react";
+import { PHONEMES } from "./phonetics";
+import {
+  createRuleId,
+  describeCondition,
+  localizeRules,
+  validateRule,
+} from "./rules";
+import { themeRules } from "./themes";
+import { normalizeWord } from "./tokenizer";
+import { useI18n } from "./i18n";
+
+/**
+ * RuleBuilder
+ * ------------------------------------------------------------
+ * Panel for adding, editing, reordering and deleting counting rules.
+ * The rule list itself is owned by the parent; every change is reported
+ * through `onChange` with the complete new list.
+ *
+ * A rule keeps the theme's color for its position (see ./themes.js) until a
+ * color is picked for it; "Theme color" gives it back.
+ *
+ * While the form holds a valid condition it is reported through `onPreview`,
+ * so the parent can mark the words the draft would match before it is saved.
+ *
+ * Letters typed for a rule are normalized like the text's words (see
+ * `normalizeWord`), so "É" matches what "é" would. A rule saved without a label
+ * gets the English description of its condition, which is shown translated
+ * (see `localizeRules`).
+ */
+
+/** Condition types the form can edit, grouped and in the order they appear in the picker (labelled "ruleBuilder.type.<type>") */
+const CONDITION_TYPES = [
+  { type: "prefix", group: "letters" },
+  { type: "suffix", group: "letters" },
+  { type: "startsEnds", group: "letters" },
+  { type: "contains", group: "letters" },
+  { type: "regex", group: "letters" },
+  { type: "length", group: "letters" },
+  { type: "vowels", group: "letters" },
+  { type: "consonants", group: "letters" },
+  { type: "startSound", group: "sounds" },
+  { type: "endSound", group: "sounds" },
+  { type: "silentE", group: "sounds" },
+  { type: "syllables", group: "sounds" },
+];
+
+/** Picker groups, in order (labelled "ruleBuilder.group.<group>") */
+const CONDITION_GROUPS = ["letters", "sounds"];
+
+/** Condition types that take a min/max range instead of letters */
+const RANGE_TYPES = ["length", "vowels", "consonants", "syllables"];
+
+/** Condition types that take a sound */
+const SOUND_TYPES = ["startSound", "endSound"];
+
+/**
+ * Utility: Parses a range input, treating an empty field as "no bound".
+ *
+ * @param {string} text - The raw input value
+ * @returns {number|undefined} The parsed bound (NaN for junk, caught by validation)
+ */
+function parseBound(text) {
+  return text.trim() === "" ? undefined : Number(text);
+}
+
+/**
+ * Utility: Builds an empty form state. Its color is null: the theme's.
+ *
+ * @returns {Object} Form state
+ */
+function emptyDraft() {
+  return {
+    type: "prefix",
+    value: "",
+    value2: "",
+    pattern: "",
+    flags: "",
+    phoneme: "T",
+    min: "",
+    max: "",
+    label: "",
+    color: null,
+    fixedCondition: null,
+  };
+}
+
+/**
+ * Utility: Loads an existing rule into form state.
+ * Conditions the form cannot express (arbitrary AND/OR/NOT trees) are kept
+ * as-is in `fixedCondition`, so their label and color can still be edited.
+ *
+ * @param {Object} rule - The rule to edit
+ * @returns {Object} Form state
+ */
+function ruleToDraft(rule) {
+  const draft = { ...emptyDraft(), color: rule.color || null };
+  const { condition } = rule;
+  if (rule.label !== describeCondition(condition)) draft.label = rule.label;
+
+  if (["prefix", "suffix", "contains"].includes(condition.type)) {
+    return { ...draft, type: condition.type, value: condition.value };
+  }
+  if (condition.type === "regex") {
+    return { ...draft, type: "regex", pattern: condition.pattern, flags: condition.flags || "" };
+  }
+  if (SOUND_TYPES.includes(condition.type)) {
+    return { ...draft, type: condition.type, phoneme: condition.phoneme };
+  }
+  if (condition.type === "silentE") {
+    return { ...draft, type: "silentE" };
+  }
+  if (RANGE_TYPES.includes(condition.type)) {
+    return {
+      ...draft,
+      type: condition.type,
+      min: condition.min != null ? String(condition.min) : "",
+      max: condition.max != null ? String(condition.max) : "",
+    };
+  }
+  const [first, second] = condition.conditions || [];
+  if (
+    condition.type === "and" &&
+    condition.conditions.length === 2 &&
+    first.type === "prefix" &&
+    second.type === "suffix"
+  ) {
+    return { ...draft, type: "startsEnds", value: first.value, value2: second.value };
+  }
+  return { ...draft, fixedCondition: condition };
+}
+
+/**
+ * Utility: Converts form state into a condition object.
+ *
+ * @param {Object} draft - Form state
+ * @param {Object} wordOptions - Options for `normalizeWord`: the text's tokenizer options and locale
+ * @returns {Object} A condition object (not yet validated)
+ */
+function draftToCondition(draft, wordOptions) {
+  if (draft.fixedCondition) return draft.fixedCondition;
+
+  const letters = (text) => normalizeWord(text, wordOptions);
+  switch (draft.type) {
+    case "startsEnds":
+      return {
+        type: "and",
+        conditions: [
+          { type: "prefix", value: letters(draft.value) },
+          { type: "suffix", value: letters(draft.value2) },
+        ],
+      };
+    case "regex":
+      return { type: "regex", pattern: draft.pattern, flags: draft.flags.trim() || undefined };
+    case "startSound":
+    case "endSound":
+      return { type: draft.type, phoneme: draft.phoneme };
+    case "silentE":
+      return { type: "silentE" };
+    case "length":
+    case "vowels":
+    case "consonants":
+    case "syllables":
+      return { type: draft.type, min: parseBound(draft.min), max: parseBound(draft.max) };
+    default:
+      return { type: draft.type, value: letters(draft.value) };
+  }
+}
+
+/**
+ * Rule builder panel.
+ *
+ * @param {Array<Object>} rules - The current rule list
+ * @param {Object} theme - The active theme, for the colors of rules without their own
+ * @param {Object} tokenizerOptions - How the text is split into words, for normalizing typed letters
+ * @param {string} language - The text's language (BCP 47), for lowercasing typed letters
+ * @param {Function} onChange - Called with the new rule list after any edit
+ * @param {Function} [onPreview] - Called with the draft condition while it is valid, or null
+ */
+export default function RuleBuilder({ rules, theme, tokenizerOptions, language, onChange, onPreview }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(() => emptyDraft());
+  const [editingId, setEditingId] = useState(null); // Id of the rule loaded into the form, or null when adding
+  const [touched, setTouched] = useState(false); // Only show errors once the user has typed something
+
+  const candidate = {
+    id: editingId || "__draft__",
+    label: draft.label.trim(),
+    color: draft.color,
+    condition: draftToCondition(draft, { ...tokenizerOptions, locale: language }),
+  };
+  // Rules as displayed, and the theme color the draft gets at its position
+  const shownRules = themeRules(localizeRules(rules, t), theme);
+  const error = validateRule(candidate, shownRules, t);
+  const editingIndex = rules.findIndex((rule) => rule.id === editingId);
+  const themeColor = theme.palette[(editingIndex === -1 ? rules.length : editingIndex) % theme.palette.length].color;
+
+  // Report the draft condition for live preview highlighting
+  const previewCondition = !error && touched ? candidate.condition : null;
+  const previewKey = previewCondition ? JSON.stringify(previewCondition) : "";
+  useEffect(() => {
+    if (onPreview) onPreview(previewCondition);
+    // previewKey stands in for the condition object, which is rebuilt on every render
+  }, [previewKey]);
+
+  const updateDraft = (changes) => {
+    setDraft((prev) => ({ ...prev, ...changes }));
+    setTouched(true);
+  };
+
+  const resetForm = () => {
+    setDraft(emptyDraft());
+    setEditingId(null);
+    setTouched(false);
+  };
+
+  /** Saves the form as a new rule or over the rule being edited */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    setTouched(true);
+    if (error) return;
+
+    const saved = {
+      id: candidate.id === "__draft__" ? createRuleId() : candidate.id,
+      label: candidate.label || describeCondition(candidate.condition),
+      ...(candidate.color ? { color: candidate.color } : {}),
+      condition: candidate.condition,
+    };
+
+    if (editingId) {
+      onChange(rules.map((rule) => (rule.id === editingId ? saved : rule)));
+    } else {
+      onChange([...rules, saved]);
+    }
+    resetForm();
+  };
+
+  const handleEdit = (rule) => {
+    setDraft(ruleToDraft(rule));
+    setEditingId(rule.id);
+    setTouched(false);
+  };
+
+  const handleDelete = (id) => {
+    onChange(rules.filter((rule) => rule.id !== id));
+    if (editingId === id) resetForm();
+  };
+
+  const handleMove = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= rules.length) return;
+    const next = [...rules];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  const inputClass =
+    "w-full rounded-lg border border-slate-600 bg-slate-900 px-2 py-1 text-sm text-slate-100 focus:border-blue-500 focus:outline-none";
+  const smallButtonClass =
+    "rounded-md border border-slate-600 px-2 py-0.5 text-xs hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed cursor-pointer";
+
+  return (
+    <section
+      aria-labelledby="rule-builder-title"
+      className="rounded-2xl border border-white/10 bg-slate-900/60 p-4 space-y-4"
+    >
+      <h2 id="rule-builder-title" className="text-sm font-bold uppercase tracking-wider text-slate-300">
+        {t("ruleBuilder.title")}
+      </h2>
+
+      {/* Rule list */}
+      <ol className="space-y-2">
+        {shownRules.map((rule, i) => (
+          <li
+            key={rule.id}
+            className={`flex items-center gap-2 rounded-lg px-2 py-1.5 text-sm ${
+              rule.id === editingId ? "bg-slate-700/70" : "bg-slate-800/60"
+            }`}
+          >
+            <span
+              aria-hidden="true"
+              className="inline-block h-3 w-3 shrink-0 rounded-full"
+              style={{ backgroundColor: rule.color }}
+            />
+            <span className="flex-1 truncate" title={describeCondition(rule.condition, t)}>
+              {rule.label}
+            </span>
+            <button
+              type="button"
+              className={smallButtonClass}
+              onClick={() => handleMove(i, -1)}
+              disabled={i === 0}
+              aria-label={t("ruleBuilder.moveUp", { rule: rule.label })}
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              className={smallButtonClass}
+              onClick={() => handleMove(i, 1)}
+              disabled={i === rules.length - 1}
+              aria-label={t("ruleBuilder.moveDown", { rule: rule.label })}
+            >
+              ↓
+            </button>
+            <button type="button" className={smallButtonClass} onClick={() => handleEdit(rules[i])}>
+              {t("ruleBuilder.edit")}
+            </button>
+            <button type="button" className={smallButtonClass} onClick={() => handleDelete(rule.id)}>
+              {t("ruleBuilder.delete")}
+            </button>
+          </li>
+        ))}
+        {rules.length === 0 && <li className="text-xs text-slate-400">{t("ruleBuilder.empty")}</li>}
+      </ol>
+
+      {/* Add / edit form */}
+      <form onSubmit={handleSubmit} className="space-y-2 border-t border-white/10 pt-3" noValidate>
+        <p className="text-xs font-semibold text-slate-300">{editingId ? t("ruleBuilder.editHeading") : t("ruleBuilder.addHeading")}</p>
+
+        {draft.fixedCondition ? (
+          <p className="text-xs text-slate-400">
+            {t("ruleBuilder.fixedCondition", { condition: describeCondition(draft.fixedCondition, t) })}
+          </p>
+        ) : (
+          <>
+            <select
+              aria-label={t("ruleBuilder.conditionType")}
+              className={inputClass}
+              value={draft.type}
+              onChange={(e) => updateDraft({ type: e.target.value })}
+            >
+              {CONDITION_GROUPS.map((group) => (
+                <optgroup key={group} label={t(`ruleBuilder.group.${group}`)}>
+                  {CONDITION_TYPES.filter((option) => option.group === group).map(({ type }) => (
+                    <option key={type} value={type}>
+                      {t(`ruleBuilder.type.${type}`)}
+                    </option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+
+            {SOUND_TYPES.includes(draft.type) && (
+              <select
+                aria-label={t("ruleBuilder.sound")}
+                className={inputClass}
+                value={draft.phoneme}
+                onChange={(e) => updateDraft({ phoneme: e.target.value })}
+              >
+                {PHONEMES.map(({ code, ipa, example }) => (
+                  <option key={code} value={code}>
+                    {t("ruleBuilder.soundOption", { ipa, example })}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            {draft.type === "silentE" && (
+              <p className="text-xs text-slate-400">{t("ruleBuilder.silentEHint")}</p>
+            )}
+
+            {(SOUND_TYPES.includes(draft.type) || draft.type === "silentE" || draft.type === "syllables") && (
+              <p className="text-xs text-slate-400">{t("ruleBuilder.englishSounds")}</p>
+            )}
+
+            {["prefix", "suffix", "contains", "startsEnds"].includes(draft.type) && (
+              <div className="flex gap-2">
+                <input
+                  aria-label={draft.type === "startsEnds" ? t("ruleBuilder.startingLetters") : t("ruleBuilder.letters")}
+                  placeholder={draft.type === "startsEnds" ? t("ruleBuilder.startingLettersPlaceholder") : t("ruleBuilder.lettersPlaceholder")}
+                  className={inputClass}
+                  value={draft.value}
+                  onChange={(e) => updateDraft({ value: e.target.value })}
+                />
+                {draft.type === "startsEnds" && (
+                  <input
+                    aria-label={t("ruleBuilder.endingLetters")}
+                    placeholder={t("ruleBuilder.endingLettersPlaceholder")}
+                    className={inputClass}
+                    value={draft.value2}
+                    onChange={(e) => updateDraft({ value2: e.target.value })}
+                  />
+                )}
+              </div>
+            )}
+
+            {draft.type === "regex" && (
+              <div className="flex gap-2">
+                <input
+                  aria-label={t("ruleBuilder.regex")}
+                  placeholder={t("ruleBuilder.regexPlaceholder")}
+                  className={`${inputClass} font-mono`}
+                  value={draft.pattern}
+                  onChange={(e) => updateDraft({ pattern: e.target.value })}
+                />
+                <input
+                  aria-label={t("ruleBuilder.regexFlags")}
+                  placeholder={t("ruleBuilder.regexFlagsPlaceholder")}
+                  className={`${inputClass} w-20 font-mono`}
+                  value={draft.flags}
+                  onChange={(e) => updateDraft({ flags: e.target.value })}
+                />
+              </div>
+            )}
+
+            {RANGE_TYPES.includes(draft.type) && (
+              <div className="flex gap-2">
+                <input
+                  aria-label={t("ruleBuilder.min")}
+                  placeholder={t("ruleBuilder.minPlaceholder")}
+                  inputMode="numeric"
+                  className={inputClass}
+                  value={draft.min}
+                  onChange={(e) => updateDraft({ min: e.target.value })}
+                />
+                <input
+                  aria-label={t("ruleBuilder.max")}
+                  placeholder={t("ruleBuilder.maxPlaceholder")}
+                  inputMode="numeric"
+                  className={inputClass}
+                  value={draft.max}
+                  onChange={(e) => updateDraft({ max: e.target.value })}
+                />
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="flex gap-2">
+          <input
+            aria-label={t("ruleBuilder.label")}
+            placeholder={error ? t("ruleBuilder.labelPlaceholder") : describeCondition(candidate.condition, t)}
+            className={inputClass}
+            value={draft.label}
+            onChange={(e) => updateDraft({ label: e.target.value })}
+          />
+          <input
+            type="color"
+            aria-label={t("ruleBuilder.color")}
+            className="h-8 w-10 shrink-0 cursor-pointer rounded border border-slate-600 bg-slate-900"
+            value={draft.color || themeColor}
+            onChange={(e) => updateDraft({ color: e.target.value })}
+          />
+          {draft.color && (
+            <button
+              type="button"
+              className={`${smallButtonClass} shrink-0 whitespace-nowrap`}
+              onClick={() => updateDraft({ color: null })}
+              title={t("ruleBuilder.themeColorHint")}
+            >
+              {t("ruleBuilder.themeColor")}
+            </button>
+          )}
+        </div>
+
+        {touched && error && (
+          <p role="alert" className="text-xs text-red-400">
+            {error}
+          </p>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={touched && !!error}
+            className="rounded-full bg-blue-600 px-4 py-1 text-xs font-semibold text-white hover:bg-blue-500 disabled:opacity-60 disabled:cursor-not-allowed cursor-pointer transition"
+          >
+            {editingId ? t("ruleBuilder.save") : t("ruleBuilder.add")}
+          </button>
+          {(editingId || touched) && (
+            <button
+              type="button"
+              onClick={() => resetForm()}
+              className="rounded-full border border-slate-600 px-4 py-1 text-xs font-semibold hover:bg-slate-700 cursor-pointer transition"
+            >
+              {t("ruleBuilder.cancel")}
+            </button>
+          )}
+        </div>
+      </form>
+    </section>
+  );
+}
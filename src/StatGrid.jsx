@@ -0,0 +1,106 @@
+import React from "react";
+import { ruleSymbol } from "./rules";
+import { useI18n } from "./i18n";
+
+/**
+ * StatGrid
+ * ------------------------------------------------------------
+ * One counter card per rule: how many words matched it up to the active word.
+ * Purely presentational; `counts` comes from `usePreambleAnalyzer` and each
+ * card's gradient from its rule (see `themeRules` in ./themes.js).
+ */
+
+/**
+ * Stat card grid.
+ *
+ * @param {Array<Object>} rules - The active rule list, with colors (see `themeRules`)
+ * @param {Object} counts - Map of rule id to count
+ * @param {boolean} [symbols] - Show each rule's match symbol in its card's corner
+ */
+export default function StatGrid({ rules, counts, symbols = true }) {
+  return (
+    <div style={{
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
+      gap: '1rem'
+    }}>
+      {rules.map((rule) => (
+        <StatCard
+          key={rule.id}
+          label={rule.label}
+          symbol={symbols ? ruleSymbol(rules, rule.id) : null}
+          value={counts[rule.id] || 0}
+          accent={rule.gradient || rule.color}
+        />
+      ))}
+    </div>
+  );
+}
+
+// ------------------------------------------------------------
+// StatCard Component
+// ------------------------------------------------------------
+/**
+ * Displays a statistic card with a label, value, and accent color.
+ *
+ * @param {string} label - The label text to display
+ * @param {number} value - The numeric value to display
+ * @param {{ from: string, to: string }|string} accent - Card gradient, or a single hex color
+ * @param {string|null} symbol - Match symbol shown in the corner, if any
+ */
+export function StatCard({ label, value, accent, symbol }) {
+  const { t } = useI18n();
+  const colors = typeof accent === "string" ? { from: accent, to: accent } : accent;
+
+  return (
+    <div
+      className="relative overflow-hidden rounded-2xl shadow-2xl"
+      style={{
+        background: `linear-gradient(135deg, ${colors.from} 0%, ${colors.to} 100%)`,
+        boxShadow: `0 20px 40px rgba(0,0,0,0.3), 0 0 30px ${colors.from}40`,
+      }}
+    >
+      {symbol && (
+        <span aria-hidden="true" className="absolute right-3 top-2 z-10 text-base text-white opacity-90">
+          {symbol}
+        </span>
+      )}
+      <div className="px-4 py-3 relative z-10 w-full">
+        <p
+          className="text-[10px] md:text-xs font-bold uppercase tracking-wider text-white mb-1.5 opacity-95"
+          style={{ textShadow: "0 2px 4px rgba(0,0,0,0.3)" }}
+        >
+          {label}
+        </p>
+
+        <div className="flex items-baseline justify-between w-full">
+          <span
+            key={value}
+            className="text-2xl md:text-3xl font-black text-white leading-none"
+            style={{
+              textShadow: "0 4px 8px rgba(0,0,0,0.5), 0 0 20px rgba(255,255,255,0.25)",
+            }}
+          >
+            {value}
+          </span>
+
+          <span
+            className="text-[9px] md:text-[10px] text-white opacity-90 ml-2 font-bold uppercase tracking-wide"
+            style={{ textShadow: "0 1px 2px rgba(0,0,0,0.3)" }}
+          >
+            {t("stats.words")}
+          </span>
+        </div>
+      </div>
+
+      <div
+        className="absolute top-0 right-0 w-32 h-32 rounded-full opacity-20 blur-2xl"
+        style={{ background: colors.to, transform: "translate(30%, -30%)" }}
+      />
+      <div
+        className="absolute bottom-0 left-0 w-24 h-24 rounded-full opacity-20 blur-xl"
+        style={{ background: colors.from, transform: "translate(-30%, 30%)" }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import React, { useMemo, useState } from "react";
+import { computeStatistics } from "./statistics";
+import { useI18n } from "./i18n";
+
+/**
+ * StatsDashboard
+ * ------------------------------------------------------------
+ * Analysis view for the loaded text, beyond the running StatCard totals:
+ * word frequencies, letter histograms, first/last letter and word-length
+ * distributions, unique vs. total words and each rule's share of the words.
+ * Charts are plain SVG. By default only the words up to the active one are
+ * analyzed, so the charts grow as the animation advances.
+ */
+
+/** Number of rows in the word frequency table */
+const TOP_WORDS = 12;
+
+/** Default bar color */
+const BAR_COLOR = "#60a5fa";
+
+/**
+ * Vertical bar chart with one labelled column per row.
+ *
+ * @param {string} title - Chart title, also its accessible name
+ * @param {Array<{ key: string, count: number }>} rows - One column per row
+ * @param {string} [color] - Bar color
+ */
+function ColumnChart({ title, rows, color = BAR_COLOR }) {
+  const width = Math.max(rows.length * 14, 140);
+  const height = 90;
+  const chartHeight = 70;
+  const max = Math.max(1, ...rows.map((row) => row.count));
+  const step = width / Math.max(rows.length, 1);
+
+  return (
+    <figure className="space-y-1">
+      <figcaption className="text-xs font-semibold text-slate-300">{title}</figcaption>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full" role="img" aria-label={title}>
+        {rows.map((row, i) => {
+          const barHeight = (row.count / max) * chartHeight;
+          return (
+            <g key={row.key}>
+              <title>{`${row.key}: ${row.count}`}</title>
+              <rect x={i * step + 1} y={chartHeight - barHeight} width={Math.max(step - 2, 1)} height={barHeight} fill={color} rx="1" />
+              <text x={i * step + step / 2} y={height - 6} textAnchor="middle" fontSize="8" fill="#94a3b8">
+                {row.key}
+              </text>
+            </g>
+          );
+        })}
+        <line x1="0" x2={width} y1={chartHeight} y2={chartHeight} stroke="#475569" strokeWidth="0.5" />
+      </svg>
+    </figure>
+  );
+}
+
+/**
+ * Horizontal bar showing a value as a share of a total.
+ *
+ * @param {number} value - Filled part
+ * @param {number} total - Whole bar
+ * @param {string} [color] - Fill color
+ * @param {string} label - Accessible description
+ */
+function ShareBar({ value, total, color = BAR_COLOR, label }) {
+  const share = total ? value / total : 0;
+  return (
+    <svg viewBox="0 0 100 8" preserveAspectRatio="none" className="h-2 w-full" role="img" aria-label={label}>
+      <rect x="0" y="0" width="100" height="8" fill="#1e293b" rx="2" />
+      <rect x="0" y="0" width={share * 100} height="8" fill={color} rx="2" />
+    </svg>
+  );
+}
+
+/**
+ * Whole-text statistics dashboard.
+ *
+ * @param {Array<Object>} tokens - Word tokens of the text
+ * @param {Array<Array<string>>} wordMatches - Matching rule ids for each token
+ * @param {Array<Object>} rules - The active rule list
+ * @param {number} activeIndex - Active word index (-1 before the first word)
+ */
+export default function StatsDashboard({ tokens, wordMatches, rules, activeIndex }) {
+  const { t } = useI18n();
+  const [scope, setScope] = useState("progress"); // "progress": words up to the active one; "all": whole text
+
+  const lastIndex = scope === "all" ? tokens.length - 1 : activeIndex;
+  const stats = useMemo(() => computeStatistics(tokens, wordMatches, rules, lastIndex), [tokens, wordMatches, rules, lastIndex]);
+  const topWords = stats.wordFrequency.slice(0, TOP_WORDS);
+  const topCount = topWords.length ? topWords[0].count : 1;
+
+  const scopeButtonClass = (value) =>
+    `rounded-full px-3 py-1 text-xs font-semibold cursor-pointer transition ${
+      scope === value ? "bg-slate-100 text-slate-900" : "border border-slate-600 text-slate-200 hover:bg-slate-700"
+    }`;
+
+  return (
+    <details className="rounded-2xl border border-white/10 bg-slate-900/60 p-4 text-sm text-slate-200" style={{ marginBottom: "2rem" }}>
+      <summary className="cursor-pointer font-semibold text-slate-200">{t("statistics.summary")}</summary>
+
+      <div className="mt-3 flex flex-wrap items-center gap-2" role="group" aria-label={t("statistics.scope")}>
+        <button type="button" className={scopeButtonClass("progress")} aria-pressed={scope === "progress"} onClick={() => setScope("progress")}>
+          {t("statistics.progress")}
+        </button>
+        <button type="button" className={scopeButtonClass("all")} aria-pressed={scope === "all"} onClick={() => setScope("all")}>
+          {t("statistics.all")}
+        </button>
+      </div>
+
+      {stats.totalWords === 0 ? (
+        <p className="mt-3 text-xs text-slate-400">{t("statistics.empty")}</p>
+      ) : (
+        <div className="mt-4 grid gap-6 md:grid-cols-2">
+          <div className="space-y-2">
+            <p className="text-xs font-semibold text-slate-300">{t("statistics.unique")}</p>
+            <p className="text-2xl font-black text-slate-50">
+              {stats.uniqueWords} <span className="text-sm font-semibold text-slate-400">{t("statistics.uniqueOf", { total: stats.totalWords })}</span>
+            </p>
+            <ShareBar value={stats.uniqueWords} total={stats.totalWords} label={t("statistics.uniqueLabel", { unique: stats.uniqueWords, total: stats.totalWords })} />
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-xs font-semibold text-slate-300">{t("statistics.ruleShares")}</p>
+            {stats.ruleShares.map((rule) => (
+              <div key={rule.id} className="space-y-0.5">
+                <div className="flex justify-between text-xs">
+                  <span>{rule.label}</span>
+                  <span className="text-slate-400">
+                    {rule.count} · {Math.round(rule.share * 100)}%
+                  </span>
+                </div>
+                <ShareBar value={rule.count} total={stats.totalWords} color={rule.color} label={`${rule.label}: ${Math.round(rule.share * 100)}%`} />
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <p className="mb-1 text-xs font-semibold text-slate-300">{t("statistics.topWords")}</p>
+            <table className="w-full text-left text-xs">
+              <thead className="text-slate-400">
+                <tr>
+                  <th className="py-0.5 font-normal">{t("statistics.word")}</th>
+                  <th className="py-0.5 font-normal">{t("statistics.count")}</th>
+                  <th className="w-1/2 py-0.5" aria-hidden="true" />
+                </tr>
+              </thead>
+              <tbody>
+                {topWords.map(({ word, count }) => (
+                  <tr key={word}>
+                    <td className="py-0.5 font-mono">{word}</td>
+                    <td className="py-0.5">{count}</td>
+                    <td className="py-0.5">
+                      <ShareBar value={count} total={topCount} label={`${word}: ${count}`} />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <ColumnChart title={t("statistics.lengths")} rows={stats.lengths} color="#a78bfa" />
+          <ColumnChart title={t("statistics.letters")} rows={stats.letterFrequency} />
+          <ColumnChart title={t("statistics.firstLetters")} rows={stats.firstLetters} color="#4ade80" />
+          <ColumnChart title={t("statistics.lastLetters")} rows={stats.lastLetters} color="#f87171" />
+        </div>
+      )}
+    </details>
+  );
+}
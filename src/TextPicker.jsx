@@ -0,0 +1,168 @@
+import React, { useState } from "react";
+import { createText, loadTextFile, TEXT_LANGUAGES } from "./texts";
+import { useI18n } from "./i18n";
+
+/**
+ * TextPicker
+ * ------------------------------------------------------------
+ * Chooses the text the analyzer works on: one of the library texts, a pasted
+ * text, or an uploaded plain-text / Markdown file. New texts are tagged
+ * with the chosen language, reported through `onAdd` and then selected.
+ */
+
+/** Monotonic counter used to give pasted texts unique ids */
+let pastedCounter = 0;
+
+/**
+ * Text picker panel.
+ *
+ * @param {Array<Object>} texts - Texts to choose from (library and user texts)
+ * @param {string} selectedId - Id of the text currently loaded
+ * @param {Function} onSelect - Called with the id of the chosen text
+ * @param {Function} onAdd - Called with a new text object built from pasted or uploaded content
+ */
+export default function TextPicker({ texts, selectedId, onSelect, onAdd }) {
+  const { t, locale } = useI18n();
+  const [language, setLanguage] = useState(locale); // Language of new texts; starts as the interface language
+  const [pasteOpen, setPasteOpen] = useState(false); // Whether the paste form is visible
+  const [pasteTitle, setPasteTitle] = useState("");
+  const [pasteContent, setPasteContent] = useState("");
+  const [pasteFormat, setPasteFormat] = useState("plain");
+  const [error, setError] = useState(null);
+
+  /** Builds a text from the paste form */
+  const handlePasteSubmit = (event) => {
+    event.preventDefault();
+    pastedCounter += 1;
+    const text = createText({
+      id: `pasted-${Date.now().toString(36)}-${pastedCounter}`,
+      title: pasteTitle.trim() || t("texts.pastedTitle", { number: pastedCounter }),
+      content: pasteContent,
+      format: pasteFormat,
+      source: "Pasted text",
+      language,
+    });
+
+    if (text.paragraphs.length === 0) {
+      setError(t("texts.empty"));
+      return;
+    }
+
+    setError(null);
+    setPasteOpen(false);
+    setPasteTitle("");
+    setPasteContent("");
+    onAdd(text);
+  };
+
+  /** Reads an uploaded file into a text */
+  const handleFileChange = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = ""; // Allow re-uploading the same file
+    if (!file) return;
+
+    try {
+      const text = await loadTextFile(file, language);
+      setError(null);
+      onAdd(text);
+    } catch (err) {
+      console.error("Error loading text file:", err);
+      setError(err.message);
+    }
+  };
+
+  const inputClass =
+    "w-full rounded-lg border border-slate-600 bg-slate-900 px-2 py-1 text-sm text-slate-100 focus:border-blue-500 focus:outline-none";
+  const buttonClass =
+    "rounded-full border border-slate-600 bg-slate-800 px-4 py-1 text-xs font-semibold hover:bg-slate-700 cursor-pointer transition";
+
+  return (
+    <section aria-label={t("texts.region")} className="space-y-3">
+      <div className="flex flex-wrap items-center justify-center gap-2">
+        <select
+          aria-label={t("texts.text")}
+          className={`${inputClass} max-w-xs`}
+          value={selectedId}
+          onChange={(e) => onSelect(e.target.value)}
+        >
+          {texts.map((text) => (
+            <option key={text.id} value={text.id}>
+              {text.title}
+            </option>
+          ))}
+        </select>
+
+        <button type="button" className={buttonClass} onClick={() => setPasteOpen((open) => !open)}>
+          {pasteOpen ? t("texts.close") : t("texts.paste")}
+        </button>
+
+        <label className={buttonClass}>
+          {t("texts.upload")}
+          <input
+            type="file"
+            accept=".txt,.md,.markdown,.mdown,text/plain,text/markdown"
+            className="sr-only"
+            onChange={handleFileChange}
+          />
+        </label>
+
+        <select
+          aria-label={t("texts.language")}
+          title={t("texts.language")}
+          className={`${inputClass} w-32`}
+          value={language}
+          onChange={(e) => setLanguage(e.target.value)}
+        >
+          {TEXT_LANGUAGES.map(({ code, name }) => (
+            <option key={code} value={code}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {pasteOpen && (
+        <form onSubmit={handlePasteSubmit} className="mx-auto max-w-xl space-y-2 text-left">
+          <div className="flex gap-2">
+            <input
+              aria-label={t("texts.title")}
+              placeholder={t("texts.titlePlaceholder")}
+              className={inputClass}
+              value={pasteTitle}
+              onChange={(e) => setPasteTitle(e.target.value)}
+            />
+            <select
+              aria-label={t("texts.format")}
+              className={`${inputClass} w-36`}
+              value={pasteFormat}
+              onChange={(e) => setPasteFormat(e.target.value)}
+            >
+              <option value="plain">{t("texts.plain")}</option>
+              <option value="markdown">{t("texts.markdown")}</option>
+            </select>
+          </div>
+          <textarea
+            aria-label={t("texts.content")}
+            placeholder={t("texts.contentPlaceholder")}
+            rows={6}
+            className={inputClass}
+            value={pasteContent}
+            onChange={(e) => setPasteContent(e.target.value)}
+          />
+          <button
+            type="submit"
+            className="rounded-full bg-blue-600 px-4 py-1 text-xs font-semibold text-white hover:bg-blue-500 cursor-pointer transition"
+          >
+            {t("texts.analyze")}
+          </button>
+        </form>
+      )}
+
+      {error && (
+        <p role="alert" className="text-center text-xs text-red-400">
+          {error}
+        </p>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,288 @@
+import React, { useState, useEffect, useRef } from "react";
+import { formatLrc, formatVtt, formatTimingJson, formatClock } from "./timing";
+import { downloadFile, fileStem } from "./download";
+import { useI18n } from "./i18n";
+
+/**
+ * TimingRecorder
+ * ------------------------------------------------------------
+ * Tap-to-sync authoring of word timestamps:
+ * 1) "Start Recording" seeks the player a few seconds before the section and plays it.
+ * 2) The user taps Space (or the Tap button) as each word is sung; the player's
+ *    current time is stored for that word. Backspace undoes the last tap, and one
+ *    extra tap after the last word marks the end of the section.
+ * 3) The table lets individual times be typed in or nudged, and any row can be
+ *    replayed from just before its word.
+ * 4) The result is exported as enhanced LRC, WebVTT or JSON, or applied directly
+ *    as the sync track for the current text.
+ */
+
+/** Seconds of lead-in played before the section starts, so the first word isn't missed */
+const LEAD_IN_SECONDS = 3;
+
+/** Step used by the nudge buttons, in seconds */
+const NUDGE_SECONDS = 0.05;
+
+/** Seconds replayed before a word when previewing a row */
+const PREVIEW_LEAD_SECONDS = 1;
+
+/**
+ * Tap-to-sync timing recorder.
+ *
+ * @param {Array<Object>} tokens - Tokens of the current text
+ * @param {Object} playerRef - Ref holding the media player adapter (see ./media.js)
+ * @param {boolean} ready - Whether the player accepts commands
+ * @param {number} startTime - Where the section starts in the media, in seconds
+ * @param {Object|null} timing - Aligned timing already loaded for the text, used as the starting point
+ * @param {string} title - Title of the text, used for export file names
+ * @param {Function} onBeforeRecord - Called before recording starts, so other playback can stop
+ * @param {Function} onApply - Called with `{ entries, end }` to use the recording as the sync track
+ */
+export default function TimingRecorder({ tokens, playerRef, ready, startTime, timing, title, onBeforeRecord, onApply }) {
+  const { t } = useI18n();
+  const [times, setTimes] = useState(() => (timing ? [...timing.times] : tokens.map(() => null)));
+  const [end, setEnd] = useState(() => (timing ? timing.end : null));
+  const [recording, setRecording] = useState(false);
+  const [recordIndex, setRecordIndex] = useState(0); // Next word to be tapped
+  const [clock, setClock] = useState(null); // Player time shown while recording
+
+  /** Latest values for the key handler, which is registered once per recording */
+  const stateRef = useRef({ recordIndex, times });
+  stateRef.current = { recordIndex, times };
+
+  const getTime = () => (playerRef.current ? playerRef.current.getCurrentTime() : null);
+
+  const pause = () => {
+    try {
+      if (playerRef.current) playerRef.current.pause();
+    } catch (error) {
+      console.error("Error pausing media:", error);
+    }
+  };
+
+  const playFrom = (seconds) => {
+    try {
+      playerRef.current.seek(Math.max(0, seconds));
+      playerRef.current.play();
+    } catch (error) {
+      console.error("Error controlling player:", error);
+    }
+  };
+
+  /** Records the current player time for the next word, or the section end after the last word */
+  const tap = () => {
+    const now = getTime();
+    if (now == null) return;
+    const { recordIndex: index } = stateRef.current;
+
+    if (index >= tokens.length) {
+      setEnd(now);
+      setRecording(false);
+      pause();
+      return;
+    }
+
+    setTimes((prev) => prev.map((t, i) => (i === index ? now : t)));
+    setRecordIndex(index + 1);
+  };
+
+  /** Forgets the last tap so it can be retaken */
+  const undo = () => {
+    const { recordIndex: index } = stateRef.current;
+    if (index === 0) return;
+    setTimes((prev) => prev.map((t, i) => (i === index - 1 ? null : t)));
+    setRecordIndex(index - 1);
+  };
+
+  const stopRecording = () => {
+    setRecording(false);
+    pause();
+  };
+
+  const startRecording = () => {
+    if (!ready || !playerRef.current) return;
+    if (onBeforeRecord) onBeforeRecord();
+
+    // Keep Space from also activating whichever button has focus
+    if (document.activeElement && typeof document.activeElement.blur === "function") {
+      document.activeElement.blur();
+    }
+
+    setTimes(tokens.map(() => null));
+    setEnd(null);
+    setRecordIndex(0);
+    setRecording(true);
+    playFrom(startTime - LEAD_IN_SECONDS);
+  };
+
+  // Keyboard taps while recording
+  useEffect(() => {
+    if (!recording) return;
+
+    const handleKeyDown = (event) => {
+      if (event.repeat) return;
+      if (event.code === "Space") {
+        event.preventDefault();
+        tap();
+      } else if (event.code === "Backspace") {
+        event.preventDefault();
+        undo();
+      } else if (event.code === "Escape") {
+        stopRecording();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [recording]);
+
+  // Show the player clock while recording
+  useEffect(() => {
+    if (!recording) return;
+    const interval = setInterval(() => setClock(getTime()), 100);
+    return () => clearInterval(interval);
+  }, [recording]);
+
+  /** Sets one word's time from the table, keeping null for an empty field */
+  const setTime = (index, value) => {
+    setTimes((prev) => prev.map((t, i) => (i === index ? value : t)));
+  };
+
+  const complete = times.every((t) => Number.isFinite(t));
+  const outOfOrder = times.map((t, i) => i > 0 && t != null && times[i - 1] != null && t < times[i - 1]);
+  const exportable = complete && !outOfOrder.some(Boolean);
+  const exportEnd = end != null ? end : complete ? times[times.length - 1] + 1 : null;
+
+  const handleExport = (format) => {
+    const stem = `${fileStem(title)}-timing`;
+    if (format === "lrc") downloadFile(`${stem}.lrc`, formatLrc(tokens, times, exportEnd));
+    if (format === "vtt") downloadFile(`${stem}.vtt`, formatVtt(tokens, times, exportEnd), "text/vtt");
+    if (format === "json") downloadFile(`${stem}.json`, formatTimingJson(tokens, times, exportEnd), "application/json");
+  };
+
+  const handleApply = () => {
+    onApply({ entries: tokens.map((token, i) => ({ time: times[i], word: token.text })), end: exportEnd });
+  };
+
+  const buttonClass =
+    "rounded-full border border-slate-600 bg-slate-800 px-4 py-1 text-xs font-semibold hover:bg-slate-700 disabled:opacity-60 disabled:cursor-not-allowed cursor-pointer transition";
+  const smallButtonClass =
+    "rounded-md border border-slate-600 px-1.5 py-0.5 text-[10px] hover:bg-slate-700 disabled:opacity-40 cursor-pointer";
+
+  return (
+    <section aria-label={t("recorder.label")} className="w-full max-w-2xl space-y-3 rounded-2xl border border-white/10 bg-slate-900/60 p-4 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        {recording ? (
+          <>
+            <button type="button" className="rounded-full bg-yellow-400 px-6 py-2 text-sm font-bold text-black cursor-pointer" onClick={tap}>
+              {t("recorder.tap")}
+            </button>
+            <button type="button" className={buttonClass} onClick={undo} disabled={recordIndex === 0}>
+              {t("recorder.undo")}
+            </button>
+            <button type="button" className={buttonClass} onClick={stopRecording}>
+              {t("recorder.stop")}
+            </button>
+            <span className="text-xs text-slate-300" aria-live="polite">
+              {recordIndex < tokens.length
+                ? t("recorder.next", { word: tokens[recordIndex].text, position: recordIndex + 1, total: tokens.length })
+                : t("recorder.markEnd")}
+              {clock != null && ` · ${formatClock(clock)}`}
+            </span>
+          </>
+        ) : (
+          <>
+            <button type="button" className={buttonClass} onClick={startRecording} disabled={!ready}>
+              {t("recorder.start")}
+            </button>
+            <span className="text-xs text-slate-400">{t("recorder.hint")}</span>
+          </>
+        )}
+      </div>
+
+      <div className="max-h-72 overflow-y-auto rounded-lg border border-white/10">
+        <table className="w-full text-left text-xs">
+          <thead className="sticky top-0 bg-slate-800 text-slate-300">
+            <tr>
+              <th className="px-2 py-1">#</th>
+              <th className="px-2 py-1">{t("recorder.column.word")}</th>
+              <th className="px-2 py-1">{t("recorder.column.time")}</th>
+              <th className="px-2 py-1">{t("recorder.column.adjust")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tokens.map((token, i) => (
+              <tr
+                key={i}
+                className={`${recording && i === recordIndex ? "bg-yellow-400/20" : ""} ${outOfOrder[i] ? "text-red-400" : ""}`}
+              >
+                <td className="px-2 py-0.5 text-slate-500">{i + 1}</td>
+                <td className="px-2 py-0.5">{token.text}</td>
+                <td className="px-2 py-0.5">
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    aria-label={t("recorder.timeOf", { n: i + 1, word: token.text })}
+                    className="w-24 rounded border border-slate-600 bg-slate-900 px-1 py-0.5 text-slate-100"
+                    value={times[i] != null ? Math.round(times[i] * 1000) / 1000 : ""}
+                    onChange={(e) => setTime(i, e.target.value === "" ? null : Number(e.target.value))}
+                  />
+                </td>
+                <td className="space-x-1 px-2 py-0.5 whitespace-nowrap">
+                  <button
+                    type="button"
+                    className={smallButtonClass}
+                    disabled={times[i] == null}
+                    onClick={() => setTime(i, Math.max(0, times[i] - NUDGE_SECONDS))}
+                    aria-label={t("recorder.earlier", { word: token.text })}
+                  >
+                    −{NUDGE_SECONDS}
+                  </button>
+                  <button
+                    type="button"
+                    className={smallButtonClass}
+                    disabled={times[i] == null}
+                    onClick={() => setTime(i, times[i] + NUDGE_SECONDS)}
+                    aria-label={t("recorder.later", { word: token.text })}
+                  >
+                    +{NUDGE_SECONDS}
+                  </button>
+                  <button
+                    type="button"
+                    className={smallButtonClass}
+                    disabled={times[i] == null || !ready}
+                    onClick={() => playFrom(times[i] - PREVIEW_LEAD_SECONDS)}
+                    aria-label={t("recorder.playFrom", { word: token.text })}
+                  >
+                    ▶
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button type="button" className={buttonClass} disabled={!exportable} onClick={handleApply}>
+          {t("recorder.apply")}
+        </button>
+        <button type="button" className={buttonClass} disabled={!exportable} onClick={() => handleExport("lrc")}>
+          {t("recorder.exportLrc")}
+        </button>
+        <button type="button" className={buttonClass} disabled={!exportable} onClick={() => handleExport("vtt")}>
+          {t("recorder.exportVtt")}
+        </button>
+        <button type="button" className={buttonClass} disabled={!exportable} onClick={() => handleExport("json")}>
+          {t("recorder.exportJson")}
+        </button>
+        {!exportable && (
+          <span className="text-xs text-slate-400">
+            {complete ? t("recorder.outOfOrder") : t("recorder.incomplete")}
+          </span>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,62 @@
+import React from "react";
+import { useI18n } from "./i18n";
+
+/**
+ * TokenizerSettings
+ * ------------------------------------------------------------
+ * Collapsible panel for the tokenizer options (see `./tokenizer.js`):
+ * how hyphenated words, contractions, non-English letters and numbers are split,
+ * and whether accents are ignored when counting.
+ */
+
+/** Choices shown for each select-style option; labels are the "tokenizer.<option>.<value>" messages */
+const CHOICES = {
+  hyphens: ["join", "split"],
+  apostrophes: ["keep", "strip", "split"],
+  numbers: ["words", "skip"],
+};
+
+/**
+ * Tokenizer settings panel.
+ *
+ * @param {Object} options - The current tokenizer options
+ * @param {Function} onChange - Called with the complete new options object
+ */
+export default function TokenizerSettings({ options, onChange }) {
+  const { t } = useI18n();
+  const selectClass =
+    "rounded-lg border border-slate-600 bg-slate-900 px-2 py-1 text-xs text-slate-100 focus:border-blue-500 focus:outline-none";
+
+  const field = (key) => (
+    <label className="flex items-center justify-between gap-3">
+      <span>{t(`tokenizer.${key}`)}</span>
+      <select className={selectClass} value={options[key]} onChange={(e) => onChange({ ...options, [key]: e.target.value })}>
+        {CHOICES[key].map((value) => (
+          <option key={value} value={value}>
+            {t(`tokenizer.${key}.${value}`)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const checkbox = (key) => (
+    <label className="flex items-center justify-between gap-3">
+      <span>{t(`tokenizer.${key}`)}</span>
+      <input type="checkbox" checked={options[key]} onChange={(e) => onChange({ ...options, [key]: e.target.checked })} />
+    </label>
+  );
+
+  return (
+    <details className="mx-auto max-w-md text-left text-xs text-slate-300">
+      <summary className="cursor-pointer text-center text-slate-400 hover:text-slate-200">{t("tokenizer.summary")}</summary>
+      <div className="mt-2 space-y-2 rounded-xl border border-white/10 bg-slate-900/60 p-3">
+        {field("hyphens")}
+        {field("apostrophes")}
+        {field("numbers")}
+        {checkbox("unicodeLetters")}
+        {checkbox("foldAccents")}
+      </div>
+    </details>
+  );
+}
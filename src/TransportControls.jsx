@@ -0,0 +1,109 @@
+import React from "react";
+import { useI18n } from "./i18n";
+import { MIN_WORDS_PER_MINUTE, MAX_WORDS_PER_MINUTE } from "./speed";
+
+/**
+ * TransportControls
+ * ------------------------------------------------------------
+ * Playback controls shared by the song and animation-only modes:
+ * play/pause, step one word back or forward, a scrubber over the words,
+ * and the animation speed in words per minute.
+ */
+
+/**
+ * Transport controls.
+ *
+ * @param {boolean} playing - Whether a run is currently advancing
+ * @param {number} index - Active word index (-1 before the first word)
+ * @param {number} wordCount - Number of words in the text
+ * @param {string|null} currentWord - Text of the active word, if any
+ * @param {Function} onPlay - Starts or resumes the run
+ * @param {Function} onPause - Pauses the run
+ * @param {Function} onStep - Called with -1 or +1 to move one word
+ * @param {Function} onSeek - Called with the word index chosen on the scrubber
+ * @param {number} wordsPerMinute - Animation speed
+ * @param {Function} onWordsPerMinuteChange - Called with the new speed
+ * @param {boolean} showSpeed - Whether the speed slider applies (the song sets its own pace)
+ * @param {Function} [onPresent] - Opens the fullscreen presentation mode (no button without it)
+ */
+export default function TransportControls({
+  playing,
+  index,
+  wordCount,
+  currentWord,
+  onPlay,
+  onPause,
+  onStep,
+  onSeek,
+  wordsPerMinute,
+  onWordsPerMinuteChange,
+  showSpeed,
+  onPresent,
+}) {
+  const { t } = useI18n();
+  const buttonClass =
+    "rounded-full border border-slate-600 bg-slate-800 px-4 py-1 text-xs font-semibold hover:bg-slate-700 disabled:opacity-60 disabled:cursor-not-allowed cursor-pointer transition";
+
+  return (
+    <section
+      aria-label={t("transport.region")}
+      className="mb-8 flex flex-wrap items-center justify-center gap-3 rounded-2xl border border-white/10 bg-slate-900/60 px-4 py-3 text-sm"
+    >
+      <button type="button" className={buttonClass} onClick={() => onStep(-1)} disabled={index < 0} aria-label={t("transport.previous")}>
+        ⏮
+      </button>
+      <button type="button" className={buttonClass} onClick={playing ? onPause : onPlay} aria-label={playing ? t("transport.pause") : t("transport.play")}>
+        {playing ? `⏸ ${t("transport.pause")}` : `▶ ${t("transport.play")}`}
+      </button>
+      <button
+        type="button"
+        className={buttonClass}
+        onClick={() => onStep(1)}
+        disabled={index >= wordCount - 1}
+        aria-label={t("transport.next")}
+      >
+        ⏭
+      </button>
+
+      <label className="flex min-w-[12rem] flex-1 items-center gap-2 text-xs text-slate-300">
+        <span className="whitespace-nowrap">
+          {index + 1}/{wordCount}
+        </span>
+        <input
+          type="range"
+          className="w-full"
+          min={-1}
+          max={wordCount - 1}
+          step={1}
+          value={index}
+          onChange={(e) => onSeek(Number(e.target.value))}
+          aria-label={t("transport.position")}
+          aria-valuetext={
+            currentWord ? t("transport.positionValue", { position: index + 1, total: wordCount, word: currentWord }) : t("transport.beforeFirst")
+          }
+        />
+      </label>
+
+      {showSpeed && (
+        <label className="flex items-center gap-2 text-xs text-slate-300">
+          <span className="whitespace-nowrap">{t("transport.wpm", { wpm: wordsPerMinute })}</span>
+          <input
+            type="range"
+            min={MIN_WORDS_PER_MINUTE}
+            max={MAX_WORDS_PER_MINUTE}
+            step={10}
+            value={wordsPerMinute}
+            onChange={(e) => onWordsPerMinuteChange(Number(e.target.value))}
+            aria-label={t("transport.speed")}
+          />
+        </label>
+      )}
+
+      {onPresent && (
+        <button type="button" className={buttonClass} onClick={onPresent}>
+          ⛶ {t("transport.present")}
+        </button>
+      )}
+    </section>
+  );
+}
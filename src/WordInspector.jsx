@@ -0,0 +1,163 @@
+import React from "react";
+import { analyzeSounds, phonemeSymbol } from "./phonetics";
+import { describeCondition, matchRanges } from "./rules";
+import { formatClock } from "./timing";
+import { useI18n } from "./i18n";
+
+/**
+ * WordInspector
+ * ------------------------------------------------------------
+ * Explains one word of the text: its normalized form (what the rules test),
+ * every rule it matched with the deciding characters underlined, the rules it
+ * missed, how it sounds, where else it occurs, and when it is sung.
+ */
+
+/**
+ * Renders a word with the given character ranges underlined.
+ *
+ * @param {string} word - The normalized word
+ * @param {Array<Array<number>>} ranges - `[start, end)` ranges to underline
+ * @param {string} color - Underline color
+ */
+function UnderlinedWord({ word, ranges, color }) {
+  const marked = Array.from(word, (_, i) => ranges.some(([start, end]) => i >= start && i < end));
+
+  // Group consecutive characters with the same marking into one span
+  const parts = [];
+  for (let i = 0; i < word.length; i++) {
+    const last = parts[parts.length - 1];
+    if (last && last.marked === marked[i]) last.text += word[i];
+    else parts.push({ text: word[i], marked: marked[i] });
+  }
+
+  return (
+    <span className="font-mono">
+      {parts.map((part, i) =>
+        part.marked ? (
+          <span
+            key={i}
+            style={{ textDecoration: "underline", textDecorationColor: color, textDecorationThickness: "3px", textUnderlineOffset: "4px" }}
+          >
+            {part.text}
+          </span>
+        ) : (
+          <span key={i}>{part.text}</span>
+        )
+      )}
+    </span>
+  );
+}
+
+/**
+ * Word inspector panel.
+ *
+ * @param {Array<Object>} tokens - Tokens of the current text
+ * @param {number|null} index - Index of the inspected word, or null for none
+ * @param {Array<Object>} rules - The active rule list
+ * @param {Array<Array<string>>} wordMatches - Matching rule ids for each word
+ * @param {Object|null} colorRule - The rule deciding the word's color
+ * @param {number|null} time - When the word is sung, in seconds, if known
+ * @param {boolean} timeEstimated - Whether `time` comes from the eased estimate rather than a timing file
+ * @param {Function} onSelect - Called with another word index to inspect it
+ * @param {Function} onClose - Called to close the inspector
+ */
+export default function WordInspector({ tokens, index, rules, wordMatches, colorRule, time, timeEstimated, onSelect, onClose }) {
+  const { t } = useI18n();
+
+  if (index == null || !tokens[index]) {
+    return (
+      <p className="text-center text-xs text-slate-400" style={{ marginBottom: "2rem" }}>
+        {t("inspector.hint")}
+      </p>
+    );
+  }
+
+  const token = tokens[index];
+  const matchedIds = wordMatches[index];
+  const matched = rules.filter((rule) => matchedIds.includes(rule.id));
+  const missed = rules.filter((rule) => !matchedIds.includes(rule.id));
+  const sounds = analyzeSounds(token.normalized);
+  const occurrences = tokens.filter((other) => other.normalized === token.normalized).map((other) => other.index);
+
+  return (
+    <section
+      aria-label={t("inspector.label")}
+      className="rounded-2xl border border-white/10 bg-slate-900/60 p-4 text-sm text-slate-200"
+      style={{ marginBottom: "2rem" }}
+    >
+      <div className="mb-3 flex items-start justify-between gap-3">
+        <div>
+          <p className="text-xs uppercase tracking-wider text-slate-400">
+            {t("inspector.position", { position: index + 1, total: tokens.length })}
+          </p>
+          <p className="text-2xl font-bold text-slate-50">{token.leading + token.text + token.trailing}</p>
+          <p className="text-xs text-slate-400">
+            {t("inspector.analyzedAs")} <span className="font-mono text-slate-100">"{token.normalized}"</span>
+          </p>
+        </div>
+        <button
+          type="button"
+          className="rounded-full border border-slate-600 px-3 py-1 text-xs font-semibold hover:bg-slate-700 cursor-pointer transition"
+          onClick={onClose}
+          aria-label={t("inspector.close")}
+        >
+          ×
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {matched.length === 0 && <p className="text-xs text-slate-400">{t("inspector.noMatch")}</p>}
+        {matched.map((rule) => (
+          <div key={rule.id} className="flex flex-wrap items-center gap-2">
+            <span aria-hidden="true" className="inline-block h-3 w-3 rounded-full" style={{ backgroundColor: rule.color }} />
+            <span className="font-semibold">{rule.label}</span>
+            <UnderlinedWord word={token.normalized} ranges={matchRanges(rule.condition, token.normalized)} color={rule.color} />
+            <span className="text-xs text-slate-400">({describeCondition(rule.condition, t)})</span>
+            {colorRule && colorRule.id === rule.id && matched.length > 1 && (
+              <span className="text-xs text-slate-400">· {t("inspector.decidesColor")}</span>
+            )}
+          </div>
+        ))}
+        {missed.length > 0 && (
+          <p className="text-xs text-slate-400">{t("inspector.notMatched", { rules: missed.map((rule) => rule.label).join(", ") })}</p>
+        )}
+      </div>
+
+      <p className="mt-3 text-xs text-slate-300">
+        {t("inspector.sounds")} <span className="font-mono text-slate-100">/{sounds.phonemes.map(phonemeSymbol).join(" ")}/</span> ·{" "}
+        {sounds.syllableCount === 1 ? t("inspector.oneSyllable") : t("inspector.syllables", { count: sounds.syllableCount })}
+        {sounds.syllables.length > 1 && <span className="font-mono text-slate-100"> ({sounds.syllables.join("·")})</span>}
+        <span className="text-slate-400">
+          {" "}
+          ({sounds.fromDictionary ? t("inspector.dictionary") : t("inspector.guessed")})
+        </span>
+      </p>
+
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-300">
+        <span>
+          {occurrences.length === 1 ? t("inspector.once") : t("inspector.times", { count: occurrences.length })}
+        </span>
+        {occurrences.length > 1 &&
+          occurrences.map((i) => (
+            <button
+              key={i}
+              type="button"
+              className={`rounded-md border px-1.5 py-0.5 cursor-pointer ${i === index ? "border-yellow-400 text-yellow-300" : "border-slate-600 hover:bg-slate-700"}`}
+              onClick={() => onSelect(i)}
+              aria-label={t("inspector.inspectWord", { n: i + 1 })}
+              aria-current={i === index ? "true" : undefined}
+            >
+              #{i + 1}
+            </button>
+          ))}
+      </div>
+
+      {time != null && (
+        <p className="mt-2 text-xs text-slate-300">
+          {t("inspector.sungAt", { time: formatClock(time) })}
+          {timeEstimated && <span className="text-slate-400"> {t("inspector.estimated")}</span>}
+        </p>
+      )}
+    </section>
+  );
+}
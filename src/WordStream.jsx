@@ -0,0 +1,154 @@
+import React from "react";
+import { colorRule, ruleSymbol } from "./rules";
+import { useI18n } from "./i18n";
+
+/**
+ * WordStream
+ * ------------------------------------------------------------
+ * The text panel: every word in reading order, the active word highlighted
+ * and the words already passed colored by the rule that decides their color
+ * (see `colorRule`). Purely presentational; the words, matches and position
+ * come from `usePreambleAnalyzer` or any other source.
+ *
+ * The panel, text and highlight colors are the theme's custom properties
+ * (`--pa-panel`, `--pa-highlight`…, see ./themes.js); `rules` carry their colors.
+ *
+ * Words become buttons when `onWordClick` is given. Callers that mark words
+ * for their own reasons (rule previews, quiz taps) pass `decorate`; a word
+ * decorated as `masked` is shown as a blank of the same length (practice modes).
+ */
+
+/**
+ * Word stream.
+ *
+ * @param {Array<Array<Object>>} paragraphs - Tokens grouped by paragraph
+ * @param {Array<Object>} rules - The active rule list, with colors (see `themeRules`)
+ * @param {Array<Array<string>>} wordMatches - Matching rule ids for each word
+ * @param {number} activeIndex - Active word index (-1 before the first word)
+ * @param {string} [language] - Language of the text, for the `lang` attribute
+ * @param {boolean} [highContrast] - Rule colors as underlines on bold text (the high-contrast theme)
+ * @param {boolean} [symbols] - Mark passed matches with the rule symbols
+ * @param {number|null} [selectedIndex] - Word outlined as selected (e.g. open in the inspector)
+ * @param {Function} [decorate] - Called with a token; returns `{ style, title, masked }` to add to the word
+ * @param {Function} [onWordClick] - Called with the index of a clicked (or Enter/Space activated) word
+ * @param {Function} [onWordHover] - Called with the index of the word under the mouse, or null
+ */
+export default function WordStream({
+  paragraphs,
+  rules,
+  wordMatches,
+  activeIndex,
+  language,
+  highContrast = false,
+  symbols = true,
+  selectedIndex = null,
+  decorate,
+  onWordClick,
+  onWordHover,
+}) {
+  const { t } = useI18n();
+
+  /**
+   * Activates a word from the keyboard (Enter or Space).
+   */
+  const handleWordKeyDown = (event, index) => {
+    if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      onWordClick(index);
+    }
+  };
+
+  return (
+    <div lang={language} style={{
+      background: 'var(--pa-panel)',
+      color: 'var(--pa-panel-text)',
+      padding: '2rem 1.5rem',
+      minHeight: '250px',
+      borderRadius: '1.5rem',
+      boxShadow: '0 24px 60px rgba(0,0,0,0.5)',
+      marginBottom: '2rem',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      gap: '1rem'
+    }}>
+      {paragraphs.map((paragraphWords, p) => (
+        <p key={p} style={{
+          lineHeight: '1.8',
+          fontSize: '1.25rem',
+          textAlign: paragraphs.length > 1 ? 'left' : 'center',
+          width: '100%',
+          margin: 0
+        }}>
+          {paragraphWords.map((token) => {
+            const i = token.index;
+            const hasBeenPassed = i < activeIndex;
+            const matchedRule = colorRule(rules, wordMatches[i]);
+
+            let colorStyle = {};
+            let bgStyle = {};
+
+            if (i === activeIndex) {
+              bgStyle = { background: 'var(--pa-highlight)', boxShadow: 'var(--pa-highlight-ring)' };
+            }
+
+            // High contrast keeps the text color and shows the rule color as a thick underline
+            if (hasBeenPassed && matchedRule) {
+              colorStyle = highContrast
+                ? { fontWeight: '700', textDecoration: 'underline', textDecorationColor: matchedRule.color, textDecorationThickness: '3px', textUnderlineOffset: '4px' }
+                : { color: matchedRule.color, fontWeight: '600' };
+            }
+
+            // Symbols of the matched rules, so matches don't rely on color alone
+            const passedMatches = hasBeenPassed ? rules.filter((rule) => wordMatches[i].includes(rule.id)) : [];
+
+            // Outline the selected word
+            const selectStyle = i === selectedIndex ? { outline: '2px solid var(--pa-selected)' } : {};
+
+            const decoration = decorate ? decorate(token) : {};
+            const interactive = Boolean(onWordClick);
+            const masked = Boolean(decoration.masked);
+
+            return (
+              <span
+                key={i}
+                role={interactive ? "button" : undefined}
+                tabIndex={interactive ? 0 : undefined}
+                aria-pressed={interactive ? i === selectedIndex : undefined}
+                aria-label={
+                  masked
+                    ? t("practice.hiddenWord")
+                    : passedMatches.length ? `${token.text} (${passedMatches.map((rule) => rule.label).join(", ")})` : undefined
+                }
+                title={decoration.title}
+                onClick={interactive ? () => onWordClick(i) : undefined}
+                onKeyDown={interactive ? (e) => handleWordKeyDown(e, i) : undefined}
+                onMouseEnter={onWordHover ? () => onWordHover(i) : undefined}
+                onMouseLeave={onWordHover ? () => onWordHover(null) : undefined}
+                style={{
+                  padding: '0 2px',
+                  borderRadius: '4px',
+                  transition: 'all 0.15s',
+                  cursor: interactive ? 'pointer' : 'default',
+                  ...bgStyle,
+                  ...colorStyle,
+                  ...selectStyle,
+                  ...decoration.style
+                }}
+              >
+                {token.leading + (masked ? "_".repeat(token.text.length) : token.text) + token.trailing}
+                {symbols && !masked && passedMatches.length > 0 && (
+                  <sup aria-hidden="true" style={{ fontSize: '0.6em', marginLeft: '1px' }}>
+                    {passedMatches.map((rule) => ruleSymbol(rules, rule.id)).join("")}
+                  </sup>
+                )}
+                {token.spaceAfter ? " " : ""}
+              </span>
+            );
+          })}
+        </p>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+import { DEFAULT_RULES, matchRules } from "./rules.js";
+import { DEFAULT_TOKENIZER_OPTIONS, tokenizeText } from "./tokenizer.js";
+
+/**
+ * Analysis core
+ * ------------------------------------------------------------
+ * The counting logic shared by the browser analyzer (./usePreambleAnalyzer.js)
+ * and the command-line analyzer (../bin/preamble-analyze.js): which rules each
+ * word matches, and the counters at any position of the text.
+ *
+ *   const { tokens, wordMatches, counts } = analyzeText(TEXT_LIBRARY[0]);
+ *   counts;                  // { startsT: 10, endsE: 16, startsTEndsE: 6 }
+ *
+ * A plain ES module with no browser or React dependencies, so Node can run it
+ * directly; its imports (and theirs) spell out the ".js" extension for that reason.
+ */
+
+/**
+ * Utility: Clamps a number between min and max values.
+ *
+ * @param {number} n - The number to clamp
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @returns {number} The clamped value
+ */
+export function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+/**
+ * Utility: Computes word characteristics for counting purposes.
+ * Determines which of the given rules the word matches.
+ *
+ * @param {Object} token - The word token to analyze (its normalized form is tested)
+ * @param {Array<Object>} rules - The rule list to evaluate
+ * @returns {Array<string>} Ids of the matching rules
+ */
+export function computeCounts(token, rules) {
+  return matchRules(rules, token.normalized);
+}
+
+/**
+ * Matches every word of a text against the rules.
+ *
+ * @param {Array<Object>} tokens - Word tokens (see ./tokenizer.js)
+ * @param {Array<Object>} rules - The rule list to evaluate
+ * @returns {Array<Array<string>>} Matching rule ids for each word
+ */
+export function matchWords(tokens, rules) {
+  return tokens.map((token) => computeCounts(token, rules));
+}
+
+/**
+ * Utility: Builds a counter object with a zero entry for every rule.
+ *
+ * @param {Array<Object>} rules - The rule list
+ * @returns {Object} Map of rule id to 0
+ */
+function emptyCounts(rules) {
+  return Object.fromEntries(rules.map((rule) => [rule.id, 0]));
+}
+
+/**
+ * Utility: Returns a counter object with every matched rule incremented by one.
+ *
+ * @param {Object} counts - Current map of rule id to count
+ * @param {Array<string>} matchedIds - Ids of the rules the word matched
+ * @returns {Object} The updated counter object
+ */
+function incrementCounts(counts, matchedIds) {
+  const next = { ...counts };
+  for (const id of matchedIds) {
+    next[id] = (next[id] || 0) + 1;
+  }
+  return next;
+}
+
+/**
+ * Precomputes the counters at every position of the text.
+ * Entry `k` holds the counts over the first `k` words, so the counts with the
+ * word at `index` highlighted are `prefixCounts[index + 1]`.
+ *
+ * @param {Array<Array<string>>} wordMatches - Matching rule ids for each word
+ * @param {Array<Object>} rules - The rule list
+ * @returns {Array<Object>} `wordMatches.length + 1` maps of rule id to count
+ */
+export function buildPrefixCounts(wordMatches, rules) {
+  const prefixCounts = [emptyCounts(rules)];
+  for (const matchedIds of wordMatches) {
+    prefixCounts.push(incrementCounts(prefixCounts[prefixCounts.length - 1], matchedIds));
+  }
+  return prefixCounts;
+}
+
+/**
+ * Reads the counters for an active word index from the prefix sums.
+ *
+ * @param {Array<Object>} prefixCounts - Result of `buildPrefixCounts`
+ * @param {number} index - Active word index (-1 before the first word)
+ * @returns {Object} Map of rule id to count
+ */
+export function countsAt(prefixCounts, index) {
+  return prefixCounts[clamp(index + 1, 0, prefixCounts.length - 1)];
+}
+
+/**
+ * Analyzes a whole text: its words, the rules each one matches and the totals.
+ *
+ * @param {Object} text - A text object (see ./texts.js)
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.rules] - Counting rules (default: the "t" / "e" rules)
+ * @param {Object} [options.tokenizerOptions] - How the text is split into words
+ * @returns {{ tokens: Array<Object>, wordMatches: Array<Array<string>>, counts: Object }}
+ */
+export function analyzeText(text, { rules = DEFAULT_RULES, tokenizerOptions = DEFAULT_TOKENIZER_OPTIONS } = {}) {
+  const tokens = tokenizeText(text, tokenizerOptions);
+  const wordMatches = matchWords(tokens, rules);
+  const counts = wordMatches.reduce(incrementCounts, emptyCounts(rules));
+  return { tokens, wordMatches, counts };
+}
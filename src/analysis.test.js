@@ -0,0 +1,30 @@
+import { describe, it, expect } from "vitest";
+import { analyzeText, matchWords, buildPrefixCounts, countsAt } from "./analysis";
+import { DEFAULT_RULES } from "./rules";
+import { TEXT_LIBRARY, createText } from "./texts";
+
+describe("analysis core", () => {
+  const text = createText({ id: "t", title: "Sample", content: "Take the time. Of note." });
+
+  it("matches every word and totals the matches", () => {
+    const { tokens, wordMatches, counts } = analyzeText(text);
+    expect(tokens.map((token) => token.normalized)).toEqual(["take", "the", "time", "of", "note"]);
+    expect(wordMatches[3]).toEqual([]);
+    expect(counts).toEqual({ startsT: 3, endsE: 4, startsTEndsE: 3 });
+  });
+
+  it("reads the counters at any position from the prefix sums", () => {
+    const rules = DEFAULT_RULES.slice(0, 1);
+    const prefixCounts = buildPrefixCounts(matchWords(analyzeText(text).tokens, rules), rules);
+    expect(prefixCounts.map((counts) => counts.startsT)).toEqual([0, 1, 2, 3, 3, 3]);
+    expect(countsAt(prefixCounts, -1)).toEqual({ startsT: 0 });
+    expect(countsAt(prefixCounts, 1)).toEqual({ startsT: 2 });
+    expect(countsAt(prefixCounts, 99)).toEqual({ startsT: 3 });
+  });
+
+  it("totals the preamble like the analyzer at its last word", () => {
+    const { tokens, counts } = analyzeText(TEXT_LIBRARY[0]);
+    expect(tokens).toHaveLength(52);
+    expect(counts).toEqual({ startsT: 10, endsE: 16, startsTEndsE: 6 });
+  });
+});
@@ -0,0 +1,256 @@
+import { TEXT_LIBRARY } from "./texts";
+import { sanitizeRules } from "./rules";
+import { readTokenizerOptions } from "./shareLink";
+
+/**
+ * Classroom sync
+ * ------------------------------------------------------------
+ * The browser side of the classroom server (server/classroom-server.js). The
+ * teacher's analyzer sends a snapshot of what it shows whenever the active
+ * word, the mode or the rules change; followers in the same room receive it
+ * and mirror it (see `mirror` in ./usePreambleAnalyzer.js).
+ *
+ *   const client = createClassroomClient({ url: "ws://10.0.0.5:8787", room: "ABCD", role: "teacher" });
+ *   client.send(createSnapshot({ text, rules, tokenizerOptions, mode, index: 12, playing: true }));
+ *
+ * Dropped connections are retried with a growing delay (1s, 2s, 4s, … up to 10s).
+ * A reconnecting teacher re-sends its latest snapshot, and the server sends
+ * every joining follower the room's latest one, so nobody waits for the next word.
+ * The server gives a room's first teacher a secret, which the client sends when
+ * it rejoins; a teacher who is refused or replaced stops instead of retrying.
+ * Server errors arrive as codes (`{ type: "error", code, params }`), translated
+ * under `classroom.error.<code>`.
+ *
+ * Students can be sent straight into a room with a link: `?classroom=ABCD&server=ws://…`.
+ */
+
+/** Port of the classroom server unless told otherwise */
+export const DEFAULT_CLASSROOM_PORT = 8787;
+
+/** Reconnect delays, in ms */
+const FIRST_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 10000;
+
+/** Error codes after which a teacher stops: the room belongs to someone else */
+const FINAL_ERRORS = ["wrongSecret", "takenOver"];
+
+/** Room code letters: no 0/O or 1/I, which are easy to mix up on a projector */
+const ROOM_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+/**
+ * Utility: The server a page talks to by default: the classroom port on the
+ * machine that served the page, which is where `npm run classroom` usually runs.
+ *
+ * @param {Location|URL} [location] - The page location
+ * @returns {string} A ws:// URL
+ */
+export function defaultServerUrl(location = window.location) {
+  return `ws://${location.hostname || "localhost"}:${DEFAULT_CLASSROOM_PORT}`;
+}
+
+/**
+ * Utility: Normalizes a room code as the server does (trimmed, upper-case).
+ *
+ * @param {string} room - Room code as typed
+ * @returns {string} The normalized code (empty if none)
+ */
+export function normalizeRoom(room) {
+  return String(room || "").trim().toUpperCase();
+}
+
+/**
+ * Utility: A random four-character room code.
+ *
+ * @param {Function} [random] - Random number source in [0, 1)
+ * @returns {string} The code
+ */
+export function createRoomCode(random = Math.random) {
+  let code = "";
+  for (let i = 0; i < 4; i++) code += ROOM_ALPHABET[Math.floor(random() * ROOM_ALPHABET.length)];
+  return code;
+}
+
+/**
+ * Utility: How long to wait before reconnect attempt `attempt` (0-based).
+ *
+ * @param {number} attempt - Number of failed attempts so far
+ * @returns {number} Delay in ms
+ */
+export function reconnectDelay(attempt) {
+  return Math.min(FIRST_RETRY_DELAY * 2 ** attempt, MAX_RETRY_DELAY);
+}
+
+/**
+ * Reads a classroom invitation from a page's query string.
+ *
+ * @param {string} search - `window.location.search`
+ * @param {Location|URL} [location] - The page location, for the default server
+ * @returns {{ room: string, server: string }|null} Null if the link has no room
+ */
+export function readClassroomParams(search, location = window.location) {
+  const params = new URLSearchParams(search);
+  const room = normalizeRoom(params.get("classroom"));
+  if (!room) return null;
+  return { room, server: params.get("server") || defaultServerUrl(location) };
+}
+
+/**
+ * Builds the link students open to follow a room.
+ *
+ * @param {Location|URL} location - The teacher's page location
+ * @param {string} room - Room code
+ * @param {string} server - Server URL
+ * @returns {string} The link
+ */
+export function classroomLink(location, room, server) {
+  const params = new URLSearchParams({ classroom: room });
+  if (server !== defaultServerUrl(location)) params.set("server", server);
+  return `${location.origin}${location.pathname}?${params}`;
+}
+
+/**
+ * Builds the snapshot a teacher sends: everything a follower needs to show the
+ * same highlight and counters. Library texts travel by id; pasted or uploaded
+ * texts travel whole, since followers don't have them.
+ *
+ * @param {Object} state
+ * @param {Object} state.text - The current text (see ./texts.js)
+ * @param {Array<Object>} state.rules - Counting rules
+ * @param {Object} state.tokenizerOptions - How the text is split into words
+ * @param {"song"|"manual"|null} state.mode - Mode of the current run
+ * @param {number} state.index - Active word index (-1 before the first word)
+ * @param {boolean} state.playing - Whether the run is moving
+ * @returns {Object} The snapshot
+ */
+export function createSnapshot({ text, rules, tokenizerOptions, mode, index, playing }) {
+  const library = TEXT_LIBRARY.some((t) => t.id === text.id);
+  const { id, title, source, language, paragraphs } = text;
+  return {
+    text: library ? { id } : { id, title, source, language, paragraphs },
+    rules,
+    tokenizerOptions,
+    mode,
+    index,
+    playing,
+  };
+}
+
+/**
+ * Checks a snapshot received from the network before a follower applies it.
+ * The text must be a library text (by id) or a whole custom text with string
+ * paragraphs; the rules and tokenizer options are checked like a share link's.
+ *
+ * @param {*} value - The `state` of a server message
+ * @returns {Object|null} The snapshot, or null if any part is malformed
+ */
+export function readSnapshot(value) {
+  if (!value || typeof value !== "object" || !value.text || typeof value.text !== "object") return null;
+  const { text } = value;
+  if (typeof text.id !== "string" || !text.id) return null;
+
+  let snapshotText = { id: text.id };
+  if (!TEXT_LIBRARY.some((t) => t.id === text.id)) {
+    const { paragraphs } = text;
+    if (!Array.isArray(paragraphs) || paragraphs.length === 0 || !paragraphs.every((p) => typeof p === "string")) return null;
+    const optional = (field) => (typeof text[field] === "string" ? text[field] : "");
+    snapshotText = { id: text.id, title: optional("title") || text.id, source: optional("source"), language: optional("language") || "en", paragraphs };
+  }
+
+  const rules = sanitizeRules(value.rules);
+  const tokenizerOptions = readTokenizerOptions(value.tokenizerOptions);
+  if (!rules || !tokenizerOptions) return null;
+  if (![null, "song", "manual"].includes(value.mode ?? null)) return null;
+  if (!Number.isInteger(value.index) || value.index < -1) return null;
+
+  return { text: snapshotText, rules, tokenizerOptions, mode: value.mode ?? null, index: value.index, playing: value.playing === true };
+}
+
+/**
+ * Connects to a room and stays connected until closed.
+ *
+ * @param {Object} options
+ * @param {string} options.url - Server URL (ws:// or wss://)
+ * @param {string} options.room - Room code
+ * @param {"teacher"|"follower"} options.role - Role in the room
+ * @param {Function} [options.onMessage] - Called with every message from the server (parsed)
+ * @param {Function} [options.onStatus] - Called with "connecting", "connected", "reconnecting" or "closed"
+ * @param {Function} [options.WebSocketImpl] - WebSocket constructor (for tests)
+ * @returns {{ send: Function, close: Function }} `send(snapshot)` (teacher) and `close()`
+ */
+export function createClassroomClient({ url, room, role, onMessage = () => {}, onStatus = () => {}, WebSocketImpl = window.WebSocket }) {
+  let socket = null;
+  let joined = false;
+  let closed = false;
+  let attempt = 0;
+  let retryTimer = null;
+  let lastSnapshot = null;
+  /** The room's teacher secret, once the server has issued it */
+  let secret = null;
+
+  const sendSnapshot = () => {
+    if (joined && lastSnapshot) socket.send(JSON.stringify({ type: "state", state: lastSnapshot }));
+  };
+
+  const connect = () => {
+    onStatus(attempt === 0 ? "connecting" : "reconnecting");
+    try {
+      socket = new WebSocketImpl(url);
+    } catch (error) {
+      console.error("Error connecting to the classroom server:", error);
+      scheduleRetry();
+      return;
+    }
+
+    socket.onopen = () => {
+      socket.send(JSON.stringify(secret ? { type: "join", room, role, secret } : { type: "join", room, role }));
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        console.error("Error reading classroom message:", error);
+        return;
+      }
+      if (message.type === "joined") {
+        joined = true;
+        attempt = 0;
+        if (message.secret) secret = message.secret;
+        onStatus("connected");
+        sendSnapshot();
+      }
+      onMessage(message);
+      if (message.type === "error" && FINAL_ERRORS.includes(message.code)) stop();
+    };
+
+    // Every failure ends in close: a refused connection, a dropped one, a server restart
+    socket.onclose = () => {
+      joined = false;
+      if (!closed) scheduleRetry();
+    };
+  };
+
+  const scheduleRetry = () => {
+    onStatus("reconnecting");
+    retryTimer = setTimeout(connect, reconnectDelay(attempt));
+    attempt += 1;
+  };
+
+  const stop = () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (socket) socket.close();
+    onStatus("closed");
+  };
+
+  connect();
+
+  return {
+    send(snapshot) {
+      lastSnapshot = snapshot;
+      sendSnapshot();
+    },
+    close: stop,
+  };
+}
@@ -0,0 +1,203 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  createClassroomClient,
+  createSnapshot,
+  createRoomCode,
+  reconnectDelay,
+  readClassroomParams,
+  classroomLink,
+  readSnapshot,
+} from "./classroom";
+import { TEXT_LIBRARY, createText } from "./texts";
+import { DEFAULT_RULES } from "./rules";
+import { DEFAULT_TOKENIZER_OPTIONS } from "./tokenizer";
+
+/** Stand-in for the browser WebSocket: records what is sent, lets the test play the server */
+class FakeSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    FakeSocket.instances.push(this);
+  }
+
+  send(text) {
+    this.sent.push(JSON.parse(text));
+  }
+
+  close() {
+    this.onclose();
+  }
+
+  open() {
+    this.onopen();
+  }
+
+  receive(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+}
+
+const location = new URL("http://10.0.0.5:5173/");
+
+describe("classroom helpers", () => {
+  it("backs off between reconnects, up to ten seconds", () => {
+    expect([0, 1, 2, 3, 4, 10].map(reconnectDelay)).toEqual([1000, 2000, 4000, 8000, 10000, 10000]);
+  });
+
+  it("makes room codes without look-alike characters", () => {
+    expect(createRoomCode(() => 0)).toBe("AAAA");
+    expect(createRoomCode(() => 0.999)).toMatch(/^[A-HJ-NP-Z2-9]{4}$/);
+  });
+
+  it("reads invitations and builds links for students", () => {
+    expect(readClassroomParams("?classroom=abcd", location)).toEqual({ room: "ABCD", server: "ws://10.0.0.5:8787" });
+    expect(readClassroomParams("?text=preamble", location)).toBeNull();
+    expect(classroomLink(location, "ABCD", "ws://10.0.0.5:8787")).toBe("http://10.0.0.5:5173/?classroom=ABCD");
+    const link = classroomLink(location, "ABCD", "ws://school:9000");
+    expect(readClassroomParams(new URL(link).search, location)).toEqual({ room: "ABCD", server: "ws://school:9000" });
+  });
+
+  it("sends library texts by id and other texts whole", () => {
+    const state = { rules: DEFAULT_RULES, tokenizerOptions: DEFAULT_TOKENIZER_OPTIONS, mode: "manual", index: 3, playing: true };
+    expect(createSnapshot({ ...state, text: TEXT_LIBRARY[0] }).text).toEqual({ id: TEXT_LIBRARY[0].id });
+
+    const pasted = createText({ id: "pasted-1", title: "Notes", content: "Take time" });
+    expect(createSnapshot({ ...state, text: pasted })).toEqual({
+      ...state,
+      text: { id: "pasted-1", title: "Notes", source: "", language: "en", paragraphs: pasted.paragraphs },
+    });
+  });
+});
+
+describe("readSnapshot", () => {
+  const valid = { text: { id: "preamble" }, rules: DEFAULT_RULES, tokenizerOptions: DEFAULT_TOKENIZER_OPTIONS, mode: "song", index: 3, playing: true };
+
+  it("accepts library texts by id and whole custom texts", () => {
+    expect(readSnapshot(valid)).toEqual(valid);
+    const custom = readSnapshot({ ...valid, text: { id: "pasted-1", paragraphs: ["Take time"] } });
+    expect(custom.text).toEqual({ id: "pasted-1", title: "pasted-1", source: "", language: "en", paragraphs: ["Take time"] });
+  });
+
+  it("rejects malformed snapshots", () => {
+    for (const bad of [
+      null,
+      "state",
+      { ...valid, text: undefined },
+      { ...valid, text: { id: "magna-carta" } },
+      { ...valid, text: { id: "pasted-1", paragraphs: [42] } },
+      { ...valid, rules: undefined },
+      { ...valid, rules: [{ id: "x", label: "X", condition: { type: "shout" } }] },
+      { ...valid, rules: [{ id: "x", label: "X", condition: { type: "or", conditions: [null] } }] },
+      { ...valid, tokenizerOptions: { ...DEFAULT_TOKENIZER_OPTIONS, hyphens: "maybe" } },
+      { ...valid, tokenizerOptions: null },
+      { ...valid, mode: "karaoke" },
+      { ...valid, index: "3" },
+      { ...valid, index: -2 },
+    ]) {
+      expect(readSnapshot(bad)).toBeNull();
+    }
+  });
+});
+
+describe("createClassroomClient", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    FakeSocket.instances = [];
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const connect = (options) => {
+    const statuses = [];
+    const messages = [];
+    const client = createClassroomClient({
+      url: "ws://localhost:8787",
+      room: "ABCD",
+      WebSocketImpl: FakeSocket,
+      onStatus: (status) => statuses.push(status),
+      onMessage: (message) => messages.push(message),
+      ...options,
+    });
+    return { client, statuses, messages, socket: () => FakeSocket.instances[FakeSocket.instances.length - 1] };
+  };
+
+  it("joins the room and passes on the server's messages", () => {
+    const { statuses, messages, socket } = connect({ role: "follower" });
+    socket().open();
+    expect(socket().sent).toEqual([{ type: "join", room: "ABCD", role: "follower" }]);
+
+    socket().receive({ type: "joined", room: "ABCD", role: "follower", teacherConnected: true });
+    socket().receive({ type: "state", state: { index: 4 } });
+    expect(statuses).toEqual(["connecting", "connected"]);
+    expect(messages.map((message) => message.type)).toEqual(["joined", "state"]);
+  });
+
+  it("keeps the teacher's latest snapshot until the room is joined", () => {
+    const { client, socket } = connect({ role: "teacher" });
+    client.send({ index: 1 });
+    client.send({ index: 2 });
+    socket().open();
+    socket().receive({ type: "joined", room: "ABCD", role: "teacher", teacherConnected: true });
+    expect(socket().sent).toEqual([
+      { type: "join", room: "ABCD", role: "teacher" },
+      { type: "state", state: { index: 2 } },
+    ]);
+  });
+
+  it("reconnects after a dropped connection and re-sends the latest snapshot", () => {
+    const { client, statuses, socket } = connect({ role: "teacher" });
+    socket().open();
+    socket().receive({ type: "joined" });
+    client.send({ index: 7 });
+
+    socket().onclose();
+    expect(statuses[statuses.length - 1]).toBe("reconnecting");
+    vi.advanceTimersByTime(999);
+    expect(FakeSocket.instances).toHaveLength(1);
+    vi.advanceTimersByTime(1);
+    expect(FakeSocket.instances).toHaveLength(2);
+
+    // The server is still down: the next try waits longer
+    socket().onclose();
+    vi.advanceTimersByTime(1999);
+    expect(FakeSocket.instances).toHaveLength(2);
+    vi.advanceTimersByTime(1);
+    expect(FakeSocket.instances).toHaveLength(3);
+
+    socket().open();
+    socket().receive({ type: "joined" });
+    expect(statuses[statuses.length - 1]).toBe("connected");
+    expect(socket().sent).toEqual([
+      { type: "join", room: "ABCD", role: "teacher" },
+      { type: "state", state: { index: 7 } },
+    ]);
+  });
+
+  it("rejoins with the room's secret and stops once another teacher has the room", () => {
+    const { statuses, messages, socket } = connect({ role: "teacher" });
+    socket().open();
+    socket().receive({ type: "joined", room: "ABCD", role: "teacher", teacherConnected: true, secret: "s3cret" });
+    socket().onclose();
+    vi.advanceTimersByTime(1000);
+    socket().open();
+    expect(socket().sent).toEqual([{ type: "join", room: "ABCD", role: "teacher", secret: "s3cret" }]);
+
+    socket().receive({ type: "error", code: "takenOver", params: { room: "ABCD" } });
+    expect(messages[messages.length - 1]).toEqual({ type: "error", code: "takenOver", params: { room: "ABCD" } });
+    expect(statuses[statuses.length - 1]).toBe("closed");
+    vi.advanceTimersByTime(60000);
+    expect(FakeSocket.instances).toHaveLength(2);
+  });
+
+  it("stops reconnecting once closed", () => {
+    const { client, statuses } = connect({ role: "follower" });
+    client.close();
+    vi.advanceTimersByTime(60000);
+    expect(FakeSocket.instances).toHaveLength(1);
+    expect(statuses[statuses.length - 1]).toBe("closed");
+  });
+});
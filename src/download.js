@@ -0,0 +1,32 @@
+/**
+ * Utility: Saves text content as a file through a temporary download link.
+ *
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string} content - File contents
+ * @param {string} [type="text/plain"] - MIME type
+ */
+export function downloadFile(fileName, content, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Utility: Turns a title into a safe file name stem, e.g. "Gettysburg Address" -> "gettysburg-address".
+ *
+ * @param {string} title - Any title
+ * @returns {string} A lowercase, dash-separated stem
+ */
+export function fileStem(title) {
+  return (
+    title
+      .toLowerCase()
+      .replace(/[^\p{L}\p{Nd}]+/gu, "-")
+      .replace(/^-+|-+$/g, "") || "export"
+  );
+}
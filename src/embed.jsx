@@ -0,0 +1,151 @@
+import React from "react";
+import { createRoot } from "react-dom/client";
+import PreambleWidget from "./PreambleWidget";
+import { LANGUAGES, detectLocale } from "./i18n";
+import { TEXT_LIBRARY } from "./texts";
+import { decodeShareState } from "./shareLink";
+import { sanitizeRules } from "./rules";
+import { THEMES } from "./themes";
+import styles from "./index.css?inline";
+
+/**
+ * Embeddable analyzer
+ * ------------------------------------------------------------
+ * Entry point of the embed build (`npm run build:embed`). Defines the
+ * <preamble-analyzer> custom element, which renders `PreambleWidget` in its
+ * own shadow root, so the host page's styles and the analyzer's stay apart:
+ *
+ *   <script src="preamble-analyzer.iife.js"></script>
+ *   <preamble-analyzer text="gettysburg" wpm="200" locale="es" autoplay></preamble-analyzer>
+ *
+ * Attributes:
+ *   text="bill-of-rights"   library text id (default: the Preamble)
+ *   rules='[{…}]'           counting rules as JSON, or the `rules` value of a share link
+ *   wpm="200"               animation speed in words per minute
+ *   word="12"               word to start paused at, 1-based
+ *   split="split.keep.words.1.0"  word-splitting settings, as in a share link
+ *   locale="fr"             interface language (default: the visitor's)
+ *   theme="parchment"       color theme: dark (default), light, highContrast or parchment
+ *   high-contrast           the high-contrast theme, whatever `theme` says
+ *   symbols="false"         hide the match symbols
+ *   controls="false"        hide the transport controls
+ *   counters="false"        hide the counter cards
+ *   autoplay                start the animation right away
+ *
+ * Changing an attribute re-creates the widget with the new configuration.
+ */
+
+/** Attributes that configure the widget */
+const ATTRIBUTES = ["text", "rules", "wpm", "word", "split", "locale", "theme", "high-contrast", "symbols", "controls", "counters", "autoplay"];
+
+/** Attributes read with the share link decoder, under the same names */
+const SHARE_ATTRIBUTES = ["text", "wpm", "word", "split"];
+
+/**
+ * Reads the widget props from an element's attributes. Invalid values fall back
+ * to the defaults and are reported in `warnings` (translation keys with
+ * parameters), like a malformed share link.
+ *
+ * @param {Element} element - The <preamble-analyzer> element
+ * @returns {Object} Props for `PreambleWidget`
+ */
+export function readWidgetAttributes(element) {
+  const params = new URLSearchParams();
+  for (const name of SHARE_ATTRIBUTES) {
+    if (element.hasAttribute(name)) params.set(name, element.getAttribute(name));
+  }
+
+  // Rules may be plain JSON (easier to write by hand) or copied from a share link
+  const rulesAttribute = (element.getAttribute("rules") || "").trim();
+  let jsonRules = null;
+  if (rulesAttribute.startsWith("[")) {
+    try {
+      jsonRules = sanitizeRules(JSON.parse(rulesAttribute));
+    } catch (error) {
+      console.error("Error reading rules attribute:", error);
+    }
+  } else if (rulesAttribute) {
+    params.set("rules", rulesAttribute);
+  }
+
+  const state = decodeShareState(params.toString(), TEXT_LIBRARY);
+  const warnings = [...state.warnings];
+  if (rulesAttribute.startsWith("[") && !jsonRules) warnings.push({ key: "embed.badRules" });
+
+  const locale = element.getAttribute("locale");
+  const theme = element.getAttribute("theme");
+  if (theme && !THEMES.some((known) => known.id === theme)) warnings.push({ key: "embed.unknownTheme", params: { theme } });
+  const flag = (name) => element.getAttribute(name) !== "false";
+
+  return {
+    textId: state.textId,
+    rules: jsonRules || state.rules,
+    tokenizerOptions: state.tokenizerOptions,
+    wordsPerMinute: state.wordsPerMinute,
+    index: state.index,
+    locale: LANGUAGES.some((language) => language.code === locale) ? locale : detectLocale(),
+    theme: THEMES.some((known) => known.id === theme) ? theme : undefined,
+    highContrast: element.hasAttribute("high-contrast") && flag("high-contrast"),
+    symbols: flag("symbols"),
+    controls: flag("controls"),
+    counters: flag("counters"),
+    autoplay: element.hasAttribute("autoplay") && flag("autoplay"),
+    warnings,
+  };
+}
+
+/**
+ * Utility: Copies the stylesheet's @property rules to the page. Custom property
+ * registrations are ignored inside shadow roots, and Tailwind relies on them for
+ * shadows and rings.
+ *
+ * @param {Document} doc - The host document
+ */
+function registerCustomProperties(doc) {
+  if (doc.getElementById("preamble-analyzer-properties")) return;
+  const style = doc.createElement("style");
+  style.id = "preamble-analyzer-properties";
+  style.textContent = (styles.match(/@property[^{]+\{[^}]*\}/g) || []).join("\n");
+  doc.head.appendChild(style);
+}
+
+/**
+ * The <preamble-analyzer> element.
+ */
+export class PreambleAnalyzerElement extends HTMLElement {
+  static get observedAttributes() {
+    return ATTRIBUTES;
+  }
+
+  connectedCallback() {
+    if (!this.shadowRoot) {
+      const shadow = this.attachShadow({ mode: "open" });
+      const style = document.createElement("style");
+      style.textContent = styles;
+      shadow.appendChild(style);
+      shadow.appendChild(document.createElement("div"));
+      registerCustomProperties(document);
+    }
+    this.root = createRoot(this.shadowRoot.lastChild);
+    this.renderWidget();
+  }
+
+  disconnectedCallback() {
+    if (this.root) this.root.unmount();
+    this.root = null;
+  }
+
+  attributeChangedCallback() {
+    if (this.root) this.renderWidget();
+  }
+
+  renderWidget() {
+    const props = readWidgetAttributes(this);
+    // Every prop is an initial value, so a new configuration means a new widget
+    this.root.render(<PreambleWidget key={JSON.stringify(props)} {...props} />);
+  }
+}
+
+if (!customElements.get("preamble-analyzer")) {
+  customElements.define("preamble-analyzer", PreambleAnalyzerElement);
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { act } from "@testing-library/react";
+import { readWidgetAttributes } from "./embed";
+
+/** Creates a <preamble-analyzer> element with the given attributes, attached to the page */
+function mount(attributes) {
+  const element = document.createElement("preamble-analyzer");
+  for (const [name, value] of Object.entries(attributes)) element.setAttribute(name, value);
+  act(() => {
+    document.body.appendChild(element);
+  });
+  return element;
+}
+
+describe("<preamble-analyzer>", () => {
+  afterEach(() => {
+    act(() => {
+      document.body.innerHTML = "";
+    });
+  });
+
+  it("renders the configured text, counters and language in its shadow root", () => {
+    const element = mount({ text: "gettysburg", word: "3", locale: "es" });
+    const shadow = element.shadowRoot;
+
+    // Word 3 is active, so the words before it are counted and marked
+    expect(shadow.textContent).toContain("Four score● and seven years ago");
+    expect(shadow.querySelector('[aria-label="Controles de reproducción"]')).not.toBeNull();
+    expect(Array.from(shadow.querySelectorAll("p"), (p) => p.textContent)).toContain("Empieza por «t»");
+  });
+
+  it("hides the controls and counters when asked", () => {
+    const element = mount({ controls: "false", counters: "false" });
+    expect(element.shadowRoot.querySelector("section")).toBeNull();
+    expect(element.shadowRoot.textContent).not.toContain('Starts with "t"');
+  });
+
+  it("re-renders when an attribute changes", () => {
+    const element = mount({});
+    expect(element.shadowRoot.textContent).toContain("We the People");
+    act(() => {
+      element.setAttribute("text", "gettysburg");
+    });
+    expect(element.shadowRoot.textContent).toContain("Four score");
+  });
+});
+
+describe("readWidgetAttributes", () => {
+  const read = (attributes) => {
+    const element = document.createElement("div");
+    for (const [name, value] of Object.entries(attributes)) element.setAttribute(name, value);
+    return readWidgetAttributes(element);
+  };
+
+  it("accepts rules as JSON and the share link settings", () => {
+    const rules = [{ id: "th", label: "Starts with th", color: "#123456", condition: { type: "prefix", value: "th" } }];
+    const props = read({ rules: JSON.stringify(rules), wpm: "200", word: "5", theme: "parchment", "high-contrast": "" });
+    expect(props).toMatchObject({ rules, wordsPerMinute: 200, index: 4, theme: "parchment", highContrast: true, symbols: true, autoplay: false, warnings: [] });
+  });
+
+  it("reports attributes it cannot use", () => {
+    const props = read({ text: "missing", rules: "[1]", theme: "neon" });
+    expect(props.textId).toBeUndefined();
+    expect(props.rules).toBeUndefined();
+    expect(props.theme).toBeUndefined();
+    expect(props.warnings).toEqual([
+      { key: "links.unknownText", params: { id: "missing" } },
+      { key: "embed.badRules" },
+      { key: "embed.unknownTheme", params: { theme: "neon" } },
+    ]);
+  });
+});
@@ -0,0 +1,211 @@
+import { sanitizeRules } from "./rules";
+import { DEFAULT_TOKENIZER_OPTIONS, tokenizeText } from "./tokenizer";
+import { readTokenizerOptions } from "./shareLink";
+
+/**
+ * Run history
+ * ------------------------------------------------------------
+ * Completed runs are kept in localStorage under one versioned key:
+ *
+ *   { version: 2, runs: [ ...run records, newest first ] }
+ *
+ * A run record is self-contained, so it can be re-opened even when its text
+ * was pasted in another session:
+ *
+ *   {
+ *     id, savedAt,                       // ISO timestamp
+ *     mode: "song" | "manual",
+ *     text: { id, title, source, language, paragraphs, library },
+ *     rules, tokenizerOptions,
+ *     wordCount, counts,                 // final counts by rule id
+ *     quiz, quizScore,                   // locked quiz answers and score, or null
+ *   }
+ *
+ * When the record or rule format changes, bump HISTORY_VERSION and add a
+ * migration from the previous version to MIGRATIONS; stored entries are
+ * upgraded step by step when they are loaded. Loaded records are then checked
+ * one by one (see `readRunRecord`), so one damaged entry doesn't break the panel.
+ */
+
+/** localStorage key of the history */
+export const HISTORY_STORAGE_KEY = "preamble-analyzer:history";
+
+/** Current version of the stored format */
+export const HISTORY_VERSION = 2;
+
+/** Most runs kept; older ones are dropped */
+export const MAX_HISTORY_RUNS = 50;
+
+/**
+ * Upgrades from version N to N + 1, keyed by N. Each takes and returns the
+ * whole stored object `{ version, runs }`.
+ */
+const MIGRATIONS = {
+  // 2: texts record their language; every text before it was English
+  1: (data) => ({
+    version: 2,
+    runs: data.runs.map((run) => (run && run.text && typeof run.text === "object" ? { ...run, text: { language: "en", ...run.text } } : run)),
+  }),
+};
+
+/**
+ * Utility: Upgrades stored history to the current version.
+ * Throws if the data is newer than this app or a migration is missing.
+ *
+ * @param {Object} data - Parsed stored object
+ * @returns {Array<Object>} The run records
+ */
+export function migrateHistory(data) {
+  if (!data || typeof data !== "object" || !Number.isInteger(data.version) || !Array.isArray(data.runs)) {
+    throw new Error("Stored history is not in a known format");
+  }
+  if (data.version > HISTORY_VERSION) {
+    throw new Error(`Stored history version ${data.version} is newer than this app (${HISTORY_VERSION})`);
+  }
+
+  let current = data;
+  while (current.version < HISTORY_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    if (!migrate) throw new Error(`No migration from history version ${current.version}`);
+    current = migrate(current);
+  }
+  return current.runs;
+}
+
+/**
+ * Utility: Checks a stored run record. A record without an id, a save date, a
+ * readable text or a valid rule list cannot be shown or re-opened and is
+ * dropped; missing counts, quiz, mode, word splitting or word count are filled in.
+ *
+ * @param {*} run - A record from storage, already migrated
+ * @returns {Object|null} The record, repaired, or null if it is unusable
+ */
+export function readRunRecord(run) {
+  if (!run || typeof run !== "object" || typeof run.id !== "string" || typeof run.savedAt !== "string") return null;
+  const { text } = run;
+  if (!text || typeof text !== "object" || typeof text.id !== "string" || typeof text.language !== "string") return null;
+  if (!Array.isArray(text.paragraphs) || !text.paragraphs.every((paragraph) => typeof paragraph === "string")) return null;
+  const rules = sanitizeRules(run.rules);
+  if (!rules) return null;
+
+  const tokenizerOptions = readTokenizerOptions(run.tokenizerOptions) || DEFAULT_TOKENIZER_OPTIONS;
+  const storedText = {
+    id: text.id,
+    title: typeof text.title === "string" ? text.title : text.id,
+    source: typeof text.source === "string" ? text.source : "",
+    language: text.language,
+    paragraphs: text.paragraphs,
+    library: text.library === true,
+  };
+  return {
+    ...run,
+    mode: run.mode === "song" ? "song" : "manual",
+    text: storedText,
+    rules,
+    tokenizerOptions,
+    wordCount: Number.isInteger(run.wordCount) && run.wordCount >= 0 ? run.wordCount : tokenizeText(storedText, tokenizerOptions).length,
+    counts: run.counts && typeof run.counts === "object" ? run.counts : {},
+    quiz: run.quiz && typeof run.quiz === "object" ? run.quiz : null,
+    quizScore: Number.isFinite(run.quizScore) ? run.quizScore : null,
+  };
+}
+
+/**
+ * Loads the run history. Unreadable data is logged and treated as empty;
+ * unusable records are logged and left out.
+ *
+ * @param {Storage} [storage] - Where the history is kept
+ * @returns {Array<Object>} Run records, newest first
+ */
+export function loadHistory(storage = window.localStorage) {
+  try {
+    const raw = storage.getItem(HISTORY_STORAGE_KEY);
+    const stored = raw ? migrateHistory(JSON.parse(raw)) : [];
+    const runs = stored.map(readRunRecord).filter(Boolean);
+    if (runs.length < stored.length) console.error(`Skipped ${stored.length - runs.length} unreadable run(s) in the history`);
+    return runs;
+  } catch (error) {
+    console.error("Error loading run history:", error);
+    return [];
+  }
+}
+
+/**
+ * Saves the run history, keeping the newest MAX_HISTORY_RUNS runs.
+ *
+ * @param {Array<Object>} runs - Run records, newest first
+ * @param {Storage} [storage] - Where the history is kept
+ */
+export function saveHistory(runs, storage = window.localStorage) {
+  try {
+    storage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({ version: HISTORY_VERSION, runs: runs.slice(0, MAX_HISTORY_RUNS) }));
+  } catch (error) {
+    console.error("Error saving run history:", error);
+  }
+}
+
+/** Monotonic counter keeping run ids unique within a session */
+let runIdCounter = 0;
+
+/**
+ * Builds a run record for a finished run.
+ *
+ * @param {Object} run
+ * @param {"song"|"manual"} run.mode - Which run finished
+ * @param {Object} run.text - The text object
+ * @param {boolean} run.library - Whether the text ships with the app
+ * @param {Array<Object>} run.rules - The rule list
+ * @param {Object} run.tokenizerOptions - Tokenizer options
+ * @param {number} run.wordCount - Number of words in the text
+ * @param {Object} run.counts - Final counts by rule id
+ * @param {Object|null} run.quiz - The locked quiz, if one was played
+ * @param {number|null} run.quizScore - Its final score
+ * @returns {Object} The run record
+ */
+export function createRunRecord({ mode, text, library, rules, tokenizerOptions, wordCount, counts, quiz, quizScore }) {
+  runIdCounter += 1;
+  return {
+    id: `run-${Date.now().toString(36)}-${runIdCounter}`,
+    savedAt: new Date().toISOString(),
+    mode,
+    text: { id: text.id, title: text.title, source: text.source, language: text.language, paragraphs: text.paragraphs, library },
+    rules,
+    tokenizerOptions,
+    wordCount,
+    counts,
+    quiz: quiz || null,
+    quizScore: quizScore ?? null,
+  };
+}
+
+/**
+ * Utility: The text of a run record as a session text object, for re-opening
+ * a run or a link to a pasted text.
+ *
+ * @param {Object} run - A run record
+ * @returns {Object} Text object (see ./texts.js)
+ */
+export function storedText(run) {
+  const { id, title, source, language, paragraphs } = run.text;
+  return { id, title, source, songSync: false, language, paragraphs };
+}
+
+/**
+ * Lines up the counts of two runs for comparison. Rules are matched by label,
+ * so runs with different rule lists still compare on the rules they share.
+ *
+ * @param {Object} a - First run record
+ * @param {Object} b - Second run record
+ * @returns {Array<{ label: string, a: number|null, b: number|null }>} One row per rule label
+ */
+export function compareRuns(a, b) {
+  const countsByLabel = (run) => new Map(run.rules.map((rule) => [rule.label, run.counts[rule.id] ?? 0]));
+  const countsA = countsByLabel(a);
+  const countsB = countsByLabel(b);
+  const labels = [...new Set([...countsA.keys(), ...countsB.keys()])];
+  return labels.map((label) => ({
+    label,
+    a: countsA.has(label) ? countsA.get(label) : null,
+    b: countsB.has(label) ? countsB.get(label) : null,
+  }));
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  HISTORY_STORAGE_KEY,
+  HISTORY_VERSION,
+  MAX_HISTORY_RUNS,
+  loadHistory,
+  saveHistory,
+  migrateHistory,
+  createRunRecord,
+  compareRuns,
+} from "./history";
+import { DEFAULT_RULES } from "./rules";
+import { DEFAULT_TOKENIZER_OPTIONS } from "./tokenizer";
+import { TEXT_LIBRARY } from "./texts";
+
+const run = (counts, rules = DEFAULT_RULES) =>
+  createRunRecord({
+    mode: "manual",
+    text: TEXT_LIBRARY[0],
+    library: true,
+    rules,
+    tokenizerOptions: DEFAULT_TOKENIZER_OPTIONS,
+    wordCount: 52,
+    counts,
+    quiz: null,
+    quizScore: null,
+  });
+
+describe("run history storage", () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  it("saves and loads runs under a versioned key", () => {
+    const runs = [run({ startsT: 10, endsE: 16, startsTEndsE: 6 })];
+    saveHistory(runs);
+    expect(JSON.parse(window.localStorage.getItem(HISTORY_STORAGE_KEY)).version).toBe(HISTORY_VERSION);
+    expect(loadHistory()).toEqual(runs);
+  });
+
+  it("keeps only the newest runs", () => {
+    saveHistory(Array.from({ length: MAX_HISTORY_RUNS + 5 }, () => run({})));
+    expect(loadHistory()).toHaveLength(MAX_HISTORY_RUNS);
+  });
+
+  it("treats unreadable or newer data as an empty history", () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    window.localStorage.setItem(HISTORY_STORAGE_KEY, "{not json");
+    expect(loadHistory()).toEqual([]);
+    window.localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({ version: HISTORY_VERSION + 1, runs: [] }));
+    expect(loadHistory()).toEqual([]);
+    console.error.mockRestore();
+  });
+
+  it("rejects data without a version", () => {
+    expect(() => migrateHistory({ runs: [] })).toThrow();
+    expect(migrateHistory({ version: HISTORY_VERSION, runs: [] })).toEqual([]);
+  });
+
+  it("records English as the language of texts saved before languages", () => {
+    const { language, ...text } = run({}).text;
+    window.localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({ version: 1, runs: [{ ...run({}), text }] }));
+    expect(loadHistory()[0].text.language).toBe("en");
+  });
+
+  it("drops runs without a text or rules and repairs missing details", () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const { counts, mode, wordCount, tokenizerOptions, ...bare } = run({ startsT: 10 });
+    const { title, source, ...text } = bare.text;
+    const stored = [{ ...run({}), text: undefined }, { ...run({}), rules: "none" }, null, { ...bare, text }];
+    window.localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({ version: HISTORY_VERSION, runs: stored }));
+    const [repaired, ...rest] = loadHistory();
+    expect(rest).toEqual([]);
+    expect(repaired).toMatchObject({ mode: "manual", counts: {}, wordCount: 52, tokenizerOptions: DEFAULT_TOKENIZER_OPTIONS });
+    expect(repaired.text).toMatchObject({ title: text.id, source: "" });
+    expect(console.error).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
+
+describe("compareRuns", () => {
+  it("lines up counts by rule label", () => {
+    const long = { id: "long", label: "Long words", color: "#9333ea", condition: { type: "length", min: 8 } };
+    const a = run({ startsT: 10, endsE: 16, startsTEndsE: 6 });
+    const b = run({ startsT: 4, long: 7 }, [DEFAULT_RULES[0], long]);
+    expect(compareRuns(a, b)).toEqual([
+      { label: 'Starts with "t"', a: 10, b: 4 },
+      { label: 'Ends with "e"', a: 16, b: null },
+      { label: 'Starts with "t" & ends with "e"', a: 6, b: null },
+      { label: "Long words", a: null, b: 7 },
+    ]);
+  });
+});
@@ -0,0 +1,98 @@
+import { createContext, useContext } from "react";
+import en from "./locales/en";
+import es from "./locales/es";
+import fr from "./locales/fr";
+
+/**
+ * Interface translations
+ * ------------------------------------------------------------
+ * UI strings live in one bundle per language under ./locales, keyed by a
+ * dotted name ("transport.play"). Values may contain `{name}` placeholders:
+ *
+ *   t("transport.wpm", { wpm: 150 })   // "150 wpm"
+ *
+ * Keys missing from a bundle fall back to English. The chosen language is
+ * remembered in localStorage; on the first visit the browser's is used.
+ *
+ * This is the language of the interface only. Each text carries its own
+ * language tag, which drives word normalization (see ./tokenizer.js).
+ */
+
+/** Interface languages, named in their own language */
+export const LANGUAGES = [
+  { code: "en", name: "English" },
+  { code: "es", name: "Español" },
+  { code: "fr", name: "Français" },
+];
+
+/** Message bundles by language code */
+const BUNDLES = { en, es, fr };
+
+/** localStorage key of the chosen interface language */
+export const LOCALE_STORAGE_KEY = "preamble-analyzer:locale";
+
+/**
+ * Looks up a message and fills in its placeholders.
+ *
+ * @param {string} locale - Interface language code
+ * @param {string} key - Message key
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} The message, or the key itself if no bundle has it
+ */
+export function translate(locale, key, params) {
+  const bundle = BUNDLES[locale] || en;
+  const message = bundle[key] ?? en[key] ?? key;
+  if (!params) return message;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * Picks the interface language: the one chosen before, else the first of the
+ * browser's languages we have a bundle for, else English.
+ *
+ * @param {Storage} [storage] - Where the choice is remembered
+ * @param {Array<string>} [preferred] - The browser's languages, most preferred first
+ * @returns {string} A language code from LANGUAGES
+ */
+export function detectLocale(storage = window.localStorage, preferred = window.navigator.languages || [window.navigator.language]) {
+  try {
+    const saved = storage.getItem(LOCALE_STORAGE_KEY);
+    if (saved && BUNDLES[saved]) return saved;
+  } catch (error) {
+    console.error("Error reading the interface language:", error);
+  }
+  for (const tag of preferred) {
+    const base = String(tag || "").toLowerCase().split("-")[0];
+    if (BUNDLES[base]) return base;
+  }
+  return "en";
+}
+
+/**
+ * Remembers the chosen interface language.
+ *
+ * @param {string} locale - Language code
+ * @param {Storage} [storage] - Where the choice is remembered
+ */
+export function saveLocale(locale, storage = window.localStorage) {
+  try {
+    storage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch (error) {
+    console.error("Error saving the interface language:", error);
+  }
+}
+
+/** Current interface language and its `t` function; English outside a provider */
+export const I18nContext = createContext({
+  locale: "en",
+  t: (key, params) => translate("en", key, params),
+});
+
+/**
+ * Hook: The current interface language and its translate function.
+ *
+ * @returns {{ locale: string, t: Function }}
+ */
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect } from "vitest";
+import { LANGUAGES, LOCALE_STORAGE_KEY, translate, detectLocale } from "./i18n";
+import en from "./locales/en";
+import es from "./locales/es";
+import fr from "./locales/fr";
+import { memoryStorage } from "./testUtils";
+
+describe("translate", () => {
+  it("fills in placeholders", () => {
+    expect(translate("en", "transport.wpm", { wpm: 150 })).toBe("150 wpm");
+    expect(translate("es", "transport.positionValue", { position: 2, total: 52, word: "the" })).toBe("Palabra 2 de 52, the");
+  });
+
+  it("falls back to English, then to the key", () => {
+    expect(translate("de", "transport.play")).toBe("Play");
+    expect(translate("fr", "no.such.key")).toBe("no.such.key");
+  });
+});
+
+describe("locale bundles", () => {
+  it("translate every English message", () => {
+    for (const bundle of [es, fr]) expect(Object.keys(bundle).sort()).toEqual(Object.keys(en).sort());
+    expect(LANGUAGES.map((language) => language.code)).toEqual(["en", "es", "fr"]);
+  });
+});
+
+describe("detectLocale", () => {
+  it("prefers the remembered choice, then the browser languages", () => {
+    expect(detectLocale(memoryStorage({ [LOCALE_STORAGE_KEY]: "fr" }), ["es-MX"])).toBe("fr");
+    expect(detectLocale(memoryStorage(), ["de-DE", "es-MX", "en"])).toBe("es");
+    expect(detectLocale(memoryStorage({ [LOCALE_STORAGE_KEY]: "xx" }), ["de"])).toBe("en");
+  });
+});
@@ -0,0 +1,365 @@
+/**
+ * English interface strings (the reference bundle; see ../i18n.js)
+ */
+export default {
+  "app.title": "Preamble Analyzer",
+  "app.language": "Interface language",
+
+  "start.noSong": "No Song for This Text",
+  "start.loadingYouTube": "Loading YouTube Player...",
+  "start.loadingMedia": "Loading Media...",
+  "start.playing": "Playing…",
+  "start.playSong": "Play Song & Sync",
+  "start.animating": "Animating…",
+  "start.animationOnly": "Run Animation Only",
+
+  "links.dismissWarnings": "Dismiss link warnings",
+  "links.unknownText": "Unknown text \"{id}\".",
+  "links.unknownTextHash": "The linked text was pasted or uploaded on another device; add the same text to open it here.",
+  "links.textSettingsSkipped": "The linked word position and rules belong to that text and were not applied.",
+  "links.badRules": "The linked rules could not be read; using the default rules.",
+  "links.unknownMode": "Unknown mode \"{mode}\".",
+  "links.badSpeed": "The linked speed is not a number.",
+  "links.badWord": "The linked word position is not a positive whole number.",
+  "links.badSplit": "The linked word-splitting settings could not be read.",
+  "embed.badRules": "The rules attribute could not be read; using the default rules.",
+  "embed.unknownTheme": "Unknown theme \"{theme}\"; using the default theme.",
+
+  "stats.words": "words",
+  "announce.word": "{word}, word {position} of {total}.",
+
+  "save.label": "Save results ({done}/{total} words analyzed):",
+  "save.json": "Export JSON",
+  "save.csv": "Export CSV",
+  "save.print": "Print Report",
+  "save.share": "Copy Share Link",
+  "save.linkCopied": "Link copied:",
+  "save.copyLink": "Copy this link:",
+  "save.shareLink": "Share link",
+
+  "media.youtube": "Song: Schoolhouse Rock on YouTube",
+  "media.file": "Song: {name}",
+  "media.useFile": "Use Local Audio/Video File",
+  "media.useYouTube": "Use YouTube",
+  "media.timingFile": "Timing: {name} ({matched}/{total} words matched)",
+  "media.timingEstimated": "Timing: estimated (no timing file loaded)",
+  "media.loadTiming": "Load Timing File",
+  "media.clearTiming": "Clear",
+  "media.timingError.noWordList": "The timing JSON has no \"words\" list.",
+  "media.timingError.noTimedWords": "The timing file does not contain any timed words.",
+  "media.timingError.unreadable": "The timing file could not be read.",
+  "media.closeRecorder": "Close Recorder",
+  "media.recordTiming": "Record Timing",
+  "media.recordedTiming": "Recorded timing",
+  "media.credit": "Video credit: Schoolhouse Rock / Disney Educational Productions. Embedded under YouTube's permitted embed usage.",
+
+  "code.title": "My Code",
+  "code.description": "Below you will find the original code to solve the coding task.",
+
+  "transport.region": "Playback controls",
+  "transport.previous": "Previous word",
+  "transport.next": "Next word",
+  "transport.play": "Play",
+  "transport.pause": "Pause",
+  "transport.position": "Word position",
+  "transport.positionValue": "Word {position} of {total}, {word}",
+  "transport.beforeFirst": "Before the first word",
+  "transport.wpm": "{wpm} wpm",
+  "transport.speed": "Animation speed in words per minute",
+  "transport.present": "Present",
+
+  "texts.region": "Text selection",
+  "texts.text": "Text",
+  "texts.language": "Language of pasted or uploaded texts",
+  "texts.close": "Close",
+  "texts.paste": "Paste Text",
+  "texts.upload": "Upload File",
+  "texts.title": "Title",
+  "texts.titlePlaceholder": "Title (optional)",
+  "texts.format": "Format",
+  "texts.plain": "Plain text",
+  "texts.markdown": "Markdown",
+  "texts.content": "Text to analyze",
+  "texts.contentPlaceholder": "Paste a text here. Leave a blank line between paragraphs.",
+  "texts.analyze": "Analyze This Text",
+  "texts.empty": "Paste some text first.",
+  "texts.pastedTitle": "Pasted text {number}",
+
+  "tokenizer.summary": "Word splitting",
+  "tokenizer.hyphens": "Hyphenated words",
+  "tokenizer.hyphens.join": 'One word ("battle-field")',
+  "tokenizer.hyphens.split": 'Two words ("battle", "field")',
+  "tokenizer.apostrophes": "Contractions & possessives",
+  "tokenizer.apostrophes.keep": 'Keep ("people\'s")',
+  "tokenizer.apostrophes.strip": 'Drop the apostrophe ("peoples")',
+  "tokenizer.apostrophes.split": 'Two words ("people", "s")',
+  "tokenizer.numbers": "Numbers",
+  "tokenizer.numbers.words": "Count as words",
+  "tokenizer.numbers.skip": "Ignore",
+  "tokenizer.unicodeLetters": "Letters outside A–Z (é, ñ, ß…)",
+  "tokenizer.foldAccents": 'Ignore accents ("é" counts as "e")',
+
+  "display.summary": "Display & keyboard",
+  "display.symbols": "Mark matches with symbols (▲ ● ■…)",
+  "display.theme": "Theme",
+  "theme.dark": "Dark",
+  "theme.light": "Light",
+  "theme.highContrast": "High contrast",
+  "theme.parchment": "Parchment",
+  "display.shortcuts": "Keyboard shortcuts",
+  "shortcuts.togglePlay": "Play or pause",
+  "shortcuts.stepBack": "Previous word",
+  "shortcuts.stepForward": "Next word",
+  "shortcuts.switchMode": "Switch between song sync and animation only",
+  "shortcuts.reset": "Stop and reset to the first word",
+
+  "presentation.label": "Presentation mode",
+  "presentation.counters": "Counters",
+  "presentation.exit": "Exit Presentation",
+
+  "classroom.summary": "Classroom",
+  "classroom.hint": "Run “npm run classroom” on a computer everyone can reach. Start a class on the projector; students follow with the room code.",
+  "classroom.room": "Room code",
+  "classroom.server": "Server",
+  "classroom.host": "Start a class",
+  "classroom.follow": "Follow a class",
+  "classroom.teaching": "Room {room}",
+  "classroom.followers": "{count} following",
+  "classroom.studentLink": "Link for students",
+  "classroom.end": "End class",
+  "classroom.following": "Following room {room}",
+  "classroom.mirroring": "Showing the teacher's screen",
+  "classroom.waiting": "Waiting for the teacher…",
+  "classroom.leave": "Leave",
+  "classroom.status.connecting": "Connecting…",
+  "classroom.status.connected": "Connected",
+  "classroom.status.reconnecting": "Connection lost, reconnecting…",
+  "classroom.status.closed": "Disconnected",
+  "classroom.error.notJson": "The server could not read a message.",
+  "classroom.error.notObject": "The server could not read a message.",
+  "classroom.error.roomRequired": "Enter a room code.",
+  "classroom.error.unknownRole": "Join as a teacher or a follower.",
+  "classroom.error.wrongSecret": "Room {room} already has a teacher. Pick another room code, or follow this class.",
+  "classroom.error.takenOver": "Another teacher took over room {room}.",
+  "classroom.error.notTeacher": "Only the teacher can send the room's state.",
+  "classroom.error.unknownType": "The server does not understand \"{type}\" messages.",
+
+  "practice.label": "Practice",
+  "practice.hiddenWord": "Hidden word",
+  "practice.startCloze": "Practice: Fill in the Blanks",
+  "practice.startScramble": "Practice: Unscramble",
+  "practice.startSingAlong": "Practice: Sing Along from Memory",
+  "practice.leave": "Leave Practice",
+  "practice.results": "Results",
+  "practice.title.cloze": "Fill in the Blanks",
+  "practice.title.scramble": "Unscramble the Phrases",
+  "practice.title.singAlong": "Sing Along from Memory",
+  "practice.cloze.blank": "Blank out",
+  "practice.cloze.every": "1 word in {n}",
+  "practice.cloze.rule": "Words matching: {rule}",
+  "practice.cloze.hint": "Type the missing words, then check your answers.",
+  "practice.cloze.blankLabel": "Blank {n} of {total}",
+  "practice.cloze.correction": "should be “{word}”",
+  "practice.cloze.check": "Check Answers",
+  "practice.scramble.phrase": "Phrase {n} of {total}",
+  "practice.scramble.hint": "Tap the words in the right order.",
+  "practice.scramble.mistake": "“{word}” doesn't come next.",
+  "practice.singAlong.hint": "Type each word before the highlight reaches it, with a space after each word.",
+  "practice.singAlong.input": "Type the next word",
+  "practice.singAlong.progress": "{typed} of {total} typed · {correct} right · {ahead} ahead of the highlight",
+  "practice.score.accuracy": "Accuracy: {correct} / {total} ({accuracy}%)",
+  "practice.score.picks": "Accuracy: {correct} right picks, {mistakes} wrong ({accuracy}%)",
+  "practice.score.timeCloze": "Time: {time} · {perItem} s per blank",
+  "practice.score.timeScramble": "Time: {time} · {perItem} s per phrase",
+  "practice.score.onTime": "Timing: {onTime} of {correct} right words typed in time ({rate}%), {lead} words ahead on average",
+
+  "rules.describe.prefix": 'Starts with "{value}"',
+  "rules.describe.suffix": 'Ends with "{value}"',
+  "rules.describe.contains": 'Contains "{value}"',
+  "rules.describe.regex": "Matches /{pattern}/{flags}",
+  "rules.describe.length": "Has {range} letters",
+  "rules.describe.vowels": "Has {range} vowels",
+  "rules.describe.consonants": "Has {range} consonants",
+  "rules.describe.startSound": "Starts with a /{sound}/ sound",
+  "rules.describe.endSound": "Ends with a /{sound}/ sound",
+  "rules.describe.silentE": 'Ends in a silent "e"',
+  "rules.describe.oneSyllable": "Has 1 syllable",
+  "rules.describe.syllables": "Has {range} syllables",
+  "rules.describe.and": "{left} & {right}",
+  "rules.describe.or": "{left} or {right}",
+  "rules.describe.not": "Not ({condition})",
+  "rules.describe.unknown": "Unknown condition",
+  "rules.range.exactly": "exactly {n}",
+  "rules.range.between": "{min}–{max}",
+  "rules.range.atLeast": "at least {n}",
+  "rules.range.atMost": "at most {n}",
+  "rules.error.condition": "Choose a condition.",
+  "rules.error.letters": "Enter at least one letter.",
+  "rules.error.regex": "Enter a regular expression.",
+  "rules.error.invalidRegex": "Invalid regular expression: {message}",
+  "rules.error.sound": "Choose a sound.",
+  "rules.error.range": "Enter a minimum, a maximum, or both.",
+  "rules.error.bounds": "Range bounds must be whole numbers of 0 or more.",
+  "rules.error.minMax": "The minimum cannot be larger than the maximum.",
+  "rules.error.combine": "Add at least one condition to combine.",
+  "rules.error.negate": "Choose a condition to negate.",
+  "rules.error.unknownType": "Unknown rule condition type: {type}",
+  "rules.error.duplicate": '"{label}" already uses this condition.',
+
+  "ruleBuilder.title": "Counting Rules",
+  "ruleBuilder.moveUp": "Move {rule} up",
+  "ruleBuilder.moveDown": "Move {rule} down",
+  "ruleBuilder.edit": "Edit",
+  "ruleBuilder.delete": "Delete",
+  "ruleBuilder.empty": "No rules yet. Add one below.",
+  "ruleBuilder.editHeading": "Edit rule",
+  "ruleBuilder.addHeading": "Add a rule",
+  "ruleBuilder.fixedCondition": "Condition: {condition} (only the label and color can be changed here)",
+  "ruleBuilder.conditionType": "Condition type",
+  "ruleBuilder.group.letters": "Letters",
+  "ruleBuilder.group.sounds": "Sounds",
+  "ruleBuilder.type.prefix": "Starts with",
+  "ruleBuilder.type.suffix": "Ends with",
+  "ruleBuilder.type.startsEnds": "Starts with … & ends with …",
+  "ruleBuilder.type.contains": "Contains",
+  "ruleBuilder.type.regex": "Matches regex",
+  "ruleBuilder.type.length": "Letter count",
+  "ruleBuilder.type.vowels": "Vowel count",
+  "ruleBuilder.type.consonants": "Consonant count",
+  "ruleBuilder.type.startSound": "Starts with the sound",
+  "ruleBuilder.type.endSound": "Ends with the sound",
+  "ruleBuilder.type.silentE": "Ends in a silent e",
+  "ruleBuilder.type.syllables": "Syllable count",
+  "ruleBuilder.sound": "Sound",
+  "ruleBuilder.soundOption": '/{ipa}/ as in "{example}"',
+  "ruleBuilder.silentEHint": 'Words spelled with a final "e" that is not pronounced, like "more" or "people".',
+  "ruleBuilder.englishSounds": "Sounds follow English pronunciation.",
+  "ruleBuilder.letters": "Letters",
+  "ruleBuilder.lettersPlaceholder": "letters",
+  "ruleBuilder.startingLetters": "Starting letters",
+  "ruleBuilder.startingLettersPlaceholder": "starts with",
+  "ruleBuilder.endingLetters": "Ending letters",
+  "ruleBuilder.endingLettersPlaceholder": "ends with",
+  "ruleBuilder.regex": "Regular expression",
+  "ruleBuilder.regexPlaceholder": "pattern, e.g. ^th",
+  "ruleBuilder.regexFlags": "Regular expression flags",
+  "ruleBuilder.regexFlagsPlaceholder": "flags",
+  "ruleBuilder.min": "Minimum",
+  "ruleBuilder.minPlaceholder": "min",
+  "ruleBuilder.max": "Maximum",
+  "ruleBuilder.maxPlaceholder": "max",
+  "ruleBuilder.label": "Label",
+  "ruleBuilder.labelPlaceholder": "label (optional)",
+  "ruleBuilder.color": "Color",
+  "ruleBuilder.themeColor": "Theme color",
+  "ruleBuilder.themeColorHint": "Use the theme's color for this rule",
+  "ruleBuilder.save": "Save Rule",
+  "ruleBuilder.add": "Add Rule",
+  "ruleBuilder.cancel": "Cancel",
+
+  "quiz.start": "Start Quiz: Predict the Counts",
+  "quiz.label": "Quiz",
+  "quiz.title.results": "Quiz Results",
+  "quiz.title.live": "Quiz: Scoring Live",
+  "quiz.title.predict": "Quiz: Make Your Predictions",
+  "quiz.leave": "Leave Quiz",
+  "quiz.hint": "Type how many words you think each rule will count, and/or tap the words you think match. Then start either run.",
+  "quiz.predicted": "Predicted count: {rule}",
+  "quiz.pickFor": "Tapping words marks them for",
+  "quiz.pickOption": "{rule} ({count} tapped)",
+  "quiz.column.rule": "Rule",
+  "quiz.column.predicted": "Predicted",
+  "quiz.column.actual": "Actual",
+  "quiz.column.soFar": "So far",
+  "quiz.column.taps": "Tapped: hits / misses / wrong",
+  "quiz.tooMany": "{n} too many",
+  "quiz.tooFew": "{n} too few",
+  "quiz.exact": "✓ exact",
+  "quiz.mark.hit": "Tapped and it counts",
+  "quiz.mark.miss": "Missed: this word counts",
+  "quiz.mark.falsePositive": "Tapped, but it doesn't count",
+  "quiz.noPredictions": "No predictions were made.",
+  "quiz.score": "Final score: {score}%",
+
+  "history.summary": "Run History ({count})",
+  "history.empty": "Finished runs are saved here on this device.",
+  "history.compareHint": "Tick two runs to compare them.",
+  "history.compare": "Compare {run}",
+  "history.mode.song": "song sync",
+  "history.mode.animation": "animation",
+  "history.quiz": "Quiz {score}%",
+  "history.reopen": "Re-open",
+  "history.reopenRun": "Re-open {run}",
+  "history.delete": "Delete",
+  "history.deleteRun": "Delete {run}",
+  "history.comparison": "Run comparison",
+  "history.column.rule": "Rule",
+  "history.column.difference": "Difference",
+  "history.quizScore": "Quiz score",
+  "history.percent": "{score}%",
+
+  "inspector.hint": "Click a word (or focus it and press Enter) to see why it counts.",
+  "inspector.label": "Word inspector",
+  "inspector.position": "Word {position} of {total}",
+  "inspector.analyzedAs": "Analyzed as",
+  "inspector.close": "Close word inspector",
+  "inspector.noMatch": "No rule matches this word.",
+  "inspector.decidesColor": "decides the color (listed last)",
+  "inspector.notMatched": "Not matched: {rules}",
+  "inspector.sounds": "Sounds:",
+  "inspector.oneSyllable": "1 syllable",
+  "inspector.syllables": "{count} syllables",
+  "inspector.dictionary": "English pronunciation dictionary",
+  "inspector.guessed": "guessed from the English spelling",
+  "inspector.once": "Appears once in this text.",
+  "inspector.times": "Appears {count} times:",
+  "inspector.inspectWord": "Inspect word {n}",
+  "inspector.sungAt": "Sung at {time}",
+  "inspector.estimated": "(estimated; load a timing file for exact times)",
+
+  "statistics.summary": "Text Statistics",
+  "statistics.scope": "Statistics scope",
+  "statistics.progress": "Words so far",
+  "statistics.all": "Whole text",
+  "statistics.empty": "No words yet. Start a run, or switch to the whole text.",
+  "statistics.unique": "Unique vs. total words",
+  "statistics.uniqueOf": "unique of {total}",
+  "statistics.uniqueLabel": "{unique} unique words of {total}",
+  "statistics.ruleShares": "Share of words per rule",
+  "statistics.topWords": "Most frequent words",
+  "statistics.word": "Word",
+  "statistics.count": "Count",
+  "statistics.lengths": "Word lengths (letters)",
+  "statistics.letters": "Letter frequency",
+  "statistics.firstLetters": "First letters",
+  "statistics.lastLetters": "Last letters",
+
+  "report.analyzed": "Words analyzed: {done} of {total} · {date}",
+  "report.color": "Color",
+  "report.rule": "Rule",
+  "report.condition": "Condition",
+  "report.words": "Words",
+  "report.note": "When a word matches several rules, it takes the color of the rule listed last.",
+
+  "recorder.label": "Timing recorder",
+  "recorder.tap": "Tap",
+  "recorder.undo": "Undo",
+  "recorder.stop": "Stop",
+  "recorder.next": 'Next word: "{word}" ({position}/{total})',
+  "recorder.markEnd": "Tap once more to mark the end",
+  "recorder.start": "Start Recording",
+  "recorder.hint": "Press Space on every sung word, Backspace to undo, Esc to stop.",
+  "recorder.column.word": "Word",
+  "recorder.column.time": "Time (s)",
+  "recorder.column.adjust": "Adjust",
+  "recorder.timeOf": "Time of word {n}, {word}",
+  "recorder.earlier": "Move {word} earlier",
+  "recorder.later": "Move {word} later",
+  "recorder.playFrom": "Play from {word}",
+  "recorder.apply": "Use for Sync",
+  "recorder.exportLrc": "Export LRC",
+  "recorder.exportVtt": "Export WebVTT",
+  "recorder.exportJson": "Export JSON",
+  "recorder.outOfOrder": "Some times are earlier than the word before them.",
+  "recorder.incomplete": "Every word needs a time before exporting.",
+};
@@ -0,0 +1,365 @@
+/**
+ * Spanish interface strings (see ../i18n.js)
+ */
+export default {
+  "app.title": "Analizador del Preámbulo",
+  "app.language": "Idioma de la interfaz",
+
+  "start.noSong": "No hay canción para este texto",
+  "start.loadingYouTube": "Cargando el reproductor de YouTube...",
+  "start.loadingMedia": "Cargando el archivo...",
+  "start.playing": "Reproduciendo…",
+  "start.playSong": "Reproducir canción y sincronizar",
+  "start.animating": "Animando…",
+  "start.animationOnly": "Solo animación",
+
+  "links.dismissWarnings": "Descartar avisos del enlace",
+  "links.unknownText": "Texto desconocido «{id}».",
+  "links.unknownTextHash": "El texto enlazado se pegó o subió en otro dispositivo; añade el mismo texto para abrirlo aquí.",
+  "links.textSettingsSkipped": "La posición de palabra y las reglas enlazadas pertenecen a ese texto y no se aplicaron.",
+  "links.badRules": "No se pudieron leer las reglas enlazadas; se usan las reglas predeterminadas.",
+  "links.unknownMode": "Modo desconocido «{mode}».",
+  "links.badSpeed": "La velocidad enlazada no es un número.",
+  "links.badWord": "La posición de palabra enlazada no es un número entero positivo.",
+  "links.badSplit": "No se pudo leer la configuración de separación de palabras enlazada.",
+  "embed.badRules": "No se pudo leer el atributo rules; se usan las reglas predeterminadas.",
+  "embed.unknownTheme": "Tema desconocido «{theme}»; se usa el tema predeterminado.",
+
+  "stats.words": "palabras",
+  "announce.word": "{word}, palabra {position} de {total}.",
+
+  "save.label": "Guardar resultados ({done}/{total} palabras analizadas):",
+  "save.json": "Exportar JSON",
+  "save.csv": "Exportar CSV",
+  "save.print": "Imprimir informe",
+  "save.share": "Copiar enlace para compartir",
+  "save.linkCopied": "Enlace copiado:",
+  "save.copyLink": "Copia este enlace:",
+  "save.shareLink": "Enlace para compartir",
+
+  "media.youtube": "Canción: Schoolhouse Rock en YouTube",
+  "media.file": "Canción: {name}",
+  "media.useFile": "Usar un archivo de audio/vídeo local",
+  "media.useYouTube": "Usar YouTube",
+  "media.timingFile": "Tiempos: {name} ({matched}/{total} palabras emparejadas)",
+  "media.timingEstimated": "Tiempos: estimados (sin archivo de tiempos)",
+  "media.loadTiming": "Cargar archivo de tiempos",
+  "media.clearTiming": "Quitar",
+  "media.timingError.noWordList": "El JSON de tiempos no tiene una lista «words».",
+  "media.timingError.noTimedWords": "El archivo de tiempos no contiene ninguna palabra con tiempo.",
+  "media.timingError.unreadable": "No se pudo leer el archivo de tiempos.",
+  "media.closeRecorder": "Cerrar grabador",
+  "media.recordTiming": "Grabar tiempos",
+  "media.recordedTiming": "Tiempos grabados",
+  "media.credit": "Vídeo: Schoolhouse Rock / Disney Educational Productions. Insertado según el uso permitido por YouTube.",
+
+  "code.title": "Mi código",
+  "code.description": "A continuación está el código original que resuelve el ejercicio.",
+
+  "transport.region": "Controles de reproducción",
+  "transport.previous": "Palabra anterior",
+  "transport.next": "Palabra siguiente",
+  "transport.play": "Reproducir",
+  "transport.pause": "Pausa",
+  "transport.position": "Posición de la palabra",
+  "transport.positionValue": "Palabra {position} de {total}, {word}",
+  "transport.beforeFirst": "Antes de la primera palabra",
+  "transport.wpm": "{wpm} ppm",
+  "transport.speed": "Velocidad de la animación en palabras por minuto",
+  "transport.present": "Presentar",
+
+  "texts.region": "Selección de texto",
+  "texts.text": "Texto",
+  "texts.language": "Idioma de los textos pegados o subidos",
+  "texts.close": "Cerrar",
+  "texts.paste": "Pegar texto",
+  "texts.upload": "Subir archivo",
+  "texts.title": "Título",
+  "texts.titlePlaceholder": "Título (opcional)",
+  "texts.format": "Formato",
+  "texts.plain": "Texto sin formato",
+  "texts.markdown": "Markdown",
+  "texts.content": "Texto para analizar",
+  "texts.contentPlaceholder": "Pega aquí un texto. Deja una línea en blanco entre párrafos.",
+  "texts.analyze": "Analizar este texto",
+  "texts.empty": "Primero pega algún texto.",
+  "texts.pastedTitle": "Texto pegado {number}",
+
+  "tokenizer.summary": "División en palabras",
+  "tokenizer.hyphens": "Palabras con guion",
+  "tokenizer.hyphens.join": 'Una palabra ("battle-field")',
+  "tokenizer.hyphens.split": 'Dos palabras ("battle", "field")',
+  "tokenizer.apostrophes": "Contracciones y posesivos",
+  "tokenizer.apostrophes.keep": 'Mantener ("people\'s")',
+  "tokenizer.apostrophes.strip": 'Quitar el apóstrofo ("peoples")',
+  "tokenizer.apostrophes.split": 'Dos palabras ("people", "s")',
+  "tokenizer.numbers": "Números",
+  "tokenizer.numbers.words": "Contar como palabras",
+  "tokenizer.numbers.skip": "Ignorar",
+  "tokenizer.unicodeLetters": "Letras fuera de A–Z (é, ñ, ß…)",
+  "tokenizer.foldAccents": 'Ignorar acentos ("é" cuenta como "e")',
+
+  "display.summary": "Pantalla y teclado",
+  "display.symbols": "Marcar coincidencias con símbolos (▲ ● ■…)",
+  "display.theme": "Tema",
+  "theme.dark": "Oscuro",
+  "theme.light": "Claro",
+  "theme.highContrast": "Alto contraste",
+  "theme.parchment": "Pergamino",
+  "display.shortcuts": "Atajos de teclado",
+  "shortcuts.togglePlay": "Reproducir o pausar",
+  "shortcuts.stepBack": "Palabra anterior",
+  "shortcuts.stepForward": "Palabra siguiente",
+  "shortcuts.switchMode": "Alternar entre canción sincronizada y solo animación",
+  "shortcuts.reset": "Detener y volver a la primera palabra",
+
+  "presentation.label": "Modo presentación",
+  "presentation.counters": "Contadores",
+  "presentation.exit": "Salir de la presentación",
+
+  "classroom.summary": "Clase",
+  "classroom.hint": "Ejecuta “npm run classroom” en un ordenador al que todos lleguen. Inicia una clase en el proyector; los alumnos la siguen con el código de sala.",
+  "classroom.room": "Código de sala",
+  "classroom.server": "Servidor",
+  "classroom.host": "Iniciar una clase",
+  "classroom.follow": "Seguir una clase",
+  "classroom.teaching": "Sala {room}",
+  "classroom.followers": "{count} siguiendo",
+  "classroom.studentLink": "Enlace para los alumnos",
+  "classroom.end": "Terminar la clase",
+  "classroom.following": "Siguiendo la sala {room}",
+  "classroom.mirroring": "Mostrando la pantalla del profesor",
+  "classroom.waiting": "Esperando al profesor…",
+  "classroom.leave": "Salir",
+  "classroom.status.connecting": "Conectando…",
+  "classroom.status.connected": "Conectado",
+  "classroom.status.reconnecting": "Conexión perdida, reconectando…",
+  "classroom.status.closed": "Desconectado",
+  "classroom.error.notJson": "El servidor no pudo leer un mensaje.",
+  "classroom.error.notObject": "El servidor no pudo leer un mensaje.",
+  "classroom.error.roomRequired": "Escribe un código de sala.",
+  "classroom.error.unknownRole": "Únete como docente o como seguidor.",
+  "classroom.error.wrongSecret": "La sala {room} ya tiene docente. Elige otro código de sala o sigue esta clase.",
+  "classroom.error.takenOver": "Otro docente tomó el control de la sala {room}.",
+  "classroom.error.notTeacher": "Solo el docente puede enviar el estado de la sala.",
+  "classroom.error.unknownType": "El servidor no entiende los mensajes «{type}».",
+
+  "practice.label": "Práctica",
+  "practice.hiddenWord": "Palabra oculta",
+  "practice.startCloze": "Práctica: completar los huecos",
+  "practice.startScramble": "Práctica: ordenar las frases",
+  "practice.startSingAlong": "Práctica: cantar de memoria",
+  "practice.leave": "Salir de la práctica",
+  "practice.results": "Resultados",
+  "practice.title.cloze": "Completar los huecos",
+  "practice.title.scramble": "Ordenar las frases",
+  "practice.title.singAlong": "Cantar de memoria",
+  "practice.cloze.blank": "Ocultar",
+  "practice.cloze.every": "1 palabra de cada {n}",
+  "practice.cloze.rule": "Palabras que cumplen: {rule}",
+  "practice.cloze.hint": "Escribe las palabras que faltan y luego comprueba tus respuestas.",
+  "practice.cloze.blankLabel": "Hueco {n} de {total}",
+  "practice.cloze.correction": "era «{word}»",
+  "practice.cloze.check": "Comprobar respuestas",
+  "practice.scramble.phrase": "Frase {n} de {total}",
+  "practice.scramble.hint": "Toca las palabras en el orden correcto.",
+  "practice.scramble.mistake": "«{word}» no va ahora.",
+  "practice.singAlong.hint": "Escribe cada palabra antes de que llegue el resaltado, con un espacio después de cada una.",
+  "practice.singAlong.input": "Escribe la siguiente palabra",
+  "practice.singAlong.progress": "{typed} de {total} escritas · {correct} correctas · {ahead} antes del resaltado",
+  "practice.score.accuracy": "Precisión: {correct} / {total} ({accuracy} %)",
+  "practice.score.picks": "Precisión: {correct} aciertos, {mistakes} errores ({accuracy} %)",
+  "practice.score.timeCloze": "Tiempo: {time} · {perItem} s por hueco",
+  "practice.score.timeScramble": "Tiempo: {time} · {perItem} s por frase",
+  "practice.score.onTime": "Ritmo: {onTime} de {correct} palabras correctas a tiempo ({rate} %), {lead} palabras de adelanto de media",
+
+  "rules.describe.prefix": "Empieza por «{value}»",
+  "rules.describe.suffix": "Termina en «{value}»",
+  "rules.describe.contains": "Contiene «{value}»",
+  "rules.describe.regex": "Coincide con /{pattern}/{flags}",
+  "rules.describe.length": "Tiene {range} letras",
+  "rules.describe.vowels": "Tiene {range} vocales",
+  "rules.describe.consonants": "Tiene {range} consonantes",
+  "rules.describe.startSound": "Empieza con el sonido /{sound}/",
+  "rules.describe.endSound": "Termina con el sonido /{sound}/",
+  "rules.describe.silentE": "Termina en una «e» muda",
+  "rules.describe.oneSyllable": "Tiene 1 sílaba",
+  "rules.describe.syllables": "Tiene {range} sílabas",
+  "rules.describe.and": "{left} y {right}",
+  "rules.describe.or": "{left} o {right}",
+  "rules.describe.not": "No ({condition})",
+  "rules.describe.unknown": "Condición desconocida",
+  "rules.range.exactly": "exactamente {n}",
+  "rules.range.between": "{min}–{max}",
+  "rules.range.atLeast": "al menos {n}",
+  "rules.range.atMost": "como máximo {n}",
+  "rules.error.condition": "Elige una condición.",
+  "rules.error.letters": "Escribe al menos una letra.",
+  "rules.error.regex": "Escribe una expresión regular.",
+  "rules.error.invalidRegex": "Expresión regular no válida: {message}",
+  "rules.error.sound": "Elige un sonido.",
+  "rules.error.range": "Escribe un mínimo, un máximo o ambos.",
+  "rules.error.bounds": "Los límites deben ser números enteros de 0 o más.",
+  "rules.error.minMax": "El mínimo no puede ser mayor que el máximo.",
+  "rules.error.combine": "Añade al menos una condición para combinar.",
+  "rules.error.negate": "Elige una condición para negar.",
+  "rules.error.unknownType": "Tipo de condición desconocido: {type}",
+  "rules.error.duplicate": "«{label}» ya usa esta condición.",
+
+  "ruleBuilder.title": "Reglas de conteo",
+  "ruleBuilder.moveUp": "Subir {rule}",
+  "ruleBuilder.moveDown": "Bajar {rule}",
+  "ruleBuilder.edit": "Editar",
+  "ruleBuilder.delete": "Eliminar",
+  "ruleBuilder.empty": "Aún no hay reglas. Añade una abajo.",
+  "ruleBuilder.editHeading": "Editar regla",
+  "ruleBuilder.addHeading": "Añadir una regla",
+  "ruleBuilder.fixedCondition": "Condición: {condition} (aquí solo se pueden cambiar el nombre y el color)",
+  "ruleBuilder.conditionType": "Tipo de condición",
+  "ruleBuilder.group.letters": "Letras",
+  "ruleBuilder.group.sounds": "Sonidos",
+  "ruleBuilder.type.prefix": "Empieza por",
+  "ruleBuilder.type.suffix": "Termina en",
+  "ruleBuilder.type.startsEnds": "Empieza por … y termina en …",
+  "ruleBuilder.type.contains": "Contiene",
+  "ruleBuilder.type.regex": "Coincide con una expresión regular",
+  "ruleBuilder.type.length": "Número de letras",
+  "ruleBuilder.type.vowels": "Número de vocales",
+  "ruleBuilder.type.consonants": "Número de consonantes",
+  "ruleBuilder.type.startSound": "Empieza con el sonido",
+  "ruleBuilder.type.endSound": "Termina con el sonido",
+  "ruleBuilder.type.silentE": "Termina en una e muda",
+  "ruleBuilder.type.syllables": "Número de sílabas",
+  "ruleBuilder.sound": "Sonido",
+  "ruleBuilder.soundOption": "/{ipa}/ como en «{example}»",
+  "ruleBuilder.silentEHint": "Palabras escritas con una «e» final que no se pronuncia, como «more» o «people».",
+  "ruleBuilder.englishSounds": "Los sonidos siguen la pronunciación inglesa.",
+  "ruleBuilder.letters": "Letras",
+  "ruleBuilder.lettersPlaceholder": "letras",
+  "ruleBuilder.startingLetters": "Letras iniciales",
+  "ruleBuilder.startingLettersPlaceholder": "empieza por",
+  "ruleBuilder.endingLetters": "Letras finales",
+  "ruleBuilder.endingLettersPlaceholder": "termina en",
+  "ruleBuilder.regex": "Expresión regular",
+  "ruleBuilder.regexPlaceholder": "patrón, p. ej. ^th",
+  "ruleBuilder.regexFlags": "Modificadores de la expresión regular",
+  "ruleBuilder.regexFlagsPlaceholder": "modificadores",
+  "ruleBuilder.min": "Mínimo",
+  "ruleBuilder.minPlaceholder": "mín",
+  "ruleBuilder.max": "Máximo",
+  "ruleBuilder.maxPlaceholder": "máx",
+  "ruleBuilder.label": "Nombre",
+  "ruleBuilder.labelPlaceholder": "nombre (opcional)",
+  "ruleBuilder.color": "Color",
+  "ruleBuilder.themeColor": "Color del tema",
+  "ruleBuilder.themeColorHint": "Usar el color del tema para esta regla",
+  "ruleBuilder.save": "Guardar regla",
+  "ruleBuilder.add": "Añadir regla",
+  "ruleBuilder.cancel": "Cancelar",
+
+  "quiz.start": "Empezar el quiz: predice los conteos",
+  "quiz.label": "Quiz",
+  "quiz.title.results": "Resultados del quiz",
+  "quiz.title.live": "Quiz: puntuación en directo",
+  "quiz.title.predict": "Quiz: haz tus predicciones",
+  "quiz.leave": "Salir del quiz",
+  "quiz.hint": "Escribe cuántas palabras crees que contará cada regla y/o toca las palabras que creas que cumplen. Luego inicia cualquiera de las dos ejecuciones.",
+  "quiz.predicted": "Conteo previsto: {rule}",
+  "quiz.pickFor": "Tocar palabras las marca para",
+  "quiz.pickOption": "{rule} ({count} tocadas)",
+  "quiz.column.rule": "Regla",
+  "quiz.column.predicted": "Previsto",
+  "quiz.column.actual": "Real",
+  "quiz.column.soFar": "Hasta ahora",
+  "quiz.column.taps": "Tocadas: aciertos / olvidos / errores",
+  "quiz.tooMany": "{n} de más",
+  "quiz.tooFew": "{n} de menos",
+  "quiz.exact": "✓ exacto",
+  "quiz.mark.hit": "Tocada y cuenta",
+  "quiz.mark.miss": "Olvidada: esta palabra cuenta",
+  "quiz.mark.falsePositive": "Tocada, pero no cuenta",
+  "quiz.noPredictions": "No se hizo ninguna predicción.",
+  "quiz.score": "Puntuación final: {score} %",
+
+  "history.summary": "Historial ({count})",
+  "history.empty": "Las ejecuciones terminadas se guardan aquí, en este dispositivo.",
+  "history.compareHint": "Marca dos ejecuciones para compararlas.",
+  "history.compare": "Comparar {run}",
+  "history.mode.song": "sincronizada con la canción",
+  "history.mode.animation": "animación",
+  "history.quiz": "Quiz {score} %",
+  "history.reopen": "Reabrir",
+  "history.reopenRun": "Reabrir {run}",
+  "history.delete": "Eliminar",
+  "history.deleteRun": "Eliminar {run}",
+  "history.comparison": "Comparación de ejecuciones",
+  "history.column.rule": "Regla",
+  "history.column.difference": "Diferencia",
+  "history.quizScore": "Puntuación del quiz",
+  "history.percent": "{score} %",
+
+  "inspector.hint": "Haz clic en una palabra (o selecciónala y pulsa Intro) para ver por qué cuenta.",
+  "inspector.label": "Inspector de palabras",
+  "inspector.position": "Palabra {position} de {total}",
+  "inspector.analyzedAs": "Analizada como",
+  "inspector.close": "Cerrar el inspector de palabras",
+  "inspector.noMatch": "Ninguna regla cumple esta palabra.",
+  "inspector.decidesColor": "decide el color (es la última de la lista)",
+  "inspector.notMatched": "No cumple: {rules}",
+  "inspector.sounds": "Sonidos:",
+  "inspector.oneSyllable": "1 sílaba",
+  "inspector.syllables": "{count} sílabas",
+  "inspector.dictionary": "diccionario de pronunciación inglesa",
+  "inspector.guessed": "deducido de la ortografía inglesa",
+  "inspector.once": "Aparece una vez en este texto.",
+  "inspector.times": "Aparece {count} veces:",
+  "inspector.inspectWord": "Inspeccionar la palabra {n}",
+  "inspector.sungAt": "Se canta en {time}",
+  "inspector.estimated": "(estimado; carga un archivo de tiempos para tiempos exactos)",
+
+  "statistics.summary": "Estadísticas del texto",
+  "statistics.scope": "Alcance de las estadísticas",
+  "statistics.progress": "Palabras hasta ahora",
+  "statistics.all": "Texto completo",
+  "statistics.empty": "Aún no hay palabras. Inicia una ejecución o cambia al texto completo.",
+  "statistics.unique": "Palabras únicas frente al total",
+  "statistics.uniqueOf": "únicas de {total}",
+  "statistics.uniqueLabel": "{unique} palabras únicas de {total}",
+  "statistics.ruleShares": "Proporción de palabras por regla",
+  "statistics.topWords": "Palabras más frecuentes",
+  "statistics.word": "Palabra",
+  "statistics.count": "Veces",
+  "statistics.lengths": "Longitud de las palabras (letras)",
+  "statistics.letters": "Frecuencia de las letras",
+  "statistics.firstLetters": "Primeras letras",
+  "statistics.lastLetters": "Últimas letras",
+
+  "report.analyzed": "Palabras analizadas: {done} de {total} · {date}",
+  "report.color": "Color",
+  "report.rule": "Regla",
+  "report.condition": "Condición",
+  "report.words": "Palabras",
+  "report.note": "Cuando una palabra cumple varias reglas, toma el color de la última de la lista.",
+
+  "recorder.label": "Grabador de tiempos",
+  "recorder.tap": "Marcar",
+  "recorder.undo": "Deshacer",
+  "recorder.stop": "Detener",
+  "recorder.next": "Siguiente palabra: «{word}» ({position}/{total})",
+  "recorder.markEnd": "Marca una vez más para señalar el final",
+  "recorder.start": "Empezar a grabar",
+  "recorder.hint": "Pulsa Espacio en cada palabra cantada, Retroceso para deshacer y Esc para detener.",
+  "recorder.column.word": "Palabra",
+  "recorder.column.time": "Tiempo (s)",
+  "recorder.column.adjust": "Ajustar",
+  "recorder.timeOf": "Tiempo de la palabra {n}, {word}",
+  "recorder.earlier": "Adelantar {word}",
+  "recorder.later": "Retrasar {word}",
+  "recorder.playFrom": "Reproducir desde {word}",
+  "recorder.apply": "Usar para sincronizar",
+  "recorder.exportLrc": "Exportar LRC",
+  "recorder.exportVtt": "Exportar WebVTT",
+  "recorder.exportJson": "Exportar JSON",
+  "recorder.outOfOrder": "Algunos tiempos son anteriores a los de la palabra previa.",
+  "recorder.incomplete": "Cada palabra necesita un tiempo antes de exportar.",
+};
@@ -0,0 +1,365 @@
+/**
+ * French interface strings (see ../i18n.js)
+ */
+export default {
+  "app.title": "Analyseur du Préambule",
+  "app.language": "Langue de l'interface",
+
+  "start.noSong": "Pas de chanson pour ce texte",
+  "start.loadingYouTube": "Chargement du lecteur YouTube...",
+  "start.loadingMedia": "Chargement du média...",
+  "start.playing": "Lecture…",
+  "start.playSong": "Lire la chanson et synchroniser",
+  "start.animating": "Animation…",
+  "start.animationOnly": "Animation seule",
+
+  "links.dismissWarnings": "Ignorer les avertissements du lien",
+  "links.unknownText": "Texte inconnu « {id} ».",
+  "links.unknownTextHash": "Le texte du lien a été collé ou importé sur un autre appareil ; ajoutez le même texte pour l'ouvrir ici.",
+  "links.textSettingsSkipped": "La position et les règles du lien appartiennent à ce texte et n'ont pas été appliquées.",
+  "links.badRules": "Les règles du lien sont illisibles ; les règles par défaut sont utilisées.",
+  "links.unknownMode": "Mode inconnu « {mode} ».",
+  "links.badSpeed": "La vitesse du lien n'est pas un nombre.",
+  "links.badWord": "La position du mot dans le lien n'est pas un entier positif.",
+  "links.badSplit": "Les réglages de découpage des mots du lien sont illisibles.",
+  "embed.badRules": "L'attribut rules est illisible ; les règles par défaut sont utilisées.",
+  "embed.unknownTheme": "Thème inconnu « {theme} » ; le thème par défaut est utilisé.",
+
+  "stats.words": "mots",
+  "announce.word": "{word}, mot {position} sur {total}.",
+
+  "save.label": "Enregistrer les résultats ({done}/{total} mots analysés) :",
+  "save.json": "Exporter en JSON",
+  "save.csv": "Exporter en CSV",
+  "save.print": "Imprimer le rapport",
+  "save.share": "Copier le lien de partage",
+  "save.linkCopied": "Lien copié :",
+  "save.copyLink": "Copiez ce lien :",
+  "save.shareLink": "Lien de partage",
+
+  "media.youtube": "Chanson : Schoolhouse Rock sur YouTube",
+  "media.file": "Chanson : {name}",
+  "media.useFile": "Utiliser un fichier audio/vidéo local",
+  "media.useYouTube": "Utiliser YouTube",
+  "media.timingFile": "Minutage : {name} ({matched}/{total} mots alignés)",
+  "media.timingEstimated": "Minutage : estimé (aucun fichier de minutage)",
+  "media.loadTiming": "Charger un fichier de minutage",
+  "media.clearTiming": "Retirer",
+  "media.timingError.noWordList": "Le JSON de minutage n'a pas de liste « words ».",
+  "media.timingError.noTimedWords": "Le fichier de minutage ne contient aucun mot minuté.",
+  "media.timingError.unreadable": "Le fichier de minutage est illisible.",
+  "media.closeRecorder": "Fermer l'enregistreur",
+  "media.recordTiming": "Enregistrer le minutage",
+  "media.recordedTiming": "Minutage enregistré",
+  "media.credit": "Vidéo : Schoolhouse Rock / Disney Educational Productions. Intégrée selon l'usage autorisé par YouTube.",
+
+  "code.title": "Mon code",
+  "code.description": "Vous trouverez ci-dessous le code original qui résout l'exercice.",
+
+  "transport.region": "Commandes de lecture",
+  "transport.previous": "Mot précédent",
+  "transport.next": "Mot suivant",
+  "transport.play": "Lecture",
+  "transport.pause": "Pause",
+  "transport.position": "Position du mot",
+  "transport.positionValue": "Mot {position} sur {total}, {word}",
+  "transport.beforeFirst": "Avant le premier mot",
+  "transport.wpm": "{wpm} mots/min",
+  "transport.speed": "Vitesse de l'animation en mots par minute",
+  "transport.present": "Présenter",
+
+  "texts.region": "Choix du texte",
+  "texts.text": "Texte",
+  "texts.language": "Langue des textes collés ou importés",
+  "texts.close": "Fermer",
+  "texts.paste": "Coller un texte",
+  "texts.upload": "Importer un fichier",
+  "texts.title": "Titre",
+  "texts.titlePlaceholder": "Titre (facultatif)",
+  "texts.format": "Format",
+  "texts.plain": "Texte brut",
+  "texts.markdown": "Markdown",
+  "texts.content": "Texte à analyser",
+  "texts.contentPlaceholder": "Collez un texte ici. Laissez une ligne vide entre les paragraphes.",
+  "texts.analyze": "Analyser ce texte",
+  "texts.empty": "Collez d'abord un texte.",
+  "texts.pastedTitle": "Texte collé {number}",
+
+  "tokenizer.summary": "Découpage en mots",
+  "tokenizer.hyphens": "Mots avec trait d'union",
+  "tokenizer.hyphens.join": 'Un mot ("battle-field")',
+  "tokenizer.hyphens.split": 'Deux mots ("battle", "field")',
+  "tokenizer.apostrophes": "Élisions et possessifs",
+  "tokenizer.apostrophes.keep": 'Garder ("people\'s")',
+  "tokenizer.apostrophes.strip": 'Supprimer l\'apostrophe ("peoples")',
+  "tokenizer.apostrophes.split": 'Deux mots ("people", "s")',
+  "tokenizer.numbers": "Nombres",
+  "tokenizer.numbers.words": "Compter comme des mots",
+  "tokenizer.numbers.skip": "Ignorer",
+  "tokenizer.unicodeLetters": "Lettres hors A–Z (é, ñ, ß…)",
+  "tokenizer.foldAccents": 'Ignorer les accents ("é" compte comme "e")',
+
+  "display.summary": "Affichage et clavier",
+  "display.symbols": "Marquer les correspondances par des symboles (▲ ● ■…)",
+  "display.theme": "Thème",
+  "theme.dark": "Sombre",
+  "theme.light": "Clair",
+  "theme.highContrast": "Contraste élevé",
+  "theme.parchment": "Parchemin",
+  "display.shortcuts": "Raccourcis clavier",
+  "shortcuts.togglePlay": "Lecture ou pause",
+  "shortcuts.stepBack": "Mot précédent",
+  "shortcuts.stepForward": "Mot suivant",
+  "shortcuts.switchMode": "Basculer entre chanson synchronisée et animation seule",
+  "shortcuts.reset": "Arrêter et revenir au premier mot",
+
+  "presentation.label": "Mode présentation",
+  "presentation.counters": "Compteurs",
+  "presentation.exit": "Quitter la présentation",
+
+  "classroom.summary": "Classe",
+  "classroom.hint": "Lancez « npm run classroom » sur un ordinateur accessible à tous. Démarrez une classe sur le projecteur ; les élèves la suivent avec le code de salle.",
+  "classroom.room": "Code de salle",
+  "classroom.server": "Serveur",
+  "classroom.host": "Démarrer une classe",
+  "classroom.follow": "Suivre une classe",
+  "classroom.teaching": "Salle {room}",
+  "classroom.followers": "{count} élève(s) connecté(s)",
+  "classroom.studentLink": "Lien pour les élèves",
+  "classroom.end": "Terminer la classe",
+  "classroom.following": "Vous suivez la salle {room}",
+  "classroom.mirroring": "Écran de l'enseignant affiché",
+  "classroom.waiting": "En attente de l'enseignant…",
+  "classroom.leave": "Quitter",
+  "classroom.status.connecting": "Connexion…",
+  "classroom.status.connected": "Connecté",
+  "classroom.status.reconnecting": "Connexion perdue, reconnexion…",
+  "classroom.status.closed": "Déconnecté",
+  "classroom.error.notJson": "Le serveur n'a pas pu lire un message.",
+  "classroom.error.notObject": "Le serveur n'a pas pu lire un message.",
+  "classroom.error.roomRequired": "Saisissez un code de salle.",
+  "classroom.error.unknownRole": "Rejoignez en tant qu'enseignant ou que participant.",
+  "classroom.error.wrongSecret": "La salle {room} a déjà un enseignant. Choisissez un autre code de salle, ou suivez cette classe.",
+  "classroom.error.takenOver": "Un autre enseignant a pris la main sur la salle {room}.",
+  "classroom.error.notTeacher": "Seul l'enseignant peut envoyer l'état de la salle.",
+  "classroom.error.unknownType": "Le serveur ne comprend pas les messages « {type} ».",
+
+  "practice.label": "Entraînement",
+  "practice.hiddenWord": "Mot caché",
+  "practice.startCloze": "Entraînement : texte à trous",
+  "practice.startScramble": "Entraînement : remettre en ordre",
+  "practice.startSingAlong": "Entraînement : chanter de mémoire",
+  "practice.leave": "Quitter l'entraînement",
+  "practice.results": "Résultats",
+  "practice.title.cloze": "Texte à trous",
+  "practice.title.scramble": "Remettre les phrases en ordre",
+  "practice.title.singAlong": "Chanter de mémoire",
+  "practice.cloze.blank": "Cacher",
+  "practice.cloze.every": "1 mot sur {n}",
+  "practice.cloze.rule": "Mots qui vérifient : {rule}",
+  "practice.cloze.hint": "Tapez les mots manquants, puis vérifiez vos réponses.",
+  "practice.cloze.blankLabel": "Trou {n} sur {total}",
+  "practice.cloze.correction": "c'était « {word} »",
+  "practice.cloze.check": "Vérifier les réponses",
+  "practice.scramble.phrase": "Groupe {n} sur {total}",
+  "practice.scramble.hint": "Touchez les mots dans le bon ordre.",
+  "practice.scramble.mistake": "« {word} » ne vient pas maintenant.",
+  "practice.singAlong.hint": "Tapez chaque mot avant que le surlignage ne l'atteigne, avec une espace après chaque mot.",
+  "practice.singAlong.input": "Tapez le mot suivant",
+  "practice.singAlong.progress": "{typed} sur {total} tapés · {correct} justes · {ahead} en avance sur le surlignage",
+  "practice.score.accuracy": "Précision : {correct} / {total} ({accuracy} %)",
+  "practice.score.picks": "Précision : {correct} bons choix, {mistakes} erreurs ({accuracy} %)",
+  "practice.score.timeCloze": "Temps : {time} · {perItem} s par trou",
+  "practice.score.timeScramble": "Temps : {time} · {perItem} s par groupe",
+  "practice.score.onTime": "Rythme : {onTime} mots justes sur {correct} tapés à temps ({rate} %), {lead} mots d'avance en moyenne",
+
+  "rules.describe.prefix": "Commence par « {value} »",
+  "rules.describe.suffix": "Se termine par « {value} »",
+  "rules.describe.contains": "Contient « {value} »",
+  "rules.describe.regex": "Correspond à /{pattern}/{flags}",
+  "rules.describe.length": "A {range} lettres",
+  "rules.describe.vowels": "A {range} voyelles",
+  "rules.describe.consonants": "A {range} consonnes",
+  "rules.describe.startSound": "Commence par le son /{sound}/",
+  "rules.describe.endSound": "Se termine par le son /{sound}/",
+  "rules.describe.silentE": "Se termine par un « e » muet",
+  "rules.describe.oneSyllable": "A 1 syllabe",
+  "rules.describe.syllables": "A {range} syllabes",
+  "rules.describe.and": "{left} et {right}",
+  "rules.describe.or": "{left} ou {right}",
+  "rules.describe.not": "Non ({condition})",
+  "rules.describe.unknown": "Condition inconnue",
+  "rules.range.exactly": "exactement {n}",
+  "rules.range.between": "{min}–{max}",
+  "rules.range.atLeast": "au moins {n}",
+  "rules.range.atMost": "au plus {n}",
+  "rules.error.condition": "Choisissez une condition.",
+  "rules.error.letters": "Saisissez au moins une lettre.",
+  "rules.error.regex": "Saisissez une expression régulière.",
+  "rules.error.invalidRegex": "Expression régulière non valide : {message}",
+  "rules.error.sound": "Choisissez un son.",
+  "rules.error.range": "Saisissez un minimum, un maximum ou les deux.",
+  "rules.error.bounds": "Les bornes doivent être des nombres entiers positifs ou nuls.",
+  "rules.error.minMax": "Le minimum ne peut pas dépasser le maximum.",
+  "rules.error.combine": "Ajoutez au moins une condition à combiner.",
+  "rules.error.negate": "Choisissez une condition à inverser.",
+  "rules.error.unknownType": "Type de condition inconnu : {type}",
+  "rules.error.duplicate": "« {label} » utilise déjà cette condition.",
+
+  "ruleBuilder.title": "Règles de comptage",
+  "ruleBuilder.moveUp": "Monter {rule}",
+  "ruleBuilder.moveDown": "Descendre {rule}",
+  "ruleBuilder.edit": "Modifier",
+  "ruleBuilder.delete": "Supprimer",
+  "ruleBuilder.empty": "Aucune règle pour l'instant. Ajoutez-en une ci-dessous.",
+  "ruleBuilder.editHeading": "Modifier la règle",
+  "ruleBuilder.addHeading": "Ajouter une règle",
+  "ruleBuilder.fixedCondition": "Condition : {condition} (seuls le nom et la couleur se modifient ici)",
+  "ruleBuilder.conditionType": "Type de condition",
+  "ruleBuilder.group.letters": "Lettres",
+  "ruleBuilder.group.sounds": "Sons",
+  "ruleBuilder.type.prefix": "Commence par",
+  "ruleBuilder.type.suffix": "Se termine par",
+  "ruleBuilder.type.startsEnds": "Commence par … et se termine par …",
+  "ruleBuilder.type.contains": "Contient",
+  "ruleBuilder.type.regex": "Correspond à une expression régulière",
+  "ruleBuilder.type.length": "Nombre de lettres",
+  "ruleBuilder.type.vowels": "Nombre de voyelles",
+  "ruleBuilder.type.consonants": "Nombre de consonnes",
+  "ruleBuilder.type.startSound": "Commence par le son",
+  "ruleBuilder.type.endSound": "Se termine par le son",
+  "ruleBuilder.type.silentE": "Se termine par un e muet",
+  "ruleBuilder.type.syllables": "Nombre de syllabes",
+  "ruleBuilder.sound": "Son",
+  "ruleBuilder.soundOption": "/{ipa}/ comme dans « {example} »",
+  "ruleBuilder.silentEHint": "Mots écrits avec un « e » final qui ne se prononce pas, comme « more » ou « people ».",
+  "ruleBuilder.englishSounds": "Les sons suivent la prononciation anglaise.",
+  "ruleBuilder.letters": "Lettres",
+  "ruleBuilder.lettersPlaceholder": "lettres",
+  "ruleBuilder.startingLetters": "Lettres du début",
+  "ruleBuilder.startingLettersPlaceholder": "commence par",
+  "ruleBuilder.endingLetters": "Lettres de la fin",
+  "ruleBuilder.endingLettersPlaceholder": "se termine par",
+  "ruleBuilder.regex": "Expression régulière",
+  "ruleBuilder.regexPlaceholder": "motif, p. ex. ^th",
+  "ruleBuilder.regexFlags": "Options de l'expression régulière",
+  "ruleBuilder.regexFlagsPlaceholder": "options",
+  "ruleBuilder.min": "Minimum",
+  "ruleBuilder.minPlaceholder": "min",
+  "ruleBuilder.max": "Maximum",
+  "ruleBuilder.maxPlaceholder": "max",
+  "ruleBuilder.label": "Nom",
+  "ruleBuilder.labelPlaceholder": "nom (facultatif)",
+  "ruleBuilder.color": "Couleur",
+  "ruleBuilder.themeColor": "Couleur du thème",
+  "ruleBuilder.themeColorHint": "Utiliser la couleur du thème pour cette règle",
+  "ruleBuilder.save": "Enregistrer la règle",
+  "ruleBuilder.add": "Ajouter la règle",
+  "ruleBuilder.cancel": "Annuler",
+
+  "quiz.start": "Commencer le quiz : prédire les comptes",
+  "quiz.label": "Quiz",
+  "quiz.title.results": "Résultats du quiz",
+  "quiz.title.live": "Quiz : score en direct",
+  "quiz.title.predict": "Quiz : faites vos prédictions",
+  "quiz.leave": "Quitter le quiz",
+  "quiz.hint": "Indiquez combien de mots chaque règle comptera selon vous, et/ou touchez les mots qui correspondent selon vous. Lancez ensuite l'un des deux modes.",
+  "quiz.predicted": "Compte prévu : {rule}",
+  "quiz.pickFor": "Toucher un mot le marque pour",
+  "quiz.pickOption": "{rule} ({count} touchés)",
+  "quiz.column.rule": "Règle",
+  "quiz.column.predicted": "Prévu",
+  "quiz.column.actual": "Réel",
+  "quiz.column.soFar": "Pour l'instant",
+  "quiz.column.taps": "Touchés : réussis / oubliés / erronés",
+  "quiz.tooMany": "{n} de trop",
+  "quiz.tooFew": "{n} de moins",
+  "quiz.exact": "✓ exact",
+  "quiz.mark.hit": "Touché, et il compte",
+  "quiz.mark.miss": "Oublié : ce mot compte",
+  "quiz.mark.falsePositive": "Touché, mais il ne compte pas",
+  "quiz.noPredictions": "Aucune prédiction n'a été faite.",
+  "quiz.score": "Score final : {score} %",
+
+  "history.summary": "Historique ({count})",
+  "history.empty": "Les passages terminés sont enregistrés ici, sur cet appareil.",
+  "history.compareHint": "Cochez deux passages pour les comparer.",
+  "history.compare": "Comparer {run}",
+  "history.mode.song": "synchronisé sur la chanson",
+  "history.mode.animation": "animation",
+  "history.quiz": "Quiz {score} %",
+  "history.reopen": "Rouvrir",
+  "history.reopenRun": "Rouvrir {run}",
+  "history.delete": "Supprimer",
+  "history.deleteRun": "Supprimer {run}",
+  "history.comparison": "Comparaison des passages",
+  "history.column.rule": "Règle",
+  "history.column.difference": "Différence",
+  "history.quizScore": "Score du quiz",
+  "history.percent": "{score} %",
+
+  "inspector.hint": "Cliquez sur un mot (ou placez-y le focus et appuyez sur Entrée) pour voir pourquoi il compte.",
+  "inspector.label": "Inspecteur de mots",
+  "inspector.position": "Mot {position} sur {total}",
+  "inspector.analyzedAs": "Analysé comme",
+  "inspector.close": "Fermer l'inspecteur de mots",
+  "inspector.noMatch": "Aucune règle ne correspond à ce mot.",
+  "inspector.decidesColor": "décide de la couleur (dernière de la liste)",
+  "inspector.notMatched": "Non satisfaites : {rules}",
+  "inspector.sounds": "Sons :",
+  "inspector.oneSyllable": "1 syllabe",
+  "inspector.syllables": "{count} syllabes",
+  "inspector.dictionary": "dictionnaire de prononciation anglaise",
+  "inspector.guessed": "déduit de l'orthographe anglaise",
+  "inspector.once": "Apparaît une fois dans ce texte.",
+  "inspector.times": "Apparaît {count} fois :",
+  "inspector.inspectWord": "Inspecter le mot {n}",
+  "inspector.sungAt": "Chanté à {time}",
+  "inspector.estimated": "(estimé ; chargez un fichier de minutage pour des temps exacts)",
+
+  "statistics.summary": "Statistiques du texte",
+  "statistics.scope": "Portée des statistiques",
+  "statistics.progress": "Mots jusqu'ici",
+  "statistics.all": "Texte entier",
+  "statistics.empty": "Pas encore de mots. Lancez un passage ou passez au texte entier.",
+  "statistics.unique": "Mots uniques par rapport au total",
+  "statistics.uniqueOf": "uniques sur {total}",
+  "statistics.uniqueLabel": "{unique} mots uniques sur {total}",
+  "statistics.ruleShares": "Part des mots par règle",
+  "statistics.topWords": "Mots les plus fréquents",
+  "statistics.word": "Mot",
+  "statistics.count": "Occurrences",
+  "statistics.lengths": "Longueur des mots (lettres)",
+  "statistics.letters": "Fréquence des lettres",
+  "statistics.firstLetters": "Premières lettres",
+  "statistics.lastLetters": "Dernières lettres",
+
+  "report.analyzed": "Mots analysés : {done} sur {total} · {date}",
+  "report.color": "Couleur",
+  "report.rule": "Règle",
+  "report.condition": "Condition",
+  "report.words": "Mots",
+  "report.note": "Quand un mot correspond à plusieurs règles, il prend la couleur de la dernière de la liste.",
+
+  "recorder.label": "Enregistreur de minutage",
+  "recorder.tap": "Taper",
+  "recorder.undo": "Annuler",
+  "recorder.stop": "Arrêter",
+  "recorder.next": "Mot suivant : « {word} » ({position}/{total})",
+  "recorder.markEnd": "Tapez une fois de plus pour marquer la fin",
+  "recorder.start": "Commencer l'enregistrement",
+  "recorder.hint": "Appuyez sur Espace à chaque mot chanté, Retour arrière pour annuler, Échap pour arrêter.",
+  "recorder.column.word": "Mot",
+  "recorder.column.time": "Temps (s)",
+  "recorder.column.adjust": "Ajuster",
+  "recorder.timeOf": "Temps du mot {n}, {word}",
+  "recorder.earlier": "Avancer {word}",
+  "recorder.later": "Retarder {word}",
+  "recorder.playFrom": "Lire à partir de {word}",
+  "recorder.apply": "Utiliser pour la synchronisation",
+  "recorder.exportLrc": "Exporter en LRC",
+  "recorder.exportVtt": "Exporter en WebVTT",
+  "recorder.exportJson": "Exporter en JSON",
+  "recorder.outOfOrder": "Certains temps précèdent celui du mot d'avant.",
+  "recorder.incomplete": "Chaque mot doit avoir un temps avant l'export.",
+};
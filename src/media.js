@@ -0,0 +1,212 @@
+/**
+ * Media sources
+ * ------------------------------------------------------------
+ * The sync loop talks to a small player adapter instead of a specific player:
+ *
+ *   adapter.play()                 start or resume playback
+ *   adapter.pause()                pause playback
+ *   adapter.seek(seconds)          jump to a time
+ *   adapter.getCurrentTime()       playback time in seconds
+ *   adapter.getDuration()          media duration in seconds (null until known)
+ *   adapter.destroy()              release the player and its listeners
+ *
+ * Adapters report through callbacks given at creation:
+ *   onReady(adapter)               the player accepts commands
+ *   onStateChange(state)           one of MEDIA_STATES
+ *   onError(error)                 the player failed
+ *
+ * Two implementations exist: the YouTube iframe player and an HTML5
+ * <audio>/<video> element, used for local files when YouTube is unavailable.
+ */
+
+/** Playback states reported through `onStateChange` */
+export const MEDIA_STATES = {
+  PLAYING: "playing",
+  PAUSED: "paused",
+  ENDED: "ended",
+};
+
+/**
+ * Creates a YouTube player inside a container element.
+ * Waits for the YouTube iframe API if it has not loaded yet.
+ *
+ * @param {HTMLElement} container - Element the player iframe is placed in
+ * @param {Object} options
+ * @param {string} options.videoId - YouTube video id
+ * @param {Function} [options.onReady] - Called with the adapter once the player is ready
+ * @param {Function} [options.onStateChange] - Called with a MEDIA_STATES value
+ * @param {Function} [options.onError] - Called with the YouTube error code
+ * @returns {Object} The player adapter
+ */
+export function createYouTubeAdapter(container, { videoId, onReady, onStateChange, onError }) {
+  let player = null;
+  let destroyed = false;
+
+  // YT.Player replaces its target element, so give it a child that React does not own
+  const target = document.createElement("div");
+  target.style.width = "100%";
+  target.style.height = "100%";
+  container.appendChild(target);
+
+  const adapter = {
+    play: () => player && player.playVideo(),
+    pause: () => player && typeof player.pauseVideo === "function" && player.pauseVideo(),
+    seek: (seconds) => player && player.seekTo(seconds, true),
+    getCurrentTime: () => (player ? player.getCurrentTime() : 0),
+    getDuration: () => (player && typeof player.getDuration === "function" ? player.getDuration() : null),
+    destroy: () => {
+      destroyed = true;
+      try {
+        if (player && typeof player.destroy === "function") player.destroy();
+      } catch (error) {
+        console.error("Error destroying YouTube player:", error);
+      }
+      container.innerHTML = "";
+    },
+  };
+
+  /**
+   * Creates the YouTube player instance once the iframe API is available.
+   */
+  function createPlayer() {
+    if (destroyed) return;
+    try {
+      if (!window.YT || !window.YT.Player) {
+        console.error("YouTube API not available");
+        return;
+      }
+
+      new window.YT.Player(target, {
+        videoId,
+        events: {
+          /**
+           * Called when the player is ready to accept commands.
+           * Verifies required methods exist before handing out the adapter.
+           */
+          onReady: (event) => {
+            const readyPlayer = event.target;
+            if (
+              readyPlayer &&
+              typeof readyPlayer.seekTo === "function" &&
+              typeof readyPlayer.playVideo === "function" &&
+              typeof readyPlayer.getCurrentTime === "function"
+            ) {
+              player = readyPlayer;
+              if (!destroyed && onReady) onReady(adapter);
+            } else {
+              console.error("YouTube player methods not available on ready");
+            }
+          },
+
+          /**
+           * Translates YouTube player states into MEDIA_STATES.
+           */
+          onStateChange: (event) => {
+            if (destroyed || !onStateChange) return;
+            const { PlayerState } = window.YT;
+            if (event.data === PlayerState.ENDED) onStateChange(MEDIA_STATES.ENDED);
+            else if (event.data === PlayerState.PAUSED) onStateChange(MEDIA_STATES.PAUSED);
+            else if (event.data === PlayerState.PLAYING) onStateChange(MEDIA_STATES.PLAYING);
+          },
+
+          onError: (event) => {
+            console.error("YouTube player error:", event.data);
+            if (!destroyed && onError) onError(event.data);
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error creating YouTube player:", error);
+    }
+  }
+
+  // If API is already loaded, create the player immediately.
+  // Otherwise, wait for the global callback (keeping any callback already registered).
+  if (window.YT && window.YT.Player) {
+    createPlayer();
+  } else {
+    const previous = window.onYouTubeIframeAPIReady;
+    window.onYouTubeIframeAPIReady = () => {
+      if (typeof previous === "function") previous();
+      createPlayer();
+    };
+  }
+
+  return adapter;
+}
+
+/**
+ * Wraps an HTML5 <audio> or <video> element, e.g. one playing a local file.
+ *
+ * @param {HTMLMediaElement} element - The media element
+ * @param {Object} options
+ * @param {Function} [options.onReady] - Called with the adapter once metadata has loaded
+ * @param {Function} [options.onStateChange] - Called with a MEDIA_STATES value
+ * @param {Function} [options.onError] - Called with the element's MediaError
+ * @returns {Object} The player adapter
+ */
+export function createMediaElementAdapter(element, { onReady, onStateChange, onError }) {
+  const listeners = {
+    loadedmetadata: () => onReady && onReady(adapter),
+    playing: () => onStateChange && onStateChange(MEDIA_STATES.PLAYING),
+    // The element also fires "pause" right before "ended"; only report real pauses
+    pause: () => onStateChange && !element.ended && onStateChange(MEDIA_STATES.PAUSED),
+    ended: () => onStateChange && onStateChange(MEDIA_STATES.ENDED),
+    error: () => {
+      console.error("Media element error:", element.error);
+      if (onError) onError(element.error);
+    },
+  };
+
+  const adapter = {
+    play: () => {
+      const result = element.play();
+      // play() returns a promise that rejects when the browser blocks playback
+      if (result && typeof result.catch === "function") {
+        result.catch((error) => console.error("Error playing media:", error));
+      }
+    },
+    pause: () => element.pause(),
+    seek: (seconds) => {
+      element.currentTime = seconds;
+    },
+    getCurrentTime: () => element.currentTime,
+    getDuration: () => (Number.isFinite(element.duration) ? element.duration : null),
+    destroy: () => {
+      for (const [name, listener] of Object.entries(listeners)) element.removeEventListener(name, listener);
+    },
+  };
+
+  for (const [name, listener] of Object.entries(listeners)) element.addEventListener(name, listener);
+
+  // Metadata may already be available (e.g. cached files)
+  if (element.readyState >= 1) listeners.loadedmetadata();
+
+  return adapter;
+}
+
+/**
+ * Utility: Builds a media source description for a local audio or video file.
+ * The caller owns the object URL and should revoke it when switching sources.
+ *
+ * @param {File} file - The chosen file
+ * @returns {{ kind: "file", name: string, url: string, element: "audio"|"video" }} The media source
+ */
+export function createFileSource(file) {
+  return {
+    kind: "file",
+    name: file.name,
+    url: URL.createObjectURL(file),
+    element: file.type.startsWith("video/") ? "video" : "audio",
+  };
+}
+
+/**
+ * Utility: A stable key identifying a media source, used to keep timing files per source.
+ *
+ * @param {Object} source - A media source
+ * @returns {string} The key
+ */
+export function mediaSourceKey(source) {
+  return source.kind === "youtube" ? `youtube:${source.videoId}` : `file:${source.name}`;
+}
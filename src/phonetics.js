@@ -0,0 +1,372 @@
+import { PRONUNCIATIONS } from "./pronunciations.js";
+import { foldAccents } from "./tokenizer.js";
+
+/**
+ * Phonetic analysis
+ * ------------------------------------------------------------
+ * Splits an (English) word into phonemes and syllables for the sound-based
+ * rules ("starts with a /t/ sound", "ends in a silent e", "has 3 syllables"):
+ *
+ *   analyzeSounds("tranquility")
+ *   // { phonemes: ["T", "R", "AE", "NG", "K", "W", "IH", "L", "IH", "T", "IY"],
+ *   //   syllableCount: 4, syllables: ["tran", "qui", "li", "ty"], fromDictionary: true, segments }
+ *
+ * Pronunciations come from the bundled dictionary (./pronunciations.js) when it
+ * has the word, and from a set of English spelling rules otherwise. The spelling
+ * rules also map letters to sounds (`segments`), which is how the written
+ * syllables and the inspector's underlines are found.
+ *
+ * Phonemes use ARPAbet codes without stress digits.
+ */
+
+/** The ARPAbet phonemes, with an IPA symbol for display and an example word */
+export const PHONEMES = [
+  { code: "P", ipa: "p", example: "pen" },
+  { code: "B", ipa: "b", example: "bat" },
+  { code: "T", ipa: "t", example: "top" },
+  { code: "D", ipa: "d", example: "dog" },
+  { code: "K", ipa: "k", example: "cat" },
+  { code: "G", ipa: "g", example: "go" },
+  { code: "CH", ipa: "tʃ", example: "chin" },
+  { code: "JH", ipa: "dʒ", example: "just" },
+  { code: "F", ipa: "f", example: "fun" },
+  { code: "V", ipa: "v", example: "van" },
+  { code: "TH", ipa: "θ", example: "thin" },
+  { code: "DH", ipa: "ð", example: "this" },
+  { code: "S", ipa: "s", example: "sun" },
+  { code: "Z", ipa: "z", example: "zoo" },
+  { code: "SH", ipa: "ʃ", example: "she" },
+  { code: "ZH", ipa: "ʒ", example: "measure" },
+  { code: "HH", ipa: "h", example: "hat" },
+  { code: "M", ipa: "m", example: "man" },
+  { code: "N", ipa: "n", example: "no" },
+  { code: "NG", ipa: "ŋ", example: "sing" },
+  { code: "L", ipa: "l", example: "leg" },
+  { code: "R", ipa: "r", example: "red" },
+  { code: "W", ipa: "w", example: "we" },
+  { code: "Y", ipa: "j", example: "yes" },
+  { code: "AA", ipa: "ɑ", example: "father" },
+  { code: "AE", ipa: "æ", example: "cat" },
+  { code: "AH", ipa: "ʌ", example: "cup" },
+  { code: "AO", ipa: "ɔ", example: "law" },
+  { code: "AW", ipa: "aʊ", example: "out" },
+  { code: "AY", ipa: "aɪ", example: "my" },
+  { code: "EH", ipa: "ɛ", example: "bed" },
+  { code: "ER", ipa: "ɝ", example: "her" },
+  { code: "EY", ipa: "eɪ", example: "say" },
+  { code: "IH", ipa: "ɪ", example: "sit" },
+  { code: "IY", ipa: "i", example: "see" },
+  { code: "OW", ipa: "oʊ", example: "go" },
+  { code: "OY", ipa: "ɔɪ", example: "boy" },
+  { code: "UH", ipa: "ʊ", example: "book" },
+  { code: "UW", ipa: "u", example: "too" },
+];
+
+/** Phonemes that form the nucleus of a syllable */
+const VOWEL_PHONEMES = new Set(["AA", "AE", "AH", "AO", "AW", "AY", "EH", "ER", "EY", "IH", "IY", "OW", "OY", "UH", "UW"]);
+
+/** Sounds of a single vowel letter: short, and long (before a "magic" e) */
+const SHORT_VOWELS = { a: "AE", e: "EH", i: "IH", o: "AA", u: "AH" };
+const LONG_VOWELS = { a: "EY", e: "IY", i: "AY", o: "OW", u: "UW" };
+
+/** Sounds of the consonant letters that need no context */
+const CONSONANTS = {
+  b: ["B"], d: ["D"], f: ["F"], h: ["HH"], j: ["JH"], k: ["K"], l: ["L"], m: ["M"], n: ["N"],
+  p: ["P"], q: ["K"], r: ["R"], t: ["T"], v: ["V"], w: ["W"], z: ["Z"],
+};
+
+/** Letters after which a final "s" or "-ed" is voiceless */
+const VOICELESS_LETTERS = "pktfsxh";
+
+const isVowelLetter = (ch) => Boolean(ch) && "aeiou".includes(ch);
+const isLetter = (ch) => ch >= "a" && ch <= "z";
+
+/**
+ * Spelling patterns tried at each position, longest first. `when` limits a
+ * pattern to a context; `sounds` may depend on the context as well.
+ */
+const PATTERNS = [
+  { letters: "tion", sounds: ["SH", "AH", "N"] },
+  { letters: "sion", sounds: (w, i) => (isVowelLetter(w[i - 1]) ? ["ZH", "AH", "N"] : ["SH", "AH", "N"]) },
+  { letters: "ture", sounds: ["CH", "ER"] },
+  { letters: "ough", sounds: ["AO"] },
+  { letters: "augh", sounds: ["AO"] },
+  { letters: "eigh", sounds: ["EY"] },
+  { letters: "igh", sounds: ["AY"] },
+  { letters: "tch", sounds: ["CH"] },
+  { letters: "dge", sounds: ["JH"] },
+  { letters: "sch", sounds: ["S", "K"] },
+  { letters: "ch", sounds: ["CH"] },
+  { letters: "sh", sounds: ["SH"] },
+  { letters: "th", sounds: ["TH"] },
+  { letters: "ph", sounds: ["F"] },
+  { letters: "wh", sounds: ["W"] },
+  { letters: "ck", sounds: ["K"] },
+  { letters: "ng", sounds: ["NG"] },
+  { letters: "qu", sounds: ["K", "W"] },
+  { letters: "gh", sounds: (w, i) => (i === 0 ? ["G"] : []) },
+  { letters: "kn", when: (w, i) => i === 0, sounds: ["N"] },
+  { letters: "wr", when: (w, i) => i === 0, sounds: ["R"] },
+  { letters: "mb", when: (w, i) => i + 2 === w.length, sounds: ["M"] },
+  // Syllabic "-le" after a consonant, as in "battle"
+  { letters: "le", when: (w, i) => i + 2 === w.length && i > 1 && !isVowelLetter(w[i - 1]), sounds: ["AH", "L"] },
+  // Past tense: "-ed" is /ɪd/ after t or d, /t/ after voiceless sounds, /d/ otherwise
+  {
+    letters: "ed",
+    when: (w, i) => i + 2 === w.length && i > 1,
+    sounds: (w, i) => ("td".includes(w[i - 1]) ? ["IH", "D"] : VOICELESS_LETTERS.includes(w[i - 1]) ? ["T"] : ["D"]),
+  },
+  // Plural "-es" is /ɪz/ after sibilants; elsewhere the e is silent
+  {
+    letters: "es",
+    when: (w, i) => i + 2 === w.length && i > 1,
+    sounds: (w, i) => ("sxzcg".includes(w[i - 1]) || (w[i - 1] === "h" && "cs".includes(w[i - 2])) ? ["IH", "Z"] : ["Z"]),
+  },
+  { letters: "ee", sounds: ["IY"] },
+  { letters: "ea", sounds: ["IY"] },
+  { letters: "oo", sounds: ["UW"] },
+  { letters: "ou", sounds: ["AW"] },
+  { letters: "ow", sounds: (w, i) => (i + 2 === w.length ? ["OW"] : ["AW"]) },
+  { letters: "ai", sounds: ["EY"] },
+  { letters: "ay", sounds: ["EY"] },
+  { letters: "oi", sounds: ["OY"] },
+  { letters: "oy", sounds: ["OY"] },
+  { letters: "au", sounds: ["AO"] },
+  { letters: "aw", sounds: ["AO"] },
+  { letters: "ey", sounds: (w, i) => (i + 2 === w.length ? ["IY"] : ["EY"]) },
+  { letters: "ei", sounds: ["IY"] },
+  { letters: "ie", sounds: (w, i) => (i + 2 === w.length ? ["AY"] : ["IY"]) },
+  { letters: "ue", when: (w, i) => i + 2 === w.length, sounds: ["UW"] },
+  { letters: "ui", sounds: ["UW"] },
+  { letters: "oa", sounds: ["OW"] },
+  { letters: "ew", sounds: ["UW"] },
+  // R-controlled vowels, unless the r starts the next syllable ("very")
+  { letters: "ar", when: (w, i) => !isVowelLetter(w[i + 2] || ""), sounds: ["AA", "R"] },
+  { letters: "or", when: (w, i) => !isVowelLetter(w[i + 2] || ""), sounds: ["AO", "R"] },
+  { letters: "er", when: (w, i) => !isVowelLetter(w[i + 2] || ""), sounds: ["ER"] },
+  { letters: "ir", when: (w, i) => !isVowelLetter(w[i + 2] || ""), sounds: ["ER"] },
+  { letters: "ur", when: (w, i) => !isVowelLetter(w[i + 2] || ""), sounds: ["ER"] },
+];
+
+/**
+ * Utility: Whether the vowel at `i` is made long by a following consonant and
+ * final e ("hope", "hopes", "hoped").
+ */
+function hasMagicE(w, i) {
+  const consonant = w[i + 1];
+  if (!consonant || isVowelLetter(consonant) || !isLetter(consonant)) return false;
+  const rest = w.slice(i + 2);
+  return rest === "e" || rest === "es" || rest === "ed";
+}
+
+/**
+ * Utility: Sounds of a single letter in context.
+ *
+ * @param {string} w - The word, lowercase a–z
+ * @param {number} i - Letter position
+ * @returns {Array<string>} Phonemes (empty for a silent letter)
+ */
+function letterSounds(w, i) {
+  const ch = w[i];
+  const next = w[i + 1] || "";
+  const last = i === w.length - 1;
+
+  switch (ch) {
+    case "c":
+      return next && "eiy".includes(next) ? ["S"] : ["K"];
+    case "g":
+      return next && "eiy".includes(next) ? ["JH"] : ["G"];
+    case "x":
+      return i === 0 ? ["Z"] : ["K", "S"];
+    case "s":
+      if (last && i > 0 && !VOICELESS_LETTERS.includes(w[i - 1])) return ["Z"];
+      return i > 0 && isVowelLetter(w[i - 1]) && isVowelLetter(next) ? ["Z"] : ["S"];
+    case "y":
+      if (i === 0 || isVowelLetter(next)) return ["Y"];
+      if (last) return /[aeiou]/.test(w.slice(0, i)) ? ["IY"] : ["AY"];
+      return ["IH"];
+    case "e":
+      // A final e after a sounded vowel is silent; in "he" or "be" it is the vowel
+      if (last && /[aeiouy]/.test(w.slice(0, i))) return [];
+      if (last) return ["IY"];
+      break;
+    default:
+      break;
+  }
+
+  if (isVowelLetter(ch)) {
+    if (hasMagicE(w, i) || (last && ch !== "a")) return [LONG_VOWELS[ch]];
+    return [SHORT_VOWELS[ch]];
+  }
+  return CONSONANTS[ch] || [];
+}
+
+/**
+ * Guesses a word's pronunciation from its spelling. Each segment maps a run of
+ * letters to the phonemes it spells; silent letters have an empty list.
+ * Characters other than a–z (apostrophes, digits) are skipped.
+ *
+ * @param {string} word - A normalized word
+ * @returns {Array<{ start: number, end: number, phonemes: Array<string> }>} Segments in order
+ */
+export function guessSegments(word) {
+  const folded = foldAccents(word);
+  // Folding keeps one character per letter for the Latin alphabet; otherwise give up on positions
+  const w = folded.length === word.length ? folded : word;
+  const segments = [];
+
+  let i = 0;
+  while (i < w.length) {
+    if (!isLetter(w[i])) {
+      i++;
+      continue;
+    }
+
+    const pattern = PATTERNS.find((p) => w.startsWith(p.letters, i) && (!p.when || p.when(w, i)));
+    if (pattern) {
+      const sounds = typeof pattern.sounds === "function" ? pattern.sounds(w, i) : pattern.sounds;
+      segments.push({ start: i, end: i + pattern.letters.length, phonemes: sounds });
+      i += pattern.letters.length;
+      continue;
+    }
+
+    // Doubled consonants spell one sound ("common"), except "cc" before e or i ("accept")
+    if (w[i + 1] === w[i] && !isVowelLetter(w[i])) {
+      const sounds = w[i] === "c" && "ei".includes(w[i + 2] || "-") ? ["K", "S"] : letterSounds(w, i + 1);
+      segments.push({ start: i, end: i + 2, phonemes: sounds });
+      i += 2;
+      continue;
+    }
+
+    segments.push({ start: i, end: i + 1, phonemes: letterSounds(w, i) });
+    i++;
+  }
+  return segments;
+}
+
+/**
+ * Utility: Whether a phoneme is a vowel sound (a syllable nucleus).
+ *
+ * @param {string} phoneme - ARPAbet code, with or without a stress digit
+ * @returns {boolean}
+ */
+export function isVowelPhoneme(phoneme) {
+  return VOWEL_PHONEMES.has(phoneme.replace(/\d$/, ""));
+}
+
+/**
+ * Splits the written word into syllables around the vowel sounds of its
+ * segments: one consonant sound between two vowels starts the next syllable
+ * ("pa-per"), more are split after the first ("con-sti"), and doubled letters
+ * are split down the middle ("com-mon").
+ *
+ * @param {string} word - A normalized word
+ * @param {Array<Object>} segments - Output of `guessSegments`
+ * @returns {Array<string>} The written syllables
+ */
+export function splitSyllables(word, segments) {
+  const nuclei = segments.map((segment, i) => (segment.phonemes.some(isVowelPhoneme) ? i : -1)).filter((i) => i !== -1);
+  const cuts = [];
+
+  for (let n = 1; n < nuclei.length; n++) {
+    const between = segments.slice(nuclei[n - 1] + 1, nuclei[n]).filter((segment) => segment.phonemes.length > 0);
+    if (between.length === 0) {
+      cuts.push(segments[nuclei[n]].start);
+    } else if (between.length === 1) {
+      const only = between[0];
+      const doubled = only.end - only.start === 2 && word[only.start] === word[only.start + 1];
+      cuts.push(doubled ? only.start + 1 : only.start);
+    } else {
+      cuts.push(between[0].end);
+    }
+  }
+
+  const syllables = [];
+  let from = 0;
+  for (const cut of cuts) {
+    syllables.push(word.slice(from, cut));
+    from = cut;
+  }
+  syllables.push(word.slice(from));
+  return syllables;
+}
+
+/** Most analyses kept; pasted texts and typed words would otherwise grow the cache for good */
+export const MAX_CACHED_SOUNDS = 2000;
+
+/** Analyses by word, least recently used first; the same words come up in every run */
+const soundCache = new Map();
+
+/**
+ * Analyzes how a word sounds. Hyphenated words are analyzed part by part.
+ *
+ * @param {string} word - A normalized word
+ * @returns {{ phonemes: Array<string>, syllableCount: number, syllables: Array<string>,
+ *   fromDictionary: boolean, segments: Array<Object> }} The analysis; `syllables` is the
+ *   whole word when the written split disagrees with the syllable count
+ */
+export function analyzeSounds(word) {
+  if (soundCache.has(word)) {
+    const cached = soundCache.get(word);
+    soundCache.delete(word);
+    soundCache.set(word, cached);
+    return cached;
+  }
+
+  let result;
+  const hyphen = word.search(/[-‐‑]/);
+  if (hyphen > 0 && hyphen < word.length - 1) {
+    const first = analyzeSounds(word.slice(0, hyphen));
+    const rest = analyzeSounds(word.slice(hyphen + 1));
+    const offset = hyphen + 1;
+    result = {
+      phonemes: [...first.phonemes, ...rest.phonemes],
+      syllableCount: first.syllableCount + rest.syllableCount,
+      syllables: [...first.syllables, ...rest.syllables],
+      fromDictionary: first.fromDictionary && rest.fromDictionary,
+      segments: [...first.segments, ...rest.segments.map((s) => ({ ...s, start: s.start + offset, end: s.end + offset }))],
+    };
+  } else {
+    const entry = PRONUNCIATIONS[word.replace(/[’ʼ]/g, "'")];
+    const segments = guessSegments(word);
+    const coded = entry ? entry.split(" ") : segments.flatMap((segment) => segment.phonemes);
+    const phonemes = coded.map((phoneme) => phoneme.replace(/\d$/, ""));
+    const syllableCount = phonemes.filter(isVowelPhoneme).length;
+    const written = splitSyllables(word, segments);
+    result = {
+      phonemes,
+      syllableCount,
+      syllables: written.length === syllableCount ? written : [word],
+      fromDictionary: Boolean(entry),
+      segments,
+    };
+  }
+
+  soundCache.set(word, result);
+  if (soundCache.size > MAX_CACHED_SOUNDS) soundCache.delete(soundCache.keys().next().value);
+  return result;
+}
+
+/**
+ * Whether the word ends in a silent e: it is spelled with a final "e" that
+ * the pronunciation does not end on a vowel for ("more", "people", but not "the").
+ *
+ * @param {string} word - A normalized word
+ * @returns {boolean}
+ */
+export function hasSilentE(word) {
+  if (word.length < 3 || !word.endsWith("e")) return false;
+  const { phonemes } = analyzeSounds(word);
+  return phonemes.length > 0 && !isVowelPhoneme(phonemes[phonemes.length - 1]);
+}
+
+/**
+ * Utility: The IPA symbol of a phoneme, for display ("TH" → "θ").
+ *
+ * @param {string} code - ARPAbet code
+ * @returns {string} The IPA symbol, or the code itself if unknown
+ */
+export function phonemeSymbol(code) {
+  const phoneme = PHONEMES.find((p) => p.code === code);
+  return phoneme ? phoneme.ipa : code;
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import { MAX_CACHED_SOUNDS, analyzeSounds, guessSegments, hasSilentE } from "./phonetics";
+
+describe("analyzeSounds", () => {
+  it("uses the pronunciation dictionary for known words", () => {
+    const sounds = analyzeSounds("tranquility");
+    expect(sounds.fromDictionary).toBe(true);
+    expect(sounds.phonemes.slice(0, 4)).toEqual(["T", "R", "AE", "NG"]);
+    expect(sounds.syllableCount).toBe(4);
+    expect(sounds.syllables).toEqual(["tran", "qui", "li", "ty"]);
+  });
+
+  it("guesses unknown words from their spelling", () => {
+    expect(analyzeSounds("hope")).toMatchObject({ phonemes: ["HH", "OW", "P"], syllableCount: 1, fromDictionary: false });
+    expect(analyzeSounds("happy")).toMatchObject({ phonemes: ["HH", "AE", "P", "IY"], syllables: ["hap", "py"] });
+    expect(analyzeSounds("jumped").phonemes).toEqual(["JH", "AH", "M", "P", "T"]);
+    expect(analyzeSounds("paper").syllables).toEqual(["pa", "per"]);
+  });
+
+  it("analyzes hyphenated words part by part", () => {
+    expect(analyzeSounds("battle-field")).toMatchObject({ syllableCount: 3, syllables: ["bat", "tle", "field"] });
+  });
+
+  it("keeps a bounded cache, dropping the least recently used words first", () => {
+    const kept = analyzeSounds("liberty");
+    const dropped = analyzeSounds("posterity");
+    const letters = (n) => (n < 26 ? "" : letters(Math.floor(n / 26) - 1)) + String.fromCharCode(97 + (n % 26));
+    for (let i = 0; i < MAX_CACHED_SOUNDS - 1; i++) {
+      analyzeSounds(`zo${letters(i)}`);
+      if (i % 100 === 0) expect(analyzeSounds("liberty")).toBe(kept);
+    }
+    expect(analyzeSounds("liberty")).toBe(kept);
+    expect(analyzeSounds("posterity")).not.toBe(dropped);
+    expect(analyzeSounds("posterity")).toEqual(dropped);
+  });
+});
+
+describe("guessSegments", () => {
+  it("maps letter groups to sounds and keeps silent letters", () => {
+    expect(guessSegments("knight")).toEqual([
+      { start: 0, end: 2, phonemes: ["N"] },
+      { start: 2, end: 5, phonemes: ["AY"] },
+      { start: 5, end: 6, phonemes: ["T"] },
+    ]);
+    expect(guessSegments("make").map((segment) => segment.phonemes)).toEqual([["M"], ["EY"], ["K"], []]);
+  });
+});
+
+describe("hasSilentE", () => {
+  it("needs a final e that is not pronounced", () => {
+    expect(hasSilentE("more")).toBe(true);
+    expect(hasSilentE("people")).toBe(true);
+    expect(hasSilentE("the")).toBe(false);
+    expect(hasSilentE("we")).toBe(false);
+    expect(hasSilentE("establish")).toBe(false);
+  });
+});
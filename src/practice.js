@@ -0,0 +1,345 @@
+import { normalizeWord } from "./tokenizer.js";
+
+/**
+ * Practice modes
+ * ------------------------------------------------------------
+ * Memorization games on the analyzer's words (the tokens of ./tokenizer.js):
+ *   - cloze: some words are blanked (every Nth word, or every word a rule
+ *     matches) and typed back;
+ *   - scramble: the text comes in short phrases whose words are shuffled and
+ *     put back in order, one phrase at a time;
+ *   - sing-along: the text is hidden, the song (or the animation) runs, and the
+ *     student types each word before the highlight reaches it.
+ *
+ * A practice is a plain object with a `kind` and the times it started and
+ * finished (ms, from the caller's clock). Every update returns a new object,
+ * and `scorePractice` turns any of them into accuracy and timing:
+ *
+ *   { kind, correct, total, accuracy, seconds, … }   accuracy is 0–100
+ *
+ * Typed words are compared after normalization, so case and punctuation don't
+ * count against the student ("people," is "People").
+ */
+
+/** Practice kinds, in the order they are offered */
+export const PRACTICE_KINDS = ["cloze", "scramble", "singAlong"];
+
+/** Longest scrambled phrase; longer phrases are cut into even parts */
+const MAX_PHRASE_WORDS = 8;
+
+/** Trailing punctuation that ends a scrambled phrase */
+const PHRASE_END_REGEX = /[.,;:!?—]/;
+
+/**
+ * Utility: Whether a typed word is the given word.
+ *
+ * @param {string} typed - What the student typed
+ * @param {Object} token - The expected word token
+ * @param {Object} [options] - Tokenizer options and `locale`, as used for the text
+ * @returns {boolean} Whether they match
+ */
+export function sameWord(typed, token, options) {
+  return normalizeWord(typed || "", options) === token.normalized;
+}
+
+/**
+ * Utility: Percentage of `part` in `whole`, rounded; 0 when `whole` is 0.
+ */
+function percent(part, whole) {
+  return whole ? Math.round((part / whole) * 100) : 0;
+}
+
+/**
+ * Utility: Seconds between a practice's start and its end (or `now`).
+ */
+function elapsedSeconds(practice, now) {
+  return Math.max(0, ((practice.finishedAt ?? now) - practice.startedAt) / 1000);
+}
+
+/**
+ * Marks a practice as finished.
+ *
+ * @param {Object} practice - Any practice
+ * @param {number} now - Current time in ms
+ * @returns {Object} The finished practice
+ */
+export function finishPractice(practice, now) {
+  return practice.finishedAt != null ? practice : { ...practice, finishedAt: now };
+}
+
+// ------------------------------------------------------------
+// Cloze
+// ------------------------------------------------------------
+
+/**
+ * Picks the words to blank.
+ *
+ * @param {Array<Object>} tokens - Word tokens
+ * @param {Array<Array<string>>} wordMatches - Matching rule ids for each word
+ * @param {{ every: number }|{ ruleId: string }} selection - Every Nth word, or the words a rule matches
+ * @returns {Array<number>} Indices of the blanked words
+ */
+export function chooseBlanks(tokens, wordMatches, selection) {
+  if (selection.ruleId != null) return tokens.filter((token) => wordMatches[token.index].includes(selection.ruleId)).map((token) => token.index);
+  const every = Math.max(1, Math.floor(selection.every) || 1);
+  return tokens.filter((token) => (token.index + 1) % every === 0).map((token) => token.index);
+}
+
+/**
+ * Starts a cloze practice.
+ *
+ * @param {Array<Object>} tokens - Word tokens
+ * @param {Array<Array<string>>} wordMatches - Matching rule ids for each word
+ * @param {{ every: number }|{ ruleId: string }} selection - Which words to blank
+ * @param {number} now - Current time in ms
+ * @returns {Object} `{ kind: "cloze", selection, blanks, answers, startedAt, finishedAt }`
+ */
+export function createCloze(tokens, wordMatches, selection, now) {
+  return { kind: "cloze", selection, blanks: chooseBlanks(tokens, wordMatches, selection), answers: {}, startedAt: now, finishedAt: null };
+}
+
+/**
+ * Records what was typed into a blank (until the practice is finished).
+ *
+ * @param {Object} practice - A cloze practice
+ * @param {number} index - Word index of the blank
+ * @param {string} value - The typed text
+ * @returns {Object} The updated practice
+ */
+export function answerBlank(practice, index, value) {
+  if (practice.finishedAt != null || !practice.blanks.includes(index)) return practice;
+  return { ...practice, answers: { ...practice.answers, [index]: value } };
+}
+
+/**
+ * Scores a cloze practice.
+ *
+ * @returns {Object} `{ correct, total, accuracy, seconds, secondsPerItem, marks }`, marks by word index: "correct" | "wrong"
+ */
+function scoreCloze(practice, tokens, options, now) {
+  const marks = {};
+  for (const index of practice.blanks) marks[index] = sameWord(practice.answers[index], tokens[index], options) ? "correct" : "wrong";
+  const correct = Object.values(marks).filter((mark) => mark === "correct").length;
+  const total = practice.blanks.length;
+  const seconds = elapsedSeconds(practice, now);
+  return { correct, total, accuracy: percent(correct, total), seconds, secondsPerItem: total ? seconds / total : 0, marks };
+}
+
+// ------------------------------------------------------------
+// Scramble
+// ------------------------------------------------------------
+
+/**
+ * Cuts a text into phrases: at punctuation that ends a clause, at paragraph
+ * breaks, and into even parts when a phrase is longer than eight words.
+ *
+ * @param {Array<Object>} tokens - Word tokens
+ * @returns {Array<Array<number>>} Word indices of each phrase, in reading order
+ */
+export function splitPhrases(tokens) {
+  const clauses = [];
+  let current = [];
+  tokens.forEach((token, i) => {
+    current.push(token.index);
+    const next = tokens[i + 1];
+    if (!next || PHRASE_END_REGEX.test(token.trailing) || next.paragraph !== token.paragraph) {
+      clauses.push(current);
+      current = [];
+    }
+  });
+
+  return clauses.flatMap((clause) => {
+    const parts = Math.ceil(clause.length / MAX_PHRASE_WORDS);
+    const size = Math.ceil(clause.length / parts);
+    const phrases = [];
+    for (let start = 0; start < clause.length; start += size) phrases.push(clause.slice(start, start + size));
+    return phrases;
+  });
+}
+
+/**
+ * Utility: Shuffles a list (Fisher–Yates). Lists of two or more different
+ * items never come back in their original order.
+ *
+ * @param {Array} items - The list
+ * @param {Function} [random] - Random number source in [0, 1)
+ * @returns {Array} A shuffled copy
+ */
+export function shuffle(items, random = Math.random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  const unchanged = shuffled.every((item, i) => item === items[i]);
+  return unchanged && shuffled.length > 1 ? [...shuffled.slice(1), shuffled[0]] : shuffled;
+}
+
+/**
+ * Starts a scramble practice on the first phrase.
+ *
+ * @param {Array<Object>} tokens - Word tokens
+ * @param {number} now - Current time in ms
+ * @param {Function} [random] - Random number source, for the shuffles
+ * @returns {Object} `{ kind: "scramble", phrases, phrase, pool, placed, mistakes, phraseSeconds, … }`
+ */
+export function createScramble(tokens, now, random = Math.random) {
+  const phrases = splitPhrases(tokens);
+  return {
+    kind: "scramble",
+    phrases,
+    phrase: 0, // index of the current phrase
+    pool: shuffle(phrases[0] || [], random), // its words not placed yet, in the order shown
+    placed: [], // its words placed so far, in order
+    placedTotal: 0, // words placed in all phrases
+    mistakes: 0,
+    lastMistake: null, // word index of the last wrong pick, for feedback
+    phraseSeconds: [], // time taken by each completed phrase
+    phraseStartedAt: now,
+    startedAt: now,
+    finishedAt: phrases.length ? null : now,
+  };
+}
+
+/**
+ * Picks a word from the pool as the next word of the phrase. A word that
+ * reads the same as the expected one counts (either "the" of two will do).
+ * Completing a phrase moves on to the next one; completing the last finishes.
+ *
+ * @param {Object} practice - A scramble practice
+ * @param {Array<Object>} tokens - Word tokens
+ * @param {number} index - Word index of the picked word
+ * @param {number} now - Current time in ms
+ * @param {Function} [random] - Random number source, for the next shuffle
+ * @returns {Object} The updated practice
+ */
+export function placeWord(practice, tokens, index, now, random = Math.random) {
+  if (practice.finishedAt != null || !practice.pool.includes(index)) return practice;
+  const phrase = practice.phrases[practice.phrase];
+  const expected = tokens[phrase[practice.placed.length]];
+
+  if (tokens[index].normalized !== expected.normalized) {
+    return { ...practice, mistakes: practice.mistakes + 1, lastMistake: index };
+  }
+
+  const placed = [...practice.placed, index];
+  const next = { ...practice, placed, pool: practice.pool.filter((i) => i !== index), placedTotal: practice.placedTotal + 1, lastMistake: null };
+  if (placed.length < phrase.length) return next;
+
+  const phraseSeconds = [...practice.phraseSeconds, (now - practice.phraseStartedAt) / 1000];
+  const nextPhrase = practice.phrase + 1;
+  if (nextPhrase >= practice.phrases.length) return { ...next, phraseSeconds, finishedAt: now };
+  return { ...next, phraseSeconds, phrase: nextPhrase, pool: shuffle(practice.phrases[nextPhrase], random), placed: [], phraseStartedAt: now };
+}
+
+/**
+ * Scores a scramble practice: right picks over all picks, and time per phrase.
+ *
+ * @returns {Object} `{ correct, mistakes, total, accuracy, seconds, secondsPerItem }`
+ */
+function scoreScramble(practice, now) {
+  const { placedTotal, mistakes, phraseSeconds } = practice;
+  const seconds = elapsedSeconds(practice, now);
+  return {
+    correct: placedTotal,
+    mistakes,
+    total: practice.phrases.reduce((sum, phrase) => sum + phrase.length, 0),
+    accuracy: percent(placedTotal, placedTotal + mistakes),
+    seconds,
+    secondsPerItem: phraseSeconds.length ? phraseSeconds.reduce((sum, s) => sum + s, 0) / phraseSeconds.length : 0,
+  };
+}
+
+// ------------------------------------------------------------
+// Sing-along
+// ------------------------------------------------------------
+
+/**
+ * Starts a sing-along practice.
+ *
+ * @param {number} now - Current time in ms
+ * @returns {Object} `{ kind: "singAlong", entries, startedAt, finishedAt }`
+ */
+export function createSingAlong(now) {
+  return { kind: "singAlong", entries: [], startedAt: now, finishedAt: null };
+}
+
+/**
+ * Records a typed word as the next word of the text. Its lead is how many
+ * words ahead of the highlight it was typed: positive is early, 0 is while the
+ * word was highlighted, negative is late.
+ *
+ * @param {Object} practice - A sing-along practice
+ * @param {Array<Object>} tokens - Word tokens
+ * @param {string} value - The typed word
+ * @param {number} activeIndex - Highlighted word index when it was typed
+ * @param {Object} [options] - Tokenizer options and `locale`
+ * @returns {Object} The updated practice
+ */
+export function typeWord(practice, tokens, value, activeIndex, options) {
+  const index = practice.entries.length;
+  if (practice.finishedAt != null || index >= tokens.length || !value.trim()) return practice;
+  const entry = { index, typed: value.trim(), correct: sameWord(value, tokens[index], options), lead: index - activeIndex };
+  return { ...practice, entries: [...practice.entries, entry] };
+}
+
+/**
+ * Scores a sing-along practice: right words over the whole text, and how many
+ * of them were typed in time (no later than the highlight).
+ *
+ * @returns {Object} `{ correct, total, accuracy, seconds, onTime, onTimeRate, averageLead, marks }`
+ */
+function scoreSingAlong(practice, tokens, now) {
+  const right = practice.entries.filter((entry) => entry.correct);
+  const onTime = right.filter((entry) => entry.lead >= 0).length;
+  const marks = {};
+  for (const entry of practice.entries) marks[entry.index] = entry.correct ? "correct" : "wrong";
+  return {
+    correct: right.length,
+    total: tokens.length,
+    accuracy: percent(right.length, tokens.length),
+    seconds: elapsedSeconds(practice, now),
+    onTime,
+    onTimeRate: percent(onTime, right.length),
+    averageLead: right.length ? right.reduce((sum, entry) => sum + entry.lead, 0) / right.length : 0,
+    marks,
+  };
+}
+
+// ------------------------------------------------------------
+// Any practice
+// ------------------------------------------------------------
+
+/**
+ * Scores any practice.
+ *
+ * @param {Object} practice - A practice
+ * @param {Array<Object>} tokens - Word tokens
+ * @param {Object} [options] - Tokenizer options and `locale`, for comparing typed words
+ * @param {number} [now] - Current time in ms, for a practice still running
+ * @returns {Object} `{ kind, correct, total, accuracy, seconds, … }` (see the kind's scorer)
+ */
+export function scorePractice(practice, tokens, options, now = Date.now()) {
+  if (practice.kind === "cloze") return { kind: "cloze", ...scoreCloze(practice, tokens, options, now) };
+  if (practice.kind === "scramble") return { kind: "scramble", ...scoreScramble(practice, now) };
+  return { kind: "singAlong", ...scoreSingAlong(practice, tokens, now) };
+}
+
+/**
+ * Whether a word is hidden in the text while practicing: blanks until the
+ * cloze is checked, the unsolved phrases of a scramble, and the words not
+ * typed yet in a sing-along.
+ *
+ * @param {Object} practice - A practice
+ * @param {number} index - Word index
+ * @returns {boolean} Whether to hide it
+ */
+export function isHidden(practice, index) {
+  if (practice.finishedAt != null) return false;
+  if (practice.kind === "cloze") return practice.blanks.includes(index);
+  if (practice.kind === "scramble") {
+    const solved = practice.phrases.slice(0, practice.phrase).some((phrase) => phrase.includes(index));
+    return !solved && !practice.placed.includes(index);
+  }
+  return index >= practice.entries.length;
+}
@@ -0,0 +1,125 @@
+import { describe, it, expect } from "vitest";
+import {
+  chooseBlanks,
+  createCloze,
+  answerBlank,
+  finishPractice,
+  splitPhrases,
+  shuffle,
+  createScramble,
+  placeWord,
+  createSingAlong,
+  typeWord,
+  scorePractice,
+  isHidden,
+} from "./practice";
+import { tokenize, tokenizeText } from "./tokenizer";
+import { matchRules, DEFAULT_RULES } from "./rules";
+import { TEXT_LIBRARY } from "./texts";
+
+const tokens = tokenize("We the People, in Order to form a more perfect Union.");
+const wordMatches = tokens.map((token) => matchRules(DEFAULT_RULES, token.normalized));
+
+/** A random source that always picks the first slot, so shuffles are predictable */
+const first = () => 0;
+
+describe("cloze", () => {
+  it("blanks every Nth word or the words a rule matches", () => {
+    expect(chooseBlanks(tokens, wordMatches, { every: 3 })).toEqual([2, 5, 8]);
+    expect(chooseBlanks(tokens, wordMatches, { ruleId: "startsT" })).toEqual([1, 5]);
+  });
+
+  it("scores typed words after normalization, with the time per blank", () => {
+    let practice = createCloze(tokens, wordMatches, { every: 3 }, 1000);
+    practice = answerBlank(practice, 2, "people,");
+    practice = answerBlank(practice, 5, "too");
+    practice = answerBlank(practice, 4, "not a blank");
+    expect(isHidden(practice, 2)).toBe(true);
+    expect(isHidden(practice, 3)).toBe(false);
+
+    practice = finishPractice(practice, 31000);
+    expect(answerBlank(practice, 8, "more")).toBe(practice);
+    expect(isHidden(practice, 2)).toBe(false);
+    expect(scorePractice(practice, tokens)).toEqual({
+      kind: "cloze",
+      correct: 1,
+      total: 3,
+      accuracy: 33,
+      seconds: 30,
+      secondsPerItem: 10,
+      marks: { 2: "correct", 5: "wrong", 8: "wrong" },
+    });
+  });
+});
+
+describe("scramble", () => {
+  it("cuts the text into phrases at punctuation, none longer than eight words", () => {
+    expect(splitPhrases(tokens)).toEqual([[0, 1, 2], [3, 4, 5, 6, 7, 8, 9, 10]]);
+    const preamble = tokenizeText(TEXT_LIBRARY[0]);
+    const phrases = splitPhrases(preamble);
+    expect(phrases.flat()).toEqual(preamble.map((token) => token.index));
+    expect(Math.max(...phrases.map((phrase) => phrase.length))).toBeLessThanOrEqual(8);
+  });
+
+  it("never hands back a list in its original order", () => {
+    expect(shuffle([1, 2, 3], () => 0.999)).not.toEqual([1, 2, 3]);
+    expect(shuffle([1, 2, 3], first)).toEqual([2, 3, 1]);
+    expect(shuffle([7])).toEqual([7]);
+  });
+
+  it("accepts words in order, counts wrong picks and times each phrase", () => {
+    let practice = createScramble(tokens, 0, first);
+    expect(practice.pool).toEqual([1, 2, 0]);
+    expect(isHidden(practice, 0)).toBe(true);
+
+    practice = placeWord(practice, tokens, 2, 1000, first);
+    expect(practice.mistakes).toBe(1);
+    expect(practice.lastMistake).toBe(2);
+
+    for (const index of [0, 1, 2]) practice = placeWord(practice, tokens, index, 4000, first);
+    expect(practice.phrase).toBe(1);
+    expect(practice.phraseSeconds).toEqual([4]);
+    expect(isHidden(practice, 0)).toBe(false);
+    expect(isHidden(practice, 3)).toBe(true);
+
+    for (const index of [3, 4, 5, 6, 7, 8, 9, 10]) practice = placeWord(practice, tokens, index, 10000, first);
+    expect(practice.finishedAt).toBe(10000);
+    expect(scorePractice(practice, tokens)).toEqual({
+      kind: "scramble",
+      correct: 11,
+      mistakes: 1,
+      total: 11,
+      accuracy: 92,
+      seconds: 10,
+      secondsPerItem: 5,
+    });
+  });
+
+  it("accepts either copy of a repeated word", () => {
+    const repeated = tokenize("the cat saw the dog");
+    let practice = createScramble(repeated, 0, first);
+    practice = placeWord(practice, repeated, 3, 0, first);
+    expect(practice.placed).toEqual([3]);
+    expect(practice.mistakes).toBe(0);
+  });
+});
+
+describe("sing-along", () => {
+  it("scores typed words and how far ahead of the highlight they came", () => {
+    let practice = createSingAlong(0);
+    practice = typeWord(practice, tokens, "We", -1); // 1 word early
+    practice = typeWord(practice, tokens, "the", 1); // on the highlight
+    practice = typeWord(practice, tokens, "Peeple", 1); // wrong
+    practice = typeWord(practice, tokens, "in", 5); // 2 words late
+    practice = typeWord(practice, tokens, "  ", 5); // ignored
+    expect(isHidden(practice, 3)).toBe(false);
+    expect(isHidden(practice, 4)).toBe(true);
+
+    practice = finishPractice(practice, 20000);
+    const result = scorePractice(practice, tokens);
+    expect(result).toMatchObject({ kind: "singAlong", correct: 3, total: 11, accuracy: 27, seconds: 20, onTime: 2, onTimeRate: 67 });
+    expect(result.averageLead).toBeCloseTo(-1 / 3);
+    expect(result.marks).toEqual({ 0: "correct", 1: "correct", 2: "wrong", 3: "correct" });
+    expect(typeWord(practice, tokens, "Order", 5)).toBe(practice);
+  });
+});
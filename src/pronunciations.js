@@ -0,0 +1,208 @@
+/**
+ * Pronunciation dictionary
+ * ------------------------------------------------------------
+ * Offline pronunciations in ARPAbet (the notation of the CMU Pronouncing
+ * Dictionary), keyed by normalized word. Vowels carry a stress digit:
+ * 1 primary, 2 secondary, 0 unstressed, so each digit marks one syllable.
+ *
+ * It covers every word of the Preamble, the common function words, and words
+ * of the library texts that the spelling rules in ./phonetics.js get wrong.
+ * Anything else falls back to those rules.
+ */
+export const PRONUNCIATIONS = {
+  // The Preamble
+  we: "W IY1",
+  the: "DH AH0",
+  people: "P IY1 P AH0 L",
+  of: "AH1 V",
+  united: "Y UW0 N AY1 T IH0 D",
+  states: "S T EY1 T S",
+  in: "IH0 N",
+  order: "AO1 R D ER0",
+  to: "T UW1",
+  form: "F AO1 R M",
+  a: "AH0",
+  more: "M AO1 R",
+  perfect: "P ER1 F IH0 K T",
+  union: "Y UW1 N Y AH0 N",
+  establish: "IH0 S T AE1 B L IH0 SH",
+  justice: "JH AH1 S T AH0 S",
+  insure: "IH0 N SH UH1 R",
+  domestic: "D AH0 M EH1 S T IH0 K",
+  tranquility: "T R AE0 NG K W IH1 L IH0 T IY0",
+  provide: "P R AH0 V AY1 D",
+  for: "F AO1 R",
+  common: "K AA1 M AH0 N",
+  defence: "D IH0 F EH1 N S",
+  defense: "D IH0 F EH1 N S",
+  promote: "P R AH0 M OW1 T",
+  general: "JH EH1 N ER0 AH0 L",
+  welfare: "W EH1 L F EH2 R",
+  and: "AH0 N D",
+  secure: "S IH0 K Y UH1 R",
+  blessings: "B L EH1 S IH0 NG Z",
+  liberty: "L IH1 B ER0 T IY0",
+  ourselves: "AW0 ER0 S EH1 L V Z",
+  our: "AW1 ER0",
+  posterity: "P AA0 S T EH1 R IH0 T IY0",
+  do: "D UW1",
+  ordain: "AO0 R D EY1 N",
+  this: "DH IH1 S",
+  constitution: "K AA2 N S T AH0 T UW1 SH AH0 N",
+  america: "AH0 M EH1 R AH0 K AH0",
+
+  // Function words
+  an: "AE1 N",
+  are: "AA1 R",
+  as: "AE1 Z",
+  at: "AE1 T",
+  be: "B IY1",
+  been: "B IH1 N",
+  but: "B AH1 T",
+  by: "B AY1",
+  can: "K AE1 N",
+  could: "K UH1 D",
+  did: "D IH1 D",
+  does: "D AH1 Z",
+  each: "IY1 CH",
+  from: "F R AH1 M",
+  had: "HH AE1 D",
+  has: "HH AE1 Z",
+  have: "HH AE1 V",
+  he: "HH IY1",
+  her: "HH ER1",
+  here: "HH IY1 R",
+  him: "HH IH1 M",
+  himself: "HH IH0 M S EH1 L F",
+  his: "HH IH1 Z",
+  i: "AY1",
+  if: "IH1 F",
+  is: "IH1 Z",
+  it: "IH1 T",
+  its: "IH1 T S",
+  may: "M EY1",
+  might: "M AY1 T",
+  no: "N OW1",
+  nor: "N AO1 R",
+  not: "N AA1 T",
+  now: "N AW1",
+  on: "AA1 N",
+  one: "W AH1 N",
+  or: "AO1 R",
+  other: "AH1 DH ER0",
+  others: "AH1 DH ER0 Z",
+  shall: "SH AE1 L",
+  she: "SH IY1",
+  should: "SH UH1 D",
+  so: "S OW1",
+  some: "S AH1 M",
+  than: "DH AE1 N",
+  that: "DH AE1 T",
+  their: "DH EH1 R",
+  them: "DH EH1 M",
+  there: "DH EH1 R",
+  thereof: "DH EH0 R AH1 V",
+  these: "DH IY1 Z",
+  they: "DH EY1",
+  those: "DH OW1 Z",
+  thus: "DH AH1 S",
+  two: "T UW1",
+  under: "AH1 N D ER0",
+  upon: "AH0 P AA1 N",
+  us: "AH1 S",
+  was: "W AA1 Z",
+  were: "W ER1",
+  what: "W AH1 T",
+  when: "W EH1 N",
+  where: "W EH1 R",
+  wherein: "W EH0 R IH1 N",
+  which: "W IH1 CH",
+  who: "HH UW1",
+  whom: "HH UW1 M",
+  will: "W IH1 L",
+  with: "W IH1 DH",
+  without: "W IH0 TH AW1 T",
+  would: "W UH1 D",
+  you: "Y UW1",
+  your: "Y AO1 R",
+
+  // Library texts: irregular spellings
+  ago: "AH0 G OW1",
+  all: "AO1 L",
+  among: "AH0 M AH1 NG",
+  another: "AH0 N AH1 DH ER0",
+  answer: "AE1 N S ER0",
+  arms: "AA1 R M Z",
+  bail: "B EY1 L",
+  battle: "B AE1 T AH0 L",
+  brought: "B R AO1 T",
+  cause: "K AA1 Z",
+  causes: "K AA1 Z AH0 Z",
+  certain: "S ER1 T AH0 N",
+  come: "K AH1 M",
+  congress: "K AA1 NG G R AH0 S",
+  continent: "K AA1 N T AH0 N AH0 N T",
+  course: "K AO1 R S",
+  created: "K R IY0 EY1 T IH0 D",
+  creator: "K R IY0 EY1 T ER0",
+  crime: "K R AY1 M",
+  cruel: "K R UW1 AH0 L",
+  dead: "D EH1 D",
+  declare: "D IH0 K L EH1 R",
+  dedicated: "D EH1 D AH0 K EY2 T IH0 D",
+  devotion: "D IH0 V OW1 SH AH0 N",
+  earth: "ER1 TH",
+  endowed: "EH0 N D AW1 D",
+  equal: "IY1 K W AH0 L",
+  fathers: "F AA1 DH ER0 Z",
+  field: "F IY1 L D",
+  four: "F AO1 R",
+  forth: "F AO1 R TH",
+  freedom: "F R IY1 D AH0 M",
+  god: "G AA1 D",
+  government: "G AH1 V ER0 N M AH0 N T",
+  great: "G R EY1 T",
+  happiness: "HH AE1 P IY0 N AH0 S",
+  honored: "AA1 N ER0 D",
+  house: "HH AW1 S",
+  human: "HH Y UW1 M AH0 N",
+  jury: "JH UH1 R IY0",
+  laws: "L AO1 Z",
+  life: "L AY1 F",
+  live: "L IH1 V",
+  lives: "L AY1 V Z",
+  mankind: "M AE1 N K AY1 N D",
+  measure: "M EH1 ZH ER0",
+  men: "M EH1 N",
+  militia: "M AH0 L IH1 SH AH0",
+  nation: "N EY1 SH AH0 N",
+  nature: "N EY1 CH ER0",
+  necessary: "N EH1 S AH0 S EH2 R IY0",
+  opinions: "AH0 P IH1 N Y AH0 N Z",
+  owner: "OW1 N ER0",
+  peace: "P IY1 S",
+  press: "P R EH1 S",
+  proposition: "P R AA2 P AH0 Z IH1 SH AH0 N",
+  punishments: "P AH1 N IH0 SH M AH0 N T S",
+  religion: "R IH0 L IH1 JH AH0 N",
+  requires: "R IY0 K W AY1 ER0 Z",
+  respect: "R IH0 S P EH1 K T",
+  right: "R AY1 T",
+  rights: "R AY1 T S",
+  score: "S K AO1 R",
+  separate: "S EH1 P ER0 IH0 T",
+  seven: "S EH1 V AH0 N",
+  soldier: "S OW1 L JH ER0",
+  speech: "S P IY1 CH",
+  state: "S T EY1 T",
+  station: "S T EY1 SH AH0 N",
+  trial: "T R AY1 AH0 L",
+  truths: "T R UW1 TH S",
+  unalienable: "AH0 N EY1 L IY0 AH0 N AH0 B AH0 L",
+  unusual: "AH0 N Y UW1 ZH UW0 AH0 L",
+  war: "W AO1 R",
+  warrants: "W AO1 R AH0 N T S",
+  whether: "W EH1 DH ER0",
+  world: "W ER1 L D",
+  years: "Y IH1 R Z",
+};
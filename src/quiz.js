@@ -0,0 +1,119 @@
+/**
+ * Quiz / prediction mode
+ * ------------------------------------------------------------
+ * Before a run, students predict each counter in two possible ways:
+ *   - typing the number of words they expect a rule to count, and/or
+ *   - tapping the words they think a rule matches.
+ * While the run advances, the predictions are scored against the words
+ * passed so far; the summary after the last word is the final score.
+ *
+ * A quiz is a plain object:
+ *
+ *   {
+ *     locked: false,                   // true once the run has started
+ *     pickRuleId: "startsT",           // rule that word taps currently apply to
+ *     predictions: { startsT: 9 },     // typed counts, by rule id
+ *     picks: { startsT: [1, 4, 19] },  // tapped word indices, by rule id
+ *   }
+ */
+
+/**
+ * Creates an empty quiz for a rule list.
+ *
+ * @param {Array<Object>} rules - The active rule list
+ * @returns {Object} A new quiz
+ */
+export function createQuiz(rules) {
+  return { locked: false, pickRuleId: rules.length ? rules[0].id : null, predictions: {}, picks: {} };
+}
+
+/**
+ * Toggles a tapped word for the quiz's current pick rule.
+ *
+ * @param {Object} quiz - The quiz
+ * @param {number} index - Word index
+ * @returns {Object} The updated quiz
+ */
+export function togglePick(quiz, index) {
+  if (quiz.locked || quiz.pickRuleId == null) return quiz;
+  const current = quiz.picks[quiz.pickRuleId] || [];
+  const next = current.includes(index) ? current.filter((i) => i !== index) : [...current, index].sort((a, b) => a - b);
+  return { ...quiz, picks: { ...quiz.picks, [quiz.pickRuleId]: next } };
+}
+
+/**
+ * Scores a quiz against the words up to an index.
+ *
+ * Per rule: the predicted count against the actual count, and for tapped rules
+ * the hits, misses (matching words not tapped) and false positives (tapped
+ * words that don't match). Each word gets the worst mark across tapped rules.
+ * The score averages a prediction score (1 for exact, falling off with the
+ * relative error) and a tap accuracy (hits over all marked words) per rule.
+ *
+ * @param {Object} quiz - The quiz
+ * @param {Array<Object>} rules - The active rule list
+ * @param {Array<Array<string>>} wordMatches - Matching rule ids for each word
+ * @param {number} lastIndex - Last word to score (-1 for none)
+ * @returns {{ rules: Array<Object>, marks: Object, score: number|null }}
+ *   Per-rule results, word index to "hit" | "miss" | "falsePositive", and a 0–100 score (null without predictions)
+ */
+export function scoreQuiz(quiz, rules, wordMatches, lastIndex) {
+  const marks = {};
+  const severity = { hit: 0, miss: 1, falsePositive: 2 };
+  const mark = (index, value) => {
+    if (!(index in marks) || severity[value] > severity[marks[index]]) marks[index] = value;
+  };
+
+  const subscores = [];
+  const ruleResults = rules.map((rule) => {
+    let actual = 0;
+    for (let i = 0; i <= lastIndex && i < wordMatches.length; i++) {
+      if (wordMatches[i].includes(rule.id)) actual++;
+    }
+
+    const prediction = quiz.predictions[rule.id];
+    const predicted = Number.isFinite(prediction) ? prediction : null;
+    if (predicted != null) subscores.push(1 - Math.min(1, Math.abs(predicted - actual) / Math.max(actual, 1)));
+
+    const picks = quiz.picks[rule.id] || [];
+    const tapped = picks.length > 0;
+    let hits = 0;
+    let misses = 0;
+    let falsePositives = 0;
+
+    if (tapped) {
+      for (let i = 0; i <= lastIndex && i < wordMatches.length; i++) {
+        const matches = wordMatches[i].includes(rule.id);
+        const picked = picks.includes(i);
+        if (matches && picked) {
+          hits++;
+          mark(i, "hit");
+        } else if (matches) {
+          misses++;
+          mark(i, "miss");
+        } else if (picked) {
+          falsePositives++;
+          mark(i, "falsePositive");
+        }
+      }
+      const marked = hits + misses + falsePositives;
+      subscores.push(marked ? hits / marked : 1);
+    }
+
+    return {
+      id: rule.id,
+      label: rule.label,
+      color: rule.color,
+      predicted,
+      actual,
+      difference: predicted != null ? predicted - actual : null,
+      tapped,
+      hits,
+      misses,
+      falsePositives,
+    };
+  });
+
+  const score = subscores.length ? Math.round((subscores.reduce((sum, s) => sum + s, 0) / subscores.length) * 100) : null;
+  return { rules: ruleResults, marks, score };
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { createQuiz, togglePick, scoreQuiz } from "./quiz";
+import { DEFAULT_RULES } from "./rules";
+
+// "We the People of": endsE, all three, endsE, none
+const wordMatches = [["endsE"], ["startsT", "endsE", "startsTEndsE"], ["endsE"], []];
+
+describe("togglePick", () => {
+  it("adds and removes tapped words for the current pick rule", () => {
+    let quiz = createQuiz(DEFAULT_RULES);
+    expect(quiz.pickRuleId).toBe("startsT");
+    quiz = togglePick(quiz, 3);
+    quiz = togglePick(quiz, 1);
+    expect(quiz.picks.startsT).toEqual([1, 3]);
+    quiz = togglePick(quiz, 3);
+    expect(quiz.picks.startsT).toEqual([1]);
+  });
+
+  it("ignores taps once the quiz is locked", () => {
+    const quiz = { ...createQuiz(DEFAULT_RULES), locked: true };
+    expect(togglePick(quiz, 0)).toBe(quiz);
+  });
+});
+
+describe("scoreQuiz", () => {
+  it("compares predicted counts with the words passed so far", () => {
+    const quiz = { ...createQuiz(DEFAULT_RULES), predictions: { endsE: 3 } };
+    const partial = scoreQuiz(quiz, DEFAULT_RULES, wordMatches, 1);
+    expect(partial.rules[1]).toMatchObject({ predicted: 3, actual: 2, difference: 1 });
+
+    const final = scoreQuiz(quiz, DEFAULT_RULES, wordMatches, 3);
+    expect(final.rules[1]).toMatchObject({ predicted: 3, actual: 3, difference: 0 });
+    expect(final.score).toBe(100);
+  });
+
+  it("marks hits, misses and false positives for tapped rules", () => {
+    const quiz = { ...createQuiz(DEFAULT_RULES), picks: { endsE: [0, 3] } };
+    const result = scoreQuiz(quiz, DEFAULT_RULES, wordMatches, 3);
+    expect(result.rules[1]).toMatchObject({ tapped: true, hits: 1, misses: 2, falsePositives: 1 });
+    expect(result.marks).toEqual({ 0: "hit", 1: "miss", 2: "miss", 3: "falsePositive" });
+    expect(result.score).toBe(25);
+  });
+
+  it("has no score without predictions", () => {
+    expect(scoreQuiz(createQuiz(DEFAULT_RULES), DEFAULT_RULES, wordMatches, 3).score).toBeNull();
+  });
+});
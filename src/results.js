@@ -0,0 +1,82 @@
+/**
+ * Analysis results export
+ * ------------------------------------------------------------
+ * Serializes a run for saving: every token with its normalized form and the
+ * rules it matched, plus the counter totals at the active word.
+ *
+ *   JSON  { title, exportedAt, wordsAnalyzed, totalWords, rules, totals, tokens }
+ *   CSV   one row per token, one 0/1 column per rule, and a final "Total" row
+ */
+
+/**
+ * Builds the plain result object shared by both formats.
+ *
+ * @param {Object} params
+ * @param {string} params.title - Title of the analyzed text
+ * @param {Array<Object>} params.tokens - Word tokens of the text
+ * @param {Array<Array<string>>} params.wordMatches - Matching rule ids for each token
+ * @param {Array<Object>} params.rules - The active rule list
+ * @param {Object} params.counts - Counter totals by rule id
+ * @param {number} params.activeIndex - Active word index (-1 before the first word)
+ * @returns {Object} The result object
+ */
+export function buildResults({ title, tokens, wordMatches, rules, counts, activeIndex }) {
+  return {
+    title,
+    exportedAt: new Date().toISOString(),
+    wordsAnalyzed: activeIndex + 1,
+    totalWords: tokens.length,
+    rules: rules.map(({ id, label, color, condition }) => ({ id, label, color, condition })),
+    totals: Object.fromEntries(rules.map((rule) => [rule.id, counts[rule.id] || 0])),
+    tokens: tokens.map((token) => ({
+      index: token.index,
+      text: token.text,
+      normalized: token.normalized,
+      paragraph: token.paragraph,
+      analyzed: token.index <= activeIndex,
+      matchedRules: wordMatches[token.index],
+    })),
+  };
+}
+
+/**
+ * Serializes results as pretty-printed JSON.
+ *
+ * @param {Object} results - Result of `buildResults`
+ * @returns {string} JSON text
+ */
+export function formatResultsJson(results) {
+  return JSON.stringify(results, null, 2) + "\n";
+}
+
+/**
+ * Utility: Quotes a CSV field when it contains a delimiter, quote or line break.
+ *
+ * @param {string|number|boolean} value - Field value
+ * @returns {string} The escaped field
+ */
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes results as CSV (RFC 4180, CRLF line endings).
+ *
+ * @param {Object} results - Result of `buildResults`
+ * @returns {string} CSV text
+ */
+export function formatResultsCsv(results) {
+  const header = ["index", "word", "normalized", "paragraph", "analyzed", ...results.rules.map((rule) => rule.label)];
+  const rows = results.tokens.map((token) => [
+    token.index + 1,
+    token.text,
+    token.normalized,
+    token.paragraph + 1,
+    token.analyzed ? 1 : 0,
+    ...results.rules.map((rule) => (token.matchedRules.includes(rule.id) ? 1 : 0)),
+  ]);
+  const totals = ["", "Total", "", "", results.wordsAnalyzed, ...results.rules.map((rule) => results.totals[rule.id])];
+
+  return [header, ...rows, totals].map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { buildResults, formatResultsCsv, formatResultsJson } from "./results";
+import { tokenizeText } from "./tokenizer";
+import { DEFAULT_RULES, matchRules } from "./rules";
+
+const tokens = tokenizeText({ paragraphs: ['We the "People," of'] });
+const wordMatches = tokens.map((token) => matchRules(DEFAULT_RULES, token.normalized));
+const results = buildResults({
+  title: "Sample",
+  tokens,
+  wordMatches,
+  rules: DEFAULT_RULES,
+  counts: { startsT: 1, endsE: 2, startsTEndsE: 1 },
+  activeIndex: 1,
+});
+
+describe("buildResults", () => {
+  it("lists every token with its matched rules and whether it was analyzed", () => {
+    expect(results.wordsAnalyzed).toBe(2);
+    expect(results.totalWords).toBe(4);
+    expect(results.tokens[1]).toEqual({
+      index: 1,
+      text: "the",
+      normalized: "the",
+      paragraph: 0,
+      analyzed: true,
+      matchedRules: ["startsT", "endsE", "startsTEndsE"],
+    });
+    expect(results.tokens[2].analyzed).toBe(false);
+    expect(results.totals).toEqual({ startsT: 1, endsE: 2, startsTEndsE: 1 });
+  });
+
+  it("round-trips through JSON", () => {
+    expect(JSON.parse(formatResultsJson(results))).toEqual(results);
+  });
+});
+
+describe("formatResultsCsv", () => {
+  it("writes a header, one row per token and a totals row", () => {
+    const lines = formatResultsCsv(results).trimEnd().split("\r\n");
+    expect(lines[0]).toBe('index,word,normalized,paragraph,analyzed,"Starts with ""t""","Ends with ""e""","Starts with ""t"" & ends with ""e"""');
+    expect(lines[2]).toBe("2,the,the,1,1,1,1,1");
+    expect(lines[4]).toBe("4,of,of,1,0,0,0,0");
+    expect(lines[5]).toBe(",Total,,,2,1,2,1");
+  });
+});
@@ -0,0 +1,488 @@
+/**
+ * Word-pattern rule engine
+ * ------------------------------------------------------------
+ * A rule is a plain, declarative object describing one counting category:
+ *
+ *   {
+ *     id: "startsT",
+ *     label: 'Starts with "t"',
+ *     color: "#16a34a",            // optional: color of matching words once passed
+ *     condition: { type: "prefix", value: "t" },
+ *   }
+ *
+ * Rules without a `color` take one from the theme palette, by their position
+ * in the list (see ./themes.js).
+ *
+ * Supported condition types:
+ *   - { type: "prefix",   value }               word starts with `value`
+ *   - { type: "suffix",   value }               word ends with `value`
+ *   - { type: "contains", value }               word contains `value`
+ *   - { type: "regex",    pattern, flags }      word matches the regular expression
+ *   - { type: "length",     min, max }          letter count within range (inclusive)
+ *   - { type: "vowels",     min, max }          vowel count within range (inclusive)
+ *   - { type: "consonants", min, max }          consonant count within range (inclusive)
+ *   - { type: "startSound", phoneme }           first sound is `phoneme` (ARPAbet, e.g. "T")
+ *   - { type: "endSound",   phoneme }           last sound is `phoneme`
+ *   - { type: "silentE" }                       word ends in a silent "e"
+ *   - { type: "syllables",  min, max }          syllable count within range (inclusive)
+ *   - { type: "and", conditions: [...] }        every child condition matches
+ *   - { type: "or",  conditions: [...] }        at least one child condition matches
+ *   - { type: "not", condition }                the child condition does not match
+ *
+ * Either bound of a range may be omitted. Conditions are evaluated against the
+ * normalized (lowercase, punctuation-free) form of a word. The sound conditions
+ * use the English pronunciations of ./phonetics.js.
+ *
+ * Descriptions and validation messages come from the interface strings (see
+ * ./i18n.js): the functions producing them take the caller's `t`, and fall back
+ * to English for callers without an interface language, like the CLI.
+ */
+import { PHONEMES, analyzeSounds, hasSilentE, phonemeSymbol } from "./phonetics.js";
+import en from "./locales/en.js";
+
+/** Letters treated as vowels by the "vowels" and "consonants" conditions, accented forms included */
+const VOWELS = "aeiouáàâäãåéèêëíìîïóòôöõúùûüæœ";
+
+/** Matches a single letter, used to tell consonants apart from digits and symbols */
+const LETTER_REGEX = /\p{L}/u;
+
+/**
+ * Utility: Looks up an English interface string and fills in its placeholders;
+ * the default `t` of the describe and validate functions.
+ *
+ * @param {string} key - Message key
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} The message
+ */
+function english(key, params = {}) {
+  return en[key].replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * The rules the analyzer ships with: the original "t" / "e" lesson.
+ * When a word matches several rules, the rule listed last wins the color,
+ * which is why the combined rule comes after the two single-letter rules.
+ * Their labels are the English descriptions of their conditions, so
+ * `localizeRules` shows them in the interface language.
+ */
+export const DEFAULT_RULES = [
+  {
+    id: "startsT",
+    label: 'Starts with "t"',
+    condition: { type: "prefix", value: "t" },
+  },
+  {
+    id: "endsE",
+    label: 'Ends with "e"',
+    condition: { type: "suffix", value: "e" },
+  },
+  {
+    id: "startsTEndsE",
+    label: 'Starts with "t" & ends with "e"',
+    condition: {
+      type: "and",
+      conditions: [
+        { type: "prefix", value: "t" },
+        { type: "suffix", value: "e" },
+      ],
+    },
+  },
+];
+
+/**
+ * Utility: Checks whether a number falls inside an optional inclusive range.
+ *
+ * @param {number} n - The number to check
+ * @param {number} [min] - Lower bound (ignored when undefined or null)
+ * @param {number} [max] - Upper bound (ignored when undefined or null)
+ * @returns {boolean} True if n is within the range
+ */
+function inRange(n, min, max) {
+  if (min != null && n < min) return false;
+  if (max != null && n > max) return false;
+  return true;
+}
+
+/**
+ * Utility: Counts the vowels and consonants in a word.
+ *
+ * @param {string} word - A normalized word
+ * @returns {{ vowels: number, consonants: number }} Letter counts
+ */
+function countLetters(word) {
+  let vowels = 0;
+  let consonants = 0;
+  for (const ch of word) {
+    if (VOWELS.includes(ch)) vowels++;
+    else if (LETTER_REGEX.test(ch)) consonants++;
+  }
+  return { vowels, consonants };
+}
+
+/**
+ * Evaluates a single rule condition against a normalized word.
+ *
+ * @param {Object} condition - A condition object (see the module header)
+ * @param {string} word - The normalized word to test
+ * @returns {boolean} True if the word satisfies the condition
+ * @throws {Error} If the condition type is unknown
+ */
+export function evaluateCondition(condition, word) {
+  switch (condition.type) {
+    case "prefix":
+      return word.startsWith(condition.value);
+    case "suffix":
+      return word.endsWith(condition.value);
+    case "contains":
+      return word.includes(condition.value);
+    case "regex":
+      return new RegExp(condition.pattern, condition.flags || "").test(word);
+    case "length":
+      return inRange([...word].length, condition.min, condition.max);
+    case "vowels":
+      return inRange(countLetters(word).vowels, condition.min, condition.max);
+    case "consonants":
+      return inRange(countLetters(word).consonants, condition.min, condition.max);
+    case "startSound":
+      return analyzeSounds(word).phonemes[0] === condition.phoneme;
+    case "endSound": {
+      const { phonemes } = analyzeSounds(word);
+      return phonemes[phonemes.length - 1] === condition.phoneme;
+    }
+    case "silentE":
+      return hasSilentE(word);
+    case "syllables":
+      return inRange(analyzeSounds(word).syllableCount, condition.min, condition.max);
+    case "and":
+      return condition.conditions.every((c) => evaluateCondition(c, word));
+    case "or":
+      return condition.conditions.some((c) => evaluateCondition(c, word));
+    case "not":
+      return !evaluateCondition(condition.condition, word);
+    default:
+      throw new Error(`Unknown rule condition type: ${condition.type}`);
+  }
+}
+
+/**
+ * Returns the ids of every rule whose condition matches the word.
+ *
+ * @param {Array<Object>} rules - The active rule list
+ * @param {string} word - The normalized word to test
+ * @returns {Array<string>} Matching rule ids, in rule-list order
+ */
+export function matchRules(rules, word) {
+  return rules.filter((rule) => evaluateCondition(rule.condition, word)).map((rule) => rule.id);
+}
+
+/**
+ * Picks the rule that decides a word's color: the last matching rule in list order.
+ *
+ * @param {Array<Object>} rules - The active rule list
+ * @param {Array<string>} matchedIds - Ids returned by `matchRules`
+ * @returns {Object|null} The winning rule, or null if nothing matched
+ */
+export function colorRule(rules, matchedIds) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (matchedIds.includes(rules[i].id)) return rules[i];
+  }
+  return null;
+}
+
+/**
+ * Explains a match: the character ranges of the word that made the condition match,
+ * e.g. the leading "t" of a prefix rule. Used by the word inspector to underline them.
+ * Length and syllable conditions mark the whole word, vowel/consonant counts mark the
+ * letters they counted, sound conditions mark the letters spelling the first or last
+ * sound, and "not" marks nothing (it matched because something was absent).
+ *
+ * @param {Object} condition - The condition to explain
+ * @param {string} word - The normalized word
+ * @returns {Array<Array<number>>|null} `[start, end)` ranges, or null if the condition does not match
+ */
+export function matchRanges(condition, word) {
+  if (!evaluateCondition(condition, word)) return null;
+
+  const lettersWhere = (test) => {
+    const ranges = [];
+    for (let i = 0; i < word.length; i++) {
+      if (test(word[i])) ranges.push([i, i + 1]);
+    }
+    return ranges;
+  };
+
+  switch (condition.type) {
+    case "prefix":
+      return [[0, condition.value.length]];
+    case "suffix":
+      return [[word.length - condition.value.length, word.length]];
+    case "contains": {
+      const ranges = [];
+      if (!condition.value) return ranges;
+      for (let at = word.indexOf(condition.value); at !== -1; at = word.indexOf(condition.value, at + condition.value.length)) {
+        ranges.push([at, at + condition.value.length]);
+      }
+      return ranges;
+    }
+    case "regex": {
+      const flags = (condition.flags || "").replace("g", "") + "g";
+      return [...word.matchAll(new RegExp(condition.pattern, flags))]
+        .filter((match) => match[0].length > 0)
+        .map((match) => [match.index, match.index + match[0].length]);
+    }
+    case "length":
+      return [[0, word.length]];
+    case "vowels":
+      return lettersWhere((ch) => VOWELS.includes(ch));
+    case "consonants":
+      return lettersWhere((ch) => LETTER_REGEX.test(ch) && !VOWELS.includes(ch));
+    case "startSound":
+    case "endSound": {
+      const sounded = analyzeSounds(word).segments.filter((segment) => segment.phonemes.length > 0);
+      const segment = condition.type === "startSound" ? sounded[0] : sounded[sounded.length - 1];
+      return segment ? [[segment.start, segment.end]] : [];
+    }
+    case "silentE":
+      return [[word.length - 1, word.length]];
+    case "syllables":
+      return [[0, word.length]];
+    case "and":
+    case "or":
+      return condition.conditions.flatMap((c) => matchRanges(c, word) || []);
+    case "not":
+      return [];
+    default:
+      throw new Error(`Unknown rule condition type: ${condition.type}`);
+  }
+}
+
+/**
+ * Symbols marking rule matches without relying on color, assigned by position
+ * in the rule list (the first rule gets ▲, the second ●, …).
+ */
+export const RULE_SYMBOLS = ["▲", "●", "■", "◆", "★", "✚", "♥", "✱"];
+
+/**
+ * Utility: The symbol of a rule, from its position in the rule list.
+ *
+ * @param {Array<Object>} rules - The active rule list
+ * @param {string} id - Rule id
+ * @returns {string} The symbol, or "" for an unknown rule
+ */
+export function ruleSymbol(rules, id) {
+  const index = rules.findIndex((rule) => rule.id === id);
+  return index === -1 ? "" : RULE_SYMBOLS[index % RULE_SYMBOLS.length];
+}
+
+/** Monotonic counter used to keep generated rule ids unique within a session */
+let ruleIdCounter = 0;
+
+/**
+ * Utility: Generates an id for a newly created rule.
+ *
+ * @returns {string} A unique rule id
+ */
+export function createRuleId() {
+  ruleIdCounter += 1;
+  return `rule-${Date.now().toString(36)}-${ruleIdCounter}`;
+}
+
+/**
+ * Utility: Formats a range condition for display, e.g. "3–5", "at least 3", "at most 5".
+ *
+ * @param {Object} condition - A range condition with optional min and max
+ * @param {Function} t - Translate function
+ * @returns {string} Human-readable range
+ */
+function describeRange({ min, max }, t) {
+  if (min != null && max != null) return min === max ? t("rules.range.exactly", { n: min }) : t("rules.range.between", { min, max });
+  if (min != null) return t("rules.range.atLeast", { n: min });
+  return t("rules.range.atMost", { n: max });
+}
+
+/**
+ * Builds a human-readable description of a condition, used as the default rule label.
+ *
+ * @param {Object} condition - A condition object
+ * @param {Function} [t] - Translate function (see ./i18n.js); English by default
+ * @returns {string} Description such as 'Starts with "t" & ends with "e"'
+ */
+export function describeCondition(condition, t = english) {
+  switch (condition.type) {
+    case "prefix":
+    case "suffix":
+    case "contains":
+      return t(`rules.describe.${condition.type}`, { value: condition.value });
+    case "regex":
+      return t("rules.describe.regex", { pattern: condition.pattern, flags: condition.flags || "" });
+    case "length":
+    case "vowels":
+    case "consonants":
+      return t(`rules.describe.${condition.type}`, { range: describeRange(condition, t) });
+    case "startSound":
+    case "endSound":
+      return t(`rules.describe.${condition.type}`, { sound: phonemeSymbol(condition.phoneme) });
+    case "silentE":
+      return t("rules.describe.silentE");
+    case "syllables":
+      return condition.min === 1 && condition.max === 1
+        ? t("rules.describe.oneSyllable")
+        : t("rules.describe.syllables", { range: describeRange(condition, t) });
+    case "and":
+    case "or":
+      return condition.conditions
+        .map((c, i) => {
+          const text = describeCondition(c, t);
+          return i === 0 ? text : text.charAt(0).toLowerCase() + text.slice(1);
+        })
+        .reduce((left, right) => t(`rules.describe.${condition.type}`, { left, right }));
+    case "not":
+      return t("rules.describe.not", { condition: describeCondition(condition.condition, t) });
+    default:
+      return t("rules.describe.unknown");
+  }
+}
+
+/**
+ * Utility: The rules as shown in the interface language. A label that is the
+ * English description of its condition (the default rules, and rules saved
+ * without a label of their own) is described again with `t`; labels the user
+ * typed are kept. Rules are stored with the English labels, so links, exports
+ * and the history stay the same in every language.
+ *
+ * @param {Array<Object>} rules - A rule list
+ * @param {Function} t - Translate function (see ./i18n.js)
+ * @returns {Array<Object>} The rules, with translated automatic labels
+ */
+export function localizeRules(rules, t) {
+  return rules.map((rule) =>
+    rule.label === describeCondition(rule.condition) ? { ...rule, label: describeCondition(rule.condition, t) } : rule
+  );
+}
+
+/**
+ * Checks a condition for input that would make it unusable.
+ * Empty letters, invalid regular expressions, unknown sounds and impossible ranges are rejected.
+ *
+ * @param {Object} condition - A condition object (anything, when read from an untrusted source)
+ * @param {Function} [t] - Translate function (see ./i18n.js); English by default
+ * @returns {string|null} An error message, or null if the condition is valid
+ */
+export function validateCondition(condition, t = english) {
+  if (!condition || typeof condition !== "object") return t("rules.error.condition");
+  switch (condition.type) {
+    case "prefix":
+    case "suffix":
+    case "contains":
+      if (typeof condition.value !== "string" || condition.value.trim() === "") {
+        return t("rules.error.letters");
+      }
+      return null;
+    case "regex":
+      if (!condition.pattern) return t("rules.error.regex");
+      try {
+        new RegExp(condition.pattern, condition.flags || "");
+      } catch (error) {
+        return t("rules.error.invalidRegex", { message: error.message });
+      }
+      return null;
+    case "startSound":
+    case "endSound":
+      if (!PHONEMES.some((p) => p.code === condition.phoneme)) return t("rules.error.sound");
+      return null;
+    case "silentE":
+      return null;
+    case "length":
+    case "vowels":
+    case "consonants":
+    case "syllables": {
+      const { min, max } = condition;
+      if (min == null && max == null) return t("rules.error.range");
+      for (const bound of [min, max]) {
+        if (bound != null && (!Number.isInteger(bound) || bound < 0)) {
+          return t("rules.error.bounds");
+        }
+      }
+      if (min != null && max != null && min > max) return t("rules.error.minMax");
+      return null;
+    }
+    case "and":
+    case "or":
+      if (!Array.isArray(condition.conditions) || condition.conditions.length === 0) {
+        return t("rules.error.combine");
+      }
+      for (const child of condition.conditions) {
+        const error = validateCondition(child, t);
+        if (error) return error;
+      }
+      return null;
+    case "not":
+      if (!condition.condition) return t("rules.error.negate");
+      return validateCondition(condition.condition, t);
+    default:
+      return t("rules.error.unknownType", { type: condition.type });
+  }
+}
+
+/**
+ * Utility: Serializes a condition with sorted keys so that equal conditions
+ * produce equal strings regardless of property order.
+ *
+ * @param {Object} condition - A condition object
+ * @returns {string} A stable key for the condition
+ */
+export function conditionKey(condition) {
+  if (Array.isArray(condition)) return `[${condition.map(conditionKey).join(",")}]`;
+  if (condition && typeof condition === "object") {
+    return `{${Object.keys(condition)
+      .filter((key) => condition[key] != null)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${conditionKey(condition[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(condition);
+}
+
+/**
+ * Validates a rule against the rest of the rule list.
+ * In addition to the condition checks, blocks two rules with identical conditions.
+ *
+ * @param {Object} rule - The rule being added or edited
+ * @param {Array<Object>} rules - The current rule list (may contain `rule` itself)
+ * @param {Function} [t] - Translate function (see ./i18n.js); English by default
+ * @returns {string|null} An error message, or null if the rule can be saved
+ */
+export function validateRule(rule, rules, t = english) {
+  const conditionError = validateCondition(rule.condition, t);
+  if (conditionError) return conditionError;
+
+  const key = conditionKey(rule.condition);
+  const duplicate = rules.find((other) => other.id !== rule.id && conditionKey(other.condition) === key);
+  if (duplicate) return t("rules.error.duplicate", { label: duplicate.label });
+
+  return null;
+}
+
+/**
+ * Checks rules read from an untrusted source: a share link, the embed element's
+ * `rules` attribute or a rules file given to the command-line analyzer. Every
+ * rule needs a unique id, a label, a valid, non-duplicate condition and, if it
+ * has a color, a hex one.
+ *
+ * @param {*} value - Parsed rule list
+ * @returns {Array<Object>|null} The rules, or null if any is malformed
+ */
+export function sanitizeRules(value) {
+  if (!Array.isArray(value) || value.length === 0) return null;
+  const rules = [];
+  for (const rule of value) {
+    if (!rule || typeof rule !== "object" || !rule.condition || typeof rule.condition !== "object") return null;
+    if (typeof rule.id !== "string" || !rule.id || rules.some((other) => other.id === rule.id)) return null;
+    if (typeof rule.label !== "string") return null;
+    if (rule.color !== undefined && !/^#[0-9a-f]{6}$/i.test(rule.color)) return null;
+    if (validateRule(rule, rules)) return null;
+    const { id, label, color, condition } = rule;
+    rules.push(color ? { id, label, color, condition } : { id, label, condition });
+  }
+  return rules;
+}
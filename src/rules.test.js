@@ -0,0 +1,108 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_RULES, describeCondition, evaluateCondition, localizeRules, matchRanges, validateCondition, validateRule } from "./rules";
+import { translate } from "./i18n";
+
+describe("matchRanges", () => {
+  it("returns null when the condition does not match", () => {
+    expect(matchRanges({ type: "prefix", value: "t" }, "people")).toBeNull();
+  });
+
+  it("marks the matched prefix and suffix", () => {
+    expect(matchRanges({ type: "prefix", value: "t" }, "the")).toEqual([[0, 1]]);
+    expect(matchRanges({ type: "suffix", value: "e" }, "the")).toEqual([[2, 3]]);
+  });
+
+  it("marks both ends for an AND rule", () => {
+    const condition = {
+      type: "and",
+      conditions: [
+        { type: "prefix", value: "t" },
+        { type: "suffix", value: "e" },
+      ],
+    };
+    expect(matchRanges(condition, "the")).toEqual([
+      [0, 1],
+      [2, 3],
+    ]);
+  });
+
+  it("marks only the matching branches of an OR rule", () => {
+    const condition = {
+      type: "or",
+      conditions: [
+        { type: "prefix", value: "x" },
+        { type: "contains", value: "st" },
+      ],
+    };
+    expect(matchRanges(condition, "establish")).toEqual([[1, 3]]);
+  });
+
+  it("marks every regex match and counted vowel", () => {
+    expect(matchRanges({ type: "regex", pattern: "l+" }, "all well")).toEqual([
+      [1, 3],
+      [6, 8],
+    ]);
+    expect(matchRanges({ type: "vowels", min: 2 }, "union")).toEqual([
+      [0, 1],
+      [2, 3],
+      [3, 4],
+    ]);
+  });
+
+  it("marks nothing for a NOT rule", () => {
+    expect(matchRanges({ type: "not", condition: { type: "prefix", value: "t" } }, "we")).toEqual([]);
+  });
+});
+
+describe("sound conditions", () => {
+  it("compares the first and last sounds, not letters", () => {
+    expect(evaluateCondition({ type: "startSound", phoneme: "T" }, "tranquility")).toBe(true);
+    expect(evaluateCondition({ type: "startSound", phoneme: "T" }, "the")).toBe(false);
+    expect(evaluateCondition({ type: "startSound", phoneme: "DH" }, "the")).toBe(true);
+    expect(evaluateCondition({ type: "endSound", phoneme: "S" }, "justice")).toBe(true);
+  });
+
+  it("finds silent e and counts syllables", () => {
+    expect(evaluateCondition({ type: "silentE" }, "more")).toBe(true);
+    expect(evaluateCondition({ type: "silentE" }, "the")).toBe(false);
+    expect(evaluateCondition({ type: "syllables", min: 4, max: 4 }, "constitution")).toBe(true);
+    expect(evaluateCondition({ type: "syllables", min: 2 }, "we")).toBe(false);
+  });
+
+  it("marks the letters spelling the sound", () => {
+    expect(matchRanges({ type: "startSound", phoneme: "DH" }, "the")).toEqual([[0, 2]]);
+    expect(matchRanges({ type: "endSound", phoneme: "N" }, "union")).toEqual([[4, 5]]);
+    expect(matchRanges({ type: "silentE" }, "more")).toEqual([[3, 4]]);
+  });
+
+  it("describes and validates sound rules", () => {
+    expect(describeCondition({ type: "startSound", phoneme: "T" })).toBe("Starts with a /t/ sound");
+    expect(describeCondition({ type: "endSound", phoneme: "TH" })).toBe("Ends with a /θ/ sound");
+    expect(describeCondition({ type: "silentE" })).toBe('Ends in a silent "e"');
+    expect(describeCondition({ type: "syllables", min: 3 })).toBe("Has at least 3 syllables");
+    expect(validateCondition({ type: "startSound", phoneme: "XX" })).toBe("Choose a sound.");
+    expect(validateCondition({ type: "syllables", min: 3, max: 1 })).toBe("The minimum cannot be larger than the maximum.");
+  });
+
+  it("describes and validates in the interface language it is given", () => {
+    const t = (key, params) => translate("fr", key, params);
+    const condition = { type: "and", conditions: [{ type: "prefix", value: "t" }, { type: "length", min: 2, max: 4 }] };
+    expect(describeCondition(condition, t)).toBe("Commence par « t » et a 2–4 lettres");
+    expect(describeCondition(condition)).toBe('Starts with "t" & has 2–4 letters');
+    expect(validateCondition({ type: "prefix", value: " " }, t)).toBe("Saisissez au moins une lettre.");
+    expect(validateRule({ id: "b", condition: { type: "suffix", value: "e" } }, [{ id: "a", label: "E", condition: { type: "suffix", value: "e" } }], t)).toBe(
+      "« E » utilise déjà cette condition."
+    );
+  });
+
+  it("translates automatic labels and keeps the ones typed by the user", () => {
+    const t = (key, params) => translate("fr", key, params);
+    const rules = [...DEFAULT_RULES, { id: "mine", label: "Mes mots", condition: { type: "contains", value: "ou" } }];
+    expect(localizeRules(rules, t).map((rule) => rule.label)).toEqual([
+      "Commence par « t »",
+      "Se termine par « e »",
+      "Commence par « t » et se termine par « e »",
+      "Mes mots",
+    ]);
+  });
+});
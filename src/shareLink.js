@@ -0,0 +1,207 @@
+import { DEFAULT_RULES, sanitizeRules } from "./rules";
+import { DEFAULT_TOKENIZER_OPTIONS } from "./tokenizer";
+import { MIN_WORDS_PER_MINUTE, MAX_WORDS_PER_MINUTE } from "./speed";
+
+/**
+ * Shareable deep links
+ * ------------------------------------------------------------
+ * Serializes the analyzer state into URL query parameters:
+ *
+ *   text=gettysburg        a library text, by id
+ *   texthash=1f3a9c0e      or a pasted/uploaded text, by a hash of its content
+ *   rules=<base64url JSON> the counting rules (omitted when they are the defaults)
+ *   mode=song|manual       which run the position belongs to
+ *   wpm=150                animation speed
+ *   word=20                active word, 1-based (paused there)
+ *   split=join.keep.words.1.0  tokenizer options (omitted when they are the defaults)
+ *
+ * Decoding never throws: anything malformed is skipped, and a warning says
+ * what could not be restored. Warnings are translation keys with parameters
+ * (e.g. `{ key: "links.unknownMode", params: { mode } }`) for the UI to show
+ * through `t()`.
+ */
+
+/** Tokenizer options in the order they appear in the `split` parameter, with allowed values */
+const SPLIT_OPTIONS = [
+  ["hyphens", ["join", "split"]],
+  ["apostrophes", ["keep", "strip", "split"]],
+  ["numbers", ["words", "skip"]],
+  ["unicodeLetters", ["1", "0"]],
+  ["foldAccents", ["0", "1"]],
+];
+
+/** Tokenizer options stored as "1"/"0" in the `split` parameter */
+const BOOLEAN_SPLIT_OPTIONS = ["unicodeLetters", "foldAccents"];
+
+/**
+ * Utility: A short, stable hash of a text's content (32-bit FNV-1a, hex).
+ * Used to refer to pasted texts, whose content is too long for a URL.
+ *
+ * @param {Object} text - A text object with a `paragraphs` array
+ * @returns {string} Eight hex digits
+ */
+export function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (const ch of text.paragraphs.join("\n\n")) {
+    hash ^= ch.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Utility: Encodes a value as URL-safe base64 of its JSON.
+ *
+ * @param {*} value - Any JSON value
+ * @returns {string} base64url text
+ */
+function toBase64Url(value) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Utility: Decodes `toBase64Url` output. Throws on malformed input.
+ *
+ * @param {string} encoded - base64url text
+ * @returns {*} The decoded value
+ */
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (ch) => ch.charCodeAt(0))));
+}
+
+/**
+ * Utility: Encodes tokenizer options as the `split` parameter, e.g. "join.keep.words.1.0".
+ *
+ * @param {Object} options - Tokenizer options
+ * @returns {string} The parameter value
+ */
+function splitValue(options) {
+  return SPLIT_OPTIONS.map(([key]) => (BOOLEAN_SPLIT_OPTIONS.includes(key) ? (options[key] ? "1" : "0") : options[key])).join(".");
+}
+
+/**
+ * Checks tokenizer options from an untrusted source (e.g. a classroom snapshot):
+ * every option the `split` parameter encodes must be present with a known value.
+ *
+ * @param {*} value - Parsed tokenizer options
+ * @returns {Object|null} The options, or null if any is missing or unknown
+ */
+export function readTokenizerOptions(value) {
+  if (!value || typeof value !== "object") return null;
+  const valid = SPLIT_OPTIONS.every(([key, allowed]) =>
+    BOOLEAN_SPLIT_OPTIONS.includes(key) ? typeof value[key] === "boolean" : allowed.includes(value[key])
+  );
+  return valid ? Object.fromEntries(SPLIT_OPTIONS.map(([key]) => [key, value[key]])) : null;
+}
+
+/**
+ * Builds the query string for the current state.
+ *
+ * @param {Object} state
+ * @param {Object} state.text - The current text object
+ * @param {boolean} state.isLibraryText - Whether the text ships with the app (linked by id)
+ * @param {Array<Object>} state.rules - The active rule list
+ * @param {"song"|"manual"|null} state.mode - Mode of the current run
+ * @param {number} state.wordsPerMinute - Animation speed
+ * @param {number} state.index - Active word index (-1 before the first word)
+ * @param {Object} state.tokenizerOptions - Tokenizer options
+ * @returns {string} Query string without the leading "?"
+ */
+export function encodeShareState({ text, isLibraryText, rules, mode, wordsPerMinute, index, tokenizerOptions }) {
+  const params = new URLSearchParams();
+  if (isLibraryText) params.set("text", text.id);
+  else params.set("texthash", hashText(text));
+
+  if (JSON.stringify(rules) !== JSON.stringify(DEFAULT_RULES)) params.set("rules", toBase64Url(rules));
+  if (mode) params.set("mode", mode);
+  params.set("wpm", String(wordsPerMinute));
+  if (index >= 0) params.set("word", String(index + 1));
+
+  const split = splitValue({ ...DEFAULT_TOKENIZER_OPTIONS, ...tokenizerOptions });
+  if (split !== splitValue(DEFAULT_TOKENIZER_OPTIONS)) params.set("split", split);
+
+  return params.toString();
+}
+
+/**
+ * Reads state from a query string. Missing or malformed parameters are left
+ * out of the result (the caller keeps its defaults) and reported in `warnings`.
+ * When the linked text is not available, the word position and rules are
+ * dropped too, since they only make sense for that text.
+ *
+ * @param {string} search - Query string, with or without the leading "?"
+ * @param {Array<Object>} texts - Texts available to link to
+ * @returns {{ textId?: string, rules?: Array<Object>, mode?: string, wordsPerMinute?: number,
+ *   index?: number, tokenizerOptions?: Object, warnings: Array<{ key: string, params?: Object }> }} The restored state
+ */
+export function decodeShareState(search, texts) {
+  const params = new URLSearchParams(search);
+  const state = { warnings: [] };
+  let textMissing = false;
+
+  if (params.has("text")) {
+    const id = params.get("text");
+    if (texts.some((text) => text.id === id)) state.textId = id;
+    else {
+      textMissing = true;
+      state.warnings.push({ key: "links.unknownText", params: { id } });
+    }
+  } else if (params.has("texthash")) {
+    const hash = params.get("texthash");
+    const match = texts.find((text) => hashText(text) === hash);
+    if (match) state.textId = match.id;
+    else {
+      textMissing = true;
+      state.warnings.push({ key: "links.unknownTextHash" });
+    }
+  }
+
+  if (textMissing) {
+    if (params.has("rules") || params.has("word")) state.warnings.push({ key: "links.textSettingsSkipped" });
+  } else if (params.has("rules")) {
+    let rules = null;
+    try {
+      rules = sanitizeRules(fromBase64Url(params.get("rules")));
+    } catch (error) {
+      console.error("Error reading rules from link:", error);
+    }
+    if (rules) state.rules = rules;
+    else state.warnings.push({ key: "links.badRules" });
+  }
+
+  if (params.has("mode")) {
+    const mode = params.get("mode");
+    if (mode === "song" || mode === "manual") state.mode = mode;
+    else state.warnings.push({ key: "links.unknownMode", params: { mode } });
+  }
+
+  if (params.has("wpm")) {
+    const wpm = Number(params.get("wpm"));
+    if (Number.isFinite(wpm) && wpm > 0) state.wordsPerMinute = Math.round(Math.min(MAX_WORDS_PER_MINUTE, Math.max(MIN_WORDS_PER_MINUTE, wpm)));
+    else state.warnings.push({ key: "links.badSpeed" });
+  }
+
+  if (params.has("word") && !textMissing) {
+    const word = Number(params.get("word"));
+    if (Number.isInteger(word) && word >= 1) state.index = word - 1;
+    else state.warnings.push({ key: "links.badWord" });
+  }
+
+  if (params.has("split")) {
+    const values = params.get("split").split(".");
+    const valid = values.length === SPLIT_OPTIONS.length && SPLIT_OPTIONS.every(([, allowed], i) => allowed.includes(values[i]));
+    if (valid) {
+      state.tokenizerOptions = Object.fromEntries(
+        SPLIT_OPTIONS.map(([key], i) => [key, BOOLEAN_SPLIT_OPTIONS.includes(key) ? values[i] === "1" : values[i]])
+      );
+    } else {
+      state.warnings.push({ key: "links.badSplit" });
+    }
+  }
+
+  return state;
+}
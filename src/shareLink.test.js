@@ -0,0 +1,98 @@
+import { describe, it, expect, vi } from "vitest";
+import { encodeShareState, decodeShareState, hashText } from "./shareLink";
+import { DEFAULT_RULES } from "./rules";
+import { DEFAULT_TOKENIZER_OPTIONS } from "./tokenizer";
+import { TEXT_LIBRARY, createText } from "./texts";
+
+const gettysburg = TEXT_LIBRARY.find((text) => text.id === "gettysburg");
+const customRules = [{ id: "long", label: "Long words", color: "#9333ea", condition: { type: "length", min: 8 } }];
+
+describe("encodeShareState / decodeShareState", () => {
+  it("round-trips text, rules, mode, speed, position and tokenizer options", () => {
+    const query = encodeShareState({
+      text: gettysburg,
+      isLibraryText: true,
+      rules: customRules,
+      mode: "manual",
+      wordsPerMinute: 240,
+      index: 19,
+      tokenizerOptions: { ...DEFAULT_TOKENIZER_OPTIONS, hyphens: "split", unicodeLetters: false },
+    });
+
+    expect(decodeShareState(`?${query}`, TEXT_LIBRARY)).toEqual({
+      textId: "gettysburg",
+      rules: customRules,
+      mode: "manual",
+      wordsPerMinute: 240,
+      index: 19,
+      tokenizerOptions: { hyphens: "split", apostrophes: "keep", numbers: "words", unicodeLetters: false, foldAccents: false },
+      warnings: [],
+    });
+  });
+
+  it("rejects word-splitting settings with a value missing", () => {
+    const state = decodeShareState("?text=gettysburg&split=join.strip.words.1", TEXT_LIBRARY);
+    expect(state.tokenizerOptions).toBeUndefined();
+    expect(state.warnings).toEqual([{ key: "links.badSplit" }]);
+  });
+
+  it("leaves default rules and tokenizer options out of the link", () => {
+    const query = encodeShareState({
+      text: gettysburg,
+      isLibraryText: true,
+      rules: DEFAULT_RULES,
+      mode: null,
+      wordsPerMinute: 150,
+      index: -1,
+      tokenizerOptions: DEFAULT_TOKENIZER_OPTIONS,
+    });
+    expect(query).toBe("text=gettysburg&wpm=150");
+  });
+
+  it("links pasted texts by a hash of their content", () => {
+    const pasted = createText({ id: "pasted-1", title: "Mine", content: "To be or not to be" });
+    const query = encodeShareState({ text: pasted, isLibraryText: false, rules: DEFAULT_RULES, wordsPerMinute: 150, index: -1 });
+    expect(query).toContain(`texthash=${hashText(pasted)}`);
+
+    expect(decodeShareState(query, [...TEXT_LIBRARY, { ...pasted, id: "pasted-2" }]).textId).toBe("pasted-2");
+    const missing = decodeShareState(query, TEXT_LIBRARY);
+    expect(missing.textId).toBeUndefined();
+    expect(missing.warnings).toEqual([{ key: "links.unknownTextHash" }]);
+  });
+
+  it("drops the position and rules of a text it cannot find", () => {
+    const query = encodeShareState({ text: gettysburg, isLibraryText: true, rules: customRules, wordsPerMinute: 150, index: 19 });
+    const state = decodeShareState(query.replace("gettysburg", "missing"), TEXT_LIBRARY);
+    expect(state).toEqual({
+      wordsPerMinute: 150,
+      warnings: [{ key: "links.unknownText", params: { id: "missing" } }, { key: "links.textSettingsSkipped" }],
+    });
+  });
+
+  it("skips malformed parameters with a warning instead of throwing", () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const state = decodeShareState("?text=preamble&rules=%%%&mode=karaoke&wpm=fast&word=-3&split=a.b", TEXT_LIBRARY);
+    expect(state).toEqual({
+      textId: "preamble",
+      warnings: [
+        { key: "links.badRules" },
+        { key: "links.unknownMode", params: { mode: "karaoke" } },
+        { key: "links.badSpeed" },
+        { key: "links.badWord" },
+        { key: "links.badSplit" },
+      ],
+    });
+    console.error.mockRestore();
+  });
+
+  it("rejects rules with invalid conditions", () => {
+    const bad = btoa(JSON.stringify([{ id: "x", label: "X", color: "#000000", condition: { type: "and", conditions: [null] } }]));
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    expect(decodeShareState(`rules=${bad}`, TEXT_LIBRARY).rules).toBeUndefined();
+    console.error.mockRestore();
+  });
+
+  it("clamps the speed to the slider range", () => {
+    expect(decodeShareState("wpm=5000", TEXT_LIBRARY).wordsPerMinute).toBe(600);
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Keyboard shortcuts
+ * ------------------------------------------------------------
+ * Global keys for the transport. They are ignored while the user types in a
+ * form field or has a button focused, so they never steal Space/Enter from
+ * the control under focus.
+ */
+
+/** Shortcut list, also shown in the display settings panel (described by the "shortcuts.<action>" messages) */
+export const SHORTCUTS = [
+  { action: "togglePlay", keys: [" ", "k"], label: "Space / K" },
+  { action: "stepBack", keys: ["ArrowLeft", "j"], label: "← / J" },
+  { action: "stepForward", keys: ["ArrowRight", "l"], label: "→ / L" },
+  { action: "switchMode", keys: ["m"], label: "M" },
+  { action: "reset", keys: ["r"], label: "R" },
+];
+
+/** Elements whose own keyboard handling takes precedence */
+const INTERACTIVE_SELECTOR = 'input, textarea, select, button, summary, a[href], [contenteditable="true"], [role="button"]';
+
+/**
+ * Maps a keydown event to a shortcut action.
+ *
+ * @param {KeyboardEvent} event - The keydown event
+ * @returns {string|null} The action name, or null if the key is not a shortcut here
+ */
+export function shortcutAction(event) {
+  if (event.defaultPrevented || event.repeat || event.ctrlKey || event.metaKey || event.altKey) return null;
+  const target = event.target;
+  if (target && typeof target.closest === "function" && target.closest(INTERACTIVE_SELECTOR)) return null;
+
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  const shortcut = SHORTCUTS.find((s) => s.keys.includes(key));
+  return shortcut ? shortcut.action : null;
+}
@@ -0,0 +1,31 @@
+import { describe, it, expect } from "vitest";
+import { shortcutAction } from "./shortcuts";
+
+const keydown = (key, init = {}) => ({ key, target: document.body, ...init });
+
+describe("shortcutAction", () => {
+  it("maps keys to transport actions, ignoring case", () => {
+    expect(shortcutAction(keydown(" "))).toBe("togglePlay");
+    expect(shortcutAction(keydown("K"))).toBe("togglePlay");
+    expect(shortcutAction(keydown("ArrowLeft"))).toBe("stepBack");
+    expect(shortcutAction(keydown("l"))).toBe("stepForward");
+    expect(shortcutAction(keydown("m"))).toBe("switchMode");
+    expect(shortcutAction(keydown("r"))).toBe("reset");
+    expect(shortcutAction(keydown("x"))).toBeNull();
+  });
+
+  it("ignores modified, repeated and already handled keys", () => {
+    expect(shortcutAction(keydown("r", { ctrlKey: true }))).toBeNull();
+    expect(shortcutAction(keydown("k", { metaKey: true }))).toBeNull();
+    expect(shortcutAction(keydown("ArrowRight", { repeat: true }))).toBeNull();
+    expect(shortcutAction(keydown(" ", { defaultPrevented: true }))).toBeNull();
+  });
+
+  it("leaves keys to form fields and buttons", () => {
+    document.body.innerHTML = '<input id="field" /><button id="button">Go</button><div id="word" role="button"><b id="inner">We</b></div>';
+    for (const id of ["field", "button", "inner"]) {
+      expect(shortcutAction(keydown(" ", { target: document.getElementById(id) }))).toBeNull();
+    }
+    document.body.innerHTML = "";
+  });
+});
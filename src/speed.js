@@ -0,0 +1,11 @@
+/**
+ * Speed
+ * ------------------------------------------------------------
+ * Limits of the animation speed, in words per minute. Shared by the speed
+ * slider (TransportControls) and the share link reader, which clamps a
+ * linked speed into the same range.
+ */
+
+/** Range of the speed slider, in words per minute */
+export const MIN_WORDS_PER_MINUTE = 30;
+export const MAX_WORDS_PER_MINUTE = 600;
@@ -0,0 +1,81 @@
+/**
+ * Text statistics
+ * ------------------------------------------------------------
+ * Whole-text analysis for the statistics dashboard. Everything is computed from
+ * the normalized word tokens (see ./tokenizer.js), optionally cut off at the
+ * active word so the dashboard can follow the animation.
+ */
+
+/** Letters always shown on the letter histograms, even with a count of zero */
+const BASE_ALPHABET = "abcdefghijklmnopqrstuvwxyz";
+
+/** Matches a single letter */
+const LETTER_REGEX = /\p{L}/u;
+
+/**
+ * Utility: Counts values into a Map, keeping first-seen order.
+ *
+ * @param {Iterable<string>} values - Values to count
+ * @returns {Map<string, number>} Value to count
+ */
+function tally(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  return counts;
+}
+
+/**
+ * Utility: Turns letter counts into histogram rows: a–z first (zeros included),
+ * then any other letters that occur (é, ß…), alphabetically.
+ *
+ * @param {Map<string, number>} counts - Letter to count
+ * @returns {Array<{ key: string, count: number }>} Histogram rows
+ */
+function letterRows(counts) {
+  const extra = [...counts.keys()].filter((letter) => !BASE_ALPHABET.includes(letter)).sort((a, b) => a.localeCompare(b));
+  return [...BASE_ALPHABET, ...extra].map((letter) => ({ key: letter, count: counts.get(letter) || 0 }));
+}
+
+/**
+ * Computes the statistics shown on the dashboard.
+ *
+ * @param {Array<Object>} tokens - Word tokens of the text
+ * @param {Array<Array<string>>} wordMatches - Matching rule ids for each token
+ * @param {Array<Object>} rules - The active rule list
+ * @param {number} [lastIndex] - Last word to include; defaults to the whole text
+ * @returns {Object} `{ totalWords, uniqueWords, wordFrequency, letterFrequency,
+ *   firstLetters, lastLetters, lengths, ruleShares }`
+ */
+export function computeStatistics(tokens, wordMatches, rules, lastIndex = tokens.length - 1) {
+  const included = tokens.slice(0, lastIndex + 1);
+  const words = included.map((token) => token.normalized).filter(Boolean);
+
+  const wordCounts = tally(words);
+  const wordFrequency = [...wordCounts.entries()]
+    .map(([word, count]) => ({ word, count }))
+    .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word));
+
+  const letters = words.flatMap((word) => [...word].filter((ch) => LETTER_REGEX.test(ch)));
+  const firstLetters = words.map((word) => [...word].find((ch) => LETTER_REGEX.test(ch))).filter(Boolean);
+  const lastLetters = words.map((word) => [...word].reverse().find((ch) => LETTER_REGEX.test(ch))).filter(Boolean);
+
+  const lengthCounts = tally(words.map((word) => [...word].length));
+  const longest = Math.max(0, ...lengthCounts.keys());
+  const lengths = Array.from({ length: longest }, (_, i) => ({ key: String(i + 1), count: lengthCounts.get(i + 1) || 0 }));
+
+  const ruleShares = rules.map((rule) => {
+    const count = included.filter((token) => wordMatches[token.index].includes(rule.id)).length;
+    return { id: rule.id, label: rule.label, color: rule.color, count, share: words.length ? count / words.length : 0 };
+  });
+
+  return {
+    totalWords: words.length,
+    uniqueWords: wordCounts.size,
+    wordFrequency,
+    letterFrequency: letterRows(tally(letters)),
+    firstLetters: letterRows(tally(firstLetters)),
+    lastLetters: letterRows(tally(lastLetters)),
+    lengths,
+    ruleShares,
+  };
+}
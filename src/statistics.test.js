@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+import { computeStatistics } from "./statistics";
+import { tokenizeText } from "./tokenizer";
+import { DEFAULT_RULES, matchRules } from "./rules";
+import { PREAMBLE } from "./texts";
+
+const tokens = tokenizeText({ paragraphs: [PREAMBLE] });
+const wordMatches = tokens.map((token) => matchRules(DEFAULT_RULES, token.normalized));
+
+describe("computeStatistics", () => {
+  it("analyzes the whole text by default", () => {
+    const stats = computeStatistics(tokens, wordMatches, DEFAULT_RULES);
+    expect(stats.totalWords).toBe(52);
+    expect(stats.wordFrequency[0]).toEqual({ word: "the", count: 6 });
+    expect(stats.uniqueWords).toBe(stats.wordFrequency.length);
+    expect(stats.ruleShares.map((rule) => rule.count)).toEqual([10, 16, 6]);
+  });
+
+  it("only counts the words up to the given index", () => {
+    const stats = computeStatistics(tokens, wordMatches, DEFAULT_RULES, 2); // "We the People"
+    expect(stats.totalWords).toBe(3);
+    expect(stats.ruleShares.find((rule) => rule.id === "endsE")).toMatchObject({ count: 3, share: 1 });
+    expect(stats.firstLetters.filter((row) => row.count > 0)).toEqual([
+      { key: "p", count: 1 },
+      { key: "t", count: 1 },
+      { key: "w", count: 1 },
+    ]);
+    expect(stats.lastLetters.find((row) => row.key === "e").count).toBe(3);
+    expect(stats.lengths).toEqual([
+      { key: "1", count: 0 },
+      { key: "2", count: 1 },
+      { key: "3", count: 1 },
+      { key: "4", count: 0 },
+      { key: "5", count: 0 },
+      { key: "6", count: 1 },
+    ]);
+  });
+
+  it("returns empty statistics before the first word", () => {
+    const stats = computeStatistics(tokens, wordMatches, DEFAULT_RULES, -1);
+    expect(stats.totalWords).toBe(0);
+    expect(stats.lengths).toEqual([]);
+    expect(stats.ruleShares.every((rule) => rule.share === 0)).toBe(true);
+  });
+
+  it("always lists a–z and appends other letters", () => {
+    const accented = tokenizeText({ paragraphs: ["Café"] });
+    const stats = computeStatistics(accented, [[]], []);
+    expect(stats.letterFrequency).toHaveLength(27);
+    expect(stats.letterFrequency[26]).toEqual({ key: "é", count: 1 });
+  });
+});
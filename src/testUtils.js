@@ -0,0 +1,21 @@
+/**
+ * Test utilities
+ * ------------------------------------------------------------
+ * Helpers shared by the test files; not part of the app bundle.
+ */
+
+/**
+ * In-memory stand-in for localStorage.
+ *
+ * @param {Object} [initial] - Stored values by key
+ * @returns {{ getItem: Function, setItem: Function }} A minimal Storage
+ */
+export function memoryStorage(initial = {}) {
+  const values = { ...initial };
+  return {
+    getItem: (key) => (key in values ? values[key] : null),
+    setItem: (key, value) => {
+      values[key] = String(value);
+    },
+  };
+}
@@ -0,0 +1,233 @@
+/**
+ * Text library
+ * ------------------------------------------------------------
+ * The analyzer works on a "text": a title plus a list of paragraphs.
+ *
+ *   {
+ *     id: "preamble",
+ *     title: "Preamble to the Constitution",
+ *     source: "U.S. Constitution, 1787",
+ *     songSync: true,          // whether the Schoolhouse Rock song covers this text
+ *     language: "en",          // BCP 47 tag; words are normalized in this language
+ *     paragraphs: ["We the People ..."],
+ *   }
+ *
+ * Library texts ship with the app. User texts are built from pasted input or
+ * uploaded plain-text / Markdown files with `createText`.
+ */
+
+/** The Preamble to the Constitution as a string of words */
+export const PREAMBLE =
+  'We the People of the United States, in Order to form a more perfect Union, establish Justice, insure domestic Tranquility, provide for the common defence, promote the general Welfare, and secure the Blessings of Liberty to ourselves and our Posterity, do ordain and establish this Constitution for the United States of America.';
+
+/** Languages a text can be tagged with, named in their own language */
+export const TEXT_LANGUAGES = [
+  { code: "en", name: "English" },
+  { code: "es", name: "Español" },
+  { code: "fr", name: "Français" },
+  { code: "de", name: "Deutsch" },
+  { code: "it", name: "Italiano" },
+  { code: "pt", name: "Português" },
+  { code: "nl", name: "Nederlands" },
+  { code: "tr", name: "Türkçe" },
+];
+
+/** File extensions treated as Markdown when a file is uploaded */
+const MARKDOWN_EXTENSIONS = [".md", ".markdown", ".mdown"];
+
+/** Largest upload accepted, in bytes. Founding documents are a few KB; this only guards against accidents. */
+export const MAX_FILE_BYTES = 1024 * 1024;
+
+/**
+ * Utility: Removes inline Markdown syntax from a single line, keeping the visible text.
+ *
+ * @param {string} line - One line of Markdown
+ * @returns {string} The line as plain text
+ */
+function stripInlineMarkdown(line) {
+  return line
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1") // images -> alt text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1") // links -> link text
+    .replace(/<[^>]+>/g, "") // inline HTML tags
+    .replace(/`([^`]*)`/g, "$1") // inline code
+    .replace(/(\*\*|__)(.+?)\1/g, "$2") // bold
+    .replace(/(^|[^\w*])[*_]([^*_]+)[*_](?=$|[^\w*])/g, "$1$2"); // italics
+}
+
+/**
+ * Converts raw input into paragraphs.
+ * Blank lines separate paragraphs; the lines inside a paragraph are joined with spaces.
+ * In Markdown mode, headings, list items and block quotes are unwrapped, and each
+ * heading or list item becomes its own paragraph.
+ *
+ * @param {string} raw - The pasted or uploaded content
+ * @param {"plain"|"markdown"} [format="plain"] - How to interpret the content
+ * @returns {Array<string>} Non-empty paragraphs
+ */
+export function splitParagraphs(raw, format = "plain") {
+  const paragraphs = [];
+  let current = [];
+
+  const flush = () => {
+    const paragraph = current.join(" ").replace(/\s+/g, " ").trim();
+    if (paragraph) paragraphs.push(paragraph);
+    current = [];
+  };
+
+  for (let line of raw.replace(/\r\n?/g, "\n").split("\n")) {
+    if (line.trim() === "") {
+      flush();
+      continue;
+    }
+
+    if (format === "markdown") {
+      // Code fences and horizontal rules only separate paragraphs
+      if (/^\s*(```|~~~)/.test(line) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        flush();
+        continue;
+      }
+
+      line = line.replace(/^\s*(>\s?)+/, ""); // block quotes
+
+      const isHeading = /^\s*#{1,6}\s+/.test(line);
+      const isListItem = /^\s*([-*+]|\d+[.)])\s+/.test(line);
+      if (isHeading || isListItem) {
+        flush();
+        line = line.replace(/^\s*#{1,6}\s+/, "").replace(/\s+#+\s*$/, "").replace(/^\s*([-*+]|\d+[.)])\s+/, "");
+      }
+
+      current.push(stripInlineMarkdown(line));
+      if (isHeading) flush();
+    } else {
+      current.push(line);
+    }
+  }
+  flush();
+
+  return paragraphs;
+}
+
+/**
+ * Builds a text object from raw content.
+ *
+ * @param {Object} options
+ * @param {string} options.id - Unique id for the text
+ * @param {string} options.title - Title shown in the text picker
+ * @param {string} options.content - Raw text or Markdown
+ * @param {"plain"|"markdown"} [options.format="plain"] - How to interpret the content
+ * @param {string} [options.source] - Where the text comes from
+ * @param {boolean} [options.songSync=false] - Whether the song covers this text
+ * @param {string} [options.language="en"] - Language of the text (BCP 47 tag)
+ * @returns {Object} A text object
+ */
+export function createText({ id, title, content, format = "plain", source = "", songSync = false, language = "en" }) {
+  return { id, title, source, songSync, language, paragraphs: splitParagraphs(content, format) };
+}
+
+/**
+ * Utility: Picks the parse format for an uploaded file from its name.
+ *
+ * @param {string} fileName - The uploaded file name
+ * @returns {"plain"|"markdown"} The format to use
+ */
+export function formatForFile(fileName) {
+  const lower = fileName.toLowerCase();
+  return MARKDOWN_EXTENSIONS.some((ext) => lower.endsWith(ext)) ? "markdown" : "plain";
+}
+
+/**
+ * Reads an uploaded plain-text or Markdown file into a text object.
+ *
+ * @param {File} file - The file chosen by the user
+ * @param {string} [language="en"] - Language of the text (BCP 47 tag)
+ * @returns {Promise<Object>} The text object
+ * @throws {Error} If the file is too large or contains no text
+ */
+export async function loadTextFile(file, language = "en") {
+  if (file.size > MAX_FILE_BYTES) {
+    throw new Error(`"${file.name}" is larger than ${MAX_FILE_BYTES / 1024} KB.`);
+  }
+
+  const text = createText({
+    id: `file-${file.name}-${file.lastModified}`,
+    title: file.name.replace(/\.[^.]+$/, ""),
+    content: await file.text(),
+    format: formatForFile(file.name),
+    source: "Uploaded file",
+    language,
+  });
+
+  if (text.paragraphs.length === 0) {
+    throw new Error(`"${file.name}" does not contain any text.`);
+  }
+  return text;
+}
+
+/** Texts that ship with the app. The first entry is loaded on start. */
+export const TEXT_LIBRARY = [
+  createText({
+    id: "preamble",
+    title: "Preamble to the Constitution",
+    source: "U.S. Constitution, 1787",
+    songSync: true,
+    content: PREAMBLE,
+  }),
+  createText({
+    id: "preamble-es",
+    title: "Preámbulo de la Constitución (español)",
+    source: "Constitución de los Estados Unidos, 1787 (traducción)",
+    language: "es",
+    content:
+      "Nosotros, el Pueblo de los Estados Unidos, a fin de formar una Unión más perfecta, establecer Justicia, afirmar la tranquilidad interior, proveer la Defensa común, promover el bienestar general y asegurar para nosotros mismos y para nuestros descendientes los beneficios de la Libertad, estatuimos y sancionamos esta Constitución para los Estados Unidos de América.",
+  }),
+  createText({
+    id: "preamble-fr",
+    title: "Préambule de la Constitution (français)",
+    source: "Constitution des États-Unis, 1787 (traduction)",
+    language: "fr",
+    content:
+      "Nous, le Peuple des États-Unis, en vue de former une Union plus parfaite, d'établir la justice, de faire régner la paix intérieure, de pourvoir à la défense commune, de développer le bien-être général et d'assurer les bienfaits de la liberté à nous-mêmes et à notre postérité, nous décrétons et établissons cette Constitution pour les États-Unis d'Amérique.",
+  }),
+  createText({
+    id: "declaration",
+    title: "Declaration of Independence (opening)",
+    source: "Declaration of Independence, 1776",
+    content: `When in the Course of human events, it becomes necessary for one people to dissolve the political bands which have connected them with another, and to assume among the powers of the earth, the separate and equal station to which the Laws of Nature and of Nature's God entitle them, a decent respect to the opinions of mankind requires that they should declare the causes which impel them to the separation.
+
+We hold these truths to be self-evident, that all men are created equal, that they are endowed by their Creator with certain unalienable Rights, that among these are Life, Liberty and the pursuit of Happiness.`,
+  }),
+  createText({
+    id: "bill-of-rights",
+    title: "Bill of Rights (Amendments I–X)",
+    source: "U.S. Constitution, 1791",
+    content: `Congress shall make no law respecting an establishment of religion, or prohibiting the free exercise thereof; or abridging the freedom of speech, or of the press; or the right of the people peaceably to assemble, and to petition the Government for a redress of grievances.
+
+A well regulated Militia, being necessary to the security of a free State, the right of the people to keep and bear Arms, shall not be infringed.
+
+No Soldier shall, in time of peace be quartered in any house, without the consent of the Owner, nor in time of war, but in a manner to be prescribed by law.
+
+The right of the people to be secure in their persons, houses, papers, and effects, against unreasonable searches and seizures, shall not be violated, and no Warrants shall issue, but upon probable cause, supported by Oath or affirmation, and particularly describing the place to be searched, and the persons or things to be seized.
+
+No person shall be held to answer for a capital, or otherwise infamous crime, unless on a presentment or indictment of a Grand Jury, except in cases arising in the land or naval forces, or in the Militia, when in actual service in time of War or public danger; nor shall any person be subject for the same offence to be twice put in jeopardy of life or limb; nor shall be compelled in any criminal case to be a witness against himself, nor be deprived of life, liberty, or property, without due process of law; nor shall private property be taken for public use, without just compensation.
+
+In all criminal prosecutions, the accused shall enjoy the right to a speedy and public trial, by an impartial jury of the State and district wherein the crime shall have been committed, which district shall have been previously ascertained by law, and to be informed of the nature and cause of the accusation; to be confronted with the witnesses against him; to have compulsory process for obtaining witnesses in his favor, and to have the Assistance of Counsel for his defence.
+
+In Suits at common law, where the value in controversy shall exceed twenty dollars, the right of trial by jury shall be preserved, and no fact tried by a jury, shall be otherwise re-examined in any Court of the United States, than according to the rules of the common law.
+
+Excessive bail shall not be required, nor excessive fines imposed, nor cruel and unusual punishments inflicted.
+
+The enumeration in the Constitution, of certain rights, shall not be construed to deny or disparage others retained by the people.
+
+The powers not delegated to the United States by the Constitution, nor prohibited by it to the States, are reserved to the States respectively, or to the people.`,
+  }),
+  createText({
+    id: "gettysburg",
+    title: "Gettysburg Address",
+    source: "Abraham Lincoln, 1863 (Bliss copy)",
+    content: `Four score and seven years ago our fathers brought forth on this continent, a new nation, conceived in Liberty, and dedicated to the proposition that all men are created equal.
+
+Now we are engaged in a great civil war, testing whether that nation, or any nation so conceived and so dedicated, can long endure. We are met on a great battle-field of that war. We have come to dedicate a portion of that field, as a final resting place for those who here gave their lives that that nation might live. It is altogether fitting and proper that we should do this.
+
+But, in a larger sense, we can not dedicate—we can not consecrate—we can not hallow—this ground. The brave men, living and dead, who struggled here, have consecrated it, far above our poor power to add or detract. The world will little note, nor long remember what we say here, but it can never forget what they did here. It is for us the living, rather, to be dedicated here to the unfinished work which they who fought here have thus far so nobly advanced. It is rather for us to be here dedicated to the great task remaining before us—that from these honored dead we take increased devotion to that cause for which they gave the last full measure of devotion—that we here highly resolve that these dead shall not have died in vain—that this nation, under God, shall have a new birth of freedom—and that government of the people, by the people, for the people, shall not perish from the earth.`,
+  }),
+];
@@ -0,0 +1,365 @@
+/**
+ * Themes
+ * ------------------------------------------------------------
+ * The look of the analyzer: page and panel backgrounds, the text panel, the
+ * highlight and the rule palette. A theme is a plain object:
+ *
+ *   {
+ *     id: "dark",
+ *     contrast: false,              // rule colors as underlines on black text (see WordStream)
+ *     variables: { "--pa-page": "#111217", … },
+ *     palette: [{ color: "#16a34a", from: "#16a34a", to: "#22c55e" }, …],
+ *   }
+ *
+ * `variables` are CSS custom properties, set on the page (`applyTheme`) or on a
+ * widget's root element (`themeVariables`), and read by the components' inline
+ * styles as `var(--pa-…)`. Light themes also remap Tailwind's slate scale, so the
+ * panels' `text-slate-300` / `bg-slate-900` classes turn dark-on-light, and the
+ * accent colors the panels use (blue buttons, red errors, yellow quiz and notice
+ * text, green and orange marks, sky practice panel), so they stay readable on
+ * the theme's surfaces. Buttons set their own text color rather than inherit
+ * the panels' slate text.
+ *
+ * The palette gives rules their colors by position: a rule without a `color`
+ * of its own takes the palette slot of its place in the list, and its counter
+ * card the slot's gradient. A rule's own `color` always wins.
+ */
+
+/** Tailwind's slate scale, reversed: the dark surfaces become light and the light text dark */
+const LIGHT_SLATE = {
+  "--color-slate-50": "oklch(12.9% 0.042 264.695)",
+  "--color-slate-100": "oklch(20.8% 0.042 265.755)",
+  "--color-slate-200": "oklch(27.9% 0.041 260.031)",
+  "--color-slate-300": "oklch(37.2% 0.044 257.287)",
+  "--color-slate-400": "oklch(44.6% 0.043 257.281)",
+  "--color-slate-500": "oklch(55.4% 0.046 257.417)",
+  "--color-slate-600": "oklch(70.4% 0.04 256.788)",
+  "--color-slate-700": "oklch(86.9% 0.022 252.894)",
+  "--color-slate-800": "oklch(92.9% 0.013 255.508)",
+  "--color-slate-900": "oklch(96.8% 0.007 247.896)",
+  "--color-slate-950": "oklch(98.4% 0.003 247.858)",
+};
+
+/** The slate scale on warm paper: sepia inks on cream */
+const PARCHMENT_SLATE = {
+  "--color-slate-50": "#2b2115",
+  "--color-slate-100": "#3b2f1e",
+  "--color-slate-200": "#4a3b26",
+  "--color-slate-300": "#5c4a31",
+  "--color-slate-400": "#6f5b3e",
+  "--color-slate-500": "#8a7556",
+  "--color-slate-600": "#b9a27a",
+  "--color-slate-700": "#dccaa3",
+  "--color-slate-800": "#e8dabb",
+  "--color-slate-900": "#f3e9d2",
+  "--color-slate-950": "#f8f1e0",
+};
+
+/** Pure black and white for the panels, with white outlines instead of grey ones */
+const HIGH_CONTRAST_SLATE = {
+  "--color-slate-100": "#ffffff",
+  "--color-slate-200": "#ffffff",
+  "--color-slate-300": "#ffffff",
+  "--color-slate-400": "#f0f0f0",
+  "--color-slate-500": "#d4d4d4",
+  "--color-slate-600": "#ffffff",
+  "--color-slate-700": "#333333",
+  "--color-slate-800": "#1a1a1a",
+  "--color-slate-900": "#000000",
+  "--color-slate-950": "#000000",
+};
+
+/** Accents for light surfaces: the dark theme's pale text colors turned into darker shades */
+const LIGHT_ACCENTS = {
+  "--color-blue-500": "#2563eb",
+  "--color-blue-600": "#1d4ed8",
+  "--color-red-400": "#b91c1c",
+  "--color-yellow-100": "#713f12",
+  "--color-yellow-300": "#a16207",
+  "--color-yellow-400": "#ca8a04",
+  "--color-green-400": "#15803d",
+  "--color-orange-300": "#c2410c",
+  "--color-sky-300": "#0369a1",
+  "--color-sky-400": "#0284c7",
+  "--color-sky-500": "#0284c7",
+  "--color-sky-600": "#0369a1",
+};
+
+/** Accents in the parchment's inks */
+const PARCHMENT_ACCENTS = {
+  "--color-blue-500": "#34689f",
+  "--color-blue-600": "#1d4e89",
+  "--color-red-400": "#9b2226",
+  "--color-yellow-100": "#5c3d0e",
+  "--color-yellow-300": "#8a6d1d",
+  "--color-yellow-400": "#c9a227",
+  "--color-green-400": "#2f6b3a",
+  "--color-orange-300": "#9c4f14",
+  "--color-sky-300": "#1b6a7a",
+  "--color-sky-400": "#1b7a7a",
+  "--color-sky-500": "#2f9494",
+  "--color-sky-600": "#1b6a7a",
+};
+
+/** Saturated accents on black: yellow, cyan and lime text, blue buttons under white labels */
+const HIGH_CONTRAST_ACCENTS = {
+  "--color-blue-500": "#4d4dff",
+  "--color-blue-600": "#0000cc",
+  "--color-red-400": "#ff6b6b",
+  "--color-yellow-100": "#ffff00",
+  "--color-yellow-300": "#ffff00",
+  "--color-yellow-400": "#ffff00",
+  "--color-green-400": "#00ff00",
+  "--color-orange-300": "#ffa500",
+  "--color-sky-300": "#00ffff",
+  "--color-sky-400": "#00ffff",
+  "--color-sky-500": "#0050a0",
+  "--color-sky-600": "#003d7a",
+};
+
+/** Utility: A palette slot with a single color on its card (no gradient) */
+const flat = (color) => ({ color, from: color, to: color });
+
+/** The app's original colors; the first three are the "t" / "e" lesson's green, red and blue */
+const DARK_PALETTE = [
+  { color: "#16a34a", from: "#16a34a", to: "#22c55e" },
+  { color: "#dc2626", from: "#bf0a30", to: "#e63946" },
+  { color: "#2563eb", from: "#2563eb", to: "#3b82f6" },
+  { color: "#9333ea", from: "#9333ea", to: "#a855f7" },
+  { color: "#ea580c", from: "#ea580c", to: "#f97316" },
+  { color: "#0891b2", from: "#0891b2", to: "#06b6d4" },
+  { color: "#ca8a04", from: "#ca8a04", to: "#eab308" },
+  { color: "#db2777", from: "#db2777", to: "#ec4899" },
+];
+
+/** Built-in themes, in the order the picker lists them */
+export const THEMES = [
+  {
+    id: "dark",
+    contrast: false,
+    variables: {
+      "--pa-page": "#111217",
+      "--pa-surface-from": "#181921",
+      "--pa-surface-to": "#101117",
+      "--pa-title": "#2563eb",
+      "--pa-muted": "#94a3b8",
+      "--pa-panel": "rgba(248, 250, 252, 0.95)",
+      "--pa-panel-text": "#1e293b",
+      "--pa-highlight": "#fef08a",
+      "--pa-highlight-ring": "0 0 0 1px rgba(0,0,0,0.15)",
+      "--pa-selected": "#64748b",
+      "--pa-video-border": "#334155",
+      "--pa-video-background": "#000000",
+      "--pa-mark-correct": "#22c55e",
+      "--pa-mark-wrong": "#f97316",
+      "--pa-blank-border": "#475569",
+      "--pa-stage": "#000000",
+      "--pa-stage-text": "#ffffff",
+      "--pa-stage-dim": "rgba(255,255,255,0.45)",
+      "--pa-stage-card": "rgba(0,0,0,0.7)",
+      "--pa-stage-fill": "#facc15",
+    },
+    palette: DARK_PALETTE,
+  },
+  {
+    id: "light",
+    contrast: false,
+    variables: {
+      "--pa-page": "#e2e8f0",
+      "--pa-surface-from": "#ffffff",
+      "--pa-surface-to": "#f1f5f9",
+      "--pa-title": "#1d4ed8",
+      "--pa-muted": "#475569",
+      "--pa-panel": "#ffffff",
+      "--pa-panel-text": "#0f172a",
+      "--pa-highlight": "#fde047",
+      "--pa-highlight-ring": "0 0 0 1px rgba(0,0,0,0.25)",
+      "--pa-selected": "#334155",
+      "--pa-video-border": "#cbd5e1",
+      "--pa-video-background": "#000000",
+      "--pa-mark-correct": "#15803d",
+      "--pa-mark-wrong": "#c2410c",
+      "--pa-blank-border": "#94a3b8",
+      "--pa-stage": "#ffffff",
+      "--pa-stage-text": "#0f172a",
+      "--pa-stage-dim": "rgba(15,23,42,0.4)",
+      "--pa-stage-card": "rgba(255,255,255,0.85)",
+      "--pa-stage-fill": "#b45309",
+      ...LIGHT_SLATE,
+      ...LIGHT_ACCENTS,
+    },
+    palette: [
+      { color: "#15803d", from: "#15803d", to: "#16a34a" },
+      { color: "#b91c1c", from: "#b91c1c", to: "#dc2626" },
+      { color: "#1d4ed8", from: "#1d4ed8", to: "#2563eb" },
+      { color: "#7e22ce", from: "#7e22ce", to: "#9333ea" },
+      { color: "#c2410c", from: "#c2410c", to: "#ea580c" },
+      { color: "#0e7490", from: "#0e7490", to: "#0891b2" },
+      { color: "#a16207", from: "#a16207", to: "#ca8a04" },
+      { color: "#be185d", from: "#be185d", to: "#db2777" },
+    ],
+  },
+  {
+    id: "highContrast",
+    contrast: true,
+    variables: {
+      "--pa-page": "#000000",
+      "--pa-surface-from": "#000000",
+      "--pa-surface-to": "#000000",
+      "--pa-title": "#ffff00",
+      "--pa-muted": "#ffffff",
+      "--pa-panel": "#ffffff",
+      "--pa-panel-text": "#000000",
+      "--pa-highlight": "#ffff00",
+      "--pa-highlight-ring": "0 0 0 2px #000000",
+      "--pa-selected": "#000000",
+      "--pa-video-border": "#ffffff",
+      "--pa-video-background": "#000000",
+      "--pa-mark-correct": "#008a00",
+      "--pa-mark-wrong": "#d40000",
+      "--pa-blank-border": "#ffffff",
+      "--pa-stage": "#000000",
+      "--pa-stage-text": "#ffffff",
+      "--pa-stage-dim": "#bfbfbf",
+      "--pa-stage-card": "#000000",
+      "--pa-stage-fill": "#ffff00",
+      ...HIGH_CONTRAST_SLATE,
+      ...HIGH_CONTRAST_ACCENTS,
+    },
+    // Rule colors only underline black text here, so the strong originals stay; cards are flat
+    palette: DARK_PALETTE.map((slot) => flat(slot.color)),
+  },
+  {
+    id: "parchment",
+    contrast: false,
+    variables: {
+      "--pa-page": "#d9c7a0",
+      "--pa-surface-from": "#f4ead5",
+      "--pa-surface-to": "#eadcbc",
+      "--pa-title": "#7c2d12",
+      "--pa-muted": "#6f5b3e",
+      "--pa-panel": "#fbf5e6",
+      "--pa-panel-text": "#3b2f1e",
+      "--pa-highlight": "#f2c14e",
+      "--pa-highlight-ring": "0 0 0 1px rgba(59,47,30,0.35)",
+      "--pa-selected": "#6f5b3e",
+      "--pa-video-border": "#b9a27a",
+      "--pa-video-background": "#2b2115",
+      "--pa-mark-correct": "#2f6b3a",
+      "--pa-mark-wrong": "#bc6c25",
+      "--pa-blank-border": "#8a7556",
+      "--pa-stage": "#f4ead5",
+      "--pa-stage-text": "#3b2f1e",
+      "--pa-stage-dim": "rgba(59,47,30,0.4)",
+      "--pa-stage-card": "rgba(251,245,230,0.85)",
+      "--pa-stage-fill": "#7c2d12",
+      ...PARCHMENT_SLATE,
+      ...PARCHMENT_ACCENTS,
+    },
+    palette: [
+      { color: "#2f6b3a", from: "#2f6b3a", to: "#4a8b55" },
+      { color: "#9b2226", from: "#9b2226", to: "#ae3a3e" },
+      { color: "#1d4e89", from: "#1d4e89", to: "#34689f" },
+      { color: "#6a4c93", from: "#6a4c93", to: "#8265a8" },
+      { color: "#bc6c25", from: "#bc6c25", to: "#d08a4a" },
+      { color: "#1b7a7a", from: "#1b7a7a", to: "#2f9494" },
+      { color: "#8a6d1d", from: "#8a6d1d", to: "#a68a36" },
+      { color: "#a23b72", from: "#a23b72", to: "#b8588b" },
+    ],
+  },
+];
+
+/** Theme used when none was chosen and the system doesn't ask for more contrast */
+export const DEFAULT_THEME_ID = "dark";
+
+/** localStorage key of the chosen theme */
+export const THEME_STORAGE_KEY = "preamble-analyzer:theme";
+
+/**
+ * Utility: Looks up a theme by id.
+ *
+ * @param {string} id - Theme id
+ * @returns {Object} The theme, or the default theme for an unknown id
+ */
+export function getTheme(id) {
+  return THEMES.find((theme) => theme.id === id) || THEMES.find((theme) => theme.id === DEFAULT_THEME_ID);
+}
+
+/**
+ * Picks the theme: the one chosen before, else high contrast when the system
+ * asks for more contrast, else the default.
+ *
+ * @param {Storage} [storage] - Where the choice is remembered
+ * @param {boolean} [prefersContrast] - Whether the system asks for more contrast
+ * @returns {string} A theme id from THEMES
+ */
+export function detectTheme(
+  storage = window.localStorage,
+  prefersContrast = typeof window.matchMedia === "function" && window.matchMedia("(prefers-contrast: more)").matches
+) {
+  try {
+    const saved = storage.getItem(THEME_STORAGE_KEY);
+    if (saved && THEMES.some((theme) => theme.id === saved)) return saved;
+  } catch (error) {
+    console.error("Error reading the theme:", error);
+  }
+  return prefersContrast ? "highContrast" : DEFAULT_THEME_ID;
+}
+
+/**
+ * Remembers the chosen theme.
+ *
+ * @param {string} id - Theme id
+ * @param {Storage} [storage] - Where the choice is remembered
+ */
+export function saveTheme(id, storage = window.localStorage) {
+  try {
+    storage.setItem(THEME_STORAGE_KEY, id);
+  } catch (error) {
+    console.error("Error saving the theme:", error);
+  }
+}
+
+/**
+ * The CSS custom properties of a theme, as a React style object for the
+ * element the theme should apply to.
+ *
+ * @param {Object} theme - A theme from THEMES
+ * @returns {Object} Map of custom property name to value
+ */
+export function themeVariables(theme) {
+  return { ...theme.variables };
+}
+
+/**
+ * Applies a theme to an element (usually the page's root): sets its custom
+ * properties, removes the previous theme's leftovers and tags the element
+ * with `data-theme`.
+ *
+ * @param {Object} theme - A theme from THEMES
+ * @param {HTMLElement} [element] - Where the theme applies
+ */
+export function applyTheme(theme, element = document.documentElement) {
+  for (const other of THEMES) {
+    for (const name of Object.keys(other.variables)) element.style.removeProperty(name);
+  }
+  for (const [name, value] of Object.entries(theme.variables)) element.style.setProperty(name, value);
+  element.dataset.theme = theme.id;
+}
+
+/**
+ * Gives each rule its display colors: its own `color` if it has one, else the
+ * theme palette slot of its position. Each rule also gets the `gradient` of its
+ * counter card.
+ *
+ * @param {Array<Object>} rules - The active rule list
+ * @param {Object} theme - A theme from THEMES
+ * @returns {Array<Object>} The rules with `color` and `gradient: { from, to }` set
+ */
+export function themeRules(rules, theme) {
+  return rules.map((rule, i) => {
+    if (rule.color) return { ...rule, gradient: { from: rule.color, to: rule.color } };
+    const slot = theme.palette[i % theme.palette.length];
+    return { ...rule, color: slot.color, gradient: { from: slot.from, to: slot.to } };
+  });
+}
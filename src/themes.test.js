@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import { THEMES, THEME_STORAGE_KEY, getTheme, detectTheme, saveTheme, applyTheme, themeRules } from "./themes";
+import { DEFAULT_RULES, sanitizeRules } from "./rules";
+import { memoryStorage } from "./testUtils";
+
+describe("themes", () => {
+  it("gives every theme the same custom properties and a full palette", () => {
+    const names = Object.keys(getTheme("dark").variables).filter((name) => name.startsWith("--pa-"));
+    for (const theme of THEMES) {
+      expect(Object.keys(theme.variables).filter((name) => name.startsWith("--pa-"))).toEqual(names);
+      expect(theme.palette).toHaveLength(8);
+    }
+    expect(getTheme("neon").id).toBe("dark");
+  });
+
+  it("remaps the whole slate scale and the same accent colors in every theme that remaps any", () => {
+    const remapped = (theme, prefix) => Object.keys(theme.variables).filter((name) => name.startsWith(prefix)).sort();
+    const light = getTheme("light");
+    expect(remapped(light, "--color-slate-")).toHaveLength(11);
+    expect(remapped(getTheme("parchment"), "--color-slate-")).toEqual(remapped(light, "--color-slate-"));
+
+    const accents = remapped(light, "--color-").filter((name) => !name.startsWith("--color-slate-"));
+    expect(accents).toContain("--color-blue-600");
+    for (const id of ["parchment", "highContrast"]) {
+      expect(remapped(getTheme(id), "--color-").filter((name) => !name.startsWith("--color-slate-"))).toEqual(accents);
+    }
+  });
+
+  it("colors rules from the palette by position unless they have their own color", () => {
+    const parchment = getTheme("parchment");
+    const rules = [...DEFAULT_RULES, { id: "own", label: "Own", color: "#123456", condition: { type: "contains", value: "q" } }];
+    const themed = themeRules(rules, parchment);
+    expect(themed.map((rule) => rule.color)).toEqual(["#2f6b3a", "#9b2226", "#1d4e89", "#123456"]);
+    expect(themed[0].gradient).toEqual({ from: "#2f6b3a", to: "#4a8b55" });
+    expect(themed[3].gradient).toEqual({ from: "#123456", to: "#123456" });
+    expect(rules[0].color).toBeUndefined();
+
+    const many = Array.from({ length: 9 }, (_, i) => ({ id: `r${i}`, label: `R${i}`, condition: { type: "length", min: i } }));
+    expect(themeRules(many, parchment)[8].color).toBe(parchment.palette[0].color);
+  });
+
+  it("remembers the chosen theme, falling back to high contrast when the system asks for it", () => {
+    const storage = memoryStorage();
+    expect(detectTheme(storage, false)).toBe("dark");
+    expect(detectTheme(storage, true)).toBe("highContrast");
+    saveTheme("light", storage);
+    expect(detectTheme(storage, true)).toBe("light");
+    expect(detectTheme(memoryStorage({ [THEME_STORAGE_KEY]: "neon" }), false)).toBe("dark");
+  });
+
+  it("sets the theme's custom properties on an element, clearing the previous theme's", () => {
+    const element = document.createElement("div");
+    applyTheme(getTheme("light"), element);
+    expect(element.dataset.theme).toBe("light");
+    expect(element.style.getPropertyValue("--color-slate-900")).not.toBe("");
+
+    applyTheme(getTheme("dark"), element);
+    expect(element.style.getPropertyValue("--pa-panel-text")).toBe("#1e293b");
+    expect(element.style.getPropertyValue("--color-slate-900")).toBe("");
+  });
+
+  it("accepts rules without a color from untrusted sources", () => {
+    expect(sanitizeRules(DEFAULT_RULES)).toEqual(DEFAULT_RULES);
+    expect(sanitizeRules([{ ...DEFAULT_RULES[0], color: "green" }])).toBeNull();
+  });
+});
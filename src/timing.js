@@ -0,0 +1,440 @@
+/**
+ * Lyrics timing
+ * ------------------------------------------------------------
+ * Parses per-word timestamps from enhanced LRC or WebVTT files and aligns them
+ * with the tokens of a text, so the sync loop can look up the sung word by time.
+ *
+ * Enhanced LRC:
+ *   [02:10.00]<02:10.00>We <02:10.42>the <02:10.80>People
+ *   [02:12.10]<02:12.10>of <02:12.30>the <02:12.55>United <02:13.05>States,
+ *   [02:49.00]
+ *
+ * WebVTT (inline timestamps are optional):
+ *   WEBVTT
+ *
+ *   00:02:10.000 --> 00:02:12.000
+ *   <00:02:10.000>We <00:02:10.420>the <00:02:10.800>People
+ *
+ * JSON (as written by the timing recorder):
+ *   { "version": 1, "end": 169.2, "words": [{ "word": "We", "time": 130.0 }, ...] }
+ *
+ * Lines or cues without per-word stamps are spread evenly over their duration.
+ * A trailing empty LRC line (or the last cue's end) marks the end of the section.
+ * Errors about a file's content carry a `code` (see `timingFileError`) for the
+ * interface to translate.
+ */
+
+import { normalizeWord } from "./tokenizer.js";
+
+/**
+ * Utility: An error about a timing file's content, with a `code` the interface
+ * translates under `media.timingError.<code>`.
+ *
+ * @param {string} code - "noWordList" or "noTimedWords"
+ * @param {string} message - English message, for logs and the command line
+ * @returns {Error} The error
+ */
+function timingFileError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/** How long the last word lasts when the file does not say where the section ends */
+const DEFAULT_LAST_WORD_SECONDS = 1.0;
+
+/** How many timing entries to skip ahead when looking for a token that does not match */
+const ALIGN_LOOKAHEAD = 3;
+
+/** Matches an LRC time tag: [mm:ss], [mm:ss.xx] or [mm:ss:xx] */
+const LRC_LINE_TIME_REGEX = /\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+
+/** Matches an enhanced LRC word tag: <mm:ss.xx> */
+const LRC_WORD_TIME_REGEX = /<(\d+):(\d{1,2})(?:[.:](\d{1,3}))?>/g;
+
+/** Matches a WebVTT timestamp: hh:mm:ss.ttt or mm:ss.ttt */
+const VTT_TIME = "(?:(\\d+):)?(\\d{1,2}):(\\d{2})[.,](\\d{3})";
+
+/**
+ * Utility: Converts timestamp parts into seconds.
+ *
+ * @param {string|undefined} hours - Hours, if present
+ * @param {string} minutes - Minutes
+ * @param {string} seconds - Seconds
+ * @param {string|undefined} fraction - Fractional digits (centiseconds or milliseconds)
+ * @returns {number} Time in seconds
+ */
+function toSeconds(hours, minutes, seconds, fraction) {
+  const frac = fraction ? Number(fraction) / Math.pow(10, fraction.length) : 0;
+  return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + frac;
+}
+
+/**
+ * Utility: Turns timed segments into one entry per word. A segment holding
+ * several words spreads them evenly until the next segment starts.
+ *
+ * @param {Array<{ time: number, text: string }>} segments - Segments in time order
+ * @param {number} end - Time the last segment ends
+ * @returns {Array<{ time: number, word: string }>} Word entries
+ */
+function segmentsToWords(segments, end) {
+  const entries = [];
+  segments.forEach((segment, i) => {
+    const parts = segment.text.split(/\s+/).filter(Boolean);
+    if (parts.length === 0) return;
+
+    const next = i + 1 < segments.length ? segments[i + 1].time : end;
+    const step = Math.max(0, next - segment.time) / parts.length;
+    parts.forEach((word, k) => entries.push({ time: segment.time + step * k, word }));
+  });
+  return entries;
+}
+
+/**
+ * Parses an enhanced (or plain, line-timed) LRC file.
+ *
+ * @param {string} source - LRC file contents
+ * @returns {{ entries: Array<{ time: number, word: string }>, end: number|null }} Word entries and section end
+ */
+export function parseLrc(source) {
+  let offset = 0;
+  const lines = [];
+
+  for (const rawLine of source.replace(/\r\n?/g, "\n").split("\n")) {
+    const offsetTag = rawLine.match(/^\s*\[offset:\s*([+-]?\d+)\s*\]/i);
+    if (offsetTag) {
+      offset = Number(offsetTag[1]) / 1000;
+      continue;
+    }
+
+    const times = [...rawLine.matchAll(LRC_LINE_TIME_REGEX)].map((m) => toSeconds(undefined, m[1], m[2], m[3]));
+    if (times.length === 0) continue; // Metadata tags like [ar:...] and plain lines
+    const text = rawLine.replace(LRC_LINE_TIME_REGEX, "");
+    // A line may carry several time tags when it is repeated (e.g. a chorus)
+    for (const time of times) lines.push({ time, text });
+  }
+
+  lines.sort((a, b) => a.time - b.time);
+
+  const segments = [];
+  let end = null;
+  lines.forEach((line, i) => {
+    if (line.text.trim() === "") {
+      if (i === lines.length - 1) end = line.time; // Trailing empty line marks the end
+      return;
+    }
+    // Split the line at its word tags; text before the first tag starts at the line time
+    let cursor = line.time;
+    let last = 0;
+    for (const m of line.text.matchAll(LRC_WORD_TIME_REGEX)) {
+      segments.push({ time: cursor, text: line.text.slice(last, m.index) });
+      cursor = toSeconds(undefined, m[1], m[2], m[3]);
+      last = m.index + m[0].length;
+    }
+    segments.push({ time: cursor, text: line.text.slice(last) });
+  });
+
+  const timed = segments.filter((s) => s.text.trim() !== "");
+  const lastTime = timed.length ? timed[timed.length - 1].time : 0;
+  const entries = segmentsToWords(timed, end != null ? end : lastTime + DEFAULT_LAST_WORD_SECONDS);
+
+  return {
+    entries: entries.map((e) => ({ ...e, time: e.time - offset })),
+    end: end != null ? end - offset : null,
+  };
+}
+
+/**
+ * Parses a WebVTT file, using inline word timestamps where present.
+ *
+ * @param {string} source - WebVTT file contents
+ * @returns {{ entries: Array<{ time: number, word: string }>, end: number|null }} Word entries and section end
+ */
+export function parseVtt(source) {
+  const cueTimeRegex = new RegExp(`^\\s*${VTT_TIME}\\s+-->\\s+${VTT_TIME}`);
+  const inlineTimeRegex = new RegExp(`<${VTT_TIME}>`, "g");
+  const blocks = source.replace(/\r\n?/g, "\n").split(/\n\s*\n/);
+
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.split("\n");
+    const timeLine = lines.findIndex((line) => cueTimeRegex.test(line));
+    if (timeLine === -1) continue; // Header, NOTE, STYLE and REGION blocks
+
+    const m = lines[timeLine].match(cueTimeRegex);
+    cues.push({
+      start: toSeconds(m[1], m[2], m[3], m[4]),
+      end: toSeconds(m[5], m[6], m[7], m[8]),
+      text: lines.slice(timeLine + 1).join(" "),
+    });
+  }
+  cues.sort((a, b) => a.start - b.start);
+
+  const entries = [];
+  for (const cue of cues) {
+    const segments = [];
+    let cursor = cue.start;
+    let last = 0;
+    for (const m of cue.text.matchAll(inlineTimeRegex)) {
+      segments.push({ time: cursor, text: cue.text.slice(last, m.index) });
+      cursor = toSeconds(m[1], m[2], m[3], m[4]);
+      last = m.index + m[0].length;
+    }
+    segments.push({ time: cursor, text: cue.text.slice(last) });
+
+    // Drop styling and voice tags such as <c.loud> and <v Narrator>
+    const clean = segments
+      .map((s) => ({ ...s, text: s.text.replace(/<[^>]*>/g, "") }))
+      .filter((s) => s.text.trim() !== "");
+    entries.push(...segmentsToWords(clean, cue.end));
+  }
+
+  return { entries, end: cues.length ? cues[cues.length - 1].end : null };
+}
+
+/**
+ * Parses a JSON timing file written by `formatTimingJson`.
+ *
+ * @param {string} source - JSON file contents
+ * @returns {{ entries: Array<{ time: number, word: string }>, end: number|null }} Word entries and section end
+ * @throws {Error} If the JSON does not describe timed words (code "noWordList"), or is not JSON
+ */
+export function parseTimingJson(source) {
+  const data = JSON.parse(source);
+  if (!data || !Array.isArray(data.words)) {
+    throw timingFileError("noWordList", "The timing JSON has no \"words\" list.");
+  }
+  const entries = data.words
+    .filter((w) => w && typeof w.word === "string" && Number.isFinite(w.time))
+    .map((w) => ({ time: w.time, word: w.word }))
+    .sort((a, b) => a.time - b.time);
+  return { entries, end: Number.isFinite(data.end) ? data.end : null };
+}
+
+/**
+ * Parses a timing file, detecting WebVTT by its header, JSON by its opening
+ * brace, and LRC otherwise.
+ *
+ * @param {string} source - File contents
+ * @returns {{ entries: Array<{ time: number, word: string }>, end: number|null }} Word entries and section end
+ * @throws {Error} If the file contains no timed words (code "noTimedWords")
+ */
+export function parseTimingFile(source) {
+  let parsed;
+  if (/^\uFEFF?WEBVTT/.test(source)) parsed = parseVtt(source);
+  else if (/^\uFEFF?\s*\{/.test(source)) parsed = parseTimingJson(source.replace(/^\uFEFF/, ""));
+  else parsed = parseLrc(source);
+
+  if (parsed.entries.length === 0) {
+    throw timingFileError("noTimedWords", "The timing file does not contain any timed words.");
+  }
+  return parsed;
+}
+
+/**
+ * Aligns parsed word entries with the tokens of a text.
+ * Words are matched in order by normalized form; a few extra or missing words in
+ * the timing file are tolerated, and tokens without a timestamp are interpolated
+ * between their neighbours.
+ *
+ * @param {{ entries: Array<{ time: number, word: string }>, end: number|null }} parsed - Output of `parseTimingFile`
+ * @param {Array<Object>} tokens - Tokens of the text
+ * @param {Object} [options] - Tokenizer options and locale the tokens were normalized with
+ * @returns {{ times: Array<number>, start: number, end: number, matched: number }} Start time per token index,
+ *   section start and end, and how many tokens were matched directly
+ */
+export function alignTiming(parsed, tokens, options) {
+  const entries = parsed.entries.map((e) => ({ time: e.time, normalized: normalizeWord(e.word, options) })).filter((e) => e.normalized);
+  const times = new Array(tokens.length).fill(null);
+  let matched = 0;
+  let j = 0;
+
+  tokens.forEach((token, i) => {
+    for (let k = j; k < Math.min(entries.length, j + ALIGN_LOOKAHEAD + 1); k++) {
+      if (entries[k].normalized === token.normalized) {
+        times[i] = entries[k].time;
+        matched++;
+        j = k + 1;
+        return;
+      }
+    }
+    // No match nearby: if the counts line up, assume a spelling difference and take the next entry
+    if (entries.length === tokens.length && j < entries.length) {
+      times[i] = entries[j].time;
+      j++;
+    }
+  });
+
+  // Interpolate the gaps between known times
+  const known = times.map((t, i) => (t != null ? i : -1)).filter((i) => i !== -1);
+  if (known.length === 0) {
+    const first = entries.length ? entries[0].time : 0;
+    times.fill(first);
+  } else {
+    for (let i = 0; i < times.length; i++) {
+      if (times[i] != null) continue;
+      const before = known.filter((k) => k < i).pop();
+      const after = known.find((k) => k > i);
+      if (before == null) times[i] = times[after];
+      else if (after == null) times[i] = times[before];
+      else times[i] = times[before] + ((times[after] - times[before]) * (i - before)) / (after - before);
+    }
+  }
+
+  const start = times.length ? times[0] : 0;
+  const lastTime = times.length ? times[times.length - 1] : 0;
+  const end = parsed.end != null && parsed.end > lastTime ? parsed.end : lastTime + DEFAULT_LAST_WORD_SECONDS;
+  return { times, start, end, matched };
+}
+
+/**
+ * Finds the word being sung at a given time by binary search.
+ *
+ * @param {Array<number>} times - Start time per token index, in ascending order
+ * @param {number} currentTime - Playback time in seconds
+ * @returns {number} Index of the last word that has started, or -1 before the first word
+ */
+export function findWordIndex(times, currentTime) {
+  let lo = 0;
+  let hi = times.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] <= currentTime) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+// ------------------------------------------------------------
+// Export
+// ------------------------------------------------------------
+
+/**
+ * Utility: Formats seconds for display, e.g. 130.25 -> "2:10.25".
+ *
+ * @param {number} seconds - Time in seconds
+ * @returns {string} The formatted time
+ */
+export function formatClock(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = (seconds - m * 60).toFixed(2).padStart(5, "0");
+  return `${m}:${s}`;
+}
+
+/** Trailing punctuation that ends a line in exported LRC / WebVTT files */
+const LINE_BREAK_PUNCTUATION_REGEX = /[.,;:!?—]/;
+
+/**
+ * Utility: Formats seconds as an LRC timestamp, mm:ss.xx.
+ *
+ * @param {number} seconds - Time in seconds
+ * @returns {string} The timestamp
+ */
+function formatLrcTime(seconds) {
+  const centis = Math.round(Math.max(0, seconds) * 100);
+  const mm = String(Math.floor(centis / 6000)).padStart(2, "0");
+  const ss = String(Math.floor((centis % 6000) / 100)).padStart(2, "0");
+  const xx = String(centis % 100).padStart(2, "0");
+  return `${mm}:${ss}.${xx}`;
+}
+
+/**
+ * Utility: Formats seconds as a WebVTT timestamp, hh:mm:ss.ttt.
+ *
+ * @param {number} seconds - Time in seconds
+ * @returns {string} The timestamp
+ */
+function formatVttTime(seconds) {
+  const millis = Math.round(Math.max(0, seconds) * 1000);
+  const hh = String(Math.floor(millis / 3600000)).padStart(2, "0");
+  const mm = String(Math.floor((millis % 3600000) / 60000)).padStart(2, "0");
+  const ss = String(Math.floor((millis % 60000) / 1000)).padStart(2, "0");
+  const ttt = String(millis % 1000).padStart(3, "0");
+  return `${hh}:${mm}:${ss}.${ttt}`;
+}
+
+/**
+ * Utility: Splits tokens into lyric lines, breaking after punctuation and at paragraph ends.
+ *
+ * @param {Array<Object>} tokens - Tokens of the text
+ * @returns {Array<Array<number>>} Token indices per line
+ */
+function lyricLines(tokens) {
+  const lines = [];
+  let line = [];
+  tokens.forEach((token, i) => {
+    line.push(i);
+    const next = tokens[i + 1];
+    if (!next || next.paragraph !== token.paragraph || LINE_BREAK_PUNCTUATION_REGEX.test(token.trailing)) {
+      lines.push(line);
+      line = [];
+    }
+  });
+  return lines;
+}
+
+/**
+ * Utility: The word as written, with its punctuation, for exported files.
+ *
+ * @param {Object} token - A token
+ * @returns {string} Display form of the word
+ */
+function displayWord(token) {
+  return token.leading + token.text + token.trailing;
+}
+
+/**
+ * Formats per-word times as an enhanced LRC file.
+ *
+ * @param {Array<Object>} tokens - Tokens of the text
+ * @param {Array<number>} times - Start time per token index
+ * @param {number} end - Time the section ends
+ * @returns {string} LRC file contents
+ */
+export function formatLrc(tokens, times, end) {
+  const lines = lyricLines(tokens).map((line) => {
+    const words = line.map((i) => `<${formatLrcTime(times[i])}>${displayWord(tokens[i])}`).join(" ");
+    return `[${formatLrcTime(times[line[0]])}]${words}`;
+  });
+  return [...lines, `[${formatLrcTime(end)}]`, ""].join("\n");
+}
+
+/**
+ * Formats per-word times as a WebVTT file with inline word timestamps.
+ *
+ * @param {Array<Object>} tokens - Tokens of the text
+ * @param {Array<number>} times - Start time per token index
+ * @param {number} end - Time the section ends
+ * @returns {string} WebVTT file contents
+ */
+export function formatVtt(tokens, times, end) {
+  const lines = lyricLines(tokens);
+  const cues = lines.map((line, n) => {
+    const cueStart = times[line[0]];
+    const cueEnd = n + 1 < lines.length ? times[lines[n + 1][0]] : end;
+    const text = line
+      .map((i, k) => (k === 0 ? "" : `<${formatVttTime(times[i])}>`) + displayWord(tokens[i]))
+      .join(" ");
+    return `${n + 1}\n${formatVttTime(cueStart)} --> ${formatVttTime(cueEnd)}\n${text}`;
+  });
+  return ["WEBVTT", ...cues, ""].join("\n\n");
+}
+
+/**
+ * Formats per-word times as JSON.
+ *
+ * @param {Array<Object>} tokens - Tokens of the text
+ * @param {Array<number>} times - Start time per token index
+ * @param {number} end - Time the section ends
+ * @returns {string} JSON file contents
+ */
+export function formatTimingJson(tokens, times, end) {
+  const round = (t) => Math.round(t * 1000) / 1000;
+  const words = tokens.map((token, i) => ({ word: token.text, time: round(times[i]) }));
+  return JSON.stringify({ version: 1, end: round(end), words }, null, 2) + "\n";
+}
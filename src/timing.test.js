@@ -0,0 +1,116 @@
+import { describe, it, expect } from "vitest";
+import { parseLrc, parseVtt, parseTimingFile, alignTiming, findWordIndex } from "./timing";
+import { tokenize } from "./tokenizer";
+
+/** Utility: The words and times of parsed entries, for compact assertions */
+const wordsAt = (parsed) => parsed.entries.map((entry) => [entry.word, entry.time]);
+
+describe("parseLrc", () => {
+  it("reads word tags, spreads untagged lines and ends at the trailing empty line", () => {
+    const parsed = parseLrc(
+      "[ar:Schoolhouse Rock]\n[00:10.00]<00:10.00>We <00:10.50>the <00:11.00>People\n[00:12.00]of the\n[00:13.00]\n"
+    );
+    expect(wordsAt(parsed)).toEqual([
+      ["We", 10],
+      ["the", 10.5],
+      ["People", 11],
+      ["of", 12],
+      ["the", 12.5],
+    ]);
+    expect(parsed.end).toBe(13);
+  });
+
+  it("skips lines without a valid time tag", () => {
+    const parsed = parseLrc("We the People\n[0a:10.00]of the\n[00:10.00]United States\n");
+    expect(wordsAt(parsed)).toEqual([
+      ["United", 10],
+      ["States", 10.5],
+    ]);
+    expect(parsed.end).toBeNull();
+    expect(() => parseTimingFile("We the People\n[ti:Preamble]\n")).toThrow(expect.objectContaining({ code: "noTimedWords" }));
+  });
+
+  it("puts lines in time order", () => {
+    const parsed = parseLrc("[00:20.00]union\n[00:10.00]more perfect\n[00:21.00]\n");
+    expect(wordsAt(parsed)).toEqual([
+      ["more", 10],
+      ["perfect", 15],
+      ["union", 20],
+    ]);
+    expect(parsed.end).toBe(21);
+  });
+});
+
+describe("parseVtt", () => {
+  it("reads inline word timestamps and spreads cues without them", () => {
+    const parsed = parseVtt(
+      "WEBVTT\n\n1\n00:00:10.000 --> 00:00:12.000\n<00:00:10.000>We <00:00:10.400>the <00:00:10.800>People\n\n" +
+        "2\n00:00:12.000 --> 00:00:14.000\nof <c.loud>the</c>\n"
+    );
+    expect(wordsAt(parsed)).toEqual([
+      ["We", 10],
+      ["the", 10.4],
+      ["People", 10.8],
+      ["of", 12],
+      ["the", 13],
+    ]);
+    expect(parsed.end).toBe(14);
+  });
+
+  it("skips notes and cues with a malformed time line", () => {
+    const parsed = parseVtt(
+      "WEBVTT\n\nNOTE timed by hand\n\n00:10 --> 00:12\nWe the People\n\n00:00:12.000 --> 00:00:13.000\nof\n"
+    );
+    expect(wordsAt(parsed)).toEqual([["of", 12]]);
+    expect(parsed.end).toBe(13);
+    expect(() => parseTimingFile("WEBVTT\n\n00:10 --> 00:12\nWe the People\n")).toThrow("does not contain any timed words");
+  });
+
+  it("puts cues in time order and ends at the last cue", () => {
+    const parsed = parseVtt("WEBVTT\n\n00:00:20.000 --> 00:00:22.000\nunion\n\n00:00:10.000 --> 00:00:12.000\nmore perfect\n");
+    expect(wordsAt(parsed)).toEqual([
+      ["more", 10],
+      ["perfect", 11],
+      ["union", 20],
+    ]);
+    expect(parsed.end).toBe(22);
+  });
+});
+
+describe("alignTiming", () => {
+  const tokens = tokenize("We the People of");
+  const entries = (...pairs) => ({ entries: pairs.map(([word, time]) => ({ word, time })), end: null });
+
+  it("skips timed words that are not in the text", () => {
+    const timing = alignTiming(entries(["We", 1], ["um", 2], ["the", 3], ["People", 4], ["yeah", 5], ["of", 6]), tokens);
+    expect(timing).toEqual({ times: [1, 3, 4, 6], start: 1, end: 7, matched: 4 });
+  });
+
+  it("interpolates words missing from the timing file", () => {
+    const timing = alignTiming(entries(["We", 1], ["People", 3]), tokens);
+    expect(timing).toEqual({ times: [1, 2, 3, 3], start: 1, end: 4, matched: 2 });
+  });
+
+  it("ends at the file's end when it comes after the last word", () => {
+    expect(alignTiming({ ...entries(["We", 1], ["the", 2], ["People", 3], ["of", 4]), end: 9 }, tokens).end).toBe(9);
+  });
+});
+
+describe("findWordIndex", () => {
+  const times = [10, 12, 15];
+
+  it("finds no word before the first one starts", () => {
+    expect(findWordIndex(times, 9.99)).toBe(-1);
+    expect(findWordIndex([], 10)).toBe(-1);
+  });
+
+  it("finds the word that started last between two starts", () => {
+    expect(findWordIndex(times, 10)).toBe(0);
+    expect(findWordIndex(times, 13.5)).toBe(1);
+  });
+
+  it("stays on the last word after it starts", () => {
+    expect(findWordIndex(times, 15)).toBe(2);
+    expect(findWordIndex(times, 99)).toBe(2);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Tokenizer
+ * ------------------------------------------------------------
+ * Splits a text into word tokens. Each token keeps everything needed to
+ * render the original text and to analyze the word:
+ *
+ *   {
+ *     index: 3,               // position in the token list
+ *     text: "People",         // the word as written
+ *     normalized: "people",   // lowercase (locale-aware) form used by the counting rules
+ *     start: 7,               // offset of the word in the source string
+ *     end: 13,                // offset just past the word
+ *     leading: "",            // punctuation attached before the word, e.g. an opening quote
+ *     trailing: ",",          // punctuation attached after the word
+ *     spaceAfter: true,       // whether whitespace follows the trailing punctuation
+ *     paragraph: 0,           // paragraph number (paragraphs are separated by blank lines)
+ *   }
+ *
+ * Anything that is not part of a word (whitespace, quotes, dashes, semicolons, …)
+ * never reaches `normalized`. Punctuation between two words that has no
+ * whitespace around it ("dedicate—we") is attached to the first word.
+ */
+
+/**
+ * Default tokenizer options.
+ *
+ * - hyphens: "join" keeps "battle-field" as one word; "split" makes two words.
+ * - apostrophes: "keep" keeps "people's" as one word with the apostrophe;
+ *   "strip" keeps one word and drops the apostrophe ("peoples");
+ *   "split" makes two words ("people", "s").
+ * - unicodeLetters: true accepts any Unicode letter ("café", "niño");
+ *   false only accepts A–Z, so other letters act as word breaks.
+ * - numbers: "words" treats numbers ("1787", "3.5") as words;
+ *   "skip" treats digits like punctuation.
+ * - foldAccents: true removes accents when normalizing ("Unión" → "union"),
+ *   so rules written with plain letters match accented words too.
+ *
+ * The text's language is passed separately as `locale` (see `tokenizeText`);
+ * it is a property of the text, not a user setting.
+ */
+export const DEFAULT_TOKENIZER_OPTIONS = {
+  hyphens: "join",
+  apostrophes: "keep",
+  unicodeLetters: true,
+  numbers: "words",
+  foldAccents: false,
+};
+
+/** Characters treated as hyphens inside a word */
+const HYPHENS = "-‐‑";
+
+/** Characters treated as apostrophes inside a word (straight, right single quote, modifier letter) */
+const APOSTROPHES = "'’ʼ";
+
+/** Matches every apostrophe variant */
+const APOSTROPHE_REGEX = new RegExp(`[${APOSTROPHES}]`, "g");
+
+/** Matches a blank line, which separates paragraphs */
+const PARAGRAPH_BREAK_REGEX = /\n[^\S\n]*\n/;
+
+/**
+ * Utility: Escapes characters that are special inside a regex character class.
+ *
+ * @param {string} chars - Characters to escape
+ * @returns {string} The escaped characters
+ */
+function escapeClass(chars) {
+  return chars.replace(/[\\\]^-]/g, "\\$&");
+}
+
+/**
+ * Builds the regular expression that matches one word for the given options.
+ *
+ * @param {Object} options - Tokenizer options
+ * @returns {RegExp} A global, Unicode-aware word regex
+ */
+function buildWordRegex(options) {
+  const letters = options.unicodeLetters ? "\\p{L}\\p{M}" : "A-Za-z";
+  const core = `[${letters}]`;
+  const number = "\\p{Nd}+(?:[.,]\\p{Nd}+)*";
+  const part = options.numbers === "words" ? `(?:${core}|${number})+` : `${core}+`;
+
+  let joiners = "";
+  if (options.hyphens === "join") joiners += HYPHENS;
+  if (options.apostrophes !== "split") joiners += APOSTROPHES;
+
+  const pattern = joiners ? `${part}(?:[${escapeClass(joiners)}]${part})*` : part;
+  return new RegExp(pattern, "gu");
+}
+
+/**
+ * Utility: Removes accents and other combining marks ("Unión" → "Union").
+ *
+ * @param {string} word - The word to fold
+ * @returns {string} The word without combining marks, in NFC
+ */
+export function foldAccents(word) {
+  return word.normalize("NFD").replace(/\p{M}/gu, "").normalize("NFC");
+}
+
+/**
+ * Utility: Normalizes a word for analysis: Unicode NFC, lowercase in the text's
+ * locale (so Turkish "I" becomes "ı"), accents folded with `foldAccents`, and
+ * apostrophes unified (or dropped, with `apostrophes: "strip"`).
+ * Punctuation around the word is removed, so raw words like "Union," work too.
+ *
+ * @param {string} word - The word to normalize
+ * @param {Object} [options] - Tokenizer options, plus an optional `locale` (BCP 47 tag)
+ * @returns {string} The normalized word
+ */
+export function normalizeWord(word, options = DEFAULT_TOKENIZER_OPTIONS) {
+  const opts = { ...DEFAULT_TOKENIZER_OPTIONS, ...options };
+  const match = word.normalize("NFC").match(buildWordRegex(opts));
+  const core = match ? match.join("") : "";
+  let lower = core.toLocaleLowerCase(opts.locale || undefined);
+  if (opts.foldAccents) lower = foldAccents(lower);
+  return opts.apostrophes === "strip" ? lower.replace(APOSTROPHE_REGEX, "") : lower.replace(APOSTROPHE_REGEX, "'");
+}
+
+/**
+ * Splits a source string into word tokens.
+ *
+ * @param {string} source - The text to tokenize
+ * @param {Object} [options] - Tokenizer options (merged over the defaults)
+ * @returns {Array<Object>} Tokens in reading order
+ */
+export function tokenize(source, options = DEFAULT_TOKENIZER_OPTIONS) {
+  const opts = { ...DEFAULT_TOKENIZER_OPTIONS, ...options };
+  const text = source.normalize("NFC");
+  const wordRegex = buildWordRegex(opts);
+  const tokens = [];
+
+  let paragraph = 0;
+  let cursor = 0; // End of the previous word
+  let match;
+
+  /**
+   * Distributes the gap between the previous word and the next one:
+   * punctuation before the first whitespace trails the previous word,
+   * punctuation after the last whitespace leads the next word, and stand-alone
+   * punctuation in between (" — ") also trails the previous word.
+   */
+  const splitGap = (gap) => {
+    const firstSpace = gap.search(/\s/);
+    if (firstSpace === -1) return { trailing: gap, spaceAfter: false, leading: "" };
+
+    const lastSpace = gap.length - 1 - [...gap].reverse().join("").search(/\s/);
+    const middle = gap.slice(firstSpace, lastSpace + 1).replace(/\s+/g, "");
+    return {
+      trailing: gap.slice(0, firstSpace) + middle,
+      spaceAfter: true,
+      leading: gap.slice(lastSpace + 1),
+    };
+  };
+
+  while ((match = wordRegex.exec(text)) !== null) {
+    const gap = text.slice(cursor, match.index);
+    const { trailing, spaceAfter, leading } = splitGap(gap);
+
+    const previous = tokens[tokens.length - 1];
+    if (previous) {
+      previous.trailing = trailing;
+      previous.spaceAfter = spaceAfter;
+      if (PARAGRAPH_BREAK_REGEX.test(gap)) paragraph++;
+    }
+
+    tokens.push({
+      index: tokens.length,
+      text: match[0],
+      normalized: normalizeWord(match[0], opts),
+      start: match.index,
+      end: match.index + match[0].length,
+      leading: previous ? leading : gap.replace(/\s+/g, ""),
+      trailing: "",
+      spaceAfter: false,
+      paragraph,
+    });
+    cursor = match.index + match[0].length;
+  }
+
+  // Punctuation after the last word
+  const last = tokens[tokens.length - 1];
+  if (last) last.trailing = text.slice(cursor).replace(/\s+/g, "");
+
+  return tokens;
+}
+
+/**
+ * Tokenizes a text object from the text library, keeping its paragraphs.
+ * Words are normalized in the text's language.
+ *
+ * @param {Object} text - A text object with a `paragraphs` array and an optional `language`
+ * @param {Object} [options] - Tokenizer options
+ * @returns {Array<Object>} Tokens in reading order
+ */
+export function tokenizeText(text, options) {
+  return tokenize(text.paragraphs.join("\n\n"), { ...options, locale: text.language });
+}
+
+/**
+ * Utility: Groups tokens by paragraph number for rendering.
+ *
+ * @param {Array<Object>} tokens - Tokens from `tokenize`
+ * @returns {Array<Array<Object>>} One array of tokens per paragraph
+ */
+export function groupByParagraph(tokens) {
+  const groups = [];
+  for (const token of tokens) {
+    if (!groups[token.paragraph]) groups[token.paragraph] = [];
+    groups[token.paragraph].push(token);
+  }
+  return groups.filter(Boolean);
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import { normalizeWord, tokenizeText } from "./tokenizer";
+import { PREAMBLE, TEXT_LIBRARY } from "./texts";
+
+describe("normalizeWord", () => {
+  it("lowercases and strips surrounding punctuation", () => {
+    expect(normalizeWord("Union,")).toBe("union");
+    expect(normalizeWord("(Tranquility)")).toBe("tranquility");
+    expect(normalizeWord('"America."')).toBe("america");
+  });
+
+  it("unifies curly apostrophes, or drops them with apostrophes: strip", () => {
+    expect(normalizeWord("People’s")).toBe("people's");
+    expect(normalizeWord("People’s", { apostrophes: "strip" })).toBe("peoples");
+  });
+
+  it("keeps hyphenated words whole by default", () => {
+    expect(normalizeWord("battle-field")).toBe("battle-field");
+  });
+
+  it("applies Unicode NFC so composed and decomposed letters match", () => {
+    expect(normalizeWord("Café")).toBe(normalizeWord("Café"));
+  });
+
+  it("lowercases in the text's locale", () => {
+    expect(normalizeWord("IRMAK")).toBe("irmak");
+    expect(normalizeWord("IRMAK", { locale: "tr" })).toBe("ırmak");
+  });
+
+  it("folds accents with foldAccents", () => {
+    expect(normalizeWord("Unión")).toBe("unión");
+    expect(normalizeWord("Unión", { foldAccents: true })).toBe("union");
+    expect(normalizeWord("Postérité", { foldAccents: true })).toBe("posterite");
+  });
+
+  it("returns an empty string for punctuation only", () => {
+    expect(normalizeWord("—")).toBe("");
+  });
+});
+
+describe("tokenizeText", () => {
+  it("splits the preamble into 52 words", () => {
+    const tokens = tokenizeText({ paragraphs: [PREAMBLE] });
+    expect(tokens).toHaveLength(52);
+    expect(tokens[0].text).toBe("We");
+    expect(tokens[tokens.length - 1]).toMatchObject({ text: "America", normalized: "america", trailing: "." });
+  });
+
+  it("normalizes in the text's language", () => {
+    const tokens = tokenizeText({ language: "tr", paragraphs: ["IRMAK Işık"] });
+    expect(tokens.map((token) => token.normalized)).toEqual(["ırmak", "ışık"]);
+  });
+
+  it("counts a Spanish translation with plain-letter rules", () => {
+    const spanish = TEXT_LIBRARY.find((text) => text.id === "preamble-es");
+    const tokens = tokenizeText(spanish, { foldAccents: true });
+    const startsL = tokens.filter((token) => token.normalized.startsWith("l"));
+    expect(startsL.map((token) => token.text)).toEqual(["los", "la", "la", "los", "la", "Libertad", "los"]);
+    expect(tokens.find((token) => token.text === "Unión").normalized).toBe("union");
+  });
+});
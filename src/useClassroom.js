@@ -0,0 +1,84 @@
+import { useState, useEffect, useRef } from "react";
+import { createClassroomClient, createRoomCode, normalizeRoom, readSnapshot } from "./classroom";
+
+/**
+ * useClassroom
+ * ------------------------------------------------------------
+ * Membership of a classroom room (see ./classroom.js): which room, in which
+ * role, the connection status, and what the server reports about the others
+ * (how many followers the teacher has; whether a follower's teacher is there).
+ * Joining opens a connection; leaving, or unmounting, closes it. Server errors
+ * are kept as `{ code, params }` for the panel to translate.
+ */
+
+/**
+ * Classroom room hook.
+ *
+ * @param {Object} [options]
+ * @param {{ room: string, server: string }|null} [options.invitation] - Room to follow on mount (from the page link)
+ * @param {Function} [options.onState] - Called with each snapshot the teacher sends that passes `readSnapshot` (followers only)
+ * @param {Function} [options.WebSocketImpl] - WebSocket constructor (for tests)
+ */
+export default function useClassroom({ invitation = null, onState = () => {}, WebSocketImpl } = {}) {
+  /** Current membership: { room, role, server }, or null when not in a room */
+  const [session, setSession] = useState(() => (invitation ? { ...invitation, role: "follower" } : null));
+  const [status, setStatus] = useState("closed");
+  const [followers, setFollowers] = useState(0);
+  const [teacherConnected, setTeacherConnected] = useState(false);
+  const [error, setError] = useState(null);
+
+  const clientRef = useRef(null);
+  // Latest state handler, so the connection doesn't restart when it changes
+  const onStateRef = useRef(onState);
+  onStateRef.current = onState;
+
+  useEffect(() => {
+    if (!session) return undefined;
+    setError(null);
+    setFollowers(0);
+    setTeacherConnected(false);
+
+    const client = createClassroomClient({
+      url: session.server,
+      room: session.room,
+      role: session.role,
+      WebSocketImpl,
+      onStatus: setStatus,
+      onMessage: (message) => {
+        if (message.type === "joined") setTeacherConnected(message.teacherConnected);
+        if (message.type === "teacher") setTeacherConnected(message.connected);
+        if (message.type === "followers") setFollowers(message.count);
+        if (message.type === "state" && session.role === "follower") {
+          // A malformed snapshot would crash the follower's render; skip it and wait for the next
+          const snapshot = readSnapshot(message.state);
+          if (snapshot) onStateRef.current(snapshot);
+          else console.error("Ignoring a malformed classroom snapshot:", message.state);
+        }
+        if (message.type === "error") setError({ code: message.code, params: message.params });
+      },
+    });
+    clientRef.current = client;
+
+    return () => {
+      client.close();
+      clientRef.current = null;
+    };
+  }, [session]);
+
+  return {
+    session,
+    status,
+    followers,
+    teacherConnected,
+    error,
+    /** Opens a room as its teacher; a random code is made up if none is given */
+    host: (room, server) => setSession({ room: normalizeRoom(room) || createRoomCode(), role: "teacher", server }),
+    /** Joins a room as a follower */
+    follow: (room, server) => setSession({ room: normalizeRoom(room), role: "follower", server }),
+    leave: () => setSession(null),
+    /** Sends a snapshot to the room (teacher only; kept and re-sent after a reconnect) */
+    broadcast: (snapshot) => {
+      if (clientRef.current && session && session.role === "teacher") clientRef.current.send(snapshot);
+    },
+  };
+}
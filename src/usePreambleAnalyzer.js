@@ -0,0 +1,808 @@
+import { useState, useEffect, useMemo, useRef } from "react";
+import { DEFAULT_RULES } from "./rules";
+import { clamp, matchWords, buildPrefixCounts, countsAt } from "./analysis";
+import { TEXT_LIBRARY } from "./texts";
+import { DEFAULT_TOKENIZER_OPTIONS, tokenizeText, groupByParagraph } from "./tokenizer";
+import { parseTimingFile, alignTiming, findWordIndex } from "./timing";
+import {
+  MEDIA_STATES,
+  createYouTubeAdapter,
+  createMediaElementAdapter,
+  createFileSource,
+  mediaSourceKey,
+} from "./media";
+
+/**
+ * usePreambleAnalyzer
+ * ------------------------------------------------------------
+ * The analyzer without its markup: the text and how it is split into words,
+ * the counting rules, the media player, the active word and the counters.
+ * `PreambleAnalyzer` and the embeddable widget (./PreambleWidget.jsx) are both
+ * built on it; anything that renders words, counters and transport buttons can be.
+ *
+ *   const analyzer = usePreambleAnalyzer({ textId: "gettysburg", wordsPerMinute: 200 });
+ *   analyzer.startManual();
+ *   analyzer.counts;                 // { startsT: 3, endsE: 5, … } up to the active word
+ *
+ * The active word moves in one of two modes:
+ * - Animation mode ("manual"): a timer steps through the words at `wordsPerMinute`.
+ * - Song mode ("song"): a requestAnimationFrame loop follows the media playback time,
+ *   through a timing file when one is loaded and an eased estimate otherwise.
+ *
+ * Counters are not state: they are read from prefix sums computed once per text
+ * and rule set (see ./analysis.js, shared with the command-line analyzer), so
+ * seeking, replaying and switching modes all give the same numbers.
+ * Media needs a mount point: render an element with `containerRef` (YouTube) or
+ * `mediaElementRef` (<audio>/<video> for a local file); without one, only the
+ * animation mode is available.
+ */
+
+/**
+ * YouTube video timing configuration.
+ * Used when the text has no timing file; adjust these constants if the estimate is off.
+ * Local files have no such section: the estimate spans the whole file.
+ */
+export const VIDEO_ID = "8_NzZvdsbWI";
+const START_OFFSET_SECONDS = 130.0; // Start time of the Preamble in the video (2:10 in seconds)
+const PREAMBLE_END_SECONDS = 170.0; // End time of the Preamble in the video (2:49 in seconds)
+
+/** Easing factor for smooth word highlighting transitions (exponential easing) */
+const EASING_FACTOR = 1.15;
+
+/** Default speed of the animation-only mode (150 wpm = one word every 400ms) */
+export const DEFAULT_WORDS_PER_MINUTE = 150;
+
+// The counting utilities live in the analysis core; re-exported for existing imports
+export { clamp, computeCounts } from "./analysis";
+
+/** The song section of the YouTube video */
+const YOUTUBE_SECTION = { start: START_OFFSET_SECONDS, end: PREAMBLE_END_SECONDS };
+
+/**
+ * Utility: Estimates the sung word from playback time when no timing file is loaded.
+ * Maps progress through the section onto the word list with exponential easing.
+ *
+ * @param {number} currentTime - Playback time in seconds
+ * @param {number} wordCount - Number of words in the text
+ * @param {{ start: number, end: number }} [section] - Where the text is sung in the media
+ * @returns {number} Estimated word index (may equal wordCount at the very end)
+ */
+export function progressToIndex(currentTime, wordCount, section = YOUTUBE_SECTION) {
+  // Calculate progress through the preamble (0.0 to 1.0)
+  const preambleDuration = section.end - section.start;
+  const effectiveTime = currentTime - section.start;
+  const progress = clamp(effectiveTime / preambleDuration, 0, 1.0);
+
+  // Apply easing for smoother visual transitions
+  const easedProgress = progress < 1 ? Math.pow(progress, EASING_FACTOR) : progress;
+
+  // Map eased progress to word index
+  return Math.floor(easedProgress * wordCount);
+}
+
+/**
+ * Utility: The inverse of `progressToIndex`: a playback time at which the estimate
+ * lands in the middle of the given word. Used to seek the media to a word.
+ *
+ * @param {number} index - Word index
+ * @param {number} wordCount - Number of words in the text
+ * @param {{ start: number, end: number }} [section] - Where the text is sung in the media
+ * @returns {number} Playback time in seconds
+ */
+export function indexToTime(index, wordCount, section = YOUTUBE_SECTION) {
+  const easedProgress = clamp((index + 0.5) / wordCount, 0, 1);
+  const progress = Math.pow(easedProgress, 1 / EASING_FACTOR);
+  return section.start + progress * (section.end - section.start);
+}
+
+/**
+ * Headless analyzer hook. Every option is an initial value, read on mount.
+ *
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.rules] - Counting rules (default: the "t" / "e" rules)
+ * @param {string} [options.textId] - Text to open (default: the Preamble): a library text or one of `userTexts`
+ * @param {Array<Object>} [options.userTexts] - Pasted or uploaded texts to start the session with (e.g. a linked text found in the history)
+ * @param {Object} [options.tokenizerOptions] - How the text is split into words
+ * @param {"song"|"manual"|null} [options.mode] - Mode the initial position belongs to
+ * @param {number} [options.wordsPerMinute] - Animation speed
+ * @param {number} [options.index] - Word to start paused at (-1 for before the first word)
+ * @param {Function} [options.onRunStart] - Called when a run starts from the first word (not when it resumes)
+ * @param {Function} [options.onRunFinish] - Called with `{ mode, counts }` when a started run reaches the last word
+ * @returns {Object} Analyzer state and actions (see the return statement)
+ */
+export default function usePreambleAnalyzer({
+  rules: initialRules = DEFAULT_RULES,
+  textId: initialTextId = TEXT_LIBRARY[0].id,
+  userTexts: initialUserTexts = [],
+  tokenizerOptions: initialTokenizerOptions = DEFAULT_TOKENIZER_OPTIONS,
+  mode: initialMode = null,
+  wordsPerMinute: initialWordsPerMinute = DEFAULT_WORDS_PER_MINUTE,
+  index: initialIndex = null,
+  onRunStart,
+  onRunFinish,
+} = {}) {
+  // Latest callbacks, for effects and handlers that outlive a render
+  const callbacksRef = useRef(null);
+  callbacksRef.current = { onRunStart, onRunFinish };
+
+  /** The active rule list */
+  const [rules, setRules] = useState(initialRules);
+
+  /** Texts pasted or uploaded during this session */
+  const [userTexts, setUserTexts] = useState(initialUserTexts);
+  /** Id of the text being analyzed */
+  const [textId, setTextId] = useState(initialTextId);
+  const texts = useMemo(() => [...TEXT_LIBRARY, ...userTexts], [userTexts]);
+  const text = texts.find((t) => t.id === textId) || TEXT_LIBRARY[0];
+
+  /** How the text is split into words */
+  const [tokenizerOptions, setTokenizerOptions] = useState(initialTokenizerOptions);
+
+  /** All word tokens of the text in reading order (memoized to avoid recalculation) */
+  const words = useMemo(() => tokenizeText(text, tokenizerOptions), [text, tokenizerOptions]);
+  /** The tokens grouped by paragraph, for rendering */
+  const paragraphs = useMemo(() => groupByParagraph(words), [words]);
+  /** Where the song comes from: the YouTube video, or a local file ({ kind, name, url, element }) */
+  const [mediaSource, setMediaSource] = useState({ kind: "youtube", videoId: VIDEO_ID });
+  /** Whether the current text can be synced: the song covers it, or the user supplied their own media */
+  const canSync = mediaSource.kind === "file" || text.songSync;
+  /** Word to start paused at (only used as the initial position) */
+  const startIndex = initialIndex != null ? clamp(initialIndex, -1, words.length - 1) : -1;
+  /** Key for the current text + media pair; timing files are kept per pair */
+  const timingKey = `${text.id}|${mediaSourceKey(mediaSource)}`;
+
+  /** Timing files loaded this session, by timing key: { name, parsed } */
+  const [timingFiles, setTimingFiles] = useState({});
+  /** Why the last timing file could not be used: an error code of ./timing.js, "unreadable", or null */
+  const [timingError, setTimingError] = useState(null);
+  const timingFile = timingFiles[timingKey] || null;
+  /** Per-word start times for the current text, or null to use the easing fallback */
+  const timing = useMemo(
+    () => (timingFile ? alignTiming(timingFile.parsed, words, { ...tokenizerOptions, locale: text.language }) : null),
+    [timingFile, words, tokenizerOptions, text.language]
+  );
+
+  /** Ids of the rules each word matches, by word index */
+  const wordMatches = useMemo(() => matchWords(words, rules), [words, rules]);
+  /** Counters at every position of the text (see `buildPrefixCounts`) */
+  const prefixCounts = useMemo(() => buildPrefixCounts(wordMatches, rules), [wordMatches, rules]);
+  // Refs for media player management
+  const playerRef = useRef(null); // Stores the player adapter (see ./media.js)
+  const containerRef = useRef(null); // Container element for the YouTube player
+  const mediaElementRef = useRef(null); // <audio>/<video> element for local files
+
+  // Refs for animation state tracking (using refs for instant truth values)
+  /** Tracks the last word index that was processed */
+  const lastIndexRef = useRef(startIndex);
+  /** Whether a run was started since the last finish, so only real runs are reported */
+  const runStartedRef = useRef(false);
+  /** Latest `goToIndex`, for player callbacks that outlive a render */
+  const goToIndexRef = useRef(null);
+
+  // ------------------------------------------------------------
+  // React State Declarations
+  // ------------------------------------------------------------
+  // Media player state
+  const [ready, setReady] = useState(false); // Whether the player is ready
+  const [duration, setDuration] = useState(null); // Duration of the media in seconds
+
+  // Word highlighting and counting state
+  const [currentIndex, setCurrentIndex] = useState(startIndex); // Current active word index (both modes)
+
+  // Animation control state
+  const [loopRunning, setLoopRunning] = useState(false); // Whether the video sync animation loop is running
+  const [isManualMode, setIsManualMode] = useState(false); // Whether the manual animation timer is running
+  const [sessionMode, setSessionMode] = useState(() => (initialMode === "song" && !canSync ? "manual" : initialMode || null)); // Mode of the current run: "song", "manual", or null
+  const [wordsPerMinute, setWordsPerMinute] = useState(initialWordsPerMinute); // Manual animation speed
+
+  /** Where the text is sung in the media when no timing file says otherwise */
+  const section = useMemo(
+    () => (mediaSource.kind === "youtube" ? YOUTUBE_SECTION : { start: 0, end: duration || 0 }),
+    [mediaSource.kind, duration]
+  );
+
+  // ------------------------------------------------------------
+  // Media Player Setup
+  // ------------------------------------------------------------
+  /**
+   * Sets up the player adapter for the current media source: the YouTube iframe
+   * player, or the <audio>/<video> element playing a local file.
+   * The old player is destroyed whenever the source changes.
+   */
+  useEffect(() => {
+    const callbacks = {
+      /** Called when the player is ready to accept commands. */
+      onReady: (adapter) => {
+        playerRef.current = adapter;
+        setReady(true);
+        setDuration(adapter.getDuration());
+      },
+
+      /** Handles player state changes (playing, paused, ended). */
+      onStateChange: (state) => {
+        // Stop if the media ended
+        if (state === MEDIA_STATES.ENDED) {
+          setLoopRunning(false);
+          goToIndexRef.current(Infinity);
+          return;
+        }
+
+        // Stop loop if the media is paused
+        if (state === MEDIA_STATES.PAUSED) {
+          setLoopRunning(false);
+        }
+      },
+    };
+
+    let adapter;
+    if (mediaSource.kind === "youtube") {
+      if (!containerRef.current) return;
+      adapter = createYouTubeAdapter(containerRef.current, { videoId: mediaSource.videoId, ...callbacks });
+    } else {
+      if (!mediaElementRef.current) return;
+      adapter = createMediaElementAdapter(mediaElementRef.current, callbacks);
+    }
+
+    return () => {
+      adapter.destroy();
+      playerRef.current = null;
+      setReady(false);
+      setDuration(null);
+    };
+  }, [mediaSource]);
+
+  /** Releases the object URL of a local file once another source replaces it */
+  useEffect(() => {
+    return () => {
+      if (mediaSource.kind === "file") URL.revokeObjectURL(mediaSource.url);
+    };
+  }, [mediaSource]);
+
+  // ------------------------------------------------------------
+  // Video Sync Loop
+  // ------------------------------------------------------------
+  /**
+   * Synchronizes word highlighting with the media playback.
+   * Uses requestAnimationFrame to smoothly update the active word index
+   * based on the current video playback time.
+   */
+  useEffect(() => {
+    // Early return if conditions aren't met for video sync
+    if (!loopRunning || !playerRef.current || !duration || isManualMode || !ready) {
+      return;
+    }
+
+    let animationFrameId;
+
+    /**
+     * Animation frame callback that updates the active word index
+     * based on the current video playback time.
+     */
+    const update = () => {
+      if (!playerRef.current) {
+        return;
+      }
+
+      try {
+        const currentTime = playerRef.current.getCurrentTime();
+        const sectionStart = timing ? timing.start : section.start;
+        const sectionEnd = timing ? timing.end : section.end;
+
+        // Wait until the preamble section starts
+        if (currentTime < sectionStart) {
+          animationFrameId = requestAnimationFrame(update);
+          return;
+        }
+
+        // Stop when the preamble ends
+        if (currentTime > sectionEnd) {
+          goToIndex(words.length - 1);
+          setLoopRunning(false);
+          // Pause the media when preamble completes
+          try {
+            if (playerRef.current) {
+              playerRef.current.pause();
+            }
+          } catch (error) {
+            console.error("Error pausing video at end:", error);
+          }
+          return;
+        }
+
+        // Look up the sung word: binary search over the timing file, or the eased estimate
+        const index = timing ? findWordIndex(timing.times, currentTime) : progressToIndex(currentTime, words.length, section);
+
+        // Move the index when it changes (forwards, or backwards after a seek)
+        if (index !== lastIndexRef.current && index >= 0 && index < words.length) {
+          goToIndex(index);
+        }
+
+        animationFrameId = requestAnimationFrame(update);
+      } catch (error) {
+        console.error("Error in video sync loop:", error);
+        setLoopRunning(false);
+      }
+    };
+
+    // Start the animation loop
+    animationFrameId = requestAnimationFrame(update);
+
+    // Cleanup: cancel animation frame on unmount or dependency change
+    return () => {
+      if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+      }
+    };
+  }, [loopRunning, duration, isManualMode, ready, words, timing, section]);
+
+  // ------------------------------------------------------------
+  // Manual Mode Loop
+  // ------------------------------------------------------------
+  /**
+   * Handles word-by-word animation when in manual mode (no video sync).
+   * Advances through words at the chosen words-per-minute speed.
+   */
+  useEffect(() => {
+    // Don't run if manual mode is off or video loop is running
+    if (!isManualMode || loopRunning) return;
+
+    // Stop when we reach the last word
+    if (currentIndex >= words.length - 1) {
+      setIsManualMode(false);
+      return;
+    }
+
+    // Advance to next word after a delay
+    const timer = setTimeout(() => goToIndex(currentIndex + 1), 60000 / wordsPerMinute);
+
+    // Cleanup: clear timeout on unmount or dependency change
+    return () => clearTimeout(timer);
+  }, [isManualMode, currentIndex, loopRunning, words, wordsPerMinute]);
+
+  // ------------------------------------------------------------
+  // Position
+  // ------------------------------------------------------------
+  /**
+   * Moves the active word. The single place the index changes; the counters follow from it.
+   *
+   * @param {number} index - Word index; clamped to -1 (before the first word) … last word
+   */
+  const goToIndex = (index) => {
+    const clamped = clamp(index, -1, words.length - 1);
+    lastIndexRef.current = clamped;
+    setCurrentIndex(clamped);
+  };
+  goToIndexRef.current = goToIndex;
+
+  /**
+   * Resets all counters, indices, and refs to their initial state.
+   * Called when starting a new animation session.
+   */
+  const resetAll = () => {
+    goToIndex(-1);
+  };
+
+  /**
+   * Marks the start of a run for `onRunFinish` and tells the caller.
+   */
+  const beginRun = () => {
+    if (callbacksRef.current.onRunStart) callbacksRef.current.onRunStart();
+    runStartedRef.current = true;
+  };
+
+  /**
+   * Utility: Playback time at which a word is sung, for seeking the media.
+   *
+   * @param {number} index - Word index (-1 for the start of the section)
+   * @returns {number} Playback time in seconds
+   */
+  const wordTime = (index) => {
+    if (index < 0) return timing ? timing.start : section.start;
+    return timing ? timing.times[index] : indexToTime(index, words.length, section);
+  };
+
+  // ------------------------------------------------------------
+  // Run Handlers
+  // ------------------------------------------------------------
+  /**
+   * Starts the animation synchronized with the media.
+   * Seeks to the preamble start time and begins playback.
+   */
+  const startWithVideo = () => {
+    if (!playerRef.current || !ready || !canSync) return;
+
+    resetAll();
+    beginRun();
+    setIsManualMode(false);
+    setSessionMode("song");
+
+    try {
+      playerRef.current.seek(timing ? timing.start : section.start);
+      playerRef.current.play();
+      setLoopRunning(true);
+    } catch (error) {
+      console.error("Error controlling media player:", error);
+    }
+  };
+
+  /**
+   * Starts the manual animation mode (no video sync).
+   * Pauses the video if it's playing and begins word-by-word animation.
+   */
+  const startManual = () => {
+    resetAll();
+    beginRun();
+    setLoopRunning(false);
+    setIsManualMode(true);
+    setSessionMode("manual");
+
+    // Pause video if playing
+    if (playerRef.current) {
+      try {
+        playerRef.current.pause();
+      } catch (error) {
+        console.error("Error pausing video:", error);
+      }
+    }
+  };
+
+  /**
+   * Stops any running animation and pauses the video.
+   */
+  const stopAll = () => {
+    setLoopRunning(false);
+    setIsManualMode(false);
+    setSessionMode(null);
+    runStartedRef.current = false;
+
+    if (playerRef.current) {
+      try {
+        playerRef.current.pause();
+      } catch (error) {
+        console.error("Error pausing video:", error);
+      }
+    }
+  };
+
+  /**
+   * Stops the run and goes back to before the first word.
+   */
+  const reset = () => {
+    stopAll();
+    resetAll();
+  };
+
+  // ------------------------------------------------------------
+  // Text, Rules and Media Handlers
+  // ------------------------------------------------------------
+  /**
+   * Loads another text: stops the current run and clears counts and highlighting.
+   */
+  const selectText = (id) => {
+    reset();
+    setTextId(id);
+  };
+
+  /**
+   * Adds a pasted or uploaded text to the session and loads it.
+   */
+  const addText = (newText) => {
+    setUserTexts((prev) => [...prev.filter((t) => t.id !== newText.id), newText]);
+    selectText(newText.id);
+  };
+
+  /**
+   * Applies new tokenizer options. Word indices change, so the run starts over.
+   */
+  const changeTokenizerOptions = (options) => {
+    reset();
+    setTokenizerOptions(options);
+  };
+
+  /**
+   * Utility: Number of words of a text split with the given options. The memoized
+   * words are reused when they are that text's, so following a moving highlight
+   * does not re-tokenize on every snapshot.
+   *
+   * @param {Object} nextText - A text object
+   * @param {Object} nextOptions - Tokenizer options
+   * @returns {number} Word count
+   */
+  const wordCountOf = (nextText, nextOptions) =>
+    nextText.id === text.id && nextText.paragraphs === text.paragraphs && JSON.stringify(nextOptions) === JSON.stringify(tokenizerOptions)
+      ? words.length
+      : tokenizeText(nextText, nextOptions).length;
+
+  /**
+   * Loads a saved state in one update: text, rules, word splitting and position.
+   * A text that is not in the library is added to the session first.
+   *
+   * @param {Object} state
+   * @param {string} state.textId - Text to open
+   * @param {Object} [state.userText] - The text itself, when it was pasted or uploaded
+   * @param {Array<Object>} state.rules - Rule list
+   * @param {Object} state.tokenizerOptions - Tokenizer options
+   * @param {number} state.index - Word to pause at; clamped to the restored text's words
+   */
+  const restore = ({ textId: nextTextId, userText, rules: nextRules, tokenizerOptions: nextOptions, index }) => {
+    stopAll();
+    if (userText) setUserTexts((prev) => [...prev.filter((t) => t.id !== userText.id), userText]);
+    setTextId(nextTextId);
+    setRules(nextRules);
+    setTokenizerOptions(nextOptions);
+
+    // The text changes in the same update, so clamp against its own tokens and set the index directly
+    const nextText = userText || texts.find((t) => t.id === nextTextId) || TEXT_LIBRARY[0];
+    const clamped = clamp(index, -1, wordCountOf(nextText, nextOptions) - 1);
+    lastIndexRef.current = clamped;
+    setCurrentIndex(clamped);
+  };
+
+  /**
+   * Shows what another analyzer shows (see ./classroom.js): its text, rules, word
+   * splitting, mode and active word. Local playback stops; unchanged parts are
+   * left alone, so following a moving highlight only moves the index.
+   *
+   * @param {Object} snapshot - A classroom snapshot, checked by `readSnapshot`; the
+   *   index is clamped to the mirrored text's words
+   */
+  const mirror = (snapshot) => {
+    if (playing) stopAll();
+    const { text: mirroredText, rules: nextRules, tokenizerOptions: nextOptions, mode, index } = snapshot;
+
+    const known = texts.find((t) => t.id === mirroredText.id);
+    const nextText = known || (mirroredText.paragraphs ? { ...mirroredText, songSync: false } : null);
+    if (!nextText) return;
+
+    if (!known) setUserTexts((prev) => [...prev, nextText]);
+    setTextId(mirroredText.id);
+    if (JSON.stringify(nextRules) !== JSON.stringify(rules)) setRules(nextRules);
+    if (JSON.stringify(nextOptions) !== JSON.stringify(tokenizerOptions)) setTokenizerOptions(nextOptions);
+    setSessionMode(mode);
+
+    // The text may change in the same update, so clamp against its own tokens and set the index directly
+    const clamped = clamp(index, -1, wordCountOf(nextText, nextOptions) - 1);
+    lastIndexRef.current = clamped;
+    setCurrentIndex(clamped);
+  };
+
+  /**
+   * Loads an LRC or WebVTT timing file for the current text + media pair.
+   *
+   * @param {File} file - The timing file
+   */
+  const loadTimingFile = async (file) => {
+    try {
+      const parsed = parseTimingFile(await file.text());
+      setTimingError(null);
+      setTimingFiles((prev) => ({ ...prev, [timingKey]: { name: file.name, parsed } }));
+    } catch (error) {
+      console.error("Error loading timing file:", error);
+      setTimingError(error.code || "unreadable");
+    }
+  };
+
+  /**
+   * Uses parsed timing (e.g. from the timing recorder) for the current text + media pair.
+   *
+   * @param {Object} parsed - Parsed timing, as returned by `parseTimingFile`
+   * @param {string} name - Shown as the timing file name
+   */
+  const applyTiming = (parsed, name) => {
+    setTimingError(null);
+    setTimingFiles((prev) => ({ ...prev, [timingKey]: { name, parsed } }));
+  };
+
+  /**
+   * Drops the timing file of the current text + media pair, going back to the estimate.
+   */
+  const clearTiming = () => {
+    setTimingFiles((prev) => ({ ...prev, [timingKey]: undefined }));
+  };
+
+  /**
+   * Switches the song to a local audio or video file.
+   *
+   * @param {File} file - The audio or video file
+   */
+  const selectMediaFile = (file) => {
+    reset();
+    setMediaSource(createFileSource(file));
+  };
+
+  /**
+   * Switches the song back to the YouTube video.
+   */
+  const selectYouTube = () => {
+    reset();
+    setMediaSource({ kind: "youtube", videoId: VIDEO_ID });
+  };
+
+  // ------------------------------------------------------------
+  // Transport Handlers
+  // ------------------------------------------------------------
+  /** Whether a run is currently advancing */
+  const playing = loopRunning || isManualMode;
+
+  /**
+   * Pauses the current run, keeping the index and counts.
+   */
+  const pause = () => {
+    if (loopRunning && playerRef.current) {
+      try {
+        playerRef.current.pause();
+      } catch (error) {
+        console.error("Error pausing video:", error);
+      }
+    }
+    setLoopRunning(false);
+    setIsManualMode(false);
+  };
+
+  /**
+   * Resumes a paused run from the current word. Without a run, starts the
+   * animation-only mode from the current word. A finished run starts over,
+   * which is the only case that reports a new run through `onRunStart`.
+   */
+  const resume = () => {
+    const fromIndex = currentIndex >= words.length - 1 ? -1 : currentIndex;
+    if (fromIndex !== currentIndex) goToIndex(fromIndex);
+    if (fromIndex === -1) beginRun();
+    runStartedRef.current = true;
+
+    if (sessionMode === "song") {
+      if (!playerRef.current || !ready) return;
+      try {
+        playerRef.current.seek(Math.max(wordTime(fromIndex), wordTime(-1)));
+        playerRef.current.play();
+        setLoopRunning(true);
+      } catch (error) {
+        console.error("Error controlling media player:", error);
+      }
+      return;
+    }
+
+    setSessionMode("manual");
+    setIsManualMode(true);
+  };
+
+  /**
+   * Jumps to a word. In song mode the media is seeked along with it.
+   *
+   * @param {number} index - Word index (-1 for before the first word)
+   */
+  const seek = (index) => {
+    const clamped = clamp(index, -1, words.length - 1);
+    goToIndex(clamped);
+
+    if (sessionMode === "song" && playerRef.current) {
+      try {
+        playerRef.current.seek(wordTime(clamped));
+      } catch (error) {
+        console.error("Error seeking media:", error);
+      }
+    }
+  };
+
+  /**
+   * Pauses and moves one word forwards or backwards.
+   *
+   * @param {number} delta - +1 or -1
+   */
+  const step = (delta) => {
+    pause();
+    seek(currentIndex + delta);
+  };
+
+  /**
+   * Switches the run between song sync and animation only, keeping the position.
+   * The run pauses; play resumes it in the other mode.
+   */
+  const switchMode = () => {
+    const nextMode = sessionMode === "song" ? "manual" : "song";
+    if (nextMode === "song" && (!canSync || !ready)) return;
+    pause();
+    setSessionMode(nextMode);
+  };
+
+  // ------------------------------------------------------------
+  // Derived Values
+  // ------------------------------------------------------------
+  // The active word, shared by both modes
+  const activeIndex = currentIndex;
+
+  /** Count of matching words up to the active one, by rule id */
+  const counts = countsAt(prefixCounts, activeIndex);
+
+  /** Whether the run has reached the last word and stopped */
+  const finished = activeIndex === words.length - 1 && !playing;
+
+  /**
+   * How long the active word lasts, in seconds: its share of the song section,
+   * or one animation step. Drives the karaoke fill in presentation mode.
+   */
+  const activeWordDuration = (() => {
+    if (activeIndex < 0) return 0;
+    if (sessionMode !== "song") return 60 / wordsPerMinute;
+    const next = activeIndex + 1 < words.length ? wordTime(activeIndex + 1) : timing ? timing.end : section.end;
+    return Math.max(0, next - wordTime(activeIndex));
+  })();
+
+  /**
+   * Utility: When a word is sung. Exact with a timing file, estimated from the
+   * easing curve otherwise, unknown when the text has no song.
+   *
+   * @param {number|null} index - Word index
+   * @returns {number|null} Playback time in seconds
+   */
+  const sungAt = (index) => {
+    if (index == null || !canSync) return null;
+    if (timing) return timing.times[index];
+    return section.end > section.start ? indexToTime(index, words.length, section) : null;
+  };
+
+  /**
+   * Reports a run once it reaches the last word.
+   */
+  useEffect(() => {
+    if (!finished || !runStartedRef.current || !sessionMode) return;
+    runStartedRef.current = false;
+    if (callbacksRef.current.onRunFinish) callbacksRef.current.onRunFinish({ mode: sessionMode, counts });
+  }, [finished]);
+
+  return {
+    // Text
+    texts,
+    text,
+    words,
+    paragraphs,
+    tokenizerOptions,
+    selectText,
+    addText,
+    changeTokenizerOptions,
+    restore,
+    mirror,
+    // Rules and counters
+    rules,
+    setRules,
+    wordMatches,
+    counts,
+    // Media
+    mediaSource,
+    canSync,
+    ready,
+    playerRef,
+    containerRef,
+    mediaElementRef,
+    section,
+    timing,
+    timingFile,
+    timingKey,
+    timingError,
+    loadTimingFile,
+    applyTiming,
+    clearTiming,
+    selectMediaFile,
+    selectYouTube,
+    // Position and transport
+    activeIndex,
+    mode: sessionMode,
+    playing,
+    loopRunning,
+    isManualMode,
+    finished,
+    wordsPerMinute,
+    setWordsPerMinute,
+    activeWordDuration,
+    sungAt,
+    startWithVideo,
+    startManual,
+    pause,
+    resume,
+    seek,
+    step,
+    switchMode,
+    stop: stopAll,
+    reset,
+  };
+}
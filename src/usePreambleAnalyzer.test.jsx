@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import usePreambleAnalyzer from "./usePreambleAnalyzer";
+import { DEFAULT_RULES } from "./rules";
+import { DEFAULT_TOKENIZER_OPTIONS, tokenizeText } from "./tokenizer";
+
+// Counted, to check that following a classroom does not re-split the text on every snapshot
+vi.mock("./tokenizer", async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, tokenizeText: vi.fn(actual.tokenizeText) };
+});
+
+describe("usePreambleAnalyzer", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("starts before the first word with zeroed counters", () => {
+    const { result } = renderHook(() => usePreambleAnalyzer());
+    expect(result.current.words).toHaveLength(52);
+    expect(result.current.activeIndex).toBe(-1);
+    expect(result.current.counts).toEqual({ startsT: 0, endsE: 0, startsTEndsE: 0 });
+    expect(result.current.canSync).toBe(true);
+  });
+
+  it("derives the counters from the position", () => {
+    const { result } = renderHook(() => usePreambleAnalyzer({ index: 19 }));
+    expect(result.current.counts).toEqual({ startsT: 4, endsE: 7, startsTEndsE: 2 });
+
+    act(() => result.current.seek(-1));
+    expect(result.current.counts).toEqual({ startsT: 0, endsE: 0, startsTEndsE: 0 });
+    act(() => result.current.step(1));
+    expect(result.current.words[result.current.activeIndex].text).toBe("We");
+  });
+
+  it("animates at the chosen speed and reports the finished run", () => {
+    const onRunStart = vi.fn();
+    const onRunFinish = vi.fn();
+    const { result } = renderHook(() =>
+      usePreambleAnalyzer({ textId: "gettysburg", wordsPerMinute: 600, onRunStart, onRunFinish })
+    );
+    const wordCount = result.current.words.length;
+
+    act(() => result.current.startManual());
+    expect(onRunStart).toHaveBeenCalledTimes(1);
+    expect(result.current.playing).toBe(true);
+    act(() => {
+      vi.advanceTimersByTime(100);
+    });
+    expect(result.current.activeIndex).toBe(0);
+
+    for (let i = 0; i < wordCount; i++) {
+      act(() => {
+        vi.advanceTimersByTime(100);
+      });
+    }
+    expect(result.current.activeIndex).toBe(wordCount - 1);
+    expect(result.current.finished).toBe(true);
+    expect(onRunFinish).toHaveBeenCalledTimes(1);
+    expect(onRunFinish).toHaveBeenCalledWith({ mode: "manual", counts: result.current.counts });
+  });
+
+  it("reports a run once when it is paused and resumed", () => {
+    const onRunStart = vi.fn();
+    const { result } = renderHook(() => usePreambleAnalyzer({ onRunStart }));
+    act(() => result.current.startManual());
+    act(() => {
+      vi.advanceTimersByTime(1200);
+    });
+    act(() => result.current.pause());
+    act(() => result.current.resume());
+    expect(result.current.playing).toBe(true);
+    expect(onRunStart).toHaveBeenCalledTimes(1);
+  });
+
+  it("reports a new run when a finished song run is played again", () => {
+    const onRunStart = vi.fn();
+    const { result } = renderHook(() => usePreambleAnalyzer({ mode: "song", index: 51, onRunStart }));
+    expect(result.current.finished).toBe(true);
+
+    act(() => result.current.resume());
+    expect(result.current.activeIndex).toBe(-1);
+    expect(onRunStart).toHaveBeenCalledTimes(1);
+  });
+
+  it("mirrors a moving highlight without splitting the text again", () => {
+    const { result } = renderHook(() => usePreambleAnalyzer());
+    const snapshot = { text: { id: "preamble" }, rules: DEFAULT_RULES, tokenizerOptions: DEFAULT_TOKENIZER_OPTIONS, mode: "manual", playing: true };
+    tokenizeText.mockClear();
+
+    for (let index = 0; index < 5; index++) {
+      act(() => result.current.mirror({ ...snapshot, index }));
+    }
+    expect(result.current.activeIndex).toBe(4);
+    expect(tokenizeText).not.toHaveBeenCalled();
+
+    act(() => result.current.mirror({ ...snapshot, text: { id: "gettysburg" }, index: 500 }));
+    expect(result.current.activeIndex).toBe(result.current.words.length - 1);
+  });
+
+  it("clamps a reopened position to the words of the reopened text", () => {
+    const split = { ...DEFAULT_TOKENIZER_OPTIONS, hyphens: "split" };
+    const { result } = renderHook(() => usePreambleAnalyzer({ textId: "gettysburg", tokenizerOptions: split }));
+    const splitCount = result.current.words.length;
+
+    // A run saved at the last word while hyphenated words were split, reopened with them joined
+    act(() => result.current.restore({ textId: "gettysburg", rules: DEFAULT_RULES, tokenizerOptions: DEFAULT_TOKENIZER_OPTIONS, index: splitCount - 1 }));
+    expect(result.current.words.length).toBeLessThan(splitCount);
+    expect(result.current.activeIndex).toBe(result.current.words.length - 1);
+    expect(result.current.counts).toEqual({ startsT: 47, endsE: 65, startsTEndsE: 15 });
+  });
+
+  it("recounts when the rules change", () => {
+    const { result } = renderHook(() => usePreambleAnalyzer({ index: 51 }));
+    act(() => result.current.setRules([{ id: "the", label: "the", color: "#000000", condition: { type: "regex", pattern: "^the$" } }]));
+    expect(result.current.counts).toEqual({ the: 6 });
+  });
+});
@@ -0,0 +1,21 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// Builds the <preamble-analyzer> web component (src/embed.jsx) as a single
+// script with React and the styles bundled in: `npm run build:embed`
+export default defineConfig({
+  plugins: [react()],
+  publicDir: false,
+  define: {
+    'process.env.NODE_ENV': JSON.stringify('production'),
+  },
+  build: {
+    outDir: 'dist-embed',
+    lib: {
+      entry: 'src/embed.jsx',
+      name: 'PreambleAnalyzerEmbed',
+      formats: ['es', 'iife'],
+      fileName: (format) => `preamble-analyzer.${format}.js`,
+    },
+  },
+})